@@ -1,9 +1,12 @@
 const scanService = require("../../services/scan/scanService");
+const {
+  validateCallbackUrl,
+} = require("../../services/webhooks/webhookService");
 
 // Initialize a new solar scan job
 exports.initiateScan = async (req, res) => {
   try {
-    const { buildingId, location, clientId } = req.body;
+    const { buildingId, location, clientId, callbackUrl } = req.body;
 
     // Validate request parameters
     if (!buildingId || !location || !clientId) {
@@ -13,8 +16,32 @@ exports.initiateScan = async (req, res) => {
       });
     }
 
+    if (!location.latitude || !location.longitude) {
+      return res.status(400).json({
+        success: false,
+        message: "Valid location with latitude and longitude is required",
+      });
+    }
+
+    if (callbackUrl !== undefined) {
+      const callbackValidation = validateCallbackUrl(callbackUrl);
+
+      if (!callbackValidation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid callbackUrl",
+          errors: callbackValidation.errors,
+        });
+      }
+    }
+
     // Create a new scan job
-    const job = await scanService.createScanJob(buildingId, location, clientId);
+    const job = await scanService.createScanJob(
+      buildingId,
+      location,
+      clientId,
+      { callbackUrl }
+    );
 
     return res.status(201).json({
       success: true,
@@ -78,6 +105,14 @@ exports.getScanResults = async (req, res) => {
       });
     }
 
+    if (result.status === "failed") {
+      return res.status(400).json({
+        success: false,
+        message: "Scan job failed",
+        error: result.error,
+      });
+    }
+
     if (result.status !== "completed") {
       return res.status(400).json({
         success: false,
@@ -102,3 +137,31 @@ exports.getScanResults = async (req, res) => {
     });
   }
 };
+
+// Get the webhook delivery attempts of a scan job
+exports.getScanWebhooks = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    const webhooks = await scanService.getScanJobWebhooks(jobId);
+
+    if (!webhooks) {
+      return res.status(404).json({
+        success: false,
+        message: "Scan job not found",
+      });
+    }
+
+    return res.json({
+      success: true,
+      data: webhooks,
+    });
+  } catch (error) {
+    console.error("Error getting scan webhooks:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to get scan webhooks",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,176 @@
+/**
+ * Batch Comprehensive Analysis Router
+ *
+ * Provides three endpoints:
+ * 1. POST a list (JSON) or spreadsheet (CSV) of locations to start a batch
+ * 2. GET the batch status with per-item status and aggregate progress
+ * 3. GET a downloadable CSV or JSON summary with one row per location
+ */
+
+const express = require("express");
+const router = express.Router();
+
+const {
+  getAnalysisStore,
+  validateBatchRequest,
+  startBatch,
+  getBatch,
+  buildBatchDocument,
+  buildBatchSummary,
+  BATCH_SUMMARY_COLUMNS,
+} = require("../../services/analysis");
+const { toCsv } = require("../../utils/csv");
+
+// Persistent store for batches and the analyses they run
+const analysisStore = getAnalysisStore();
+
+// Spreadsheet exports are posted as raw CSV
+const parseCsvBody = express.text({
+  type: ["text/csv", "application/csv"],
+  limit: "5mb",
+});
+
+/**
+ * POST /api/v1/solar/batch-analysis
+ *
+ * Starts a batch and returns its ID. Accepts either
+ * - JSON: { locations: [{ latitude, longitude, label } | { address, label }],
+ *           preset, steps, params, concurrency }
+ *   (a "csv" string may be sent instead of "locations"), or
+ * - text/csv with a header row (latitude/lat, longitude/lng, address,
+ *   label/name); preset, steps (comma separated) and concurrency are then
+ *   read from the query string
+ */
+router.post("/batch-analysis", parseCsvBody, async (req, res) => {
+  try {
+    const request =
+      typeof req.body === "string"
+        ? {
+            csv: req.body,
+            preset: req.query.preset,
+            steps: req.query.steps ? req.query.steps.split(",") : undefined,
+            concurrency: req.query.concurrency,
+          }
+        : req.body || {};
+
+    const validation = validateBatchRequest(request);
+
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid batch request",
+        errors: validation.errors,
+      });
+    }
+
+    const batch = await startBatch(validation, analysisStore);
+
+    console.log(
+      `Created batch ${batch.id} with ${batch.items.length} locations`
+    );
+
+    return res.status(201).json({
+      success: true,
+      message: "Batch analysis started",
+      batchId: batch.id,
+      itemCount: batch.items.length,
+      concurrency: batch.concurrency,
+      options: batch.options,
+    });
+  } catch (error) {
+    console.error("Error creating batch analysis:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to create batch analysis",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/v1/solar/batch-analysis/:batchId
+ *
+ * Returns the batch status, aggregate progress, per-status counts and the
+ * status, analysis ID and summary of every item
+ */
+router.get("/batch-analysis/:batchId", async (req, res) => {
+  try {
+    const batch = await getBatch(req.params.batchId, analysisStore);
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: "Batch not found",
+      });
+    }
+
+    return res.json({
+      success: true,
+      data: buildBatchDocument(batch),
+    });
+  } catch (error) {
+    console.error("Error fetching batch analysis:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch batch analysis",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/v1/solar/batch-analysis/:batchId/summary?format=csv|json
+ *
+ * Downloads one row per location with panel count, potential kW, annual
+ * kWh, viable roof area and errors. Rows of unfinished items have empty figures.
+ */
+router.get("/batch-analysis/:batchId/summary", async (req, res) => {
+  try {
+    const format = req.query.format || "csv";
+
+    if (format !== "csv" && format !== "json") {
+      return res.status(400).json({
+        success: false,
+        message: "format must be csv or json",
+      });
+    }
+
+    const batch = await getBatch(req.params.batchId, analysisStore);
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: "Batch not found",
+      });
+    }
+
+    const rows = buildBatchSummary(batch);
+
+    res.attachment(`batch-${batch.id}.${format}`);
+
+    if (format === "json") {
+      return res.json({
+        batchId: batch.id,
+        status: batch.status,
+        rows,
+      });
+    }
+
+    res.type("text/csv");
+    return res.send(
+      toCsv(
+        rows.map((row) => ({ ...row, errors: row.errors.join("; ") })),
+        BATCH_SUMMARY_COLUMNS
+      )
+    );
+  } catch (error) {
+    console.error("Error building batch summary:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to build batch summary",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
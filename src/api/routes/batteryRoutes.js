@@ -0,0 +1,128 @@
+// src/api/routes/batteryRoutes.js
+const express = require("express");
+const router = express.Router();
+const { getAnalysisStore } = require("../../services/analysis");
+const {
+  validateBatteryRequest,
+  resolveBatteryTariff,
+  getHourlyProduction,
+  simulateBatteryOptions,
+} = require("../../services/battery/batterySimulation");
+const { resolveLoadProfile } = require("../../services/usage/loadProfile");
+const {
+  toHourlyProfile,
+  PRODUCTION_DAY_SHAPE,
+} = require("../../services/tariff/tariffEngine");
+const {
+  generateProductionProfile,
+} = require("../../services/production/productionProfile");
+const {
+  getLayoutInputFromResults,
+} = require("../../services/production/layoutSampling");
+
+// Persistent store with the results of comprehensive analyses
+const analysisStore = getAnalysisStore();
+
+/**
+ * POST /api/v1/battery/simulate
+ *
+ * Simulates a year of hourly self-consumption dispatch for candidate
+ * battery sizes and returns, next to solar without a battery, their
+ * self-consumption, grid import and export, backup hours and bill impact.
+ * The body contains
+ * - analysisId: a completed comprehensive analysis whose panel layout
+ *   produces (hourly from the flux and shade layers), or production: a
+ *   profile as accepted by POST /api/v1/tariffs/bill
+ * - load: the household load in the same forms (annual or monthly totals
+ *   get a residential shape), loadCsv: a utility or meter export with a
+ *   kWh column and optionally a timestamp column, or loadXml: a Green
+ *   Button XML export
+ * and optionally capacitiesKwh, tariffId or tariff (default a flat rate
+ * with net metering), powerKwPerKwh, roundTripEfficiency and
+ * reserveFraction.
+ */
+router.post("/simulate", async (req, res) => {
+  try {
+    const validation = validateBatteryRequest(req.body);
+
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid battery simulation request",
+        errors: validation.errors,
+      });
+    }
+
+    const {
+      analysisId,
+      production,
+      load,
+      loadCsv,
+      loadXml,
+      tariffId,
+      tariff,
+      ...options
+    } = req.body;
+    let hourlyProduction;
+
+    if (analysisId !== undefined) {
+      const session = await analysisStore.getSession(analysisId);
+
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: "Analysis session not found",
+        });
+      }
+
+      const input = getLayoutInputFromResults(
+        await analysisStore.getResults(analysisId)
+      );
+
+      if (!input || input.panels.length === 0) {
+        return res.status(409).json({
+          success: false,
+          message: "Analysis has no panel layout on the annual flux grid",
+          status: session.status,
+        });
+      }
+
+      // Stop downloading layers if the client goes away
+      const controller = new AbortController();
+      res.on("close", () => {
+        if (!res.writableFinished) controller.abort();
+      });
+
+      const profile = await generateProductionProfile(session.location, input, {
+        includeHourly: true,
+        includeCharts: false,
+        signal: controller.signal,
+      });
+
+      hourlyProduction = getHourlyProduction(profile);
+    } else {
+      hourlyProduction = toHourlyProfile(production, PRODUCTION_DAY_SHAPE);
+    }
+
+    const result = simulateBatteryOptions({
+      ...options,
+      production: hourlyProduction,
+      load: resolveLoadProfile({ load, loadCsv, loadXml }),
+      tariff: resolveBatteryTariff({ tariffId, tariff }),
+    });
+
+    return res.json({
+      success: true,
+      data: { analysisId: analysisId || null, ...result },
+    });
+  } catch (error) {
+    console.error("Error simulating battery:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to simulate battery",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -1,58 +1,76 @@
 /**
  * Comprehensive Solar Analysis Router
  *
- * Provides two endpoints:
+ * Provides seven endpoints:
  * 1. POST to start analysis and get an analysis ID
  * 2. GET with the analysis ID to establish SSE connection
+ * 3. GET with the analysis ID to fetch the consolidated results as JSON
+ * 4. DELETE with the analysis ID to cancel a pending or running analysis
+ * 5. GET with the analysis ID to inspect webhook delivery attempts
+ * 6. POST with the analysis ID to validate an edited panel layout
+ * 7. GET with the analysis ID to download the layout as GeoJSON, KML or DXF
  */
 
 const express = require("express");
 const router = express.Router();
-const axios = require("axios");
-
-// Import the data-layers module
-const dataLayers = require("../../data-layers");
-// Import the processor and visualizer directly for roof segments
-const RoofSegmentProcessor = require("../../data-layers/layers/roof-segments/roof-segments-processor");
-const RoofSegmentVisualizer = require("../../data-layers/layers/roof-segments/roof-segments-visualizer");
-const CombinedFluxDsmVisualizer = require("../../data-layers/combined-visualizers/combined-flux-dsm-visualizer");
-const {
-  VisualizationUtils,
-} = require("../../data-layers/utils/visualization-utils");
-// Import solar panel analysis module
-const solarPanelAnalysis = require("../../utils/solarPanelAnalysis");
-// TODO const config = require("../../config");
 
-// ML server URL - should be configurable via environment variable
-const ML_SERVER_URL = process.env.ML_SERVER_URL || "http://localhost:8000";
+// Import persistent store for analysis sessions and results
+const {
+  getAnalysisStore,
+  startAnalysisRun,
+  getAnalysisRun,
+  recoverStaleSession,
+  sendSSEEvent,
+  generateId,
+  buildAnalysisDocument,
+  processComprehensiveAnalysis,
+  validateAnalysisOptions,
+  sendAnalysisWebhook,
+} = require("../../services/analysis");
+const {
+  validateCallbackUrl,
+} = require("../../services/webhooks/webhookService");
+const {
+  validateLayoutEditRequest,
+  canValidateLayout,
+  validateEditedLayout,
+} = require("../../services/layout/layoutValidation");
+const {
+  EXPORT_FORMATS,
+  canExportLayout,
+  exportLayout,
+} = require("../../services/export/layoutExport");
 
-// Global configuration for DSM blending
-const DSM_BLEND_MODE = "hue_shift";
-const DSM_INFLUENCE = 0.2;
+// Persistent store for analysis sessions, emitted events and results
+const analysisStore = getAnalysisStore();
 
-// Create API client for the data layer manager
-const apiClient = {
-  apiKey: process.env.GOOGLE_MAPS_API_KEY,
-  async get(url, options = {}) {
-    return axios.get(url, options);
-  },
-};
+// SSE reconnection delay suggested to clients
+const SSE_RETRY_MS = 3000;
 
-// Create layer manager instance
-const layerManager = dataLayers.createLayerManager(apiClient);
+// How often to poll the store for analyses running in another instance
+const STORE_POLL_INTERVAL = 1000;
 
-// Simple in-memory store for analysis sessions
-const analysisSessions = new Map();
+// Events that end the event stream of an analysis
+const FINAL_EVENTS = ["complete", "error", "cancelled"];
 
 /**
  * POST /api/v1/solar/comprehensive-analysis
  *
- * Initiates a comprehensive solar analysis and returns an analysis ID
+ * Initiates a comprehensive solar analysis and returns an analysis ID.
+ *
+ * Optional body fields select what the analysis produces:
+ * - preset: "full" (default), "insights", "layers" or "layout"
+ * - steps: step names whose outputs are wanted, instead of a preset
+ * - params: per-step parameters, e.g.
+ *   { dataLayers: { radius: 30, quality: "HIGH" },
+ *     combinedVisualization: { blendMode: "additive", dsmInfluence: 0.4 } }
+ * - callbackUrl: receives a signed POST when the analysis completes, fails
+ *   or is cancelled
  */
 router.post("/comprehensive-analysis", async (req, res) => {
   try {
-    // Extract location from request body
-    const { location } = req.body;
+    // Extract location and analysis options from request body
+    const { location, preset, steps, params, callbackUrl } = req.body;
 
     // Validate location
     if (!location || !location.latitude || !location.longitude) {
@@ -62,13 +80,38 @@ router.post("/comprehensive-analysis", async (req, res) => {
       });
     }
 
+    // Validate the requested steps and parameters before anything runs
+    const validation = validateAnalysisOptions({ preset, steps, params });
+
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid analysis options",
+        errors: validation.errors,
+      });
+    }
+
+    if (callbackUrl !== undefined) {
+      const callbackValidation = validateCallbackUrl(callbackUrl);
+
+      if (!callbackValidation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid callbackUrl",
+          errors: callbackValidation.errors,
+        });
+      }
+    }
+
     // Generate a unique analysis ID
     const analysisId = generateId();
 
     // Store session info
-    analysisSessions.set(analysisId, {
+    await analysisStore.createSession({
       id: analysisId,
       location,
+      options: validation.options,
+      callbackUrl: callbackUrl || null,
       status: "pending",
       createdAt: new Date(),
     });
@@ -82,6 +125,7 @@ router.post("/comprehensive-analysis", async (req, res) => {
       success: true,
       message: "Analysis session created",
       analysisId,
+      options: validation.options,
     });
   } catch (error) {
     console.error("Error creating analysis session:", error);
@@ -96,2512 +140,512 @@ router.post("/comprehensive-analysis", async (req, res) => {
 /**
  * GET /api/v1/solar/comprehensive-analysis/:analysisId/stream
  *
- * Establishes an SSE connection to stream analysis results
+ * Establishes an SSE connection to stream analysis results. Every event
+ * carries an id; reconnecting with a Last-Event-ID header (or ?lastEventId=)
+ * replays only the missed events and attaches to the in-flight run.
  */
-router.get("/comprehensive-analysis/:analysisId/stream", (req, res) => {
+router.get("/comprehensive-analysis/:analysisId/stream", async (req, res) => {
   const { analysisId } = req.params;
 
+  // Get the analysis session
+  const storedSession = await analysisStore.getSession(analysisId);
+
   // Check if analysis session exists
-  if (!analysisSessions.has(analysisId)) {
+  if (!storedSession) {
     return res.status(404).json({
       success: false,
       message: "Analysis session not found",
     });
   }
 
-  // Get the analysis session
-  const session = analysisSessions.get(analysisId);
-  const location = session.location;
+  // A run lost to a restart finishes here with an error event to replay
+  let session = await recoverStaleSession(analysisStore, storedSession);
+  const lastEventId = getLastEventId(req);
+  let run = getAnalysisRun(analysisId);
+
+  // Only a pending session starts the pipeline; everything else attaches
+  if (!run && session.status === "pending") {
+    // Claim the session first so that concurrent requests, possibly on
+    // other instances sharing the store, cannot start it twice
+    const claimed = await analysisStore.updateSessionIf(analysisId, "pending", {
+      status: "running",
+      heartbeatAt: new Date(),
+    });
 
-  console.log(`Starting SSE stream for analysis: ${analysisId}`);
+    run = getAnalysisRun(analysisId);
 
-  // Set headers for SSE
-  res.writeHead(200, {
-    "Content-Type": "text/event-stream",
-    "Cache-Control": "no-cache",
-    Connection: "keep-alive",
-  });
+    if (claimed && !run) {
+      console.log(`Starting analysis run: ${analysisId}`);
 
-  // Send initial message
-  sendSSEEvent(res, "start", {
-    message: "Analysis started",
-    location,
-  });
+      run = startAnalysisRun(
+        claimed,
+        analysisStore,
+        processComprehensiveAnalysis
+      );
 
-  // Start the comprehensive solar analysis process
-  processComprehensiveAnalysis(res, session);
+      // Send initial message
+      run.publish("start", {
+        message: "Analysis started",
+        location: claimed.location,
+      });
+    } else if (!claimed) {
+      // Another request started or cancelled it in the meantime
+      session = (await analysisStore.getSession(analysisId)) || session;
+    }
+  }
 
-  // Handle client disconnect
-  req.on("close", () => {
-    console.log(`Client disconnected from analysis: ${analysisId}`);
+  if (run) {
+    console.log(
+      `Attaching SSE stream to analysis ${analysisId} after event ${lastEventId}`
+    );
 
-    // Clean up the session after some time
-    cleanupSession(analysisId);
-  });
-});
+    openEventStream(res);
+    run.subscribe(res, lastEventId);
 
-// ----- Helper Functions -----
+    // Handle client disconnect; the run is cancelled if nobody reconnects
+    req.on("close", () => {
+      console.log(`Client disconnected from analysis: ${analysisId}`);
+      run.unsubscribe(res);
+    });
+    return;
+  }
 
-/**
- * Generate a simple unique ID
- * @returns {string} Unique ID
- */
-function generateId() {
-  return (
-    Math.random().toString(36).substring(2, 15) +
-    Math.random().toString(36).substring(2, 15)
-  );
-}
+  // The run finished earlier or belongs to another server instance,
+  // so replay from the store
+  const missedEvents = await analysisStore.getEvents(analysisId, lastEventId);
 
-/**
- * Send an SSE event
- * @param {Object} res - Express response object
- * @param {string} event - Event name
- * @param {Object} data - Event data
- */
-function sendSSEEvent(res, event, data) {
-  res.write(`event: ${event}\n`);
-  res.write(
-    `data: ${JSON.stringify({
-      timestamp: new Date().toISOString(),
-      ...data,
-    })}\n\n`
+  if (isFinishedStatus(session.status) && missedEvents.length === 0) {
+    // 204 tells EventSource clients to stop reconnecting
+    return res.status(204).end();
+  }
+
+  console.log(
+    `Replaying ${missedEvents.length} stored events for analysis ${analysisId}`
   );
-}
 
-/**
- * Schedule a session for cleanup
- * @param {string} analysisId - Analysis session ID
- */
-function cleanupSession(analysisId) {
-  setTimeout(() => {
-    if (analysisSessions.has(analysisId)) {
-      analysisSessions.delete(analysisId);
-      console.log(`Cleaned up analysis session: ${analysisId}`);
-    }
-  }, 60000); // Clean up after 1 minute
-}
+  openEventStream(res);
+  missedEvents.forEach((record) => sendSSEEvent(res, record));
+
+  if (isFinishedStatus(session.status)) {
+    return res.end();
+  }
+
+  followStoredEvents(
+    req,
+    res,
+    analysisId,
+    missedEvents.length > 0
+      ? missedEvents[missedEvents.length - 1].id
+      : lastEventId
+  );
+});
 
 /**
- * Process comprehensive solar analysis
- * @param {Object} res - Express response object for SSE
- * @param {Object} session - Analysis session
+ * GET /api/v1/solar/comprehensive-analysis/:analysisId
+ *
+ * Returns the analysis status and, once processing has finished, the
+ * consolidated results. Pass ?images=false to leave out base64 images.
  */
-async function processComprehensiveAnalysis(res, session) {
-  const location = session.location;
-  const analysisId = session.id;
-  const startTime = Date.now();
-
-  // Store results to pass between steps
-  let processingResults = {
-    buildingInsights: null,
-    rgbResult: null,
-    dsmResult: null,
-    annualFluxResult: null,
-    combinedVisualizationResult: null, // NEW: Combined flux+DSM visualization
-    roofSegmentsResult: null,
-    mlServerResult: null,
-    dataLayersResponse: null,
-  };
-
+router.get("/comprehensive-analysis/:analysisId", async (req, res) => {
   try {
-    // Update session status
-    session.status = "running";
-
-    // Step 1: Progress update
-    sendSSEEvent(res, "progress", {
-      progress: 10,
-      message: "Fetching building insights...",
-    });
+    const { analysisId } = req.params;
 
-    // Step 2: Fetch building insights
-    try {
-      processingResults.buildingInsights = await fetchBuildingInsights(
-        location
-      );
+    const storedSession = await analysisStore.getSession(analysisId);
 
-      // Send building insights to client
-      sendSSEEvent(res, "buildingInsights", {
-        progress: 25,
-        data: processingResults.buildingInsights,
-      });
-    } catch (error) {
-      console.error(
-        `Error fetching building insights for analysis ${analysisId}:`,
-        error
-      );
-      sendSSEEvent(res, "progress", {
-        progress: 25,
-        message:
-          "Building insights unavailable, continuing with data layers...",
-        error: error.message,
+    if (!storedSession) {
+      return res.status(404).json({
+        success: false,
+        message: "Analysis session not found",
       });
     }
 
-    // Step 3: Fetch data layers
-    sendSSEEvent(res, "progress", {
-      progress: 30,
-      message: "Fetching data layers...",
+    const session = await recoverStaleSession(analysisStore, storedSession);
+
+    // Results are only persisted once the pipeline has finished
+    const processingResults = isFinishedStatus(session.status)
+      ? await analysisStore.getResults(analysisId)
+      : null;
+
+    return res.json({
+      success: true,
+      data: buildAnalysisDocument(session, processingResults, {
+        includeImages: req.query.images !== "false",
+      }),
+    });
+  } catch (error) {
+    console.error("Error fetching analysis results:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch analysis results",
+      error: error.message,
     });
+  }
+});
 
+/**
+ * POST /api/v1/solar/comprehensive-analysis/:analysisId/layout/validate
+ *
+ * Validates a panel layout edited in the designer against the analysed
+ * roof with the rules generated layouts follow: inside a roof segment,
+ * clear of obstructions, other panels and fire-code setbacks, and on roof
+ * whose DSM slope matches the segment. The body holds panels: the full
+ * edited layout, each panel with a pixel polygon (or x, y, width and
+ * height) in the analysis image and optionally id, segmentId, realWidth,
+ * realHeight and mounting. Returns the violations and annual kWh of every
+ * panel and the totals of the edited and the generated layout.
+ */
+router.post(
+  "/comprehensive-analysis/:analysisId/layout/validate",
+  async (req, res) => {
     try {
-      processingResults.dataLayersResponse = await fetchDataLayers(location);
-      console.log("Data layers response received:", {
-        hasRgbUrl: !!processingResults.dataLayersResponse.rgbUrl,
-        hasDsmUrl: !!processingResults.dataLayersResponse.dsmUrl,
-        hasMaskUrl: !!processingResults.dataLayersResponse.maskUrl,
-        hasAnnualFluxUrl: !!processingResults.dataLayersResponse.annualFluxUrl,
-        imageryQuality: processingResults.dataLayersResponse.imageryQuality,
-      });
-
-      // Process RGB image if available
-      if (processingResults.dataLayersResponse.rgbUrl) {
-        sendSSEEvent(res, "progress", {
-          progress: 32,
-          message: "Processing RGB imagery...",
+      const { analysisId } = req.params;
+      const validation = validateLayoutEditRequest(req.body);
+
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid panel layout",
+          errors: validation.errors,
         });
-
-        try {
-          processingResults.rgbResult = await processRgbLayer(
-            location,
-            processingResults.dataLayersResponse
-          );
-
-          console.log(
-            "RGB processing complete. Dimensions:",
-            processingResults.rgbResult.metadata?.dimensions?.width +
-              "x" +
-              processingResults.rgbResult.metadata?.dimensions?.height
-          );
-
-          // Send RGB visualization to client
-          sendSSEEvent(res, "visualization", {
-            progress: 35,
-            type: "rgb",
-            dataUrls: processingResults.rgbResult.dataUrls,
-            metadata: {
-              imageryDate: processingResults.dataLayersResponse.imageryDate,
-              imageryQuality:
-                processingResults.dataLayersResponse.imageryQuality,
-              dimensions: processingResults.rgbResult.metadata?.dimensions,
-              hasMask: processingResults.rgbResult.metadata?.hasMask,
-              buildingBoundaries:
-                processingResults.rgbResult.metadata?.buildingBoundaries,
-            },
-            bounds: processingResults.rgbResult.bounds,
-          });
-        } catch (rgbError) {
-          console.error(
-            `Error processing RGB layer for analysis ${analysisId}:`,
-            rgbError
-          );
-          sendSSEEvent(res, "progress", {
-            progress: 35,
-            message:
-              "RGB imagery processing failed, continuing with analysis...",
-            error: rgbError.message,
-          });
-        }
       }
 
-      // Process DSM data if available
-      if (processingResults.dataLayersResponse.dsmUrl) {
-        sendSSEEvent(res, "progress", {
-          progress: 38,
-          message: "Processing DSM data...",
-        });
-
-        try {
-          processingResults.dsmResult = await processDsmLayer(
-            location,
-            processingResults.dataLayersResponse,
-            processingResults.rgbResult
-          );
-
-          console.log(
-            "DSM processing complete. Dimensions:",
-            processingResults.dsmResult.metadata?.dimensions?.width +
-              "x" +
-              processingResults.dsmResult.metadata?.dimensions?.height
-          );
-        } catch (dsmError) {
-          console.error(
-            `Error processing DSM layer for analysis ${analysisId}:`,
-            dsmError
-          );
-          sendSSEEvent(res, "progress", {
-            progress: 38,
-            message: "DSM data processing failed, continuing with analysis...",
-            error: dsmError.message,
-          });
-        }
-      }
+      const session = await analysisStore.getSession(analysisId);
 
-      // Process Annual Flux data if available
-      if (processingResults.dataLayersResponse.annualFluxUrl) {
-        sendSSEEvent(res, "progress", {
-          progress: 42,
-          message: "Processing annual solar flux data...",
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: "Analysis session not found",
         });
-
-        try {
-          processingResults.annualFluxResult = await processAnnualFluxLayer(
-            location,
-            processingResults.dataLayersResponse,
-            processingResults.rgbResult
-          );
-
-          console.log(
-            "Annual flux processing complete. Dimensions:",
-            processingResults.annualFluxResult.metadata?.dimensions?.width +
-              "x" +
-              processingResults.annualFluxResult.metadata?.dimensions?.height
-          );
-
-          // Send annual flux visualization to client
-          sendSSEEvent(res, "visualization", {
-            progress: 45,
-            type: "annualFlux",
-            dataUrls: processingResults.annualFluxResult.dataUrls,
-            metadata: {
-              imageryDate: processingResults.dataLayersResponse.imageryDate,
-              imageryQuality:
-                processingResults.dataLayersResponse.imageryQuality,
-              dimensions:
-                processingResults.annualFluxResult.metadata?.dimensions,
-              dataRange: processingResults.annualFluxResult.metadata?.dataRange,
-              statistics: processingResults.annualFluxResult.statistics,
-            },
-            bounds: processingResults.annualFluxResult.bounds,
-          });
-        } catch (annualFluxError) {
-          console.error(
-            `Error processing annual flux layer for analysis ${analysisId}:`,
-            annualFluxError
-          );
-          sendSSEEvent(res, "progress", {
-            progress: 45,
-            message:
-              "Annual flux data processing failed, continuing with analysis...",
-            error: annualFluxError.message,
-          });
-        }
       }
 
-      // NEW: Create Combined Flux+DSM Visualization if both are available
-      // NEW: Create Combined Flux+DSM Visualization if both are available
-      if (processingResults.annualFluxResult && processingResults.dsmResult) {
-        sendSSEEvent(res, "progress", {
-          progress: 47,
-          message:
-            "Creating enhanced flux+DSM visualization for ML analysis...",
-        });
+      const processingResults = await analysisStore.getResults(analysisId);
 
-        try {
-          console.log("=== COMBINED VISUALIZATION DEBUG ===");
-          console.log("About to create combined visualization...");
-
-          processingResults.combinedVisualizationResult =
-            await createCombinedFluxDsmVisualization(
-              processingResults.annualFluxResult,
-              processingResults.dsmResult
-            );
-
-          console.log("Combined visualization result:", {
-            success: !!processingResults.combinedVisualizationResult,
-            enhanced: processingResults.combinedVisualizationResult?.enhanced,
-            hasDataUrls:
-              !!processingResults.combinedVisualizationResult?.dataUrls,
-            hasBuildingFocus:
-              !!processingResults.combinedVisualizationResult?.dataUrls
-                ?.buildingFocus,
-          });
-
-          console.log("Combined flux+DSM visualization created successfully");
-
-          // Send combined visualization to client
-          sendSSEEvent(res, "visualization", {
-            progress: 48,
-            type: "combinedFluxDsm",
-            dataUrls: processingResults.combinedVisualizationResult.dataUrls,
-            metadata: {
-              enhanced: processingResults.combinedVisualizationResult.enhanced,
-              blendMode:
-                processingResults.combinedVisualizationResult.metadata
-                  ?.blendMode,
-              dsmInfluence:
-                processingResults.combinedVisualizationResult.metadata
-                  ?.dsmInfluence,
-              dimensions:
-                processingResults.combinedVisualizationResult.metadata
-                  ?.dimensions,
-            },
-          });
-        } catch (combinedError) {
-          console.error(
-            `Error creating combined flux+DSM visualization for analysis ${analysisId}:`,
-            combinedError
-          );
-
-          // IMPORTANT: Make sure we don't set combinedVisualizationResult to undefined
-          console.log(
-            "Setting combinedVisualizationResult to null due to error"
-          );
-          processingResults.combinedVisualizationResult = null;
-
-          sendSSEEvent(res, "progress", {
-            progress: 48,
-            message:
-              "Combined visualization failed, will use individual data for analysis...",
-            error: combinedError.message,
-          });
-        }
+      if (!canValidateLayout(processingResults)) {
+        return res.status(409).json({
+          success: false,
+          message: "Analysis has no panel layout to edit",
+          status: session.status,
+        });
       }
+
+      return res.json({
+        success: true,
+        data: {
+          analysisId,
+          ...validateEditedLayout(processingResults, req.body.panels),
+        },
+      });
     } catch (error) {
-      console.error(
-        `Error fetching data layers for analysis ${analysisId}:`,
-        error
-      );
-      sendSSEEvent(res, "progress", {
-        progress: 48,
-        message: "Data layers unavailable, continuing with roof segments...",
+      console.error("Error validating panel layout:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to validate panel layout",
         error: error.message,
       });
     }
+  }
+);
 
-    // Step 4: Process roof segments (if building insights available)
-    if (processingResults.buildingInsights) {
-      sendSSEEvent(res, "progress", {
-        progress: 50,
-        message: "Processing roof segments...",
-      });
+/**
+ * GET /api/v1/solar/comprehensive-analysis/:analysisId/layout/export?format=geojson|kml|dxf
+ *
+ * Downloads the roof segments, fire-code setbacks, obstructions and panels
+ * of the analysis placed on the map with the RGB layer bounds: a GeoJSON
+ * FeatureCollection, a KML document for Google Earth, or a DXF drawing in
+ * meters with one layer per kind of shape for CAD tools.
+ */
+router.get(
+  "/comprehensive-analysis/:analysisId/layout/export",
+  async (req, res) => {
+    try {
+      const { analysisId } = req.params;
+      const format = req.query.format || "geojson";
 
-      try {
-        processingResults.roofSegmentsResult = await processRoofSegments(
-          processingResults.buildingInsights
-        );
-
-        if (processingResults.roofSegmentsResult.available) {
-          sendSSEEvent(res, "visualization", {
-            progress: 60,
-            type: "roofSegments",
-            visualizations: processingResults.roofSegmentsResult.visualizations,
-            segments: processingResults.roofSegmentsResult.data,
-            metadata: processingResults.roofSegmentsResult.metadata,
-            bounds: processingResults.roofSegmentsResult.bounds,
-            available: true,
-          });
-        } else {
-          sendSSEEvent(res, "progress", {
-            progress: 60,
-            message:
-              "Roof segment processing failed: " +
-              (processingResults.roofSegmentsResult.error ||
-                "No viable roof segments found"),
-            error: processingResults.roofSegmentsResult.error,
-          });
-        }
-      } catch (segmentError) {
-        console.error(
-          `Error processing roof segments for analysis ${analysisId}:`,
-          segmentError
-        );
-        sendSSEEvent(res, "progress", {
-          progress: 60,
-          message:
-            "Roof segment processing failed, continuing with analysis...",
-          error: segmentError.message,
+      if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+        return res.status(400).json({
+          success: false,
+          message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`,
         });
       }
-    }
 
-    // Step 5: Process ML server roof segmentation (UPDATED to use combined visualization)
-    // Step 5: Process ML server roof segmentation (UPDATED to use combined visualization)
-    if (processingResults.buildingInsights) {
-      sendSSEEvent(res, "progress", {
-        progress: 70,
-        message: "Processing advanced roof segmentation with ML...",
-      });
+      const session = await analysisStore.getSession(analysisId);
 
-      try {
-        // DEBUG: Check what results we have available
-        console.log("=== ML PROCESSING DEBUG ===");
-        console.log(
-          "Has combinedVisualizationResult:",
-          !!processingResults.combinedVisualizationResult
-        );
-        console.log(
-          "Has annualFluxResult:",
-          !!processingResults.annualFluxResult
-        );
-        console.log("Has rgbResult:", !!processingResults.rgbResult);
-
-        if (processingResults.combinedVisualizationResult) {
-          console.log(
-            "Combined result keys:",
-            Object.keys(processingResults.combinedVisualizationResult)
-          );
-          console.log(
-            "Combined result enhanced:",
-            processingResults.combinedVisualizationResult.enhanced
-          );
-          console.log(
-            "Combined result has dataUrls:",
-            !!processingResults.combinedVisualizationResult.dataUrls
-          );
-        }
-
-        // Priority order: Combined visualization > Annual Flux > RGB
-        let mlResult = null;
-
-        if (processingResults.combinedVisualizationResult) {
-          // Use the combined flux+DSM visualization (BEST OPTION)
-          console.log(
-            "Using combined flux+DSM visualization for ML processing"
-          );
-          mlResult = await processMlServerRoofSegmentationWithCombined(
-            processingResults.combinedVisualizationResult,
-            processingResults.buildingInsights,
-            processingResults.roofSegmentsResult?.data
-          );
-        } else if (processingResults.annualFluxResult) {
-          // Fallback to annual flux only
-          console.log("Using annual flux data for ML processing (fallback)");
-          mlResult = await processMlServerRoofSegmentationWithFlux(
-            processingResults.annualFluxResult,
-            processingResults.buildingInsights,
-            processingResults.roofSegmentsResult?.data
-          );
-        } else if (processingResults.rgbResult) {
-          // Final fallback to RGB
-          console.log("Using RGB data for ML processing (final fallback)");
-          mlResult = await processMlServerRoofSegmentation(
-            processingResults.rgbResult,
-            processingResults.buildingInsights,
-            processingResults.roofSegmentsResult?.data
-          );
-        }
-
-        processingResults.mlServerResult = mlResult;
-
-        // ... rest of the ML processing code remains the same
-
-        // If we have ML results, generate solar panel layout and obstructions
-        if (
-          processingResults.mlServerResult &&
-          processingResults.mlServerResult.success
-        ) {
-          sendSSEEvent(res, "progress", {
-            progress: 75,
-            message: "Detecting obstructions and generating panel layout...",
-          });
-
-          try {
-            // Calculate real-world dimensions for the image
-            const realWorldDimensions = calculateRealWorldDimensions(
-              processingResults.combinedVisualizationResult ||
-                processingResults.annualFluxResult ||
-                processingResults.rgbResult,
-              processingResults.buildingInsights
-            );
-
-            // Generate obstructions using the DSM data
-            const obstructionResult = detectObstructions(
-              processingResults.mlServerResult.roof_segments || [],
-              processingResults.dsmResult,
-              realWorldDimensions,
-              processingResults.roofSegmentsResult?.data || []
-            );
-
-            if (!processingResults.mlServerResult.obstructions) {
-              processingResults.mlServerResult.obstructions = [];
-            }
-
-            processingResults.mlServerResult.obstructions =
-              obstructionResult.obstructions;
-            console.log(
-              `Detected ${obstructionResult.obstructions.length} obstructions`
-            );
-
-            // Generate optimal panel layout
-            const optimalLayoutResult =
-              solarPanelAnalysis.generateOptimalPanelLayout(
-                processingResults.mlServerResult.roof_segments || [],
-                obstructionResult.obstructions || [],
-                realWorldDimensions,
-                processingResults.dsmResult
-              );
-
-            processingResults.mlServerResult.panel_layout =
-              optimalLayoutResult.panelLayout;
-            processingResults.mlServerResult.layout_metadata =
-              optimalLayoutResult.metadata;
-
-            console.log(
-              `Generated optimal panel layout with ${optimalLayoutResult.panelLayout.length} panels`
-            );
-          } catch (layoutError) {
-            console.error(
-              `Error detecting obstructions and generating panel layout: ${layoutError.message}`
-            );
-            sendSSEEvent(res, "progress", {
-              progress: 75,
-              message:
-                "Obstruction detection and panel layout generation failed, continuing with analysis...",
-              error: layoutError.message,
-            });
-          }
-        }
-
-        // Send ML server results to client
-        if (
-          processingResults.mlServerResult &&
-          processingResults.mlServerResult.success
-        ) {
-          console.log(
-            `Found ${
-              processingResults.mlServerResult.obstructions?.length || 0
-            } obstructions in ML result`
-          );
-
-          sendSSEEvent(res, "visualization", {
-            progress: 80,
-            type: "mlRoofSegments",
-            segments: processingResults.mlServerResult.roof_segments || [],
-            obstructions: processingResults.mlServerResult.obstructions || [],
-            panelLayout: processingResults.mlServerResult.panel_layout || [],
-            dataUrl: processingResults.mlServerResult.visualization,
-            metadata: {
-              segmentCount:
-                processingResults.mlServerResult.roof_segments?.length || 0,
-              obstructionCount:
-                processingResults.mlServerResult.obstructions?.length || 0,
-              panelCount:
-                processingResults.mlServerResult.panel_layout?.length || 0,
-              layoutMetadata:
-                processingResults.mlServerResult.layout_metadata || {},
-              processingTime: processingResults.mlServerResult.processing_time,
-              usingCombinedData:
-                !!processingResults.combinedVisualizationResult,
-              usingFluxData:
-                !!processingResults.annualFluxResult &&
-                !processingResults.combinedVisualizationResult,
-              usingRgbData:
-                !!processingResults.rgbResult &&
-                !processingResults.annualFluxResult &&
-                !processingResults.combinedVisualizationResult,
-            },
-          });
-        } else {
-          sendSSEEvent(res, "progress", {
-            progress: 80,
-            message: "ML roof segmentation completed with issues.",
-            error:
-              processingResults.mlServerResult?.error ||
-              "Unknown ML processing error",
-          });
-        }
-      } catch (mlError) {
-        console.error(
-          `Error processing ML server roof segmentation for analysis ${analysisId}:`,
-          mlError
-        );
-        sendSSEEvent(res, "progress", {
-          progress: 80,
-          message: "ML roof segmentation failed, continuing with analysis...",
-          error: mlError.message,
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: "Analysis session not found",
         });
       }
-    }
 
-    // Step 6: Completion
-    const completionTime = Date.now() - startTime;
-    sendSSEEvent(res, "complete", {
-      progress: 100,
-      message: "Analysis completed successfully",
-      duration: completionTime,
-    });
-
-    // Update session status
-    session.status = "completed";
-    session.completedAt = new Date();
-  } catch (error) {
-    console.error(`Error processing analysis ${analysisId}:`, error);
-
-    // Send error event
-    sendSSEEvent(res, "error", {
-      message: "An error occurred during analysis",
-      error: error.message,
-    });
-
-    // Update session status
-    session.status = "error";
-    session.error = error.message;
-  }
-}
-
-/**
- * Fetch building insights from Google Solar API
- * @param {Object} location - Location object with latitude and longitude
- * @returns {Promise<Object>} Building insights data
- */
-async function fetchBuildingInsights(location) {
-  try {
-    console.log(
-      `Fetching building insights for location: ${location.latitude}, ${location.longitude}`
-    );
+      const processingResults = await analysisStore.getResults(analysisId);
 
-    const response = await axios({
-      method: "GET",
-      url: "https://solar.googleapis.com/v1/buildingInsights:findClosest",
-      params: {
-        "location.latitude": location.latitude,
-        "location.longitude": location.longitude,
-        requiredQuality: "HIGH",
-        key: process.env.GOOGLE_MAPS_API_KEY,
-      },
-      timeout: 30000, // 30 second timeout
-    });
+      if (!canExportLayout(processingResults)) {
+        return res.status(409).json({
+          success: false,
+          message: "Analysis has no panel layout with map bounds to export",
+          status: session.status,
+        });
+      }
 
-    console.log("Building insights API response received");
-    return response.data;
-  } catch (error) {
-    console.error("Error fetching building insights:", error);
+      const exported = exportLayout(processingResults, format, {
+        name: `Solar layout ${analysisId}`,
+      });
 
-    if (error.response) {
-      throw new Error(
-        `Building insights API error: ${error.response.status} - ${
-          error.response.data.error?.message || "Unknown error"
-        }`
-      );
-    } else if (error.request) {
-      throw new Error("No response received from Building Insights API");
-    } else {
-      throw new Error(`Failed to fetch building insights: ${error.message}`);
+      res.attachment(`layout-${analysisId}.${exported.extension}`);
+      res.type(exported.contentType);
+      return res.send(exported.content);
+    } catch (error) {
+      console.error("Error exporting panel layout:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to export panel layout",
+        error: error.message,
+      });
     }
   }
-}
+);
 
 /**
- * Fetch data layers from Google Solar API
- * @param {Object} location - Location object with latitude and longitude
- * @returns {Promise<Object>} Data layers data
+ * DELETE /api/v1/solar/comprehensive-analysis/:analysisId
+ *
+ * Cancels a pending or running analysis. Outstanding Google Solar API and
+ * ML server requests are aborted and connected clients receive a
+ * "cancelled" event.
  */
-async function fetchDataLayers(location) {
+router.delete("/comprehensive-analysis/:analysisId", async (req, res) => {
   try {
-    console.log(
-      `Fetching data layers for location: ${location.latitude}, ${location.longitude}`
-    );
-
-    const response = await axios({
-      method: "GET",
-      url: "https://solar.googleapis.com/v1/dataLayers:get",
-      params: {
-        "location.latitude": location.latitude,
-        "location.longitude": location.longitude,
-        radius_meters: 50, // You can adjust this based on building size
-        required_quality: "LOW", // Request at least LOW quality (will get best available)
-        key: process.env.GOOGLE_MAPS_API_KEY,
-      },
-      timeout: 30000, // 30 second timeout
-    });
+    const { analysisId } = req.params;
 
-    console.log("Data layers API response received");
-    return response.data;
-  } catch (error) {
-    console.error("Error fetching data layers:", error);
+    const storedSession = await analysisStore.getSession(analysisId);
 
-    if (error.response) {
-      throw new Error(
-        `Data layers API error: ${error.response.status} - ${
-          error.response.data.error?.message || "Unknown error"
-        }`
-      );
-    } else if (error.request) {
-      throw new Error("No response received from Data Layers API");
-    } else {
-      throw new Error(`Failed to fetch data layers: ${error.message}`);
+    if (!storedSession) {
+      return res.status(404).json({
+        success: false,
+        message: "Analysis session not found",
+      });
     }
-  }
-}
-
-/**
- * Process RGB layer using the layer manager
- * @param {Object} location - Location object with latitude and longitude
- * @param {Object} dataLayersResponse - Response from the data layers API
- * @returns {Promise<Object>} Processed RGB layer data
- */
-async function processRgbLayer(location, dataLayersResponse) {
-  try {
-    console.log(
-      `Processing RGB layer for location: ${location.latitude}, ${location.longitude}`
-    );
-
-    // Create a proper radius that matches the area in the data layers
-    const radius = 50; // Default radius, adjust as needed
-
-    // Use the layer manager to process the RGB layer
-    // This will download the GeoTIFF, process it, and create base64 visualizations
-    console.log("Calling layer manager to process RGB layer with options:", {
-      radius,
-      layerUrl: dataLayersResponse.rgbUrl
-        ? "[RGB URL present]"
-        : "[No RGB URL]",
-      maskUrl: dataLayersResponse.maskUrl
-        ? "[Mask URL present]"
-        : "[No Mask URL]",
-      buildingFocus: true,
-      cropToBuilding: true,
-      fallbackToSynthetic: false,
-    });
-
-    const result = await layerManager.processLayer("rgb", location, {
-      radius,
-      layerUrl: dataLayersResponse.rgbUrl, // Pass the RGB URL directly
-      maskUrl: dataLayersResponse.maskUrl, // Pass the mask URL if available
-      buildingFocus: true, // Request a building-focused view
-      cropToBuilding: true, // Ensure we crop to the building
-      fallbackToSynthetic: false, // Don't use synthetic data if real data fails
-    });
-
-    // Log detailed information about the result received from layer manager
-    console.log("RGB layer processing raw result structure:", {
-      hasVisualization: !!result.visualization,
-      hasProcessedData: !!result.processedData,
-      hasMetadata: !!result.metadata,
-      hasBuildingBoundaries: !!result.buildingBoundaries,
-      dimensionsInMetadata: result.metadata?.dimensions
-        ? `${result.metadata.dimensions.width}x${result.metadata.dimensions.height}`
-        : "Dimensions not in metadata",
-      dimensionsInProcessedData: result.processedData?.metadata?.dimensions
-        ? `${result.processedData.metadata.dimensions.width}x${result.processedData.metadata.dimensions.height}`
-        : "Dimensions not in processedData.metadata",
-      buildingBoundariesInfo: result.buildingBoundaries?.hasBuilding
-        ? `width=${result.buildingBoundaries.width}, height=${result.buildingBoundaries.height}`
-        : "No building boundaries or building not found",
-    });
 
-    // Check if we got a valid result
-    if (!result || !result.visualization) {
-      throw new Error(
-        "RGB processing did not return expected visualization data"
-      );
-    }
+    // A run lost to a restart has finished with an error by now
+    const session = await recoverStaleSession(analysisStore, storedSession);
 
-    // Extract the visualization data
-    let dataUrls = {};
-
-    // Check if the visualization is already in the expected format with both views
-    if (
-      typeof result.visualization === "object" &&
-      (result.visualization.buildingFocus || result.visualization.fullImage)
-    ) {
-      // It's already in the right format
-      dataUrls = {
-        buildingFocus: result.visualization.buildingFocus,
-        fullImage: result.visualization.fullImage,
-      };
-    } else {
-      // It's just a single data URL - use it for both views
-      dataUrls = {
-        buildingFocus: result.visualization,
-        fullImage: result.visualization,
-      };
+    if (isFinishedStatus(session.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Analysis has already finished with status: ${session.status}`,
+        status: session.status,
+      });
     }
 
-    // Get dimensions directly from either metadata or processed data
-    const dimensions = {
-      width:
-        result.metadata?.dimensions?.width ||
-        result.processedData?.metadata?.dimensions?.width ||
-        (result.buildingBoundaries?.hasBuilding
-          ? result.buildingBoundaries.width
-          : 0),
-      height:
-        result.metadata?.dimensions?.height ||
-        result.processedData?.metadata?.dimensions?.height ||
-        (result.buildingBoundaries?.hasBuilding
-          ? result.buildingBoundaries.height
-          : 0),
-    };
-
-    console.log(
-      "Final RGB dimensions being used:",
-      `${dimensions.width}x${dimensions.height}`
-    );
-
-    // Return the complete processed data
-    return {
-      imageryQuality: dataLayersResponse.imageryQuality || "MEDIUM",
-      dataUrls: dataUrls,
-      layerType: "rgb",
-      metadata: {
-        ...result.metadata,
-        dimensions: dimensions,
-        hasMask: !!dataLayersResponse.maskUrl,
-        buildingBoundaries: result.buildingBoundaries?.hasBuilding
-          ? {
-              exists: true,
-              width: result.buildingBoundaries.width,
-              height: result.buildingBoundaries.height,
-            }
-          : { exists: false },
-      },
-      bounds: result.bounds,
-      buildingBoundaries: result.buildingBoundaries,
-    };
-  } catch (error) {
-    console.error("Error processing RGB layer:", error);
-    throw error;
-  }
-}
+    const run = getAnalysisRun(analysisId);
 
-/**
- * NEW: Process Annual Flux layer using the layer manager
- * @param {Object} location - Location object with latitude and longitude
- * @param {Object} dataLayersResponse - Response from the data layers API
- * @param {Object} rgbResults - Processed RGB data to match dimensions (optional)
- * @returns {Promise<Object>} Processed Annual Flux layer data
- */
-async function processAnnualFluxLayer(
-  location,
-  dataLayersResponse,
-  rgbResults = null
-) {
-  try {
-    console.log(
-      `Processing Annual Flux layer for location: ${location.latitude}, ${location.longitude}`
-    );
+    if (run) {
+      run.cancel("Analysis cancelled by client");
 
-    if (!dataLayersResponse.annualFluxUrl) {
-      throw new Error("Annual Flux URL not available in data layers response");
+      // The pipeline stops at its next checkpoint and records the status
+      return res.status(202).json({
+        success: true,
+        message: "Analysis cancellation requested",
+        analysisId,
+      });
     }
 
-    // Create processing options
-    const radius = 50; // Default radius, adjust as needed
-    const options = {
-      radius,
-      layerUrl: dataLayersResponse.annualFluxUrl,
-      maskUrl: dataLayersResponse.maskUrl,
-      buildingFocus: true,
-      cropToBuilding: true, // Ensure we crop to the building boundary
-      fallbackToSynthetic: false,
-    };
+    // Nothing is running yet, so record the cancellation directly unless a
+    // stream request claims the session first
+    const reason = "Analysis cancelled by client";
+    const cancelled =
+      session.status === "pending" &&
+      (await analysisStore.updateSessionIf(analysisId, "pending", {
+        status: "cancelled",
+        cancelReason: reason,
+        completedAt: new Date(),
+      }));
+
+    if (cancelled) {
+      await analysisStore.appendEvent(analysisId, {
+        id: 1,
+        event: "cancelled",
+        data: {
+          timestamp: new Date().toISOString(),
+          status: "cancelled",
+          message: reason,
+        },
+      });
 
-    console.log(
-      "Calling layer manager to process Annual Flux layer with options:",
-      {
-        ...options,
-        layerUrl: options.layerUrl
-          ? "[Annual Flux URL present]"
-          : "[No Annual Flux URL]",
-        maskUrl: options.maskUrl ? "[Mask URL present]" : "[No Mask URL]",
-      }
-    );
+      console.log(`Cancelled pending analysis session: ${analysisId}`);
 
-    // Process Annual Flux using the layer manager
-    const result = await layerManager.processLayer(
-      "annualFlux",
-      location,
-      options
-    );
+      sendAnalysisWebhook(analysisStore, analysisId);
 
-    console.log("Layer manager result keys:", Object.keys(result));
-    console.log("Has processedData:", !!result.processedData);
-    if (result.processedData) {
-      console.log("ProcessedData keys:", Object.keys(result.processedData));
-      console.log("ProcessedData has raster:", !!result.processedData.raster);
+      return res.json({
+        success: true,
+        message: "Analysis cancelled",
+        analysisId,
+      });
     }
 
-    // Get dimensions from processed Annual Flux result
-    const fluxWidth =
-      result.processedData?.metadata?.dimensions?.width ||
-      result.metadata?.dimensions?.width ||
-      0;
-    const fluxHeight =
-      result.processedData?.metadata?.dimensions?.height ||
-      result.metadata?.dimensions?.height ||
-      0;
-
-    console.log(
-      `Annual Flux processing dimensions: ${fluxWidth}x${fluxHeight}`
-    );
-
-    // Extract the visualization data
-    let dataUrls = {};
-
-    // Check if the visualization is already in the expected format with both views
-    if (
-      typeof result.visualization === "object" &&
-      (result.visualization.buildingFocus || result.visualization.fullImage)
-    ) {
-      // It's already in the right format
-      dataUrls = {
-        buildingFocus: result.visualization.buildingFocus,
-        fullImage: result.visualization.fullImage,
-      };
-    } else {
-      // It's just a single data URL - use it for both views
-      dataUrls = {
-        buildingFocus: result.visualization,
-        fullImage: result.visualization,
-      };
-    }
+    // The pipeline started here after all
+    const startedRun = getAnalysisRun(analysisId);
 
-    // CRITICAL: Try to extract raster data from the layer manager result
-    let rasterData = null;
+    if (startedRun) {
+      startedRun.cancel(reason);
 
-    // The layer manager should have processedData with raster
-    if (result.processedData && result.processedData.raster) {
-      rasterData = result.processedData.raster;
-      console.log(
-        `Annual Flux raster data extracted: ${rasterData.length} pixels`
-      );
-    } else {
-      console.warn(
-        "Annual Flux raster data not available from layer manager result"
-      );
-      console.log("Available result structure:", {
-        hasProcessedData: !!result.processedData,
-        processedDataKeys: result.processedData
-          ? Object.keys(result.processedData)
-          : [],
-        hasVisualization: !!result.visualization,
-        hasMetadata: !!result.metadata,
+      return res.status(202).json({
+        success: true,
+        message: "Analysis cancellation requested",
+        analysisId,
       });
     }
 
-    // Return the processed Annual Flux data
-    return {
-      layerType: "annualFlux",
-      bounds: result.bounds,
-      buildingBoundaries: result.buildingBoundaries,
-      dataUrls: dataUrls,
-      // Include raster data if available
-      raster: rasterData,
-      processedData: result.processedData, // Include full processed data for debugging
-      metadata: {
-        dimensions: { width: fluxWidth, height: fluxHeight },
-        hasMask: !!dataLayersResponse.maskUrl,
-        dataRange: result.processedData?.metadata?.dataRange ||
-          result.metadata?.dataRange || { min: 0, max: 1800 },
-      },
-      statistics: result.processedData?.statistics || null,
-    };
+    // The pipeline runs in another server instance
+    return res.status(409).json({
+      success: false,
+      message: "Analysis is running on another server instance",
+      status: session.status,
+    });
   } catch (error) {
-    console.error("Error processing Annual Flux layer:", error);
-    throw new Error(`Failed to process Annual Flux data: ${error.message}`);
+    console.error("Error cancelling analysis:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to cancel analysis",
+      error: error.message,
+    });
   }
-}
+});
 
 /**
- * Process DSM layer using the layer manager
- * @param {Object} location - Location object with latitude and longitude
- * @param {Object} dataLayersResponse - Response from the data layers API
- * @param {Object} rgbResults - Processed RGB data to match dimensions
- * @returns {Promise<Object>} Processed DSM layer data
+ * GET /api/v1/solar/comprehensive-analysis/:analysisId/webhooks
+ *
+ * Lists the webhook deliveries of an analysis with every attempt made
+ * (status code, error, duration) and the time of the next retry.
  */
-async function processDsmLayer(
-  location,
-  dataLayersResponse,
-  rgbResults = null
-) {
+router.get("/comprehensive-analysis/:analysisId/webhooks", async (req, res) => {
   try {
-    console.log(
-      `Processing DSM layer for location: ${location.latitude}, ${location.longitude}`
-    );
+    const { analysisId } = req.params;
 
-    if (!dataLayersResponse.dsmUrl) {
-      throw new Error("DSM URL not available in data layers response");
-    }
-
-    // Create a proper radius that matches the area in the data layers
-    const radius = 50; // Default radius, adjust as needed
-
-    // Process DSM with its own natural resolution and cropping
-    const options = {
-      radius,
-      layerUrl: dataLayersResponse.dsmUrl,
-      maskUrl: dataLayersResponse.maskUrl,
-      buildingFocus: true,
-      cropToBuilding: true, // Ensure we crop to the building boundary
-      fallbackToSynthetic: false,
-      // Remove targetDimensions from here - let DSM be processed at its native resolution
-    };
-
-    console.log("Calling layer manager to process DSM layer with options:", {
-      ...options,
-      layerUrl: options.layerUrl ? "[DSM URL present]" : "[No DSM URL]",
-      maskUrl: options.maskUrl ? "[Mask URL present]" : "[No Mask URL]",
-    });
-
-    // Process DSM at its native resolution
-    const result = await layerManager.processLayer("dsm", location, options);
-
-    // Get dimensions from processed DSM result
-    const dsmWidth =
-      result.processedData.metadata?.dimensions?.width ||
-      result.metadata?.dimensions?.width ||
-      0;
-    const dsmHeight =
-      result.processedData.metadata?.dimensions?.height ||
-      result.metadata?.dimensions?.height ||
-      0;
-
-    console.log(`DSM processing native dimensions: ${dsmWidth}x${dsmHeight}`);
-
-    // Extract RGB dimensions for comparison
-    let rgbWidth = 0,
-      rgbHeight = 0;
-    if (rgbResults && rgbResults.metadata && rgbResults.metadata.dimensions) {
-      rgbWidth = rgbResults.metadata.dimensions.width;
-      rgbHeight = rgbResults.metadata.dimensions.height;
-      console.log(`Target RGB dimensions: ${rgbWidth}x${rgbHeight}`);
-    }
-
-    // Check if we need to resize AFTER natural cropping
-    let finalRaster = result.processedData?.raster || null;
-    let finalDimensions = { width: dsmWidth, height: dsmHeight };
-
-    // Only resample if both sets of dimensions are valid and they don't match
-    if (
-      rgbWidth > 0 &&
-      rgbHeight > 0 &&
-      (dsmWidth !== rgbWidth || dsmHeight !== rgbHeight)
-    ) {
-      console.log(
-        `Resampling DSM data AFTER cropping to match RGB dimensions: ${rgbWidth}x${rgbHeight}`
-      );
-
-      // Use visualization utils to resample the ALREADY CROPPED raster
-      finalRaster = VisualizationUtils.resampleRaster(
-        finalRaster,
-        dsmWidth,
-        dsmHeight, // source dimensions
-        rgbWidth,
-        rgbHeight, // target dimensions
-        {
-          noDataValue: config.processing.NO_DATA_VALUE,
-          method: "bilinear",
-        }
-      );
+    const session = await analysisStore.getSession(analysisId);
 
-      finalDimensions = { width: rgbWidth, height: rgbHeight };
-      console.log(
-        `DSM data resampled to ${rgbWidth}x${rgbHeight} after natural cropping`
-      );
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: "Analysis session not found",
+      });
     }
 
-    // Return the processed DSM data with potentially resampled dimensions
-    return {
-      layerType: "dsm",
-      bounds: result.bounds,
-      buildingBoundaries: result.buildingBoundaries,
-      // Use the potentially resampled raster
-      raster: finalRaster,
-      // Use original raster if needed for reference
-      originalRaster: result.processedData?.raster || null,
-      metadata: {
-        dimensions: finalDimensions,
-        originalDimensions: { width: dsmWidth, height: dsmHeight },
-        hasMask: !!dataLayersResponse.maskUrl,
-        dataRange: result.processedData?.metadata?.dataRange ||
-          result.metadata?.dataRange || { min: 0, max: 100 },
+    return res.json({
+      success: true,
+      data: {
+        analysisId,
+        callbackUrl: session.callbackUrl || null,
+        deliveries: session.webhookDeliveries || [],
       },
-    };
+    });
   } catch (error) {
-    console.error("Error processing DSM layer:", error);
-    throw new Error(`Failed to process DSM data: ${error.message}`);
+    console.error("Error fetching webhook deliveries:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch webhook deliveries",
+      error: error.message,
+    });
   }
-}
+});
+
+// ----- Helper Functions -----
 
 /**
- * Process roof segments from building insights data
- * @param {Object} buildingInsightsData - Building insights data from Google Solar API
- * @returns {Promise<Object>} Processed roof segments with visualizations
+ * Write SSE response headers
+ * @param {Object} res - Express response object
  */
-async function processRoofSegments(buildingInsightsData) {
-  try {
-    console.log("Processing roof segments from building insights data");
+function openEventStream(res) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
 
-    // Create processor and visualizer instances directly
-    const roofSegmentProcessor = new RoofSegmentProcessor();
-    const roofSegmentVisualizer = new RoofSegmentVisualizer();
+  // Ask EventSource clients to reconnect quickly after a dropped connection
+  res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+}
 
-    // Process the roof segment data
-    const processedData = await roofSegmentProcessor.process(
-      buildingInsightsData
-    );
+/**
+ * Read the last event id a reconnecting client has received
+ * @param {Object} req - Express request object
+ * @returns {number} Last event id, 0 for a fresh connection
+ */
+function getLastEventId(req) {
+  const value = req.get("Last-Event-ID") || req.query.lastEventId;
+  const lastEventId = parseInt(value, 10);
 
-    // Filter out segments that are too small to hold at least one panel
-    const solarPotential = buildingInsightsData.solarPotential;
-    const panelWidth =
-      solarPotential.panelWidthMeters ||
-      solarPanelAnalysis.STANDARD_PANEL_WIDTH;
-    const panelHeight =
-      solarPotential.panelHeightMeters ||
-      solarPanelAnalysis.STANDARD_PANEL_HEIGHT;
-    const minPanelArea = panelWidth * panelHeight;
-
-    // Add some margin for installation constraints
-    const installationFactor = 1.1; // 10% extra space needed for mounting
-    const minSegmentArea = minPanelArea * installationFactor;
-
-    // Filter the segments
-    const viableSegments = processedData.roofSegments.filter((segment) => {
-      // Check if segment is large enough for a panel
-      const isLargeEnough = segment.area >= minSegmentArea;
-
-      // Optionally, also check suitability
-      const hasReasonableSuitability = segment.suitability > 0.2; // Minimum 20% suitability
-
-      return isLargeEnough && hasReasonableSuitability;
-    });
+  return Number.isFinite(lastEventId) && lastEventId > 0 ? lastEventId : 0;
+}
 
-    console.log(
-      `Filtered from ${processedData.roofSegments.length} to ${viableSegments.length} viable roof segments`
-    );
+/**
+ * Check whether a session status is final
+ * @param {string} status - Session status
+ * @returns {boolean} True if the analysis will not emit further events
+ */
+function isFinishedStatus(status) {
+  return status === "completed" || status === "error" || status === "cancelled";
+}
 
-    // Skip processing if no viable segments
-    if (viableSegments.length === 0) {
-      return {
-        error: "No viable roof segments found",
-        available: false,
-      };
-    }
+/**
+ * Stream events of an analysis that is running in another server instance
+ * by polling the store until the analysis finishes or the client leaves.
+ * An analysis whose instance stops sending heartbeats is marked failed,
+ * which ends the stream.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object (SSE headers already sent)
+ * @param {string} analysisId - Analysis session ID
+ * @param {number} lastEventId - Last event id already sent to the client
+ */
+function followStoredEvents(req, res, analysisId, lastEventId) {
+  let lastSentId = lastEventId;
+  let polling = false;
+  let sentFinalEvent = false;
+  let finishedPolls = 0;
 
-    // Create a new processed data object with filtered segments
-    const filteredData = {
-      ...processedData,
-      roofSegments: viableSegments,
-      metadata: {
-        ...processedData.metadata,
-        viableSegmentCount: viableSegments.length,
-        originalSegmentCount: processedData.roofSegments.length,
-      },
-    };
-
-    // Create visualizations with different color modes
-    const suitabilityVisualization = await roofSegmentVisualizer.visualize(
-      filteredData,
-      {
-        colorMode: "suitability",
-        showLabels: true,
-        showLegend: true,
-      }
-    );
+  const interval = setInterval(async () => {
+    if (polling) return;
+    polling = true;
 
-    const orientationVisualization = await roofSegmentVisualizer.visualize(
-      filteredData,
-      {
-        colorMode: "orientation",
-        showLegend: true,
+    try {
+      const storedSession = await analysisStore.getSession(analysisId);
+      const session =
+        storedSession &&
+        (await recoverStaleSession(analysisStore, storedSession));
+      const events = await analysisStore.getEvents(analysisId, lastSentId);
+
+      events.forEach((record) => sendSSEEvent(res, record));
+      if (events.length > 0) {
+        lastSentId = events[events.length - 1].id;
       }
-    );
-
-    // Calculate total viable area
-    const totalViableArea = viableSegments.reduce(
-      (sum, segment) => sum + segment.area,
-      0
-    );
-
-    // Return the processed data
-    return {
-      data: viableSegments,
-      visualizations: {
-        suitability: suitabilityVisualization,
-        orientation: orientationVisualization,
-      },
-      bounds: processedData.bounds,
-      metadata: {
-        totalViableArea: totalViableArea.toFixed(2),
-        segmentCount: viableSegments.length,
-        minPanelArea: minPanelArea.toFixed(2),
-        originalSegmentCount: processedData.roofSegments.length,
-      },
-      available: true,
-    };
-  } catch (error) {
-    console.error("Error processing roof segments:", error);
-    return {
-      error: error.message,
-      available: false,
-    };
-  }
-}
-
-/**
- * Process roof segmentation with ML server (original RGB version)
- * @param {Object} rgbResult - Processed RGB data
- * @param {Object} buildingInsights - Building insights data
- * @param {Array} roofSegments - Processed roof segments (optional)
- * @returns {Promise<Object>} ML server processing results
- */
-async function processMlServerRoofSegmentation(
-  rgbResult,
-  buildingInsights,
-  roofSegments = null
-) {
-  try {
-    console.log("Processing ML server roof segmentation with RGB data");
-
-    // Debug the rgbResult object thoroughly
-    console.log("RGB Result structure received:", {
-      hasDataUrls: !!rgbResult.dataUrls,
-      hasMetadata: !!rgbResult.metadata,
-      hasBuildingBoundaries: !!rgbResult.buildingBoundaries,
-      metadataDimensions: rgbResult.metadata?.dimensions
-        ? `${rgbResult.metadata.dimensions.width}x${rgbResult.metadata.dimensions.height}`
-        : "No dimensions in metadata",
-      fullMetadata: JSON.stringify(rgbResult.metadata || {}, null, 2),
-    });
-
-    // Extract building ID from building insights
-    const buildingId = buildingInsights.name || `building_${Date.now()}`;
-
-    // Get RGB image data URL
-    const rgbImage = rgbResult.dataUrls.buildingFocus;
-    if (!rgbImage) {
-      throw new Error("RGB image data URL not available for ML processing");
-    }
-
-    // Extract dimensions directly from RGB result
-    // Make sure to get the cropped dimensions that were actually used
-    const imageWidth = rgbResult.metadata?.dimensions?.width;
-    const imageHeight = rgbResult.metadata?.dimensions?.height;
-
-    // Log the dimensions we're using
-    console.log(
-      `Using RGB dimensions for ML processing: ${imageWidth}x${imageHeight}`
-    );
-
-    // Validate dimensions
-    if (!imageWidth || !imageHeight || imageWidth === 0 || imageHeight === 0) {
-      throw new Error(
-        `Invalid RGB dimensions for ML processing: ${imageWidth}x${imageHeight}`
-      );
-    }
-
-    // Convert geocoordinates to pixel coordinates
-    const pixelCoordinates = convertGeoToPixel({
-      imgWidth: imageWidth,
-      imgHeight: imageHeight,
-      buildingBoundingBox: buildingInsights.boundingBox,
-      buildingCenter: buildingInsights.center,
-      roofSegments:
-        roofSegments || buildingInsights.solarPotential?.roofSegmentStats || [],
-    });
-
-    console.log("Converted pixel coordinates:", {
-      buildingBox: pixelCoordinates.buildingBox,
-      roofSegments: pixelCoordinates.roofSegments.length,
-    });
-
-    // Create request data for ML server
-    const requestData = {
-      building_id: buildingId,
-      rgb_image: rgbImage,
-      image_width: imageWidth,
-      image_height: imageHeight,
-      building_box: pixelCoordinates.buildingBox,
-      roof_segments: pixelCoordinates.roofSegments,
-      building_center: pixelCoordinates.buildingCenter,
-    };
-
-    // Log the request data (without image data)
-    const logData = { ...requestData };
-    if (logData.rgb_image) logData.rgb_image = "[RGB IMAGE DATA URL]";
-
-    console.log("ML server request data:", JSON.stringify(logData, null, 2));
-
-    // Send request to ML server
-    const startTime = Date.now();
-    console.log("Sending request to ML server...");
-    const mlResponse = await axios.post(
-      `${ML_SERVER_URL}/api/predict`,
-      requestData,
-      {
-        headers: { "Content-Type": "application/json" },
-        timeout: 600000, // 60 second timeout for ML processing
-      }
-    );
-
-    const processingTime = Date.now() - startTime;
-    console.log(`ML server response received in ${processingTime}ms`);
-
-    // Process response
-    const mlData = mlResponse.data;
-
-    // Add processing time to result
-    mlData.processing_time = processingTime;
-    mlData.success = true;
-
-    // CRITICAL: Ensure obstructions are present
-    if (!mlData.obstructions) {
-      mlData.obstructions = [];
-    }
-
-    console.log(
-      `ML server returned ${mlData.obstructions.length} obstructions`
-    );
-
-    return mlData;
-  } catch (error) {
-    console.error("Error processing with ML server:", error);
-
-    // Capture detailed error information
-    let errorDetails = {
-      message: error.message,
-      type: error.response ? "ml_server_error" : "connection_error",
-    };
-
-    if (error.response) {
-      errorDetails.status = error.response.status;
-      errorDetails.statusText = error.response.statusText;
-      errorDetails.data = error.response.data;
-    }
-
-    console.error("Error details:", JSON.stringify(errorDetails, null, 2));
-
-    // Return error information
-    return {
-      success: false,
-      error: error.message,
-      error_type: error.response ? "ml_server_error" : "connection_error",
-      error_details: error.response?.data || {},
-      obstructions: [], // Ensure the obstructions property exists even in error case
-    };
-  }
-}
-
-/**
- * NEW: Process roof segmentation with ML server using Annual Flux data
- * @param {Object} annualFluxResult - Processed Annual Flux data
- * @param {Object} buildingInsights - Building insights data
- * @param {Array} roofSegments - Processed roof segments (optional)
- * @returns {Promise<Object>} ML server processing results
- */
-async function processMlServerRoofSegmentationWithFlux(
-  annualFluxResult,
-  buildingInsights,
-  roofSegments = null
-) {
-  try {
-    console.log("Processing ML server roof segmentation with Annual Flux data");
-
-    // Debug the annualFluxResult object thoroughly
-    console.log("Annual Flux Result structure received:", {
-      hasDataUrls: !!annualFluxResult.dataUrls,
-      hasMetadata: !!annualFluxResult.metadata,
-      hasBuildingBoundaries: !!annualFluxResult.buildingBoundaries,
-      metadataDimensions: annualFluxResult.metadata?.dimensions
-        ? `${annualFluxResult.metadata.dimensions.width}x${annualFluxResult.metadata.dimensions.height}`
-        : "No dimensions in metadata",
-      fullMetadata: JSON.stringify(annualFluxResult.metadata || {}, null, 2),
-    });
-
-    // Extract building ID from building insights
-    const buildingId = buildingInsights.name || `building_${Date.now()}`;
-
-    // Get Annual Flux image data URL (building-focused)
-    const annualFluxImage = annualFluxResult.dataUrls.buildingFocus;
-    if (!annualFluxImage) {
-      throw new Error(
-        "Annual Flux image data URL not available for ML processing"
-      );
-    }
-
-    // Extract dimensions directly from Annual Flux result
-    // Make sure to get the cropped dimensions that were actually used
-    const imageWidth = annualFluxResult.metadata?.dimensions?.width;
-    const imageHeight = annualFluxResult.metadata?.dimensions?.height;
-
-    // Log the dimensions we're using
-    console.log(
-      `Using Annual Flux dimensions for ML processing: ${imageWidth}x${imageHeight}`
-    );
-
-    // Validate dimensions
-    if (!imageWidth || !imageHeight || imageWidth === 0 || imageHeight === 0) {
-      throw new Error(
-        `Invalid Annual Flux dimensions for ML processing: ${imageWidth}x${imageHeight}`
-      );
-    }
-
-    // Convert geocoordinates to pixel coordinates
-    const pixelCoordinates = convertGeoToPixel({
-      imgWidth: imageWidth,
-      imgHeight: imageHeight,
-      buildingBoundingBox: buildingInsights.boundingBox,
-      buildingCenter: buildingInsights.center,
-      roofSegments:
-        roofSegments || buildingInsights.solarPotential?.roofSegmentStats || [],
-    });
-
-    console.log("Converted pixel coordinates:", {
-      buildingBox: pixelCoordinates.buildingBox,
-      roofSegments: pixelCoordinates.roofSegments.length,
-    });
-
-    // Create request data for ML server (using Annual Flux image instead of RGB)
-    const requestData = {
-      building_id: buildingId,
-      rgb_image: annualFluxImage, // UPDATED: Using Annual Flux image instead of RGB
-      image_width: imageWidth,
-      image_height: imageHeight,
-      building_box: pixelCoordinates.buildingBox,
-      roof_segments: pixelCoordinates.roofSegments,
-      building_center: pixelCoordinates.buildingCenter,
-    };
-
-    // Log the request data (without image data)
-    const logData = { ...requestData };
-    if (logData.rgb_image) logData.rgb_image = "[ANNUAL FLUX IMAGE DATA URL]";
-
-    console.log(
-      "ML server request data (with Annual Flux):",
-      JSON.stringify(logData, null, 2)
-    );
-
-    // Send request to ML server
-    const startTime = Date.now();
-    console.log("Sending Annual Flux data to ML server...");
-    const mlResponse = await axios.post(
-      `${ML_SERVER_URL}/api/predict`,
-      requestData,
-      {
-        headers: { "Content-Type": "application/json" },
-        timeout: 600000, // 60 second timeout for ML processing
+      if (events.some((record) => FINAL_EVENTS.includes(record.event))) {
+        sentFinalEvent = true;
       }
-    );
-
-    const processingTime = Date.now() - startTime;
-    console.log(`ML server response received in ${processingTime}ms`);
-
-    // Process response
-    const mlData = mlResponse.data;
-
-    // Add processing time to result
-    mlData.processing_time = processingTime;
-    mlData.success = true;
 
-    // CRITICAL: Ensure obstructions are present
-    if (!mlData.obstructions) {
-      mlData.obstructions = [];
-    }
-
-    console.log(
-      `ML server returned ${mlData.obstructions.length} obstructions using Annual Flux data`
-    );
-
-    return mlData;
-  } catch (error) {
-    console.error("Error processing with ML server using Annual Flux:", error);
-
-    // Capture detailed error information
-    let errorDetails = {
-      message: error.message,
-      type: error.response ? "ml_server_error" : "connection_error",
-    };
-
-    if (error.response) {
-      errorDetails.status = error.response.status;
-      errorDetails.statusText = error.response.statusText;
-      errorDetails.data = error.response.data;
-    }
-
-    console.error("Error details:", JSON.stringify(errorDetails, null, 2));
-
-    // Return error information
-    return {
-      success: false,
-      error: error.message,
-      error_type: error.response ? "ml_server_error" : "connection_error",
-      error_details: error.response?.data || {},
-      obstructions: [], // Ensure the obstructions property exists even in error case
-    };
-  }
-}
-
-/**
- * Convert geographic coordinates to pixel coordinates for ML server
- * @param {Object} params - Input parameters
- * @param {number} params.imgWidth - Image width in pixels
- * @param {number} params.imgHeight - Image height in pixels
- * @param {Object} params.buildingBoundingBox - Geographic bounding box of the building
- * @param {Object} params.buildingCenter - Geographic center of the building
- * @param {Array} params.roofSegments - Array of roof segment objects with geographic coordinates
- * @returns {Object} - Converted coordinates for ML server
- */
-function convertGeoToPixel(params) {
-  const {
-    imgWidth,
-    imgHeight,
-    buildingBoundingBox,
-    buildingCenter,
-    roofSegments,
-  } = params;
-
-  console.log("Converting geo to pixel with parameters:", {
-    imgWidth,
-    imgHeight,
-    hasBuildingBoundingBox: !!buildingBoundingBox,
-    hasBuildingCenter: !!buildingCenter,
-    roofSegmentsCount: roofSegments ? roofSegments.length : 0,
-  });
-
-  // Function to convert a single geographic coordinate to pixels
-  function geoToPixel(lat, lng, bounds) {
-    // If bounds are not available, return center of image
-    if (!bounds || !bounds.ne || !bounds.sw) {
-      return { x: imgWidth / 2, y: imgHeight / 2 };
-    }
-
-    // Calculate pixel coordinates
-    // Note: In images, Y increases downward
-    const x =
-      ((lng - bounds.sw.longitude) /
-        (bounds.ne.longitude - bounds.sw.longitude)) *
-      imgWidth;
-    const y =
-      ((bounds.ne.latitude - lat) / (bounds.ne.latitude - bounds.sw.latitude)) *
-      imgHeight;
-
-    return {
-      x: Math.min(Math.max(0, Math.round(x)), imgWidth - 1),
-      y: Math.min(Math.max(0, Math.round(y)), imgHeight - 1),
-    };
-  }
-
-  // Convert building center to pixel coordinates
-  let buildingCenterPixel = { x: imgWidth / 2, y: imgHeight / 2 };
-  if (buildingCenter && buildingCenter.latitude && buildingCenter.longitude) {
-    buildingCenterPixel = geoToPixel(
-      buildingCenter.latitude,
-      buildingCenter.longitude,
-      buildingBoundingBox
-    );
-  }
-
-  // Convert building bounding box to pixel coordinates
-  let buildingBoxPixel = {
-    min_x: 0,
-    min_y: 0,
-    max_x: imgWidth - 1,
-    max_y: imgHeight - 1,
-  };
-
-  if (buildingBoundingBox && buildingBoundingBox.sw && buildingBoundingBox.ne) {
-    const swPixel = geoToPixel(
-      buildingBoundingBox.sw.latitude,
-      buildingBoundingBox.sw.longitude,
-      buildingBoundingBox
-    );
-    const nePixel = geoToPixel(
-      buildingBoundingBox.ne.latitude,
-      buildingBoundingBox.ne.longitude,
-      buildingBoundingBox
-    );
-
-    buildingBoxPixel = {
-      min_x: Math.min(swPixel.x, nePixel.x),
-      min_y: Math.min(swPixel.y, nePixel.y),
-      max_x: Math.max(swPixel.x, nePixel.x),
-      max_y: Math.max(swPixel.y, nePixel.y),
-    };
-  }
-
-  // Convert roof segments to pixel coordinates
-  const roofSegmentsPixel = [];
-
-  if (Array.isArray(roofSegments) && roofSegments.length > 0) {
-    for (const segment of roofSegments) {
-      // Different segment formats might be present based on source
-      // Handle Solar API's roofSegmentStats format
+      // Sessions are updated before their final event is stored, so a
+      // finished session gets one more poll to deliver it
       if (
-        segment.boundingBox ||
-        (segment.center && segment.stats?.stats?.areaMeters2)
+        !session ||
+        (isFinishedStatus(session.status) &&
+          (sentFinalEvent || ++finishedPolls > 1))
       ) {
-        let segmentBox = {};
-
-        if (segment.boundingBox) {
-          // Format from BuildingInsights
-          const swPixel = geoToPixel(
-            segment.boundingBox.sw.latitude,
-            segment.boundingBox.sw.longitude,
-            buildingBoundingBox
-          );
-          const nePixel = geoToPixel(
-            segment.boundingBox.ne.latitude,
-            segment.boundingBox.ne.longitude,
-            buildingBoundingBox
-          );
-
-          segmentBox = {
-            min_x: Math.min(swPixel.x, nePixel.x),
-            min_y: Math.min(swPixel.y, nePixel.y),
-            max_x: Math.max(swPixel.x, nePixel.x),
-            max_y: Math.max(swPixel.y, nePixel.y),
-          };
-        } else if (segment.center) {
-          // Alternative format where only center is available
-          // Create a bounding box around the center based on area
-          const centerPixel = geoToPixel(
-            segment.center.latitude,
-            segment.center.longitude,
-            buildingBoundingBox
-          );
-
-          // Estimate dimensions from area if available
-          const area = segment.stats?.stats?.areaMeters2 || 10;
-          const estimatedRadius = Math.sqrt(area) * 2; // Convert to pixel radius
-          const pixelRadius = Math.max(20, Math.min(100, estimatedRadius)); // Constrain to reasonable size
-
-          segmentBox = {
-            min_x: Math.max(0, centerPixel.x - pixelRadius),
-            min_y: Math.max(0, centerPixel.y - pixelRadius),
-            max_x: Math.min(imgWidth - 1, centerPixel.x + pixelRadius),
-            max_y: Math.min(imgHeight - 1, centerPixel.y + pixelRadius),
-          };
-        }
-
-        const segmentPixel = {
-          id:
-            segment.segmentIndex !== undefined
-              ? `segment_${segment.segmentIndex}`
-              : `segment_${roofSegmentsPixel.length}`,
-          ...segmentBox,
-        };
-
-        // Copy other properties that might be useful for ML
-        if (segment.pitch !== undefined) segmentPixel.pitch = segment.pitch;
-        if (segment.azimuth !== undefined)
-          segmentPixel.azimuth = segment.azimuth;
-        if (segment.suitability !== undefined)
-          segmentPixel.suitability = segment.suitability;
-        if (segment.orientation !== undefined)
-          segmentPixel.orientation = segment.orientation;
-        if (segment.area !== undefined) segmentPixel.area = segment.area;
-        roofSegmentsPixel.push(segmentPixel);
+        clearInterval(interval);
+        res.end();
       }
-    }
-  }
-
-  console.log("Converted pixel coordinates result:", {
-    buildingCenterPixel,
-    buildingBoxWidth: buildingBoxPixel.max_x - buildingBoxPixel.min_x,
-    buildingBoxHeight: buildingBoxPixel.max_y - buildingBoxPixel.min_y,
-    roofSegmentsCount: roofSegmentsPixel.length,
-  });
-
-  // Return the converted values
-  return {
-    buildingCenter: buildingCenterPixel,
-    buildingBox: buildingBoxPixel,
-    roofSegments: roofSegmentsPixel,
-    imageWidth: imgWidth,
-    imageHeight: imgHeight,
-  };
-}
-
-/**
- * Calculate real-world dimensions from the image and building data
- * @param {Object} imageResult - Processed image data (RGB or Annual Flux)
- * @param {Object} buildingInsights - Building insights data
- * @returns {Object} - Real-world dimensions in meters
- */
-function calculateRealWorldDimensions(imageResult, buildingInsights) {
-  try {
-    // Extract pixel dimensions
-    const pixelWidth = imageResult.metadata?.dimensions?.width || 0;
-    const pixelHeight = imageResult.metadata?.dimensions?.height || 0;
-
-    if (pixelWidth === 0 || pixelHeight === 0) {
-      throw new Error("Invalid pixel dimensions");
-    }
-
-    // Get building bounding box from insights
-    const boundingBox = buildingInsights.boundingBox;
-
-    if (!boundingBox || !boundingBox.ne || !boundingBox.sw) {
-      throw new Error("Building bounding box not available");
-    }
-
-    // Calculate real-world width and height using Haversine formula
-    const earthRadius = 6371000; // meters
-
-    // Calculate width (east-west distance)
-    const dLng =
-      ((boundingBox.ne.longitude - boundingBox.sw.longitude) * Math.PI) / 180;
-    const lat =
-      (((boundingBox.ne.latitude + boundingBox.sw.latitude) / 2) * Math.PI) /
-      180;
-    const width = earthRadius * Math.cos(lat) * dLng;
-
-    // Calculate height (north-south distance)
-    const dLat =
-      ((boundingBox.ne.latitude - boundingBox.sw.latitude) * Math.PI) / 180;
-    const height = earthRadius * dLat;
-
-    // Calculate meters per pixel
-    const metersPerPixelX = width / pixelWidth;
-    const metersPerPixelY = height / pixelHeight;
-
-    console.log(
-      `Calculated real-world dimensions: ${width.toFixed(
-        2
-      )}m x ${height.toFixed(2)}m`
-    );
-    console.log(
-      `Meters per pixel: X=${metersPerPixelX.toFixed(
-        3
-      )}m/px, Y=${metersPerPixelY.toFixed(3)}m/px`
-    );
-
-    return {
-      width,
-      height,
-      metersPerPixelX,
-      metersPerPixelY,
-      pixelWidth,
-      pixelHeight,
-    };
-  } catch (error) {
-    console.error(`Error calculating real-world dimensions: ${error.message}`);
-    // Return default values based on typical urban aerial imagery resolution
-    return {
-      width: 50,
-      height: 50,
-      metersPerPixelX: 0.1,
-      metersPerPixelY: 0.1,
-      pixelWidth: 500,
-      pixelHeight: 500,
-    };
-  }
-}
-
-/**
- * Check if a point is inside a polygon using ray casting algorithm
- * @param {number} x - Point x coordinate
- * @param {number} y - Point y coordinate
- * @param {Array} polygon - Array of polygon points {x, y}
- * @returns {boolean} - True if point is inside polygon
- */
-function isPointInPolygon(x, y, polygon) {
-  let inside = false;
-
-  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
-    const xi = polygon[i].x;
-    const yi = polygon[i].y;
-    const xj = polygon[j].x;
-    const yj = polygon[j].y;
-
-    // Check if ray from point crosses edge
-    const intersect =
-      yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi;
-
-    if (intersect) {
-      inside = !inside;
-    }
-  }
-
-  return inside;
-}
-
-/**
- * Get bounding box of a polygon
- * @param {Array} polygon - Array of points {x, y}
- * @returns {Object} - Bounding box {minX, minY, maxX, maxY}
- */
-function getPolygonBounds(polygon) {
-  let minX = Infinity;
-  let minY = Infinity;
-  let maxX = -Infinity;
-  let maxY = -Infinity;
-
-  for (const point of polygon) {
-    minX = Math.min(minX, point.x);
-    minY = Math.min(minY, point.y);
-    maxX = Math.max(maxX, point.x);
-    maxY = Math.max(maxY, point.y);
-  }
-
-  return {
-    minX: Math.floor(minX),
-    minY: Math.floor(minY),
-    maxX: Math.ceil(maxX),
-    maxY: Math.ceil(maxY),
-  };
-}
-
-/**
- * Convert rectangle coordinates to polygon points
- * @param {number} x - X coordinate of top-left corner
- * @param {number} y - Y coordinate of top-left corner
- * @param {number} width - Width of rectangle
- * @param {number} height - Height of rectangle
- * @returns {Array} - Array of points defining the rectangle polygon
- */
-function rectangleToPolygon(x, y, width, height) {
-  return [
-    { x: x, y: y }, // top-left
-    { x: x + width, y: y }, // top-right
-    { x: x + width, y: y + height }, // bottom-right
-    { x: x, y: y + height }, // bottom-left
-  ];
-}
-
-/**
- * Fit a plane to 3D points using least squares method
- * @param {Array} points - Array of {x,y,z} points
- * @param {Object} dimensions - Real-world dimensions
- * @returns {Object} - Fitted plane parameters
- */
-function fitPlaneToPoints(points, dimensions) {
-  // Convert pixel coordinates to meters
-  const points3D = points.map((p) => ({
-    x: p.x * dimensions.metersPerPixelX,
-    y: p.y * dimensions.metersPerPixelY,
-    z: p.z, // Height in meters
-  }));
-
-  // Calculate centroid
-  const centroid = {
-    x: points3D.reduce((sum, p) => sum + p.x, 0) / points3D.length,
-    y: points3D.reduce((sum, p) => sum + p.y, 0) / points3D.length,
-    z: points3D.reduce((sum, p) => sum + p.z, 0) / points3D.length,
-  };
-
-  // Create covariance matrix components
-  let xx = 0,
-    xy = 0,
-    xz = 0,
-    yy = 0,
-    yz = 0;
-
-  for (const p of points3D) {
-    const dx = p.x - centroid.x;
-    const dy = p.y - centroid.y;
-    const dz = p.z - centroid.z;
-
-    xx += dx * dx;
-    xy += dx * dy;
-    xz += dx * dz;
-    yy += dy * dy;
-    yz += dy * dz;
-  }
-
-  // Solve for normal vector using least squares
-  const det_x = yy * xz - xy * yz;
-  const det_y = xy * xz - xx * yz;
-  const det = xx * yy - xy * xy;
-
-  // Avoid division by zero
-  if (Math.abs(det) < 1e-10) {
-    // Can't fit plane reliably, return default
-    return {
-      avgSlope: Math.sqrt(xz * xz + yz * yz),
-      normalVector: { x: 0, y: 0, z: 1 },
-    };
-  }
-
-  const a = det_x / det;
-  const b = det_y / det;
-
-  // Normal vector of the plane
-  const normalVector = { x: a, y: b, z: 1 };
-
-  // Calculate overall slope
-  const avgSlope = Math.sqrt(a * a + b * b);
-
-  return { avgSlope, normalVector };
-}
-
-/**
- * Check block slope using DSM data with enhanced global slope matching
- * @param {Array} dsmRaster - DSM raster data
- * @param {number} x - Block top-left X
- * @param {number} y - Block top-left Y
- * @param {number} width - Block width
- * @param {number} height - Block height
- * @param {Object} dimensions - Real-world dimensions
- * @param {number} baselineSlope - Expected slope from roof segment metadata
- * @param {number} maxLocalDeviation - Maximum allowed local deviation in degrees
- * @returns {Object} - Validation result
- */
-function checkBlockSlope(
-  dsmRaster,
-  x,
-  y,
-  width,
-  height,
-  dimensions,
-  baselineSlope,
-  maxLocalDeviation
-) {
-  // Configurable threshold for global slope deviation (in degrees)
-  const MAX_GLOBAL_SLOPE_DEVIATION = 12;
-
-  // If DSM data is missing, assume block is valid
-  if (!dsmRaster || !dimensions) {
-    return { isValid: true, deviation: 0, avgSlope: baselineSlope };
-  }
-
-  try {
-    // Sample points in a grid pattern for better slope estimation
-    const dsmValues = [];
-    const dsmPoints = [];
-    let totalValid = 0;
-
-    // Use a 3x3 grid for sampling
-    const numSamplesX = 3;
-    const numSamplesY = 3;
-
-    for (let sy = 0; sy < numSamplesY; sy++) {
-      for (let sx = 0; sx < numSamplesX; sx++) {
-        const pointX = x + Math.floor((sx * width) / (numSamplesX - 1));
-        const pointY = y + Math.floor((sy * height) / (numSamplesY - 1));
-
-        // Skip if outside image bounds
-        if (
-          pointX < 0 ||
-          pointY < 0 ||
-          pointX >= dimensions.pixelWidth ||
-          pointY >= dimensions.pixelHeight
-        ) {
-          continue;
-        }
-
-        // Get DSM value at this point
-        const index = pointY * dimensions.pixelWidth + pointX;
-
-        if (index >= 0 && index < dsmRaster.length) {
-          const value = dsmRaster[index];
-
-          if (value !== undefined && !isNaN(value)) {
-            dsmValues.push(value);
-            dsmPoints.push({ x: pointX, y: pointY, z: value });
-            totalValid++;
-          }
-        }
-      }
-    }
-
-    // Need at least 4 valid points to calculate slope reliably
-    if (totalValid < 4) {
-      return { isValid: true, deviation: 0, avgSlope: baselineSlope };
-    }
-
-    // PART 1: Check for local slope consistency (sudden height changes)
-    const minHeight = Math.min(...dsmValues);
-    const maxHeight = Math.max(...dsmValues);
-    const heightDiff = maxHeight - minHeight;
-
-    // Convert height difference to slope angle for local consistency check
-    const blockDiagonalLength = Math.sqrt(
-      Math.pow(width * dimensions.metersPerPixelX, 2) +
-        Math.pow(height * dimensions.metersPerPixelY, 2)
-    );
-
-    // Calculate slope based on min/max difference (local consistency)
-    const localVarianceSlope = heightDiff / blockDiagonalLength;
-
-    // PART 2: Calculate global average slope using plane fitting
-    const { avgSlope, normalVector } = fitPlaneToPoints(dsmPoints, dimensions);
-
-    // Convert slopes to angles for comparison
-    const baselineAngle = (Math.atan(baselineSlope) * 180) / Math.PI;
-    const localVarianceAngle = (Math.atan(localVarianceSlope) * 180) / Math.PI;
-    const avgAngle = (Math.atan(avgSlope) * 180) / Math.PI;
-
-    // Calculate deviations
-    const localDeviation = Math.abs(localVarianceAngle - baselineAngle);
-    const globalDeviation = Math.abs(avgAngle - baselineAngle);
-
-    // Block is valid if both local and global deviations are acceptable
-    const isLocalValid = localDeviation <= maxLocalDeviation;
-    const isGlobalValid = globalDeviation <= MAX_GLOBAL_SLOPE_DEVIATION;
-    const isValid = isLocalValid && isGlobalValid;
-
-    return {
-      isValid,
-      localDeviation,
-      globalDeviation,
-      avgSlope,
-      baselineAngle,
-      avgAngle,
-      type: !isLocalValid
-        ? "local_variance"
-        : !isGlobalValid
-        ? "global_mismatch"
-        : "valid",
-    };
-  } catch (error) {
-    console.error(`Error checking block slope: ${error.message}`);
-    // Return valid as default in case of error
-    return { isValid: true, deviation: 0, avgSlope: baselineSlope };
-  }
-}
-
-/**
- * Detect obstructions using roof polygons and DSM data
- * Uses a smaller grid size (0.5m) than the solar panel layout for more detailed obstruction detection
- * @param {Array} roofSegments - Roof segments from ML server
- * @param {Object} dsmData - Processed DSM data
- * @param {Object} realWorldDimensions - Real-world dimensions
- * @param {Array} originalRoofSegments - Original roof segments with metadata
- * @returns {Object} - Detailed obstructions
- */
-function detectObstructions(
-  roofSegments,
-  dsmData,
-  realWorldDimensions,
-  originalRoofSegments
-) {
-  try {
-    console.log("Detecting roof obstructions with 0.5m resolution");
-
-    // Use 0.5m dimension for obstruction detection (finer than panel layout)
-    const obstructionWidth = 0.5; // meters
-    const obstructionHeight = 0.5; // meters
-
-    // Convert to pixels
-    const obstructionWidthPx = Math.round(
-      obstructionWidth / realWorldDimensions.metersPerPixelX
-    );
-    const obstructionHeightPx = Math.round(
-      obstructionHeight / realWorldDimensions.metersPerPixelY
-    );
-
-    console.log(
-      `Obstruction detection dimensions in pixels: ${obstructionWidthPx}px x ${obstructionHeightPx}px`
-    );
-
-    // Array to store results
-    const obstructions = [];
-
-    // Maximum slope deviation in degrees (for local variance)
-    const MAX_SLOPE_DEVIATION = 19; // Stricter than panel layout to catch more obstructions
-
-    // Process each roof segment
-    for (let i = 0; i < roofSegments.length; i++) {
-      const segment = roofSegments[i];
-
-      // Skip segments without polygons
-      if (!segment.polygon || segment.polygon.length < 3) {
-        console.log(`Skipping segment ${segment.id} - no valid polygon`);
-        continue;
-      }
-
-      console.log(`Processing segment ${segment.id} for obstructions`);
-
-      // Find matching original segment for metadata
-      const origSegment = originalRoofSegments.find(
-        (s) =>
-          s.segmentIndex?.toString() === segment.id.replace("segment_", "") ||
-          s.id === segment.id
-      );
-
-      // Extract metadata from original segment
-      const segmentPitch = origSegment?.pitch || segment.pitch || 20; // Default 20 degree pitch
-      const segmentAzimuth = origSegment?.azimuth || segment.azimuth || 180; // Default south-facing
-
-      // Calculate baseline slope using segment pitch
-      const baselineSlope = Math.tan((segmentPitch * Math.PI) / 180);
-
-      // Get polygon bounding box
-      const bounds = getPolygonBounds(segment.polygon);
-
-      // Make sure bounds are within the image
-      bounds.minX = Math.max(0, bounds.minX);
-      bounds.minY = Math.max(0, bounds.minY);
-      bounds.maxX = Math.min(realWorldDimensions.pixelWidth - 1, bounds.maxX);
-      bounds.maxY = Math.min(realWorldDimensions.pixelHeight - 1, bounds.maxY);
-
-      // Iterate through bounds in obstruction-sized blocks - use a smaller stride for more detailed detection
-      // Use 25% stride for finer detection with overlap
-      const strideX = Math.max(1, Math.floor(obstructionWidthPx * 0.25));
-      const strideY = Math.max(1, Math.floor(obstructionHeightPx * 0.25));
-
-      for (
-        let y = bounds.minY;
-        y <= bounds.maxY - obstructionHeightPx;
-        y += strideY
-      ) {
-        for (
-          let x = bounds.minX;
-          x <= bounds.maxX - obstructionWidthPx;
-          x += strideX
-        ) {
-          // Check if the center of this block is inside the polygon
-          const centerX = x + Math.floor(obstructionWidthPx / 2);
-          const centerY = y + Math.floor(obstructionHeightPx / 2);
-
-          if (isPointInPolygon(centerX, centerY, segment.polygon)) {
-            // Block is inside the polygon - check slope consistency
-            const { isValid, localDeviation, globalDeviation, avgSlope, type } =
-              checkBlockSlope(
-                dsmData.raster,
-                x,
-                y,
-                obstructionWidthPx,
-                obstructionHeightPx,
-                realWorldDimensions,
-                baselineSlope,
-                MAX_SLOPE_DEVIATION
-              );
-
-            if (!isValid) {
-              // Only add if it's an actual obstruction - avoid duplicating nearby detections
-              // Check if we already have a similar obstruction nearby
-              const isNearExisting = obstructions.some((obs) => {
-                const distance = Math.sqrt(
-                  Math.pow(obs.x - x, 2) + Math.pow(obs.y - y, 2)
-                );
-                return (
-                  distance < obstructionWidthPx && obs.segmentId === segment.id
-                );
-              });
-
-              if (!isNearExisting) {
-                // Add obstruction with polygon representation
-                obstructions.push({
-                  id: `obstruction_${segment.id}_${obstructions.length}`,
-                  segmentId: segment.id,
-                  x,
-                  y,
-                  width: obstructionWidthPx,
-                  height: obstructionHeightPx,
-                  type:
-                    type === "local_variance"
-                      ? "slope_variance"
-                      : "slope_mismatch",
-                  localDeviation,
-                  globalDeviation,
-                  // Add polygon representation for obstructions
-                  polygon: rectangleToPolygon(
-                    x,
-                    y,
-                    obstructionWidthPx,
-                    obstructionHeightPx
-                  ),
-                  // Add real-world dimensions
-                  realWidth: obstructionWidth,
-                  realHeight: obstructionHeight,
-                });
-              }
-            }
-          }
-        }
-      }
-    }
-
-    console.log(
-      `Detected ${obstructions.length} obstructions using 0.5m resolution`
-    );
-
-    return {
-      obstructions,
-      metadata: {
-        obstructionCount: obstructions.length,
-        obstructionDimensions: {
-          width: obstructionWidth,
-          height: obstructionHeight,
-          widthPx: obstructionWidthPx,
-          heightPx: obstructionHeightPx,
-        },
-      },
-    };
-  } catch (error) {
-    console.error(`Error detecting obstructions: ${error.message}`);
-    return {
-      obstructions: [],
-      metadata: {
-        error: error.message,
-      },
-    };
-  }
-}
-
-/**
- * Create combined flux+DSM visualization using the CombinedFluxDsmVisualizer
- * @param {Object} annualFluxResult - Processed annual flux data
- * @param {Object} dsmResult - Processed DSM data
- * @returns {Promise<Object>} Combined visualization result
- */
-async function createCombinedFluxDsmVisualization(annualFluxResult, dsmResult) {
-  try {
-    console.log("Creating combined flux+DSM visualization for ML processing");
-
-    // Check if we have the raster data we need
-    if (!annualFluxResult.raster) {
+    } catch (error) {
       console.error(
-        "Annual flux raster data is not available. Available keys:",
-        Object.keys(annualFluxResult)
-      );
-
-      // If we don't have raster data, we can't create the combined visualization
-      // Return a fallback that just uses the annual flux visualization
-      console.log("Falling back to using annual flux visualization only");
-
-      return {
-        dataUrls: {
-          buildingFocus: annualFluxResult.dataUrls.buildingFocus,
-          fullImage:
-            annualFluxResult.dataUrls.fullImage ||
-            annualFluxResult.dataUrls.buildingFocus,
-        },
-        enhanced: false, // Not actually enhanced since we couldn't combine
-        metadata: {
-          dimensions: annualFluxResult.metadata.dimensions,
-          fallbackMode: true,
-          reason: "Annual flux raster data not available for combination",
-        },
-        bounds: annualFluxResult.bounds,
-        buildingBoundaries: annualFluxResult.buildingBoundaries,
-      };
-    }
-
-    if (!dsmResult.raster) {
-      throw new Error("DSM raster data is not available.");
-    }
-
-    console.log("Both raster datasets available:");
-    console.log(`Flux raster: ${annualFluxResult.raster.length} pixels`);
-    console.log(`DSM raster: ${dsmResult.raster.length} pixels`);
-
-    // Create the combined visualizer instance
-    const combinedVisualizer = new CombinedFluxDsmVisualizer({
-      useEnhancedPalette: true,
-    });
-
-    // Create flux processed data object
-    const fluxProcessedData = {
-      raster: annualFluxResult.raster,
-      metadata: {
-        width: annualFluxResult.metadata.dimensions.width,
-        height: annualFluxResult.metadata.dimensions.height,
-        dimensions: annualFluxResult.metadata.dimensions,
-        dataRange: annualFluxResult.metadata.dataRange,
-      },
-      statistics: annualFluxResult.statistics,
-      bounds: annualFluxResult.bounds,
-      buildingBoundaries: annualFluxResult.buildingBoundaries,
-    };
-
-    // Create DSM processed data object
-    const dsmProcessedData = {
-      raster: dsmResult.raster,
-      metadata: {
-        width: dsmResult.metadata.dimensions.width,
-        height: dsmResult.metadata.dimensions.height,
-        dimensions: dsmResult.metadata.dimensions,
-        dataRange: dsmResult.metadata.dataRange,
-      },
-      bounds: dsmResult.bounds,
-      buildingBoundaries: dsmResult.buildingBoundaries,
-    };
-
-    console.log("Data for combined visualization:");
-    console.log(
-      `Flux: ${fluxProcessedData.metadata.width}x${fluxProcessedData.metadata.height}`
-    );
-    console.log(
-      `DSM: ${dsmProcessedData.metadata.width}x${dsmProcessedData.metadata.height}`
-    );
-
-    // Create the blended visualization
-    const blendedResult = await combinedVisualizer.createBlendedVisualization(
-      fluxProcessedData,
-      dsmProcessedData,
-      {
-        blendMode: DSM_BLEND_MODE, // Use global constant
-        dsmInfluence: DSM_INFLUENCE, // Use global constant
-        buildingFocus: true,
-        paletteName: "IRON",
-        quality: 0.95,
-      }
-    );
-
-    console.log("Combined visualization created successfully");
-
-    // Return in the format expected by the ML processing functions
-    return {
-      dataUrls: {
-        buildingFocus: blendedResult.buildingFocus,
-        fullImage: blendedResult.fullImage,
-      },
-      enhanced: blendedResult.enhanced,
-      metadata: blendedResult.metadata || {
-        dimensions: fluxProcessedData.metadata.dimensions,
-        blendMode: DSM_BLEND_MODE, // Use global constant
-        dsmInfluence: DSM_INFLUENCE, // Use global constant
-        hasDsmBlending: true,
-      },
-      bounds: fluxProcessedData.bounds,
-      buildingBoundaries: fluxProcessedData.buildingBoundaries,
-    };
-  } catch (error) {
-    console.error("Error creating combined flux+DSM visualization:", error);
-    throw new Error(
-      `Failed to create combined visualization: ${error.message}`
-    );
-  }
-}
-
-/**
- * Process roof segmentation with ML server using Combined Flux+DSM visualization
- * @param {Object} combinedVisualizationResult - Combined flux+DSM visualization result
- * @param {Object} buildingInsights - Building insights data
- * @param {Array} roofSegments - Processed roof segments (optional)
- * @returns {Promise<Object>} ML server processing results
- */
-async function processMlServerRoofSegmentationWithCombined(
-  combinedVisualizationResult,
-  buildingInsights,
-  roofSegments = null
-) {
-  try {
-    console.log(
-      "Processing ML server roof segmentation with Combined Flux+DSM data"
-    );
-
-    // Debug the combined result structure
-    console.log("Combined Visualization Result structure received:", {
-      hasDataUrls: !!combinedVisualizationResult.dataUrls,
-      hasMetadata: !!combinedVisualizationResult.metadata,
-      hasBuildingBoundaries: !!combinedVisualizationResult.buildingBoundaries,
-      enhanced: combinedVisualizationResult.enhanced,
-      metadataDimensions: combinedVisualizationResult.metadata?.dimensions
-        ? `${combinedVisualizationResult.metadata.dimensions.width}x${combinedVisualizationResult.metadata.dimensions.height}`
-        : "No dimensions in metadata",
-    });
-
-    // Extract building ID from building insights
-    const buildingId = buildingInsights.name || `building_${Date.now()}`;
-
-    // Get Combined Flux+DSM image data URL (building-focused)
-    const combinedImage = combinedVisualizationResult.dataUrls.buildingFocus;
-    if (!combinedImage) {
-      throw new Error(
-        "Combined Flux+DSM image data URL not available for ML processing"
-      );
-    }
-
-    // Extract dimensions from combined visualization result
-    const imageWidth = combinedVisualizationResult.metadata?.dimensions?.width;
-    const imageHeight =
-      combinedVisualizationResult.metadata?.dimensions?.height;
-
-    // Log the dimensions we're using
-    console.log(
-      `Using Combined Flux+DSM dimensions for ML processing: ${imageWidth}x${imageHeight}`
-    );
-
-    // Validate dimensions
-    if (!imageWidth || !imageHeight || imageWidth === 0 || imageHeight === 0) {
-      throw new Error(
-        `Invalid Combined Flux+DSM dimensions for ML processing: ${imageWidth}x${imageHeight}`
+        `Error following stored events for analysis ${analysisId}:`,
+        error
       );
+    } finally {
+      polling = false;
     }
+  }, STORE_POLL_INTERVAL);
 
-    // Convert geocoordinates to pixel coordinates
-    const pixelCoordinates = convertGeoToPixel({
-      imgWidth: imageWidth,
-      imgHeight: imageHeight,
-      buildingBoundingBox: buildingInsights.boundingBox,
-      buildingCenter: buildingInsights.center,
-      roofSegments:
-        roofSegments || buildingInsights.solarPotential?.roofSegmentStats || [],
-    });
-
-    console.log("Converted pixel coordinates:", {
-      buildingBox: pixelCoordinates.buildingBox,
-      roofSegments: pixelCoordinates.roofSegments.length,
-    });
-
-    // Create request data for ML server (using Combined Flux+DSM image)
-    const requestData = {
-      building_id: buildingId,
-      rgb_image: combinedImage, // Using combined flux+DSM image instead of RGB
-      image_width: imageWidth,
-      image_height: imageHeight,
-      building_box: pixelCoordinates.buildingBox,
-      roof_segments: pixelCoordinates.roofSegments,
-      building_center: pixelCoordinates.buildingCenter,
-    };
-
-    // Log the request data (without image data)
-    const logData = { ...requestData };
-    if (logData.rgb_image)
-      logData.rgb_image = "[COMBINED FLUX+DSM IMAGE DATA URL]";
-
-    console.log(
-      "ML server request data (with Combined Flux+DSM):",
-      JSON.stringify(logData, null, 2)
-    );
-
-    // Send request to ML server
-    const startTime = Date.now();
-    console.log("Sending Combined Flux+DSM data to ML server...");
-    const mlResponse = await axios.post(
-      `${ML_SERVER_URL}/api/predict`,
-      requestData,
-      {
-        headers: { "Content-Type": "application/json" },
-        timeout: 600000, // 60 second timeout for ML processing
-      }
-    );
-
-    const processingTime = Date.now() - startTime;
-    console.log(`ML server response received in ${processingTime}ms`);
-
-    // Process response
-    const mlData = mlResponse.data;
-
-    // Add processing time to result
-    mlData.processing_time = processingTime;
-    mlData.success = true;
-
-    // CRITICAL: Ensure obstructions are present
-    if (!mlData.obstructions) {
-      mlData.obstructions = [];
-    }
-
-    console.log(
-      `ML server returned ${mlData.obstructions.length} obstructions using Combined Flux+DSM data`
-    );
-
-    return mlData;
-  } catch (error) {
-    console.error(
-      "Error processing with ML server using Combined Flux+DSM:",
-      error
-    );
-
-    // Capture detailed error information
-    let errorDetails = {
-      message: error.message,
-      type: error.response ? "ml_server_error" : "connection_error",
-    };
-
-    if (error.response) {
-      errorDetails.status = error.response.status;
-      errorDetails.statusText = error.response.statusText;
-      errorDetails.data = error.response.data;
-    }
-
-    console.error("Error details:", JSON.stringify(errorDetails, null, 2));
-
-    // Return error information
-    return {
-      success: false,
-      error: error.message,
-      error_type: error.response ? "ml_server_error" : "connection_error",
-      error_details: error.response?.data || {},
-      obstructions: [], // Ensure the obstructions property exists even in error case
-    };
-  }
+  // Handle client disconnect
+  req.on("close", () => {
+    console.log(`Client disconnected from analysis: ${analysisId}`);
+    clearInterval(interval);
+  });
 }
 
 module.exports = router;
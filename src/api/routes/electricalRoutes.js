@@ -0,0 +1,97 @@
+// src/api/routes/electricalRoutes.js
+const express = require("express");
+const router = express.Router();
+const { getAnalysisStore } = require("../../services/analysis");
+const {
+  validateElectricalDesignRequest,
+  designElectricalSystem,
+  getElectricalInputFromResults,
+} = require("../../services/electrical/electricalDesign");
+
+// Persistent store with the results of comprehensive analyses
+const analysisStore = getAnalysisStore();
+
+/**
+ * POST /api/v1/electrical/design
+ *
+ * Groups the panels of a layout into strings per roof orientation, checks
+ * string voltages against the inverter MPPT window at the site temperature
+ * extremes, proposes an inverter model and count with its DC/AC ratio and
+ * lists violations. The body contains either
+ * - analysisId: a completed comprehensive analysis whose panel layout and
+ *   panel are designed, or
+ * - layout: { panels: [{ id, segmentId, azimuth, pitch }] }
+ * and optionally panelId, inverterId or inverterType (see
+ * GET /api/v1/equipment), minTemperatureC, maxTemperatureC and
+ * targetDcAcRatio.
+ */
+router.post("/design", async (req, res) => {
+  try {
+    const validation = validateElectricalDesignRequest(req.body);
+
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid electrical design request",
+        errors: validation.errors,
+      });
+    }
+
+    const { analysisId, layout, ...options } = req.body;
+    let panels = layout?.panels;
+
+    if (analysisId !== undefined) {
+      const session = await analysisStore.getSession(analysisId);
+
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: "Analysis session not found",
+        });
+      }
+
+      const input = getElectricalInputFromResults(
+        await analysisStore.getResults(analysisId)
+      );
+
+      if (!input) {
+        return res.status(409).json({
+          success: false,
+          message: "Analysis has no panel layout to design",
+          status: session.status,
+        });
+      }
+
+      panels = input.panels;
+
+      // The analysis equipment applies unless the request picks its own
+      if (options.panelId === undefined) {
+        options.panelId = input.panelId;
+      }
+
+      if (
+        options.inverterId === undefined &&
+        options.inverterType === undefined
+      ) {
+        options.inverterType = input.inverterType;
+      }
+    }
+
+    return res.json({
+      success: true,
+      data: {
+        analysisId: analysisId || null,
+        ...designElectricalSystem(panels, options),
+      },
+    });
+  } catch (error) {
+    console.error("Error designing electrical system:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to design electrical system",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
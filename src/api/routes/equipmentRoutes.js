@@ -0,0 +1,101 @@
+// src/api/routes/equipmentRoutes.js
+const express = require("express");
+const router = express.Router();
+const {
+  getCatalog,
+  getPanel,
+  getInverter,
+  describePanel,
+} = require("../../services/equipment/equipmentCatalog");
+
+/**
+ * GET /api/v1/equipment
+ *
+ * Returns the equipment catalog: panels (with their efficiency), inverters
+ * and the defaults used when a request picks none
+ */
+router.get("/", (req, res) => {
+  try {
+    const catalog = getCatalog();
+
+    return res.json({
+      success: true,
+      data: {
+        version: catalog.version || null,
+        defaultPanel: catalog.defaultPanel,
+        defaultInverter: catalog.defaultInverter,
+        panels: catalog.panels.map(describePanel),
+        inverters: catalog.inverters,
+      },
+    });
+  } catch (error) {
+    console.error("Error loading equipment catalog:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to load equipment catalog",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/v1/equipment/panels/:panelId
+ *
+ * Returns a catalog panel with its efficiency
+ */
+router.get("/panels/:panelId", (req, res) => {
+  try {
+    const panel = getPanel(req.params.panelId);
+
+    if (!panel) {
+      return res.status(404).json({
+        success: false,
+        message: "Panel not found",
+      });
+    }
+
+    return res.json({
+      success: true,
+      data: describePanel(panel),
+    });
+  } catch (error) {
+    console.error("Error loading panel:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to load panel",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/v1/equipment/inverters/:inverterId
+ *
+ * Returns a catalog inverter
+ */
+router.get("/inverters/:inverterId", (req, res) => {
+  try {
+    const inverter = getInverter(req.params.inverterId);
+
+    if (!inverter) {
+      return res.status(404).json({
+        success: false,
+        message: "Inverter not found",
+      });
+    }
+
+    return res.json({
+      success: true,
+      data: inverter,
+    });
+  } catch (error) {
+    console.error("Error loading inverter:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to load inverter",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,96 @@
+// src/api/routes/financialRoutes.js
+const express = require("express");
+const router = express.Router();
+const { getAnalysisStore } = require("../../services/analysis");
+const {
+  getDefaultAssumptions,
+  validateFinancialRequest,
+  runFinancialModel,
+  getFinancialInputFromResults,
+} = require("../../services/financial/financialModel");
+
+// Persistent store with the results of comprehensive analyses
+const analysisStore = getAnalysisStore();
+
+/**
+ * GET /api/v1/financials/defaults
+ *
+ * Returns the assumptions financial models use unless a request overrides
+ * them
+ */
+router.get("/defaults", (req, res) => {
+  return res.json({
+    success: true,
+    data: getDefaultAssumptions(),
+  });
+});
+
+/**
+ * POST /api/v1/financials
+ *
+ * Projects yearly cash flows and returns payback year, NPV, IRR and
+ * lifetime savings. The body contains either
+ * - analysisId: a completed comprehensive analysis whose layout energy
+ *   estimate and price book quote are used, or
+ * - annualProductionKwh (or monthly/hourlyProductionKwh) and systemCost
+ * and optionally incentives, tariffId (see GET /api/v1/tariffs) or an
+ * inline tariff definition, usage as annualUsageKwh, monthlyUsageKwh or
+ * hourlyUsageKwh (production takes the same forms), escalationRate,
+ * degradationRate, discountRate, annualOperatingCost and analysisYears.
+ * With analysisId the other inputs override the analysis values.
+ */
+router.post("/", async (req, res) => {
+  try {
+    const validation = validateFinancialRequest(req.body);
+
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid financial model request",
+        errors: validation.errors,
+      });
+    }
+
+    const { analysisId, ...overrides } = req.body;
+    let input = overrides;
+
+    if (analysisId !== undefined) {
+      const session = await analysisStore.getSession(analysisId);
+
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: "Analysis session not found",
+        });
+      }
+
+      const analysisInput = getFinancialInputFromResults(
+        await analysisStore.getResults(analysisId)
+      );
+
+      if (!analysisInput) {
+        return res.status(409).json({
+          success: false,
+          message: "Analysis has no panel layout with an energy estimate",
+          status: session.status,
+        });
+      }
+
+      input = { ...analysisInput, ...overrides };
+    }
+
+    return res.json({
+      success: true,
+      data: { analysisId: analysisId || null, ...runFinancialModel(input) },
+    });
+  } catch (error) {
+    console.error("Error running financial model:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to run financial model",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
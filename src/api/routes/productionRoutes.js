@@ -0,0 +1,207 @@
+// src/api/routes/productionRoutes.js
+const express = require("express");
+const router = express.Router();
+const { getAnalysisStore } = require("../../services/analysis");
+const {
+  validateProductionRequest,
+  generateProductionProfile,
+} = require("../../services/production/productionProfile");
+const {
+  validateShadingRequest,
+  generateShadingReport,
+} = require("../../services/production/shadingAnalysis");
+const {
+  getLayoutInputFromResults,
+} = require("../../services/production/layoutSampling");
+
+// Persistent store with the results of comprehensive analyses
+const analysisStore = getAnalysisStore();
+
+/**
+ * POST /api/v1/production/profile
+ *
+ * Returns the monthly and typical-day hourly AC production of a layout,
+ * with charts as PNG data URLs. The body contains either
+ * - analysisId: a completed comprehensive analysis whose panel layout is
+ *   used; layout: { panels } may replace its panels (pixel polygons in
+ *   the analysis image), or
+ * - location: { latitude, longitude } and layout: { panels } whose polygons
+ *   are { latitude, longitude } points
+ * and optionally panelId and inverterId (see GET /api/v1/equipment; with
+ * analysisId default the analysis equipment), panelEfficiency,
+ * systemLosses, inverterEfficiency and temperatureCoefficient overriding
+ * those of the equipment, includeHourly and includeCharts (both default
+ * true), and utcOffsetHours, the standard time offset of the site whose
+ * clock hours the hourly profile uses (default the nominal offset of its
+ * longitude; the profile's timeBasis shows the one used).
+ */
+router.post("/profile", async (req, res) => {
+  try {
+    const validation = validateProductionRequest(req.body);
+
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid production profile request",
+        errors: validation.errors,
+      });
+    }
+
+    const {
+      includeHourly,
+      includeCharts,
+      panelId,
+      inverterId,
+      panelEfficiency,
+      systemLosses,
+      inverterEfficiency,
+      temperatureCoefficient,
+      utcOffsetHours,
+    } = req.body;
+    const resolved = await resolveLayout(req.body);
+
+    if (resolved.error) {
+      return res.status(resolved.status).json(resolved.error);
+    }
+
+    const { analysisId, location, input } = resolved;
+
+    // Stop downloading layers if the client goes away
+    const controller = new AbortController();
+    res.on("close", () => {
+      if (!res.writableFinished) controller.abort();
+    });
+
+    const profile = await generateProductionProfile(location, input, {
+      includeHourly,
+      includeCharts,
+      equipment: { panelId, inverterId },
+      parameters: {
+        panelEfficiency,
+        systemLosses,
+        inverterEfficiency,
+        temperatureCoefficient,
+      },
+      utcOffsetHours,
+      signal: controller.signal,
+    });
+
+    return res.json({
+      success: true,
+      data: { analysisId, ...profile },
+    });
+  } catch (error) {
+    console.error("Error generating production profile:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to generate production profile",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/v1/production/shading
+ *
+ * Returns the shade loss of a layout from the hourly shade layers: the
+ * percent of sun hours each panel is shaded per month and over the year,
+ * and the irradiance-weighted solar access per panel and for the layout.
+ * The body takes analysisId or location with layout as for /profile, and
+ * optionally solarAccessThreshold (percent, default 80) below which panels
+ * are flagged and utcOffsetHours, the standard time offset of the site the
+ * hour bands are read in (default the nominal offset of its longitude; the
+ * report's timeBasis shows the one used).
+ */
+router.post("/shading", async (req, res) => {
+  try {
+    const validation = validateShadingRequest(req.body);
+
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid shading analysis request",
+        errors: validation.errors,
+      });
+    }
+
+    const resolved = await resolveLayout(req.body);
+
+    if (resolved.error) {
+      return res.status(resolved.status).json(resolved.error);
+    }
+
+    const { analysisId, location, input } = resolved;
+
+    // Stop downloading layers if the client goes away
+    const controller = new AbortController();
+    res.on("close", () => {
+      if (!res.writableFinished) controller.abort();
+    });
+
+    const report = await generateShadingReport(location, input, {
+      solarAccessThreshold: req.body.solarAccessThreshold,
+      utcOffsetHours: req.body.utcOffsetHours,
+      signal: controller.signal,
+    });
+
+    return res.json({
+      success: true,
+      data: { analysisId, ...report },
+    });
+  } catch (error) {
+    console.error("Error generating shading analysis:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to generate shading analysis",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Resolve the location and layout input of a validated request
+ * @param {Object} body - Request body with analysisId or location, and
+ *   optionally layout
+ * @returns {Promise<Object>} - {analysisId, location, input}, or {status,
+ *   error} with the response to send
+ */
+async function resolveLayout(body) {
+  const { analysisId, location, layout } = body;
+
+  if (analysisId === undefined) {
+    return {
+      analysisId: null,
+      location,
+      input: { panels: layout.panels },
+    };
+  }
+
+  const session = await analysisStore.getSession(analysisId);
+
+  if (!session) {
+    return {
+      status: 404,
+      error: { success: false, message: "Analysis session not found" },
+    };
+  }
+
+  const input = getLayoutInputFromResults(
+    await analysisStore.getResults(analysisId),
+    layout?.panels
+  );
+
+  if (!input || input.panels.length === 0) {
+    return {
+      status: 409,
+      error: {
+        success: false,
+        message: "Analysis has no panel layout on the annual flux grid",
+        status: session.status,
+      },
+    };
+  }
+
+  return { analysisId, location: session.location, input };
+}
+
+module.exports = router;
@@ -0,0 +1,151 @@
+// src/api/routes/quoteRoutes.js
+const express = require("express");
+const router = express.Router();
+const { getAnalysisStore } = require("../../services/analysis");
+const {
+  getPriceBook,
+  validateQuoteRequest,
+  generateQuote,
+  getQuoteInputFromResults,
+} = require("../../services/quote/quoteEngine");
+
+// Persistent store with the results of comprehensive analyses
+const analysisStore = getAnalysisStore();
+
+/**
+ * GET /api/v1/quotes/price-book
+ *
+ * Returns the price book quotes are generated with
+ */
+router.get("/price-book", (req, res) => {
+  try {
+    return res.json({
+      success: true,
+      data: getPriceBook(),
+    });
+  } catch (error) {
+    console.error("Error loading price book:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to load price book",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/v1/quotes
+ *
+ * Prices a system and returns an itemized quote. The body contains either
+ * - analysisId: a completed comprehensive analysis whose panel layout is
+ *   priced, or
+ * - layout: { panels: [{ segmentId, pitch }], segments: [{ id, pitch }],
+ *   obstructions: [...] } (or panelCount/obstructionCount instead of lists)
+ * and optionally inverter (price book inverter id) or inverterId and
+ * panelWattage or panelId (see GET /api/v1/equipment); with analysisId
+ * they default to the analysis equipment.
+ * With tariffId (see GET /api/v1/tariffs) the quote estimates first-year
+ * bill savings from annualProductionKwh (the layout's energy estimate with
+ * analysisId) and annualUsageKwh.
+ */
+router.post("/", async (req, res) => {
+  try {
+    const {
+      analysisId,
+      inverter,
+      inverterId,
+      panelWattage,
+      panelId,
+      tariffId,
+      annualUsageKwh,
+    } = req.body;
+    let { layout, annualProductionKwh } = req.body;
+    let analysisPanel = {};
+    let analysisInverter = {};
+
+    if (analysisId !== undefined && layout !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: "Provide either analysisId or layout, not both",
+      });
+    }
+
+    if (analysisId !== undefined) {
+      const session = await analysisStore.getSession(analysisId);
+
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: "Analysis session not found",
+        });
+      }
+
+      const input = getQuoteInputFromResults(
+        await analysisStore.getResults(analysisId)
+      );
+
+      if (!input) {
+        return res.status(409).json({
+          success: false,
+          message: "Analysis has no panel layout to quote",
+          status: session.status,
+        });
+      }
+
+      layout = input.layout;
+      analysisPanel = {
+        panelId: input.panelId,
+        panelWattage: input.panelWattage,
+      };
+      analysisInverter = { inverterId: input.inverterId };
+
+      if (annualProductionKwh === undefined) {
+        annualProductionKwh = input.annualProductionKwh;
+      }
+    }
+
+    const options = {
+      inverter,
+      inverterId,
+      panelWattage,
+      panelId,
+      tariffId,
+      annualProductionKwh,
+      annualUsageKwh,
+    };
+    const validation = validateQuoteRequest(layout, options);
+
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid quote request",
+        errors: validation.errors,
+      });
+    }
+
+    // The analysis equipment applies unless the request picks its own
+    const quote = generateQuote(layout, {
+      ...options,
+      ...(panelWattage === undefined && panelId === undefined
+        ? analysisPanel
+        : {}),
+      ...(inverter === undefined && inverterId === undefined
+        ? analysisInverter
+        : {}),
+    });
+
+    return res.json({
+      success: true,
+      data: quote,
+    });
+  } catch (error) {
+    console.error("Error generating quote:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to generate quote",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
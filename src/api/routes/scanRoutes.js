@@ -0,0 +1,18 @@
+// src/api/routes/scanRoutes.js
+const express = require("express");
+const router = express.Router();
+const scanController = require("../controllers/scanController");
+
+// Start a scan job for a building
+router.post("/", scanController.initiateScan);
+
+// Poll the stage and progress of a scan job
+router.get("/:jobId/status", scanController.getScanStatus);
+
+// Fetch the results of a completed scan job
+router.get("/:jobId/results", scanController.getScanResults);
+
+// Inspect the webhook delivery attempts of a scan job
+router.get("/:jobId/webhooks", scanController.getScanWebhooks);
+
+module.exports = router;
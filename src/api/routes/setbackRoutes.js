@@ -0,0 +1,62 @@
+// src/api/routes/setbackRoutes.js
+const express = require("express");
+const router = express.Router();
+const {
+  getRuleSets,
+  getRuleSet,
+} = require("../../services/setbacks/setbackRules");
+
+/**
+ * GET /api/v1/setbacks
+ *
+ * Lists the fire-code rule sets panel layouts can keep their roof edge
+ * setbacks and access pathways by (params.panelLayout.setbackRuleSet of
+ * comprehensive analyses)
+ */
+router.get("/", (req, res) => {
+  try {
+    return res.json({
+      success: true,
+      data: getRuleSets(),
+    });
+  } catch (error) {
+    console.error("Error loading setback rules:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to load setback rules",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/v1/setbacks/:ruleSetId
+ *
+ * Returns a setback rule set
+ */
+router.get("/:ruleSetId", (req, res) => {
+  try {
+    const ruleSet = getRuleSet(req.params.ruleSetId);
+
+    if (!ruleSet) {
+      return res.status(404).json({
+        success: false,
+        message: "Setback rule set not found",
+      });
+    }
+
+    return res.json({
+      success: true,
+      data: ruleSet,
+    });
+  } catch (error) {
+    console.error("Error loading setback rule set:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to load setback rule set",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
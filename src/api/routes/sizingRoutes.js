@@ -0,0 +1,76 @@
+// src/api/routes/sizingRoutes.js
+const express = require("express");
+const router = express.Router();
+const { getAnalysisStore } = require("../../services/analysis");
+const {
+  validateSizingRequest,
+  canSizeFromResults,
+  sizeSystemForUsage,
+} = require("../../services/sizing/usageSizing");
+
+// Persistent store with the results of comprehensive analyses
+const analysisStore = getAnalysisStore();
+
+/**
+ * POST /api/v1/sizing/usage
+ *
+ * Sizes a system to offset the customer's electricity usage on the roof of
+ * a completed comprehensive analysis. Returns the panel count, kW, expected
+ * production and the panel layout positions to install, highest-yield
+ * first, laid out with the analysis' panel layout params. The body contains
+ * analysisId, the usage as one of
+ * - load: 12 monthly kWh from utility bills (or an annual kWh)
+ * - loadCsv: a Green Button CSV or other meter export
+ * - loadXml: a Green Button XML export
+ * and optionally targetOffsetPercent (default 100).
+ */
+router.post("/usage", async (req, res) => {
+  try {
+    const validation = validateSizingRequest(req.body);
+
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid sizing request",
+        errors: validation.errors,
+      });
+    }
+
+    const { analysisId } = req.body;
+    const session = await analysisStore.getSession(analysisId);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: "Analysis session not found",
+      });
+    }
+
+    const results = await analysisStore.getResults(analysisId);
+
+    if (!canSizeFromResults(results)) {
+      return res.status(409).json({
+        success: false,
+        message: "Analysis has no roof segmentation and annual flux layer",
+        status: session.status,
+      });
+    }
+
+    return res.json({
+      success: true,
+      data: {
+        analysisId,
+        ...sizeSystemForUsage(session, results, req.body),
+      },
+    });
+  } catch (error) {
+    console.error("Error sizing system from usage:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to size system from usage",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
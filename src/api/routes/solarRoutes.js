@@ -8,6 +8,10 @@ const dataLayers = require("../../data-layers");
 // Import the processor and visualizer directly
 const RoofSegmentProcessor = require("../../data-layers/layers/roof-segments/roof-segments-processor");
 const RoofSegmentVisualizer = require("../../data-layers/layers/roof-segments/roof-segments-visualizer");
+const {
+  getPanel,
+  validateEquipmentSelection,
+} = require("../../services/equipment/equipmentCatalog");
 
 // Create API client for the data layer manager
 const apiClient = {
@@ -23,7 +27,7 @@ const layerManager = dataLayers.createLayerManager(apiClient);
 // Endpoint to fetch solar insights from Google Solar API
 router.post("/buildingInsights", async (req, res) => {
   try {
-    const { center, buildingType, footprint, buildingId } = req.body;
+    const { center, buildingType, footprint, buildingId, panelId } = req.body;
 
     if (!center || !center.latitude || !center.longitude) {
       return res.status(400).json({
@@ -32,6 +36,15 @@ router.post("/buildingInsights", async (req, res) => {
       });
     }
 
+    const equipmentErrors = validateEquipmentSelection({ panelId });
+
+    if (equipmentErrors.length > 0) {
+      return res.status(400).json({
+        error: "Invalid equipment",
+        details: equipmentErrors.join("; "),
+      });
+    }
+
     console.log(
       `Processing solar request for ${buildingType} at ${center.latitude}, ${center.longitude}`
     );
@@ -73,7 +86,10 @@ router.post("/buildingInsights", async (req, res) => {
     // Step 3: Process roof segments (can be easily removed in the future)
     let roofSegmentsData = null;
     try {
-      roofSegmentsData = await processRoofSegments(buildingResponse.data);
+      roofSegmentsData = await processRoofSegments(
+        buildingResponse.data,
+        getPanel(panelId)
+      );
       console.log("Roof segments processed successfully");
     } catch (segmentError) {
       console.error("Error processing roof segments:", segmentError);
@@ -129,9 +145,10 @@ router.post("/buildingInsights", async (req, res) => {
  * This function is modular and can be easily removed in the future
  *
  * @param {Object} buildingInsightsData - Building insights data from Google Solar API
+ * @param {Object} panel - Catalog panel segments must fit
  * @returns {Object} Processed roof segments with visualizations
  */
-async function processRoofSegments(buildingInsightsData) {
+async function processRoofSegments(buildingInsightsData, panel) {
   // Create processor and visualizer instances directly
   const roofSegmentProcessor = new RoofSegmentProcessor();
   const roofSegmentVisualizer = new RoofSegmentVisualizer();
@@ -142,10 +159,7 @@ async function processRoofSegments(buildingInsightsData) {
   );
 
   // Filter out segments that are too small to hold at least one panel
-  const solarPotential = buildingInsightsData.solarPotential;
-  const panelWidth = solarPotential.panelWidthMeters || 1.045;
-  const panelHeight = solarPotential.panelHeightMeters || 1.879;
-  const minPanelArea = panelWidth * panelHeight;
+  const minPanelArea = panel.widthMeters * panel.heightMeters;
 
   // Add some margin for installation constraints
   const installationFactor = 1.1; // 10% extra space needed for mounting
@@ -0,0 +1,108 @@
+// src/api/routes/tariffRoutes.js
+const express = require("express");
+const router = express.Router();
+const {
+  getTariff,
+  listTariffs,
+  validateBillRequest,
+  computeBill,
+  estimateBillSavings,
+} = require("../../services/tariff/tariffEngine");
+
+/**
+ * GET /api/v1/tariffs
+ *
+ * Lists the configured utility tariffs
+ */
+router.get("/", (req, res) => {
+  try {
+    return res.json({
+      success: true,
+      data: listTariffs(),
+    });
+  } catch (error) {
+    console.error("Error loading tariffs:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to load tariffs",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/v1/tariffs/:tariffId
+ *
+ * Returns the full definition of a configured tariff
+ */
+router.get("/:tariffId", (req, res) => {
+  try {
+    const tariff = getTariff(req.params.tariffId);
+
+    if (!tariff) {
+      return res.status(404).json({
+        success: false,
+        message: "Tariff not found",
+      });
+    }
+
+    return res.json({
+      success: true,
+      data: tariff,
+    });
+  } catch (error) {
+    console.error("Error loading tariff:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to load tariff",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/v1/tariffs/bill
+ *
+ * Computes the monthly bills of a year. The body contains tariffId (or an
+ * inline tariff definition), load and optionally production; profiles are
+ * annual kWh, 12 monthly kWh values, 12 typical days of 24 hourly kWh
+ * values or 8760 hourly kWh values. With production the response also
+ * holds the bill without it and the savings.
+ */
+router.post("/bill", (req, res) => {
+  try {
+    const validation = validateBillRequest(req.body);
+
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid bill request",
+        errors: validation.errors,
+      });
+    }
+
+    const { tariffId, load, production } = req.body;
+    const tariff =
+      tariffId !== undefined ? getTariff(tariffId) : req.body.tariff;
+
+    return res.json({
+      success: true,
+      data: {
+        bill: computeBill(tariff, { load, production }),
+        savings:
+          production !== undefined
+            ? estimateBillSavings(tariff, { load, production })
+            : null,
+      },
+    });
+  } catch (error) {
+    console.error("Error computing bill:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to compute bill",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
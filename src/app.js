@@ -46,6 +46,40 @@ app.use("/api/v1/roof", roofSegmentRoutes);
 //For Comprehensive:
 const comprehensiveRoute = require("./api/routes/comprehensiveRoute");
 app.use("/api/v1/solar", comprehensiveRoute);
+// Batch comprehensive analysis for lists and CSV uploads of locations
+const batchAnalysisRoutes = require("./api/routes/batchAnalysisRoutes");
+app.use("/api/v1/solar", batchAnalysisRoutes);
+
+// Scan jobs for polling and webhook based integrations
+const scanRoutes = require("./api/routes/scanRoutes");
+app.use("/api/v1/scans", scanRoutes);
+// Itemized quotes priced from panel layouts
+const quoteRoutes = require("./api/routes/quoteRoutes");
+app.use("/api/v1/quotes", quoteRoutes);
+// Monthly and hourly production profiles of panel layouts
+const productionRoutes = require("./api/routes/productionRoutes");
+app.use("/api/v1/production", productionRoutes);
+// Payback, NPV and IRR of systems over their lifetime
+const financialRoutes = require("./api/routes/financialRoutes");
+app.use("/api/v1/financials", financialRoutes);
+// Panel and inverter catalog systems are designed with
+const equipmentRoutes = require("./api/routes/equipmentRoutes");
+app.use("/api/v1/equipment", equipmentRoutes);
+// String sizing and inverter matching of panel layouts
+const electricalRoutes = require("./api/routes/electricalRoutes");
+app.use("/api/v1/electrical", electricalRoutes);
+// Fire-code setback rule sets of panel layouts
+const setbackRoutes = require("./api/routes/setbackRoutes");
+app.use("/api/v1/setbacks", setbackRoutes);
+// Utility tariff definitions and bill calculation
+const tariffRoutes = require("./api/routes/tariffRoutes");
+app.use("/api/v1/tariffs", tariffRoutes);
+// Battery sizing and self-consumption simulation
+const batteryRoutes = require("./api/routes/batteryRoutes");
+app.use("/api/v1/battery", batteryRoutes);
+// System sizing from the customer's electricity usage
+const sizingRoutes = require("./api/routes/sizingRoutes");
+app.use("/api/v1/sizing", sizingRoutes);
 
 // For training endpoint:
 const trainingRoutes = require("./api/routes/trainingRoutes");
@@ -0,0 +1,342 @@
+/**
+ * Application configuration for the SolarScanner server
+ *
+ * Values can be overridden with environment variables so that each
+ * deployment can choose its own storage and integrations.
+ */
+
+const path = require("path");
+
+const config = {
+  /**
+   * Comprehensive analysis persistence settings
+   */
+  analysisStore: {
+    /**
+     * Storage driver used for analysis sessions and results
+     * Options: "file", "sqlite"
+     */
+    DRIVER: process.env.ANALYSIS_STORE_DRIVER || "file",
+
+    /**
+     * Directory used by the file driver (one sub-directory per analysis)
+     */
+    FILE_DIR:
+      process.env.ANALYSIS_STORE_DIR ||
+      path.join(__dirname, "../../storage/analyses"),
+
+    /**
+     * Database file used by the sqlite driver
+     */
+    SQLITE_PATH:
+      process.env.ANALYSIS_STORE_SQLITE_PATH ||
+      path.join(__dirname, "../../storage/analyses.sqlite"),
+  },
+
+  /**
+   * Batch comprehensive analysis settings
+   */
+  batchAnalysis: {
+    /**
+     * Number of analyses a batch runs at the same time unless the request
+     * asks for fewer
+     */
+    DEFAULT_CONCURRENCY:
+      parseInt(process.env.BATCH_ANALYSIS_CONCURRENCY, 10) || 2,
+
+    /**
+     * Upper limit for the concurrency a request may ask for
+     */
+    MAX_CONCURRENCY:
+      parseInt(process.env.BATCH_ANALYSIS_MAX_CONCURRENCY, 10) || 5,
+
+    /**
+     * Maximum number of locations in a single batch
+     */
+    MAX_ITEMS: parseInt(process.env.BATCH_ANALYSIS_MAX_ITEMS, 10) || 500,
+  },
+
+  /**
+   * Webhook callback settings for analyses and scan jobs
+   */
+  webhooks: {
+    /**
+     * Shared secret used to sign payloads (HMAC-SHA256). Callback URLs are
+     * rejected while it is not set.
+     */
+    SECRET: process.env.WEBHOOK_SECRET || null,
+
+    /**
+     * Delivery attempts per webhook, including the first one
+     */
+    MAX_ATTEMPTS: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5,
+
+    /**
+     * Delay before the first retry; doubled after every failed attempt
+     */
+    INITIAL_BACKOFF_MS:
+      parseInt(process.env.WEBHOOK_INITIAL_BACKOFF_MS, 10) || 5000,
+
+    /**
+     * Timeout of a single delivery attempt
+     */
+    TIMEOUT_MS: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000,
+
+    /**
+     * Comma-separated callback hosts; when set, callbacks may only go to
+     * these hosts, which may also resolve to private addresses. Unset
+     * allows any host that resolves to a public address.
+     */
+    ALLOWED_HOSTS: (process.env.WEBHOOK_ALLOWED_HOSTS || "")
+      .split(",")
+      .map((host) => host.trim().toLowerCase())
+      .filter(Boolean),
+  },
+
+  /**
+   * Quote generation settings
+   */
+  quotes: {
+    /**
+     * JSON price book used to price systems (costs, adders, inverter
+     * options and incentives)
+     */
+    PRICE_BOOK_PATH:
+      process.env.QUOTE_PRICE_BOOK_PATH ||
+      path.join(__dirname, "../data/price-book.json"),
+  },
+
+  /**
+   * Equipment catalog settings
+   */
+  equipment: {
+    /**
+     * JSON catalog of the panels and inverters systems are designed with
+     */
+    CATALOG_PATH:
+      process.env.EQUIPMENT_CATALOG_PATH ||
+      path.join(__dirname, "../data/equipment-catalog.json"),
+  },
+
+  /**
+   * Fire-code setback settings of panel layouts
+   */
+  setbacks: {
+    /**
+     * JSON rule sets of the roof edge setbacks and access pathways panels
+     * keep clear of
+     */
+    RULES_PATH:
+      process.env.SETBACK_RULES_PATH ||
+      path.join(__dirname, "../data/setback-rules.json"),
+
+    /**
+     * Rule set applied when an analysis picks none; unset places panels up
+     * to the roof edges
+     */
+    DEFAULT_RULE_SET: process.env.SETBACK_RULE_SET || null,
+  },
+
+  /**
+   * Racking of panels on flat roofs
+   */
+  racking: {
+    /**
+     * Roof segments up to this pitch in degrees get tilted racked rows
+     * instead of panels flush on the roof when an analysis asks for racking
+     */
+    FLAT_ROOF_MAX_PITCH: parseFloat(
+      process.env.RACKING_FLAT_ROOF_MAX_PITCH ?? "5"
+    ),
+
+    /**
+     * Tilt of racked panels in degrees
+     */
+    TILT_DEGREES: parseFloat(process.env.RACKING_TILT_DEGREES ?? "10"),
+
+    /**
+     * Hours around solar noon on the winter solstice during which rows must
+     * not shade each other
+     */
+    SHADING_FREE_HOURS: parseFloat(
+      process.env.RACKING_SHADING_FREE_HOURS ?? "4"
+    ),
+
+    /**
+     * Ballast per racked panel in kg; panels on the edges of an array carry
+     * EDGE_BALLAST_FACTOR times as much against wind uplift
+     */
+    BALLAST_KG_PER_PANEL: parseFloat(
+      process.env.RACKING_BALLAST_KG_PER_PANEL ?? "30"
+    ),
+
+    EDGE_BALLAST_FACTOR: parseFloat(
+      process.env.RACKING_EDGE_BALLAST_FACTOR ?? "1.5"
+    ),
+  },
+
+  /**
+   * Simulated annealing search of panel layouts (panelLayout
+   * layoutSearch "annealing")
+   */
+  layoutSearch: {
+    /**
+     * Seed of the search; the same seed and iterations give the same layout
+     */
+    SEED: parseInt(process.env.LAYOUT_SEARCH_SEED ?? "1", 10),
+
+    /**
+     * Wall-clock time the search of a whole roof may take in milliseconds,
+     * shared by its segments by area. The search runs synchronously and
+     * holds up every other request meanwhile, so analyses may ask for at
+     * most 5000.
+     */
+    TIME_BUDGET_MS: parseInt(
+      process.env.LAYOUT_SEARCH_TIME_BUDGET_MS ?? "1000",
+      10
+    ),
+
+    /**
+     * Layouts evaluated per segment
+     */
+    MAX_ITERATIONS: parseInt(
+      process.env.LAYOUT_SEARCH_MAX_ITERATIONS ?? "1500",
+      10
+    ),
+
+    /**
+     * Largest rotation of the panel grid against the image axes in degrees
+     */
+    MAX_ROTATION_DEGREES: parseFloat(
+      process.env.LAYOUT_SEARCH_MAX_ROTATION_DEGREES ?? "5"
+    ),
+  },
+
+  /**
+   * Default assumptions of electrical designs
+   */
+  electrical: {
+    /**
+     * Record low ambient temperature of the site in °C; sets the highest
+     * open-circuit string voltage
+     */
+    MIN_TEMPERATURE_C: parseFloat(
+      process.env.ELECTRICAL_MIN_TEMPERATURE_C ?? "-10"
+    ),
+
+    /**
+     * Average high ambient temperature of the site in °C; sets the lowest
+     * operating string voltage
+     */
+    MAX_TEMPERATURE_C: parseFloat(
+      process.env.ELECTRICAL_MAX_TEMPERATURE_C ?? "40"
+    ),
+
+    /**
+     * DC/AC ratio inverters are sized for
+     */
+    TARGET_DC_AC_RATIO: parseFloat(
+      process.env.ELECTRICAL_TARGET_DC_AC_RATIO ?? "1.2"
+    ),
+
+    /**
+     * DC/AC ratios outside this range are flagged
+     */
+    MIN_DC_AC_RATIO: parseFloat(
+      process.env.ELECTRICAL_MIN_DC_AC_RATIO ?? "0.8"
+    ),
+
+    MAX_DC_AC_RATIO: parseFloat(
+      process.env.ELECTRICAL_MAX_DC_AC_RATIO ?? "1.5"
+    ),
+  },
+
+  /**
+   * Utility tariff settings
+   */
+  tariffs: {
+    /**
+     * Directory with one JSON tariff definition per file
+     */
+    TARIFF_DIR:
+      process.env.TARIFF_DIR || path.join(__dirname, "../data/tariffs"),
+  },
+
+  /**
+   * Default assumptions of battery simulations
+   */
+  battery: {
+    /**
+     * Usable capacities in kWh compared when a request lists none
+     */
+    CANDIDATE_CAPACITIES_KWH: (
+      process.env.BATTERY_CANDIDATE_CAPACITIES_KWH || "5,10,13.5,20"
+    )
+      .split(",")
+      .map(Number),
+
+    /**
+     * Charge and discharge power per kWh of capacity
+     */
+    POWER_KW_PER_KWH: parseFloat(
+      process.env.BATTERY_POWER_KW_PER_KWH ?? "0.5"
+    ),
+
+    /**
+     * Share of the energy charged that is discharged again
+     */
+    ROUND_TRIP_EFFICIENCY: parseFloat(
+      process.env.BATTERY_ROUND_TRIP_EFFICIENCY ?? "0.9"
+    ),
+
+    /**
+     * Share of the capacity held back for outages
+     */
+    RESERVE_FRACTION: parseFloat(
+      process.env.BATTERY_RESERVE_FRACTION ?? "0.2"
+    ),
+  },
+
+  /**
+   * Default assumptions of financial models (rates are fractions per year)
+   */
+  financial: {
+    /**
+     * Flat retail electricity rate per kWh used when no tariff is given
+     */
+    ELECTRICITY_RATE: parseFloat(
+      process.env.FINANCIAL_ELECTRICITY_RATE ?? "0.15"
+    ),
+
+    /**
+     * Credit per kWh exported to the grid beyond what net metering offsets
+     */
+    EXPORT_RATE: parseFloat(process.env.FINANCIAL_EXPORT_RATE ?? "0.05"),
+
+    /**
+     * Yearly increase of electricity and export rates
+     */
+    ESCALATION_RATE: parseFloat(
+      process.env.FINANCIAL_ESCALATION_RATE ?? "0.03"
+    ),
+
+    /**
+     * Yearly loss of panel output
+     */
+    DEGRADATION_RATE: parseFloat(
+      process.env.FINANCIAL_DEGRADATION_RATE ?? "0.005"
+    ),
+
+    /**
+     * Rate future cash flows are discounted with for the NPV
+     */
+    DISCOUNT_RATE: parseFloat(process.env.FINANCIAL_DISCOUNT_RATE ?? "0.05"),
+
+    /**
+     * Years of cash flows in a financial model
+     */
+    ANALYSIS_YEARS: parseInt(process.env.FINANCIAL_ANALYSIS_YEARS, 10) || 25,
+  },
+};
+
+module.exports = config;
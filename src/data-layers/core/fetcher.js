@@ -81,6 +81,7 @@ class Fetcher {
    * @param {number} [options.initialDelay=this.retryDelay] - Initial delay between retries
    * @param {string} [options.responseType='arraybuffer'] - Response type
    * @param {number} [options.timeout=this.timeout] - Request timeout
+   * @param {AbortSignal} [options.signal] - Signal that aborts the request
    * @returns {Promise<Object>} - Response data
    * @throws {Error} if all retries fail
    */
@@ -150,6 +151,14 @@ class Fetcher {
         );
         console.error(`[Fetcher] Error details: ${error.message}`);
 
+        // An aborted request is never retried
+        if (options.signal?.aborted) {
+          console.log(
+            `[Fetcher] Request aborted: ${this.maskSensitiveUrl(url)}`
+          );
+          throw error;
+        }
+
         // Check if we should retry
         if (attempt > retries) {
           console.error(
@@ -38,6 +38,7 @@ class AnnualFluxFetcher extends Fetcher {
    * @param {number} [options.radius=50] - Radius around the location in meters
    * @param {string} [options.quality='LOW'] - Minimum quality level ('LOW', 'MEDIUM', 'HIGH')
    * @param {boolean} [options.fetchMask=true] - Whether to also fetch mask data for reference
+   * @param {AbortSignal} [options.signal] - Signal that aborts pending requests
    * @returns {Promise<Object>} - Raw annual flux data and related information
    * @throws {Error} if fetching fails
    */
@@ -54,6 +55,7 @@ class AnnualFluxFetcher extends Fetcher {
       const radius = options.radius || config.api.DEFAULT_RADIUS;
       const quality = options.quality || config.api.DEFAULT_QUALITY;
       const fetchMask = options.fetchMask !== false;
+      const signal = options.signal;
       const apiKey = this.apiClient.apiKey;
 
       if (!apiKey) {
@@ -73,7 +75,7 @@ class AnnualFluxFetcher extends Fetcher {
       try {
         response = await this.fetchWithRetry(
           `https://solar.googleapis.com/v1/dataLayers:get?${params}`,
-          { responseType: "json" }
+          { responseType: "json", signal }
         );
       } catch (error) {
         console.error(
@@ -100,7 +102,9 @@ class AnnualFluxFetcher extends Fetcher {
       // Download the annual flux data
       let fluxData;
       try {
-        fluxData = await this.downloadRawData(annualFluxUrl, apiKey);
+        fluxData = await this.downloadRawData(annualFluxUrl, apiKey, {
+          signal,
+        });
         console.log(
           `[AnnualFluxFetcher] Successfully downloaded annual flux data: ${fluxData.byteLength} bytes`
         );
@@ -118,7 +122,7 @@ class AnnualFluxFetcher extends Fetcher {
       if (fetchMask && maskUrl) {
         try {
           console.log("[AnnualFluxFetcher] Fetching associated mask data");
-          maskData = await this.downloadRawData(maskUrl, apiKey);
+          maskData = await this.downloadRawData(maskUrl, apiKey, { signal });
           console.log(
             `[AnnualFluxFetcher] Successfully downloaded mask data: ${maskData.byteLength} bytes`
           );
@@ -39,6 +39,7 @@ class DsmFetcher extends Fetcher {
    * @param {string} [options.quality='LOW'] - Minimum quality level ('LOW', 'MEDIUM', 'HIGH')
    * @param {boolean} [options.fetchMask=true] - Whether to also fetch mask data for reference
    * @param {string} [options.layerUrl] - Direct URL to the DSM data (optional, bypasses API call)
+   * @param {AbortSignal} [options.signal] - Signal that aborts pending requests
    * @returns {Promise<Object>} - Raw DSM data and related information
    * @throws {Error} if fetching fails
    */
@@ -55,6 +56,7 @@ class DsmFetcher extends Fetcher {
       const radius = options.radius || config.api.DEFAULT_RADIUS;
       const quality = options.quality || config.api.DEFAULT_QUALITY;
       const fetchMask = options.fetchMask !== false;
+      const signal = options.signal;
       const apiKey = this.apiClient.apiKey;
       let dsmUrl = options.layerUrl; // Use provided URL if available
       let maskUrl = options.maskUrl;
@@ -85,7 +87,8 @@ class DsmFetcher extends Fetcher {
         let response;
         try {
           response = await this.apiClient.get(
-            `https://solar.googleapis.com/v1/dataLayers:get?${params}`
+            `https://solar.googleapis.com/v1/dataLayers:get?${params}`,
+            { signal }
           );
 
           // Log response status and structure
@@ -149,6 +152,7 @@ class DsmFetcher extends Fetcher {
         // Use direct axios call
         const dsmResponse = await this.apiClient.get(fullDsmUrl, {
           responseType: "arraybuffer",
+          signal,
         });
 
         dsmData = dsmResponse.data;
@@ -182,6 +186,7 @@ class DsmFetcher extends Fetcher {
 
           const maskResponse = await this.apiClient.get(fullMaskUrl, {
             responseType: "arraybuffer",
+            signal,
           });
 
           maskData = maskResponse.data;
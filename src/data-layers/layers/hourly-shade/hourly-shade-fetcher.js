@@ -39,6 +39,7 @@ class HourlyShadesFetcher extends Fetcher {
    * @param {string} [options.quality='LOW'] - Minimum quality level ('LOW', 'MEDIUM', 'HIGH')
    * @param {boolean} [options.fetchMask=true] - Whether to also fetch mask data for reference
    * @param {number} [options.month=0] - Month index (0-11) to fetch, defaults to January
+   * @param {AbortSignal} [options.signal] - Signal that aborts pending requests
    * @returns {Promise<Object>} - Raw hourly shade data and related information
    * @throws {Error} if fetching fails
    */
@@ -55,6 +56,7 @@ class HourlyShadesFetcher extends Fetcher {
       const radius = options.radius || config.api.DEFAULT_RADIUS;
       const quality = options.quality || config.api.DEFAULT_QUALITY;
       const fetchMask = options.fetchMask !== false;
+      const signal = options.signal;
       const monthIndex = options.month !== undefined ? options.month : 0;
       const apiKey = this.apiClient.apiKey;
 
@@ -82,7 +84,8 @@ class HourlyShadesFetcher extends Fetcher {
       let response;
       try {
         response = await this.apiClient.get(
-          `https://solar.googleapis.com/v1/dataLayers:get?${params}`
+          `https://solar.googleapis.com/v1/dataLayers:get?${params}`,
+          { signal }
         );
 
         // Log response status and structure
@@ -145,6 +148,7 @@ class HourlyShadesFetcher extends Fetcher {
 
         const hourlyShadeResponse = await this.apiClient.get(fullUrl, {
           responseType: "arraybuffer",
+          signal,
         });
 
         hourlyShadeData = hourlyShadeResponse.data;
@@ -180,6 +184,7 @@ class HourlyShadesFetcher extends Fetcher {
 
           const maskResponse = await this.apiClient.get(fullMaskUrl, {
             responseType: "arraybuffer",
+            signal,
           });
 
           maskData = maskResponse.data;
@@ -37,6 +37,7 @@ class MaskFetcher extends Fetcher {
    * @param {Object} options - Fetch options
    * @param {number} [options.radius=50] - Radius around the location in meters
    * @param {string} [options.quality='LOW'] - Minimum quality level ('LOW', 'MEDIUM', 'HIGH')
+   * @param {AbortSignal} [options.signal] - Signal that aborts pending requests
    * @returns {Promise<Buffer>} - Raw mask data buffer
    * @throws {Error} if fetching fails
    */
@@ -52,6 +53,7 @@ class MaskFetcher extends Fetcher {
       // Set default options
       const radius = options.radius || config.api.DEFAULT_RADIUS;
       const quality = options.quality || config.api.DEFAULT_QUALITY;
+      const signal = options.signal;
       const apiKey = this.apiClient.apiKey;
 
       if (!apiKey) {
@@ -78,7 +80,7 @@ class MaskFetcher extends Fetcher {
       try {
         response = await this.fetchWithRetry(
           `https://solar.googleapis.com/v1/dataLayers:get?${params}`,
-          { responseType: "json" }
+          { responseType: "json", signal }
         );
       } catch (error) {
         console.error(
@@ -101,7 +103,9 @@ class MaskFetcher extends Fetcher {
 
       // Download the mask data
       try {
-        const maskData = await this.downloadRawData(maskUrl, apiKey);
+        const maskData = await this.downloadRawData(maskUrl, apiKey, {
+          signal,
+        });
 
         console.log(
           `[MaskFetcher] Successfully downloaded mask data: ${maskData.byteLength} bytes`
@@ -38,6 +38,7 @@ class MonthlyFluxFetcher extends Fetcher {
    * @param {number} [options.radius=50] - Radius around the location in meters
    * @param {string} [options.quality='LOW'] - Minimum quality level ('LOW', 'MEDIUM', 'HIGH')
    * @param {boolean} [options.fetchMask=true] - Whether to also fetch mask data for reference
+   * @param {AbortSignal} [options.signal] - Signal that aborts pending requests
    * @returns {Promise<Object>} - Raw monthly flux data and related information
    * @throws {Error} if fetching fails
    */
@@ -54,6 +55,7 @@ class MonthlyFluxFetcher extends Fetcher {
       const radius = options.radius || config.api.DEFAULT_RADIUS;
       const quality = options.quality || config.api.DEFAULT_QUALITY;
       const fetchMask = options.fetchMask !== false;
+      const signal = options.signal;
       const apiKey = this.apiClient.apiKey;
 
       if (!apiKey) {
@@ -80,7 +82,8 @@ class MonthlyFluxFetcher extends Fetcher {
       let response;
       try {
         response = await this.apiClient.get(
-          `https://solar.googleapis.com/v1/dataLayers:get?${params}`
+          `https://solar.googleapis.com/v1/dataLayers:get?${params}`,
+          { signal }
         );
 
         // Log response status and structure
@@ -140,6 +143,7 @@ class MonthlyFluxFetcher extends Fetcher {
         // Use direct axios call
         const fluxResponse = await this.apiClient.get(fluxUrl, {
           responseType: "arraybuffer",
+          signal,
         });
 
         monthlyFluxData = fluxResponse.data;
@@ -175,6 +179,7 @@ class MonthlyFluxFetcher extends Fetcher {
 
           const maskResponse = await this.apiClient.get(maskUrlWithKey, {
             responseType: "arraybuffer",
+            signal,
           });
 
           maskData = maskResponse.data;
@@ -38,6 +38,7 @@ class RgbFetcher extends Fetcher {
    * @param {number} [options.radius=50] - Radius around the location in meters
    * @param {string} [options.quality='LOW'] - Minimum quality level ('LOW', 'MEDIUM', 'HIGH')
    * @param {boolean} [options.fetchMask=true] - Whether to also fetch mask data for reference
+   * @param {AbortSignal} [options.signal] - Signal that aborts pending requests
    * @returns {Promise<Object>} - Raw RGB data and related information
    * @throws {Error} if fetching fails
    */
@@ -54,6 +55,7 @@ class RgbFetcher extends Fetcher {
       const radius = options.radius || config.api.DEFAULT_RADIUS;
       const quality = options.quality || config.api.DEFAULT_QUALITY;
       const fetchMask = options.fetchMask !== false;
+      const signal = options.signal;
       const apiKey = this.apiClient.apiKey;
 
       if (!apiKey) {
@@ -80,7 +82,8 @@ class RgbFetcher extends Fetcher {
       let response;
       try {
         response = await this.apiClient.get(
-          `https://solar.googleapis.com/v1/dataLayers:get?${params}`
+          `https://solar.googleapis.com/v1/dataLayers:get?${params}`,
+          { signal }
         );
 
         // Log response status and structure
@@ -134,6 +137,7 @@ class RgbFetcher extends Fetcher {
         // Use direct axios call
         const rgbResponse = await this.apiClient.get(fullRgbUrl, {
           responseType: "arraybuffer",
+          signal,
         });
 
         rgbData = rgbResponse.data;
@@ -167,6 +171,7 @@ class RgbFetcher extends Fetcher {
 
           const maskResponse = await this.apiClient.get(fullMaskUrl, {
             responseType: "arraybuffer",
+            signal,
           });
 
           maskData = maskResponse.data;
@@ -56,8 +56,10 @@ class LayerManager {
    * @param {string} layerType - The layer type (mask, monthlyFlux, etc.)
    * @param {Object} location - The location {latitude, longitude}
    * @param {Object} options - Processing options
+   * @param {AbortSignal} [options.signal] - Signal that cancels the operation;
+   *   it is passed to the fetcher and checked before each later stage
    * @returns {Promise<Object>} - The processed result with visualization
-   * @throws {Error} if processing fails
+   * @throws {Error} if processing fails or is aborted
    */
   async processLayer(layerType, location, options = {}) {
     const operationStart = Date.now();
@@ -114,7 +116,7 @@ class LayerManager {
           `[LayerManager] [${operationId}] Error fetching data: ${fetchError.message}`
         );
 
-        if (options.fallbackToSynthetic !== false) {
+        if (options.fallbackToSynthetic !== false && !options.signal?.aborted) {
           console.log(
             `[LayerManager] [${operationId}] Using synthetic visualization as fallback`
           );
@@ -132,6 +134,9 @@ class LayerManager {
         throw enhancedError;
       }
 
+      // Stop here if the caller gave up while the data was downloading
+      options.signal?.throwIfAborted();
+
       // Process the data
       console.log(`[LayerManager] [${operationId}] Processing data...`);
       const processStart = Date.now();
@@ -155,7 +160,7 @@ class LayerManager {
           `[LayerManager] [${operationId}] Error processing data: ${processError.message}`
         );
 
-        if (options.fallbackToSynthetic !== false) {
+        if (options.fallbackToSynthetic !== false && !options.signal?.aborted) {
           console.log(
             `[LayerManager] [${operationId}] Using synthetic visualization as fallback`
           );
@@ -173,6 +178,8 @@ class LayerManager {
         throw enhancedError;
       }
 
+      options.signal?.throwIfAborted();
+
       // Create visualization
       console.log(`[LayerManager] [${operationId}] Creating visualization...`);
       const visualizeStart = Date.now();
@@ -190,7 +197,7 @@ class LayerManager {
           `[LayerManager] [${operationId}] Error creating visualization: ${visualizeError.message}`
         );
 
-        if (options.fallbackToSynthetic !== false) {
+        if (options.fallbackToSynthetic !== false && !options.signal?.aborted) {
           console.log(
             `[LayerManager] [${operationId}] Using synthetic visualization as fallback`
           );
@@ -0,0 +1,191 @@
+/**
+ * Consolidated comprehensive analysis results
+ *
+ * Turns the stored processingResults of an analysis into the same pieces a
+ * client would otherwise reassemble from the buildingInsights, visualization,
+ * mlRoofSegments, electricalDesign, financials and battery SSE events.
+ */
+
+/**
+ * Build the JSON document describing an analysis and its results
+ * @param {Object} session - Stored analysis session
+ * @param {Object|null} processingResults - Stored processing results
+ * @param {Object} [options] - Formatting options
+ * @param {boolean} [options.includeImages=true] - Include base64 data URLs
+ * @returns {Object} - Analysis document
+ */
+function buildAnalysisDocument(session, processingResults, options = {}) {
+  return {
+    analysisId: session.id,
+    status: session.status,
+    location: session.location,
+    options: session.options || null,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+    completedAt: session.completedAt || null,
+    duration: session.duration ?? null,
+    error: session.error || null,
+    cancelReason: session.cancelReason || null,
+    steps: session.steps || null,
+    results: processingResults
+      ? formatProcessingResults(processingResults, options)
+      : null,
+  };
+}
+
+/**
+ * Format stored processing results for API consumers
+ * @param {Object} processingResults - Stored processing results
+ * @param {Object} [options] - Formatting options
+ * @param {boolean} [options.includeImages=true] - Include base64 data URLs
+ * @returns {Object} - Consolidated results
+ */
+function formatProcessingResults(processingResults, options = {}) {
+  const includeImages = options.includeImages !== false;
+  const {
+    buildingInsights,
+    dataLayersResponse,
+    rgbResult,
+    annualFluxResult,
+    combinedVisualizationResult,
+    roofSegmentsResult,
+    mlServerResult,
+    electricalDesignResult,
+    financialResult,
+    batteryResult,
+  } = processingResults;
+
+  const images = (dataUrls) => (includeImages ? dataUrls || null : undefined);
+  const mlSucceeded = !!mlServerResult && mlServerResult.success;
+
+  return {
+    buildingInsights: buildingInsights || null,
+    imagery: dataLayersResponse
+      ? {
+          imageryDate: dataLayersResponse.imageryDate,
+          imageryQuality: dataLayersResponse.imageryQuality,
+        }
+      : null,
+    layers: {
+      rgb: rgbResult
+        ? {
+            dataUrls: images(rgbResult.dataUrls),
+            bounds: rgbResult.bounds,
+            metadata: {
+              dimensions: rgbResult.metadata?.dimensions,
+              hasMask: rgbResult.metadata?.hasMask,
+              buildingBoundaries: rgbResult.metadata?.buildingBoundaries,
+            },
+          }
+        : null,
+      annualFlux: annualFluxResult
+        ? {
+            dataUrls: images(annualFluxResult.dataUrls),
+            bounds: annualFluxResult.bounds,
+            metadata: {
+              dimensions: annualFluxResult.metadata?.dimensions,
+              dataRange: annualFluxResult.metadata?.dataRange,
+            },
+            statistics: annualFluxResult.statistics || null,
+          }
+        : null,
+      combinedFluxDsm: combinedVisualizationResult
+        ? {
+            dataUrls: images(combinedVisualizationResult.dataUrls),
+            metadata: {
+              enhanced: combinedVisualizationResult.enhanced,
+              blendMode: combinedVisualizationResult.metadata?.blendMode,
+              dsmInfluence: combinedVisualizationResult.metadata?.dsmInfluence,
+              dimensions: combinedVisualizationResult.metadata?.dimensions,
+            },
+          }
+        : null,
+    },
+    roofSegments:
+      roofSegmentsResult && roofSegmentsResult.available
+        ? {
+            segments: roofSegmentsResult.data,
+            visualizations: includeImages
+              ? roofSegmentsResult.visualizations
+              : undefined,
+            metadata: roofSegmentsResult.metadata,
+            bounds: roofSegmentsResult.bounds,
+          }
+        : null,
+    segments: mlSucceeded ? mlServerResult.roof_segments || [] : [],
+    obstructions: mlSucceeded ? mlServerResult.obstructions || [] : [],
+    panelLayout: mlSucceeded ? mlServerResult.panel_layout || [] : [],
+    layoutMetadata: mlSucceeded ? mlServerResult.layout_metadata || {} : {},
+    mlVisualization: mlSucceeded ? images(mlServerResult.visualization) : undefined,
+    mlError: mlServerResult && !mlSucceeded ? mlServerResult.error : undefined,
+    electricalDesign: electricalDesignResult || null,
+    financials: financialResult || null,
+    battery: batteryResult || null,
+  };
+}
+
+/**
+ * Reduce an analysis to the headline figures used in batch reports
+ * @param {Object} session - Stored analysis session
+ * @param {Object|null} processingResults - Stored processing results
+ * @returns {Object} - {panelCount, potentialKw, annualKwh, viableRoofArea,
+ *   errors} where errors lists why the analysis or one of its steps failed
+ */
+function summarizeAnalysis(session, processingResults) {
+  const errors = [];
+
+  if (session.error) {
+    errors.push(session.error);
+  }
+
+  if (session.cancelReason) {
+    errors.push(session.cancelReason);
+  }
+
+  for (const [name, step] of Object.entries(session.steps || {})) {
+    if (step.status === "failed") {
+      errors.push(`${name}: ${step.error || "failed"}`);
+    }
+  }
+
+  const mlServerResult = processingResults?.mlServerResult;
+  const roofSegmentsResult = processingResults?.roofSegmentsResult;
+  const layoutMetadata = mlServerResult?.success
+    ? mlServerResult.layout_metadata || {}
+    : {};
+
+  if (mlServerResult && !mlServerResult.success && mlServerResult.error) {
+    errors.push(`ml: ${mlServerResult.error}`);
+  }
+
+  if (roofSegmentsResult && !roofSegmentsResult.available) {
+    errors.push(
+      `roofSegments: ${roofSegmentsResult.error || "No viable roof segments found"}`
+    );
+  }
+
+  if (layoutMetadata.error) {
+    errors.push(`panelLayout: ${layoutMetadata.error}`);
+  }
+
+  return {
+    panelCount: mlServerResult?.success
+      ? mlServerResult.panel_layout?.length ?? 0
+      : null,
+    potentialKw:
+      layoutMetadata.potentialKw !== undefined
+        ? parseFloat(layoutMetadata.potentialKw)
+        : null,
+    annualKwh: layoutMetadata.energy?.totalAnnualKwh ?? null,
+    viableRoofArea: roofSegmentsResult?.available
+      ? parseFloat(roofSegmentsResult.metadata.totalViableArea)
+      : null,
+    errors,
+  };
+}
+
+module.exports = {
+  buildAnalysisDocument,
+  formatProcessingResults,
+  summarizeAnalysis,
+};
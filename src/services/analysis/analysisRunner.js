@@ -0,0 +1,350 @@
+/**
+ * In-flight comprehensive analysis runs
+ *
+ * Each run numbers its events, keeps them in memory while it is active and
+ * fans them out to every connected SSE client. A client that reconnects with
+ * Last-Event-ID is attached to the existing run and only receives the events
+ * it missed, instead of starting the (billable) pipeline a second time.
+ *
+ * A run can be cancelled through its AbortSignal, either explicitly or when
+ * every client has been gone for longer than the reconnect grace period.
+ *
+ * While a session is running, its run refreshes the session's heartbeatAt.
+ * A running session whose heartbeat is older than STALE_RUN_TIMEOUT lost
+ * its server instance (e.g. to a restart) and is marked failed by
+ * recoverStaleSession when it is next looked at.
+ */
+
+const { sendAnalysisWebhook } = require("./analysisWebhooks");
+
+// How long a finished run stays in memory so late reconnects are served
+// from the buffer instead of the store
+const FINISHED_RUN_TTL = 60000; // 1 minute
+
+// How long a run without any connected client keeps going before it is
+// cancelled, leaving time for EventSource to reconnect
+const DISCONNECT_GRACE_PERIOD = 30000; // 30 seconds
+
+// How often a run refreshes the heartbeat of its running session
+const RUN_HEARTBEAT_INTERVAL = 10000; // 10 seconds
+
+// How long a running session may go without a heartbeat before its run is
+// considered lost
+const STALE_RUN_TIMEOUT = 60000; // 1 minute
+
+// Currently running (or recently finished) analyses in this process
+const activeRuns = new Map();
+
+/**
+ * Generate a simple unique ID for analyses and batches
+ * @returns {string} Unique ID
+ */
+function generateId() {
+  return (
+    Math.random().toString(36).substring(2, 15) +
+    Math.random().toString(36).substring(2, 15)
+  );
+}
+
+/**
+ * Write a numbered event to an SSE response
+ * @param {Object} res - Express response object
+ * @param {Object} record - Event record {id, event, data}
+ */
+function sendSSEEvent(res, record) {
+  if (res.writableEnded) return;
+
+  res.write(`id: ${record.id}\n`);
+  res.write(`event: ${record.event}\n`);
+  res.write(`data: ${JSON.stringify(record.data)}\n\n`);
+}
+
+/**
+ * A single execution of the comprehensive analysis pipeline
+ */
+class AnalysisRun {
+  /**
+   * Create a new AnalysisRun
+   * @param {string} analysisId - Analysis ID
+   * @param {Object} store - Analysis store used to persist events
+   * @param {Object} [options] - Run options
+   * @param {boolean} [options.cancelOnDisconnect=true] - Cancel the run once
+   *   the last client has been disconnected for the grace period
+   */
+  constructor(analysisId, store, options = {}) {
+    this.analysisId = analysisId;
+    this.store = store;
+    this.events = [];
+    this.lastEventId = 0;
+    this.subscribers = new Set();
+    this.finished = false;
+    this.promise = null;
+    this.cancelOnDisconnect = options.cancelOnDisconnect !== false;
+    this.disconnectTimer = null;
+    this.heartbeatTimer = null;
+    this.abortController = new AbortController();
+    this.signal = this.abortController.signal;
+  }
+
+  /**
+   * Emit an event to all connected clients and persist it
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   * @returns {Object} - The stored event record
+   */
+  publish(event, data) {
+    const record = {
+      id: ++this.lastEventId,
+      event,
+      data: {
+        timestamp: new Date().toISOString(),
+        ...data,
+      },
+    };
+
+    this.events.push(record);
+
+    for (const res of this.subscribers) {
+      sendSSEEvent(res, record);
+    }
+
+    // Store writes are queued per analysis, so events keep their order
+    this.store.appendEvent(this.analysisId, record).catch((error) => {
+      console.error(
+        `Failed to record "${event}" event for analysis ${this.analysisId}:`,
+        error
+      );
+    });
+
+    return record;
+  }
+
+  /**
+   * Get the progress reported by the most recent event
+   * @returns {number} - Progress in percent (0-100)
+   */
+  getProgress() {
+    const lastEvent = this.events[this.events.length - 1];
+    return lastEvent?.data.progress ?? 0;
+  }
+
+  /**
+   * Attach an SSE response, replaying the events it has not seen yet
+   * @param {Object} res - Express response object (SSE headers already sent)
+   * @param {number} [lastEventId=0] - Last event id received by the client
+   */
+  subscribe(res, lastEventId = 0) {
+    this.clearDisconnectTimer();
+
+    for (const record of this.events) {
+      if (record.id > lastEventId) {
+        sendSSEEvent(res, record);
+      }
+    }
+
+    if (this.finished) {
+      res.end();
+      return;
+    }
+
+    this.subscribers.add(res);
+  }
+
+  /**
+   * Detach an SSE response
+   * @param {Object} res - Express response object
+   */
+  unsubscribe(res) {
+    this.subscribers.delete(res);
+
+    if (
+      this.cancelOnDisconnect &&
+      !this.finished &&
+      this.subscribers.size === 0 &&
+      !this.disconnectTimer
+    ) {
+      this.disconnectTimer = setTimeout(() => {
+        this.disconnectTimer = null;
+
+        if (this.subscribers.size === 0) {
+          console.log(
+            `No clients reconnected to analysis ${this.analysisId}, cancelling`
+          );
+          this.cancel("All clients disconnected");
+        }
+      }, DISCONNECT_GRACE_PERIOD);
+      this.disconnectTimer.unref();
+    }
+  }
+
+  /**
+   * Abort the run. Pending requests fail fast and the pipeline stops at its
+   * next checkpoint.
+   * @param {string} [reason="Analysis cancelled"] - Why the run was cancelled
+   * @returns {boolean} - False if the run had already finished or was cancelled
+   */
+  cancel(reason = "Analysis cancelled") {
+    if (this.finished || this.signal.aborted) {
+      return false;
+    }
+
+    this.clearDisconnectTimer();
+
+    const error = new Error(reason);
+    error.name = "AbortError";
+    this.abortController.abort(error);
+
+    console.log(`Cancelled analysis run ${this.analysisId}: ${reason}`);
+    return true;
+  }
+
+  /**
+   * Stop a pending disconnect cancellation
+   * @private
+   */
+  clearDisconnectTimer() {
+    if (this.disconnectTimer) {
+      clearTimeout(this.disconnectTimer);
+      this.disconnectTimer = null;
+    }
+  }
+
+  /**
+   * Refresh the session heartbeat periodically while the session is running
+   */
+  startHeartbeat() {
+    this.heartbeatTimer = setInterval(() => {
+      this.store
+        .updateSessionIf(this.analysisId, "running", {
+          heartbeatAt: new Date(),
+        })
+        .catch((error) => {
+          console.error(
+            `Failed to record heartbeat of analysis ${this.analysisId}:`,
+            error
+          );
+        });
+    }, RUN_HEARTBEAT_INTERVAL);
+    this.heartbeatTimer.unref();
+  }
+
+  /**
+   * Mark the run as finished and close all attached responses
+   */
+  finish() {
+    this.finished = true;
+    this.clearDisconnectTimer();
+    clearInterval(this.heartbeatTimer);
+
+    for (const res of this.subscribers) {
+      res.end();
+    }
+    this.subscribers.clear();
+  }
+}
+
+/**
+ * Start a new run for an analysis session
+ * @param {Object} session - Analysis session
+ * @param {Object} store - Analysis store
+ * @param {Function} processFn - async (run, session) => void, runs the pipeline
+ * @param {Object} [options] - Run options, see AnalysisRun
+ * @returns {AnalysisRun} - The started run
+ */
+function startAnalysisRun(session, store, processFn, options = {}) {
+  if (activeRuns.has(session.id)) {
+    return activeRuns.get(session.id);
+  }
+
+  const run = new AnalysisRun(session.id, store, options);
+  activeRuns.set(session.id, run);
+  run.startHeartbeat();
+
+  run.promise = Promise.resolve()
+    .then(() => processFn(run, session))
+    .catch((error) => {
+      console.error(`Unhandled error in analysis run ${session.id}:`, error);
+    })
+    .finally(() => {
+      run.finish();
+
+      // Keep the buffer around briefly for clients that reconnect late
+      setTimeout(() => {
+        if (activeRuns.get(session.id) === run) {
+          activeRuns.delete(session.id);
+          console.log(`Cleaned up analysis run: ${session.id}`);
+        }
+      }, FINISHED_RUN_TTL).unref();
+    });
+
+  return run;
+}
+
+/**
+ * Get the in-process run of an analysis
+ * @param {string} analysisId - Analysis ID
+ * @returns {AnalysisRun|null} - Run or null if it is not running here
+ */
+function getAnalysisRun(analysisId) {
+  return activeRuns.get(analysisId) || null;
+}
+
+/**
+ * Mark a running session whose run was lost as failed, recording an error
+ * event and notifying its callback URL
+ * @param {Object} store - Analysis store
+ * @param {Object} session - Analysis session
+ * @returns {Promise<Object>} - The session, updated if it was stale
+ */
+async function recoverStaleSession(store, session) {
+  if (session.status !== "running" || activeRuns.has(session.id)) {
+    return session;
+  }
+
+  const heartbeatAt = new Date(session.heartbeatAt || session.updatedAt);
+
+  if (Date.now() - heartbeatAt.getTime() < STALE_RUN_TIMEOUT) {
+    return session;
+  }
+
+  const message = "Analysis was interrupted before it finished";
+  const recovered = await store.updateSessionIf(session.id, "running", {
+    status: "error",
+    error: message,
+    completedAt: new Date(),
+  });
+
+  // The run finished or another instance recovered the session meanwhile
+  if (!recovered) {
+    return (await store.getSession(session.id)) || session;
+  }
+
+  const events = await store.getEvents(session.id);
+
+  await store.appendEvent(session.id, {
+    id: events.length > 0 ? events[events.length - 1].id + 1 : 1,
+    event: "error",
+    data: {
+      timestamp: new Date().toISOString(),
+      message: "An error occurred during analysis",
+      error: message,
+    },
+  });
+
+  console.warn(
+    `Analysis ${session.id} stopped sending heartbeats, marked as failed`
+  );
+
+  sendAnalysisWebhook(store, session.id);
+
+  return recovered;
+}
+
+module.exports = {
+  AnalysisRun,
+  startAnalysisRun,
+  getAnalysisRun,
+  recoverStaleSession,
+  sendSSEEvent,
+  generateId,
+};
@@ -0,0 +1,179 @@
+/**
+ * Base AnalysisStore class for comprehensive analysis persistence
+ *
+ * Defines the interface shared by every storage driver. A store keeps three
+ * things per analysis: the session record (location, status, timestamps),
+ * the ordered list of emitted SSE events and the final processing results.
+ * Batches of analyses are stored as a single record listing their items.
+ */
+
+/**
+ * Abstract base class for all analysis stores
+ */
+class AnalysisStore {
+  /**
+   * Constructor for the store
+   * @throws {Error} when instantiated directly
+   */
+  constructor() {
+    if (this.constructor === AnalysisStore) {
+      const error = new Error(
+        "Cannot instantiate abstract AnalysisStore class directly"
+      );
+      console.error("[AnalysisStore] Instantiation error:", error.message);
+      throw error;
+    }
+
+    const abstractMethods = [
+      "createSession",
+      "getSession",
+      "updateSession",
+      "updateSessionIf",
+      "appendEvent",
+      "getEvents",
+      "saveResults",
+      "getResults",
+      "deleteSession",
+      "createBatch",
+      "getBatch",
+      "updateBatch",
+    ];
+
+    for (const method of abstractMethods) {
+      if (this[method] === AnalysisStore.prototype[method]) {
+        const error = new Error(`Subclasses must implement ${method}() method`);
+        console.error("[AnalysisStore] Implementation error:", error.message);
+        throw error;
+      }
+    }
+
+    console.log(`[AnalysisStore] Created ${this.constructor.name}`);
+  }
+
+  /**
+   * Persist a new analysis session
+   * @param {Object} session - Session record ({id, location, status, createdAt, ...})
+   * @returns {Promise<Object>} - The stored session
+   */
+  async createSession(session) {
+    throw new Error("Method not implemented: createSession()");
+  }
+
+  /**
+   * Load an analysis session
+   * @param {string} analysisId - Analysis ID
+   * @returns {Promise<Object|null>} - Session or null if not found
+   */
+  async getSession(analysisId) {
+    throw new Error("Method not implemented: getSession()");
+  }
+
+  /**
+   * Merge updates into an existing session
+   * @param {string} analysisId - Analysis ID
+   * @param {Object} updates - Fields to update (status, error, completedAt, ...)
+   * @returns {Promise<Object|null>} - Updated session or null if not found
+   */
+  async updateSession(analysisId, updates) {
+    throw new Error("Method not implemented: updateSession()");
+  }
+
+  /**
+   * Merge updates into a session only while it has the expected status,
+   * checking and writing in one step so concurrent callers (possibly in
+   * other server instances) cannot both succeed
+   * @param {string} analysisId - Analysis ID
+   * @param {string} expectedStatus - Status the session must have
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object|null>} - Updated session, or null if not found
+   *   or its status differs
+   */
+  async updateSessionIf(analysisId, expectedStatus, updates) {
+    throw new Error("Method not implemented: updateSessionIf()");
+  }
+
+  /**
+   * Append an emitted event to the session's event log
+   * @param {string} analysisId - Analysis ID
+   * @param {Object} record - Event record {id, event, data}; ids are the
+   *   increasing SSE event ids assigned by the analysis run
+   * @returns {Promise<void>}
+   */
+  async appendEvent(analysisId, record) {
+    throw new Error("Method not implemented: appendEvent()");
+  }
+
+  /**
+   * Get the events recorded for a session
+   * @param {string} analysisId - Analysis ID
+   * @param {number} [afterId=0] - Only return events with an id greater than this
+   * @returns {Promise<Array<Object>>} - Events in emission order
+   */
+  async getEvents(analysisId, afterId = 0) {
+    throw new Error("Method not implemented: getEvents()");
+  }
+
+  /**
+   * Store the processing results of a session, replacing any previous results
+   * @param {string} analysisId - Analysis ID
+   * @param {Object} results - Processing results
+   * @returns {Promise<void>}
+   */
+  async saveResults(analysisId, results) {
+    throw new Error("Method not implemented: saveResults()");
+  }
+
+  /**
+   * Load the processing results of a session
+   * @param {string} analysisId - Analysis ID
+   * @returns {Promise<Object|null>} - Results or null if none were saved
+   */
+  async getResults(analysisId) {
+    throw new Error("Method not implemented: getResults()");
+  }
+
+  /**
+   * Remove a session together with its events and results
+   * @param {string} analysisId - Analysis ID
+   * @returns {Promise<boolean>} - True if a session was removed
+   */
+  async deleteSession(analysisId) {
+    throw new Error("Method not implemented: deleteSession()");
+  }
+
+  /**
+   * Persist a new batch of analyses
+   * @param {Object} batch - Batch record ({id, status, items, createdAt, ...})
+   * @returns {Promise<Object>} - The stored batch
+   */
+  async createBatch(batch) {
+    throw new Error("Method not implemented: createBatch()");
+  }
+
+  /**
+   * Load a batch
+   * @param {string} batchId - Batch ID
+   * @returns {Promise<Object|null>} - Batch or null if not found
+   */
+  async getBatch(batchId) {
+    throw new Error("Method not implemented: getBatch()");
+  }
+
+  /**
+   * Merge updates into an existing batch
+   * @param {string} batchId - Batch ID
+   * @param {Object} updates - Fields to update (status, items, completedAt, ...)
+   * @returns {Promise<Object|null>} - Updated batch or null if not found
+   */
+  async updateBatch(batchId, updates) {
+    throw new Error("Method not implemented: updateBatch()");
+  }
+
+  /**
+   * Release any resources held by the store
+   * @returns {Promise<void>}
+   */
+  async close() {}
+}
+
+module.exports = AnalysisStore;
@@ -0,0 +1,78 @@
+/**
+ * Webhook callbacks for comprehensive analyses
+ *
+ * When a session carries a callbackUrl, its final status is POSTed there
+ * together with the headline figures of the results. Delivery attempts are
+ * stored on the session (webhookDeliveries) so they can be inspected later.
+ */
+
+const { deliverWebhook } = require("../webhooks/webhookService");
+const { summarizeAnalysis } = require("./analysisResults");
+
+// Webhook event sent for each final session status
+const ANALYSIS_WEBHOOK_EVENTS = {
+  completed: "analysis.completed",
+  error: "analysis.failed",
+  cancelled: "analysis.cancelled",
+};
+
+/**
+ * Notify the callback URL of a finished analysis, if it has one
+ * @param {Object} store - Analysis store
+ * @param {string} analysisId - Analysis ID
+ * @returns {Promise<Object|null>} - Final delivery record, or null if no
+ *   webhook was sent; never rejects
+ */
+async function sendAnalysisWebhook(store, analysisId) {
+  try {
+    const session = await store.getSession(analysisId);
+    const event = session && ANALYSIS_WEBHOOK_EVENTS[session.status];
+
+    if (!session?.callbackUrl || !event) {
+      return null;
+    }
+
+    const processingResults = await store.getResults(analysisId);
+    const { errors, ...summary } = summarizeAnalysis(
+      session,
+      processingResults
+    );
+    const previousDeliveries = session.webhookDeliveries || [];
+
+    return await deliverWebhook(
+      session.callbackUrl,
+      event,
+      {
+        analysisId,
+        status: session.status,
+        location: session.location,
+        batchId: session.batchId,
+        createdAt: session.createdAt,
+        completedAt: session.completedAt || null,
+        duration: session.duration ?? null,
+        error: session.error || null,
+        cancelReason: session.cancelReason || null,
+        steps: session.steps || null,
+        summary,
+        errors,
+      },
+      {
+        onUpdate: (delivery) =>
+          store.updateSession(analysisId, {
+            webhookDeliveries: [...previousDeliveries, delivery],
+          }),
+      }
+    );
+  } catch (error) {
+    console.error(
+      `Failed to send webhook for analysis ${analysisId}:`,
+      error
+    );
+    return null;
+  }
+}
+
+module.exports = {
+  sendAnalysisWebhook,
+  ANALYSIS_WEBHOOK_EVENTS,
+};
@@ -0,0 +1,506 @@
+/**
+ * Batch comprehensive analysis
+ *
+ * Runs the comprehensive analysis pipeline for a list of locations (given as
+ * coordinates or addresses) with a bounded number of analyses in flight.
+ * Each item becomes a regular analysis session, so its progress can also be
+ * followed through the comprehensive analysis endpoints. The batch record
+ * tracks per-item status and the headline figures of every finished item.
+ */
+
+const config = require("../../config/config");
+const { parseCsv } = require("../../utils/csv");
+const {
+  startAnalysisRun,
+  getAnalysisRun,
+  generateId,
+} = require("./analysisRunner");
+const { summarizeAnalysis } = require("./analysisResults");
+const {
+  processComprehensiveAnalysis,
+  validateAnalysisOptions,
+} = require("./comprehensiveAnalysis");
+const { geocodeAddress } = require("./solarApi");
+
+// Item statuses that will not change any more
+const SETTLED_ITEM_STATUSES = ["completed", "error", "cancelled"];
+
+// Columns of the downloadable batch summary, in order
+const BATCH_SUMMARY_COLUMNS = [
+  "row",
+  "label",
+  "address",
+  "latitude",
+  "longitude",
+  "status",
+  "analysisId",
+  "panelCount",
+  "potentialKw",
+  "annualKwh",
+  "viableRoofArea",
+  "errors",
+];
+
+// Accepted CSV header names for each location field
+const CSV_COLUMN_ALIASES = {
+  latitude: ["latitude", "lat"],
+  longitude: ["longitude", "lng", "lon", "long"],
+  address: ["address", "formatted_address"],
+  label: ["label", "name", "id", "reference"],
+};
+
+// Batches processed by this server instance
+const activeBatches = new Map();
+
+/**
+ * A single execution of a batch of comprehensive analyses
+ */
+class BatchRun {
+  /**
+   * Create a new BatchRun
+   * @param {Object} batch - Stored batch record
+   * @param {Object} store - Analysis store
+   */
+  constructor(batch, store) {
+    this.batch = batch;
+    this.store = store;
+    this.promise = null;
+  }
+
+  /**
+   * Process every pending item, keeping at most batch.concurrency analyses
+   * running at the same time
+   * @returns {Promise<void>}
+   */
+  async process() {
+    const batch = this.batch;
+    const queue = batch.items.filter((item) => item.status === "pending");
+
+    console.log(
+      `[BatchRun] Processing ${queue.length} items of batch ${batch.id} with concurrency ${batch.concurrency}`
+    );
+
+    batch.status = "running";
+    batch.startedAt = new Date();
+    await this.save();
+
+    const worker = async () => {
+      while (queue.length > 0) {
+        await this.processItem(queue.shift());
+      }
+    };
+
+    const workerCount = Math.min(batch.concurrency, queue.length);
+
+    try {
+      await Promise.all(Array.from({ length: workerCount }, worker));
+
+      batch.status = "completed";
+    } catch (error) {
+      console.error(`[BatchRun] Batch ${batch.id} failed:`, error);
+      batch.status = "error";
+      batch.error = error.message;
+    }
+
+    batch.completedAt = new Date();
+    await this.save();
+
+    console.log(`[BatchRun] Batch ${batch.id} finished`);
+  }
+
+  /**
+   * Geocode (if needed) and analyze a single item
+   * @param {Object} item - Batch item
+   * @returns {Promise<void>}
+   */
+  async processItem(item) {
+    item.startedAt = new Date();
+
+    try {
+      if (!item.location) {
+        item.status = "geocoding";
+        await this.save();
+
+        const { formattedAddress, ...location } = await geocodeAddress(
+          item.address
+        );
+        item.location = location;
+        item.formattedAddress = formattedAddress;
+      }
+
+      // Created as running, so a stream request cannot start it as well
+      const analysisId = generateId();
+      const session = await this.store.createSession({
+        id: analysisId,
+        location: item.location,
+        options: this.batch.options,
+        batchId: this.batch.id,
+        status: "running",
+        heartbeatAt: new Date(),
+        createdAt: new Date(),
+      });
+
+      item.analysisId = analysisId;
+      item.status = "running";
+      await this.save();
+
+      // Nobody is subscribed to the stream, so never cancel on disconnect
+      const run = startAnalysisRun(
+        session,
+        this.store,
+        processComprehensiveAnalysis,
+        { cancelOnDisconnect: false }
+      );
+
+      run.publish("start", {
+        message: "Analysis started",
+        location: session.location,
+        batchId: this.batch.id,
+      });
+
+      await run.promise;
+
+      const finished = await this.store.getSession(analysisId);
+      const results = await this.store.getResults(analysisId);
+      const { errors, ...summary } = summarizeAnalysis(finished, results);
+
+      item.status = finished.status;
+      item.summary = summary;
+      item.errors = errors;
+    } catch (error) {
+      console.error(
+        `[BatchRun] Item ${item.index} of batch ${this.batch.id} failed:`,
+        error
+      );
+      item.status = "error";
+      item.errors = [error.message];
+    }
+
+    item.completedAt = new Date();
+    await this.save();
+  }
+
+  /**
+   * Persist the current batch state
+   * @returns {Promise<void>}
+   */
+  async save() {
+    try {
+      await this.store.updateBatch(this.batch.id, {
+        status: this.batch.status,
+        items: this.batch.items,
+        startedAt: this.batch.startedAt,
+        completedAt: this.batch.completedAt,
+        error: this.batch.error,
+      });
+    } catch (error) {
+      console.error(
+        `[BatchRun] Failed to persist batch ${this.batch.id}:`,
+        error
+      );
+    }
+  }
+}
+
+/**
+ * Validate a batch request
+ * @param {Object} request - Request fields
+ * @param {Array<Object>} [request.locations] - Items with latitude and
+ *   longitude or an address, and an optional label
+ * @param {string} [request.csv] - CSV text with a header row; columns are
+ *   latitude/lat, longitude/lng, address and label/name
+ * @param {number|string} [request.concurrency] - Analyses to run at once
+ * @param {string} [request.preset] - Analysis preset for every item
+ * @param {Array<string>} [request.steps] - Analysis steps for every item
+ * @param {Object} [request.params] - Step parameters for every item
+ * @returns {Object} - {isValid, errors, items, concurrency, options}
+ */
+function validateBatchRequest(request = {}) {
+  const { locations, csv, preset, steps, params } = request;
+  const errors = [];
+  let items = [];
+
+  if (locations !== undefined && csv !== undefined) {
+    errors.push("Provide either locations or a CSV upload, not both");
+  } else if (typeof csv === "string") {
+    items = parseCsvItems(csv, errors);
+  } else if (Array.isArray(locations)) {
+    items = locations.map((entry, index) =>
+      parseLocationItem(entry, `locations[${index}]`, errors)
+    );
+  } else {
+    errors.push("A locations array or a CSV upload is required");
+  }
+
+  if (errors.length === 0 && items.length === 0) {
+    errors.push("The batch does not contain any locations");
+  }
+
+  if (items.length > config.batchAnalysis.MAX_ITEMS) {
+    errors.push(
+      `A batch may contain at most ${config.batchAnalysis.MAX_ITEMS} locations, got ${items.length}`
+    );
+  }
+
+  let concurrency = config.batchAnalysis.DEFAULT_CONCURRENCY;
+
+  if (request.concurrency !== undefined) {
+    concurrency = Number(request.concurrency);
+
+    if (
+      !Number.isInteger(concurrency) ||
+      concurrency < 1 ||
+      concurrency > config.batchAnalysis.MAX_CONCURRENCY
+    ) {
+      errors.push(
+        `concurrency must be an integer between 1 and ${config.batchAnalysis.MAX_CONCURRENCY}`
+      );
+    }
+  }
+
+  const optionsValidation = validateAnalysisOptions({ preset, steps, params });
+
+  if (!optionsValidation.isValid) {
+    errors.push(...optionsValidation.errors);
+  }
+
+  if (errors.length > 0) {
+    return { isValid: false, errors };
+  }
+
+  return {
+    isValid: true,
+    errors: [],
+    items: items.map((item, index) => ({
+      index,
+      ...item,
+      status: "pending",
+      analysisId: null,
+      summary: null,
+      errors: [],
+    })),
+    concurrency,
+    options: optionsValidation.options,
+  };
+}
+
+/**
+ * Parse batch items from CSV text
+ * @param {string} csv - CSV text with a header row
+ * @param {Array<string>} errors - Validation errors are appended here
+ * @returns {Array<Object>} - Parsed items
+ */
+function parseCsvItems(csv, errors) {
+  let records;
+
+  try {
+    records = parseCsv(csv);
+  } catch (error) {
+    errors.push(`Invalid CSV: ${error.message}`);
+    return [];
+  }
+
+  return records.map((record, index) => {
+    const entry = {};
+
+    for (const [field, aliases] of Object.entries(CSV_COLUMN_ALIASES)) {
+      const column = aliases.find((alias) => record[alias]);
+      if (column) entry[field] = record[column];
+    }
+
+    if (entry.latitude !== undefined) entry.latitude = Number(entry.latitude);
+    if (entry.longitude !== undefined) {
+      entry.longitude = Number(entry.longitude);
+    }
+
+    // Row 1 is the header
+    return parseLocationItem(entry, `row ${index + 2}`, errors);
+  });
+}
+
+/**
+ * Validate a single batch location
+ * @param {Object} entry - {latitude, longitude} or {address}, plus label
+ * @param {string} name - Name used in error messages
+ * @param {Array<string>} errors - Validation errors are appended here
+ * @returns {Object} - Item {label, address, location}
+ */
+function parseLocationItem(entry, name, errors) {
+  if (!entry || typeof entry !== "object") {
+    errors.push(`${name} must be an object`);
+    return {};
+  }
+
+  const item = {
+    label:
+      entry.label !== undefined && entry.label !== null
+        ? String(entry.label)
+        : null,
+    address: typeof entry.address === "string" ? entry.address.trim() : null,
+    location: null,
+  };
+
+  const hasLatitude = entry.latitude !== undefined && entry.latitude !== "";
+  const hasLongitude = entry.longitude !== undefined && entry.longitude !== "";
+
+  if (hasLatitude || hasLongitude) {
+    const { latitude, longitude } = entry;
+
+    if (
+      typeof latitude !== "number" ||
+      !Number.isFinite(latitude) ||
+      latitude < -90 ||
+      latitude > 90
+    ) {
+      errors.push(`${name}: latitude must be a number between -90 and 90`);
+    } else if (
+      typeof longitude !== "number" ||
+      !Number.isFinite(longitude) ||
+      longitude < -180 ||
+      longitude > 180
+    ) {
+      errors.push(`${name}: longitude must be a number between -180 and 180`);
+    } else {
+      item.location = { latitude, longitude };
+    }
+  } else if (!item.address) {
+    errors.push(`${name}: latitude and longitude or an address is required`);
+  }
+
+  return item;
+}
+
+/**
+ * Create a batch and start processing it in the background
+ * @param {Object} validation - Result of validateBatchRequest
+ * @param {Object} store - Analysis store
+ * @returns {Promise<Object>} - The stored batch
+ */
+async function startBatch(validation, store) {
+  const batch = await store.createBatch({
+    id: generateId(),
+    status: "pending",
+    concurrency: validation.concurrency,
+    options: validation.options,
+    items: validation.items,
+    createdAt: new Date(),
+  });
+
+  const run = new BatchRun(batch, store);
+  activeBatches.set(batch.id, run);
+
+  run.promise = run
+    .process()
+    .catch((error) => {
+      console.error(`Unhandled error in batch ${batch.id}:`, error);
+    })
+    .finally(() => {
+      activeBatches.delete(batch.id);
+    });
+
+  return batch;
+}
+
+/**
+ * Load a batch, preferring the live state of a batch processed here
+ * @param {string} batchId - Batch ID
+ * @param {Object} store - Analysis store
+ * @returns {Promise<Object|null>} - Batch or null if not found
+ */
+async function getBatch(batchId, store) {
+  const run = activeBatches.get(batchId);
+  return run ? run.batch : store.getBatch(batchId);
+}
+
+/**
+ * Build the JSON document describing a batch and the status of its items
+ * @param {Object} batch - Batch record
+ * @returns {Object} - Batch document with aggregate progress and counts
+ */
+function buildBatchDocument(batch) {
+  const counts = {};
+  let progressTotal = 0;
+
+  for (const item of batch.items) {
+    counts[item.status] = (counts[item.status] || 0) + 1;
+    progressTotal += getItemProgress(item);
+  }
+
+  return {
+    batchId: batch.id,
+    status: batch.status,
+    progress:
+      batch.items.length > 0
+        ? Math.round(progressTotal / batch.items.length)
+        : 100,
+    counts: {
+      total: batch.items.length,
+      ...counts,
+    },
+    concurrency: batch.concurrency,
+    options: batch.options,
+    createdAt: batch.createdAt,
+    startedAt: batch.startedAt || null,
+    completedAt: batch.completedAt || null,
+    error: batch.error || null,
+    items: batch.items.map((item) => ({
+      index: item.index,
+      label: item.label,
+      address: item.address,
+      formattedAddress: item.formattedAddress,
+      location: item.location,
+      status: item.status,
+      analysisId: item.analysisId,
+      progress: getItemProgress(item),
+      summary: item.summary,
+      errors: item.errors,
+    })),
+  };
+}
+
+/**
+ * Get the progress of a batch item
+ * @param {Object} item - Batch item
+ * @returns {number} - Progress in percent (0-100)
+ */
+function getItemProgress(item) {
+  if (SETTLED_ITEM_STATUSES.includes(item.status)) {
+    return 100;
+  }
+
+  const run = item.analysisId ? getAnalysisRun(item.analysisId) : null;
+  return run ? run.getProgress() : 0;
+}
+
+/**
+ * Build one summary row per batch item
+ * @param {Object} batch - Batch record
+ * @returns {Array<Object>} - Rows keyed by BATCH_SUMMARY_COLUMNS; errors is
+ *   an array of messages
+ */
+function buildBatchSummary(batch) {
+  return batch.items.map((item) => ({
+    row: item.index + 1,
+    label: item.label,
+    address: item.formattedAddress || item.address,
+    latitude: item.location?.latitude ?? null,
+    longitude: item.location?.longitude ?? null,
+    status: item.status,
+    analysisId: item.analysisId,
+    panelCount: item.summary?.panelCount ?? null,
+    potentialKw: item.summary?.potentialKw ?? null,
+    annualKwh: item.summary?.annualKwh ?? null,
+    viableRoofArea: item.summary?.viableRoofArea ?? null,
+    errors: item.errors,
+  }));
+}
+
+module.exports = {
+  validateBatchRequest,
+  startBatch,
+  getBatch,
+  buildBatchDocument,
+  buildBatchSummary,
+  BatchRun,
+  BATCH_SUMMARY_COLUMNS,
+};
@@ -0,0 +1,1260 @@
+/**
+ * Comprehensive solar analysis pipeline
+ *
+ * Declares the analysis as a set of steps (building insights, data layers,
+ * RGB, DSM, annual flux, combined visualization, roof segments, ML
+ * segmentation, obstructions, panel layout, electrical design,
+ * financials and battery storage) and runs them
+ * with the AnalysisPipeline, so the independent data layers are fetched in
+ * parallel.
+ */
+
+const { AnalysisPipeline } = require("./pipeline");
+const { fetchBuildingInsights, fetchDataLayers } = require("./solarApi");
+const {
+  processRgbLayer,
+  processAnnualFluxLayer,
+  processDsmLayer,
+  alignDsmToRgb,
+  createCombinedFluxDsmVisualization,
+  processRoofSegments,
+  DSM_BLEND_MODES,
+  DEFAULT_DSM_BLEND_MODE,
+  DEFAULT_DSM_INFLUENCE,
+} = require("./layerProcessing");
+const {
+  processMlServerRoofSegmentation,
+  processMlServerRoofSegmentationWithFlux,
+  processMlServerRoofSegmentationWithCombined,
+} = require("./mlSegmentation");
+const {
+  calculateRealWorldDimensions,
+  detectObstructions,
+} = require("./obstructionDetection");
+const { sendAnalysisWebhook } = require("./analysisWebhooks");
+const config = require("../../config/config");
+const {
+  runFinancialModel,
+  getFinancialInputFromResults,
+} = require("../financial/financialModel");
+const { getTariff, createFlatTariff } = require("../tariff/tariffEngine");
+const {
+  getHourlyProduction,
+  simulateBatteryOptions,
+} = require("../battery/batterySimulation");
+const { createSyntheticLoad } = require("../usage/loadProfile");
+const {
+  generateProductionProfile,
+} = require("../production/productionProfile");
+const {
+  getLayoutInputFromResults,
+} = require("../production/layoutSampling");
+const {
+  getPanel,
+  validateEquipmentSelection,
+  resolveEquipment,
+  getEnergyParameters,
+  describeEquipment,
+  INVERTER_TYPES,
+} = require("../equipment/equipmentCatalog");
+const {
+  validateDesignOptions,
+  designElectricalSystem,
+  getElectricalInputFromResults,
+} = require("../electrical/electricalDesign");
+const {
+  getRuleSet,
+  validateRuleSetSelection,
+} = require("../setbacks/setbackRules");
+const solarPanelAnalysis = require("../../utils/solarPanelAnalysis");
+const {
+  DEFAULT_ENERGY_PARAMETERS,
+  LAYOUT_OBJECTIVES,
+} = solarPanelAnalysis;
+
+// Imagery quality levels of the Google Solar API
+const IMAGERY_QUALITIES = ["LOW", "MEDIUM", "HIGH"];
+
+/**
+ * Step definitions of the comprehensive analysis
+ * @type {Array<Object>}
+ */
+const COMPREHENSIVE_ANALYSIS_STEPS = [
+  {
+    name: "buildingInsights",
+    output: "buildingInsights",
+    weight: 10,
+    optional: true,
+    message: "Fetching building insights...",
+    failureMessage:
+      "Building insights unavailable, continuing with data layers...",
+    params: {
+      quality: { type: "string", values: IMAGERY_QUALITIES, default: "HIGH" },
+    },
+    run: ({ location, signal, params }) =>
+      fetchBuildingInsights(location, { ...params.buildingInsights, signal }),
+    onComplete: (buildingInsights, { publish }) => {
+      publish("buildingInsights", { data: buildingInsights });
+    },
+  },
+  {
+    name: "dataLayers",
+    output: "dataLayersResponse",
+    weight: 5,
+    optional: true,
+    message: "Fetching data layers...",
+    failureMessage: "Data layers unavailable, continuing with roof segments...",
+    params: {
+      radius: { type: "number", min: 10, max: 175, default: 50 },
+      quality: { type: "string", values: IMAGERY_QUALITIES, default: "LOW" },
+    },
+    run: async ({ location, signal, params }) => {
+      const dataLayersResponse = await fetchDataLayers(location, {
+        ...params.dataLayers,
+        signal,
+      });
+
+      console.log("Data layers response received:", {
+        hasRgbUrl: !!dataLayersResponse.rgbUrl,
+        hasDsmUrl: !!dataLayersResponse.dsmUrl,
+        hasMaskUrl: !!dataLayersResponse.maskUrl,
+        hasAnnualFluxUrl: !!dataLayersResponse.annualFluxUrl,
+        imageryQuality: dataLayersResponse.imageryQuality,
+      });
+
+      return dataLayersResponse;
+    },
+  },
+  {
+    name: "rgb",
+    output: "rgbResult",
+    dependsOn: ["dataLayers"],
+    weight: 10,
+    optional: true,
+    message: "Processing RGB imagery...",
+    failureMessage: "RGB imagery processing failed, continuing with analysis...",
+    skip: ({ results }) =>
+      !results.dataLayersResponse.rgbUrl && "No RGB imagery available",
+    run: async ({ location, signal, params, results }) => {
+      const rgbResult = await processRgbLayer(
+        location,
+        results.dataLayersResponse,
+        { ...params.dataLayers, signal }
+      );
+
+      console.log(
+        "RGB processing complete. Dimensions:",
+        rgbResult.metadata?.dimensions?.width +
+          "x" +
+          rgbResult.metadata?.dimensions?.height
+      );
+
+      return rgbResult;
+    },
+    onComplete: (rgbResult, { publish, results }) => {
+      publish("visualization", {
+        type: "rgb",
+        dataUrls: rgbResult.dataUrls,
+        metadata: {
+          imageryDate: results.dataLayersResponse.imageryDate,
+          imageryQuality: results.dataLayersResponse.imageryQuality,
+          dimensions: rgbResult.metadata?.dimensions,
+          hasMask: rgbResult.metadata?.hasMask,
+          buildingBoundaries: rgbResult.metadata?.buildingBoundaries,
+        },
+        bounds: rgbResult.bounds,
+      });
+    },
+  },
+  {
+    name: "dsm",
+    output: "dsmResult",
+    dependsOn: ["dataLayers"],
+    weight: 10,
+    optional: true,
+    message: "Processing DSM data...",
+    failureMessage: "DSM data processing failed, continuing with analysis...",
+    skip: ({ results }) =>
+      !results.dataLayersResponse.dsmUrl && "No DSM data available",
+    run: async ({ location, signal, params, results }) => {
+      const dsmResult = await processDsmLayer(
+        location,
+        results.dataLayersResponse,
+        { ...params.dataLayers, signal }
+      );
+
+      console.log(
+        "DSM processing complete. Dimensions:",
+        dsmResult.metadata?.dimensions?.width +
+          "x" +
+          dsmResult.metadata?.dimensions?.height
+      );
+
+      return dsmResult;
+    },
+  },
+  {
+    // DSM and RGB are fetched in parallel, so the DSM is matched to the
+    // RGB dimensions once both are available
+    name: "dsmAlignment",
+    output: "dsmResult",
+    dependsOn: ["dsm", "rgb"],
+    weight: 1,
+    optional: true,
+    failureMessage: "DSM alignment failed, continuing with analysis...",
+    run: ({ results }) => alignDsmToRgb(results.dsmResult, results.rgbResult),
+  },
+  {
+    name: "annualFlux",
+    output: "annualFluxResult",
+    dependsOn: ["dataLayers"],
+    weight: 10,
+    optional: true,
+    message: "Processing annual solar flux data...",
+    failureMessage:
+      "Annual flux data processing failed, continuing with analysis...",
+    skip: ({ results }) =>
+      !results.dataLayersResponse.annualFluxUrl &&
+      "No annual flux data available",
+    run: async ({ location, signal, params, results }) => {
+      const annualFluxResult = await processAnnualFluxLayer(
+        location,
+        results.dataLayersResponse,
+        { ...params.dataLayers, signal }
+      );
+
+      console.log(
+        "Annual flux processing complete. Dimensions:",
+        annualFluxResult.metadata?.dimensions?.width +
+          "x" +
+          annualFluxResult.metadata?.dimensions?.height
+      );
+
+      return annualFluxResult;
+    },
+    onComplete: (annualFluxResult, { publish, results }) => {
+      publish("visualization", {
+        type: "annualFlux",
+        dataUrls: annualFluxResult.dataUrls,
+        metadata: {
+          imageryDate: results.dataLayersResponse.imageryDate,
+          imageryQuality: results.dataLayersResponse.imageryQuality,
+          dimensions: annualFluxResult.metadata?.dimensions,
+          dataRange: annualFluxResult.metadata?.dataRange,
+          statistics: annualFluxResult.statistics,
+        },
+        bounds: annualFluxResult.bounds,
+      });
+    },
+  },
+  {
+    name: "combinedVisualization",
+    output: "combinedVisualizationResult",
+    dependsOn: ["annualFlux", "dsm"],
+    after: ["dsmAlignment"],
+    weight: 5,
+    optional: true,
+    message: "Creating enhanced flux+DSM visualization for ML analysis...",
+    failureMessage:
+      "Combined visualization failed, will use individual data for analysis...",
+    params: {
+      blendMode: {
+        type: "string",
+        values: DSM_BLEND_MODES,
+        default: DEFAULT_DSM_BLEND_MODE,
+      },
+      dsmInfluence: {
+        type: "number",
+        min: 0,
+        max: 1,
+        default: DEFAULT_DSM_INFLUENCE,
+      },
+    },
+    run: ({ params, results }) =>
+      createCombinedFluxDsmVisualization(
+        results.annualFluxResult,
+        results.dsmResult,
+        params.combinedVisualization
+      ),
+    onComplete: (combinedResult, { publish }) => {
+      console.log("Combined flux+DSM visualization created successfully");
+
+      publish("visualization", {
+        type: "combinedFluxDsm",
+        dataUrls: combinedResult.dataUrls,
+        metadata: {
+          enhanced: combinedResult.enhanced,
+          blendMode: combinedResult.metadata?.blendMode,
+          dsmInfluence: combinedResult.metadata?.dsmInfluence,
+          dimensions: combinedResult.metadata?.dimensions,
+        },
+      });
+    },
+  },
+  {
+    name: "roofSegments",
+    output: "roofSegmentsResult",
+    dependsOn: ["buildingInsights"],
+    weight: 5,
+    optional: true,
+    message: "Processing roof segments...",
+    failureMessage:
+      "Roof segment processing failed, continuing with analysis...",
+    // Segments must fit the panel the layout is generated with
+    run: ({ params, results }) =>
+      processRoofSegments(
+        results.buildingInsights,
+        getPanel(params.panelLayout.panelId)
+      ),
+    onComplete: (roofSegmentsResult, { publish }) => {
+      if (roofSegmentsResult.available) {
+        publish("visualization", {
+          type: "roofSegments",
+          visualizations: roofSegmentsResult.visualizations,
+          segments: roofSegmentsResult.data,
+          metadata: roofSegmentsResult.metadata,
+          bounds: roofSegmentsResult.bounds,
+          available: true,
+        });
+      } else {
+        publish("progress", {
+          message:
+            "Roof segment processing failed: " +
+            (roofSegmentsResult.error || "No viable roof segments found"),
+          error: roofSegmentsResult.error,
+        });
+      }
+    },
+  },
+  {
+    name: "ml",
+    output: "mlServerResult",
+    dependsOn: ["buildingInsights"],
+    // Segments the best imagery that completed; selecting ml (or a step
+    // that needs it) runs the imagery steps too
+    includes: ["rgb", "combinedVisualization"],
+    after: ["annualFlux", "roofSegments"],
+    weight: 30,
+    optional: true,
+    message: "Processing advanced roof segmentation with ML...",
+    failureMessage: "ML roof segmentation failed, continuing with analysis...",
+    run: ({ signal, results }) => {
+      const roofSegments = results.roofSegmentsResult?.data;
+
+      // Priority order: Combined visualization > Annual Flux > RGB
+      if (results.combinedVisualizationResult) {
+        console.log("Using combined flux+DSM visualization for ML processing");
+        return processMlServerRoofSegmentationWithCombined(
+          results.combinedVisualizationResult,
+          results.buildingInsights,
+          roofSegments,
+          signal
+        );
+      }
+
+      if (results.annualFluxResult) {
+        console.log("Using annual flux data for ML processing (fallback)");
+        return processMlServerRoofSegmentationWithFlux(
+          results.annualFluxResult,
+          results.buildingInsights,
+          roofSegments,
+          signal
+        );
+      }
+
+      if (results.rgbResult) {
+        console.log("Using RGB data for ML processing (final fallback)");
+        return processMlServerRoofSegmentation(
+          results.rgbResult,
+          results.buildingInsights,
+          roofSegments,
+          signal
+        );
+      }
+
+      return null;
+    },
+  },
+  {
+    name: "obstructions",
+    dependsOn: ["ml"],
+    after: ["dsmAlignment"],
+    weight: 5,
+    optional: true,
+    message: "Detecting obstructions...",
+    failureMessage: "Obstruction detection failed, continuing with analysis...",
+    skip: ({ results }) =>
+      !results.mlServerResult?.success && "ML segmentation unavailable",
+    run: ({ results }) => {
+      const mlServerResult = results.mlServerResult;
+
+      // Generate obstructions using the DSM data
+      const obstructionResult = detectObstructions(
+        mlServerResult.roof_segments || [],
+        results.dsmResult,
+        getRealWorldDimensions(results),
+        results.roofSegmentsResult?.data || []
+      );
+
+      mlServerResult.obstructions = obstructionResult.obstructions;
+      console.log(
+        `Detected ${obstructionResult.obstructions.length} obstructions`
+      );
+
+      return obstructionResult;
+    },
+  },
+  {
+    name: "panelLayout",
+    dependsOn: ["ml"],
+    after: ["obstructions", "annualFlux"],
+    weight: 10,
+    optional: true,
+    message: "Generating panel layout...",
+    failureMessage:
+      "Panel layout generation failed, continuing with analysis...",
+    params: {
+      objective: {
+        type: "string",
+        values: Object.keys(LAYOUT_OBJECTIVES),
+        default: "maxPanels",
+      },
+      targetKw: { type: "number", min: 0.5, max: 1000, default: null },
+      targetKwh: { type: "number", min: 100, max: 2000000, default: null },
+      // Share of the sunniest position's flux panels must reach; null keeps
+      // every panel except for the maxKwhPerPanel objective
+      minYieldRatio: { type: "number", min: 0, max: 1, default: null },
+      // Equipment catalog ids; default the catalog defaults
+      panelId: { type: "string", default: null },
+      inverterId: { type: "string", default: null },
+      // Fire-code rule set of roof edge setbacks; null for none
+      setbackRuleSet: {
+        type: "string",
+        nullable: true,
+        default: config.setbacks.DEFAULT_RULE_SET,
+      },
+      // "racked" gives segments up to flatRoofMaxPitch tilted rows facing
+      // rackAzimuth (null faces the equator)
+      flatRoofMounting: {
+        type: "string",
+        values: ["racked", "flush"],
+        default: "flush",
+      },
+      flatRoofMaxPitch: {
+        type: "number",
+        min: 0,
+        max: 15,
+        default: config.racking.FLAT_ROOF_MAX_PITCH,
+      },
+      rackTiltDegrees: {
+        type: "number",
+        min: 0,
+        max: 45,
+        default: config.racking.TILT_DEGREES,
+      },
+      rackAzimuth: { type: "number", min: 0, max: 360, default: null },
+      // "annealing" also searches grid offsets, mixed row orientations and
+      // small rotations of flush layouts; the same seed and iterations give
+      // the same layout unless the time budget ends the search first
+      layoutSearch: {
+        type: "string",
+        values: ["strategies", "annealing"],
+        default: "strategies",
+      },
+      searchSeed: {
+        type: "number",
+        min: 0,
+        max: 4294967295,
+        default: config.layoutSearch.SEED,
+      },
+      // The search blocks the event loop, so its budget stays short
+      searchTimeBudgetMs: {
+        type: "number",
+        min: 100,
+        max: 5000,
+        default: config.layoutSearch.TIME_BUDGET_MS,
+      },
+      searchMaxIterations: {
+        type: "number",
+        min: 1,
+        max: 100000,
+        default: config.layoutSearch.MAX_ITERATIONS,
+      },
+      searchMaxRotationDegrees: {
+        type: "number",
+        min: 0,
+        max: 15,
+        default: config.layoutSearch.MAX_ROTATION_DEGREES,
+      },
+      // Energy parameters; null takes the value of the selected equipment
+      panelEfficiency: { type: "number", min: 0.05, max: 0.5, default: null },
+      systemLosses: {
+        type: "number",
+        min: 0,
+        max: 0.5,
+        default: DEFAULT_ENERGY_PARAMETERS.systemLosses,
+      },
+      inverterEfficiency: { type: "number", min: 0.5, max: 1, default: null },
+      temperatureCoefficient: {
+        type: "number",
+        min: -0.01,
+        max: 0,
+        default: null,
+      },
+    },
+    skip: ({ results }) =>
+      !results.mlServerResult?.success && "ML segmentation unavailable",
+    run: ({ location, params, results }) => {
+      const mlServerResult = results.mlServerResult;
+      const optimalLayoutResult = generatePanelLayout(
+        location,
+        params.panelLayout,
+        results
+      );
+
+      mlServerResult.panel_layout = optimalLayoutResult.panelLayout;
+      mlServerResult.layout_metadata = optimalLayoutResult.metadata;
+
+      console.log(
+        `Generated optimal panel layout with ${optimalLayoutResult.panelLayout.length} panels`
+      );
+
+      return optimalLayoutResult;
+    },
+  },
+  {
+    name: "electricalDesign",
+    output: "electricalDesignResult",
+    dependsOn: ["panelLayout"],
+    weight: 2,
+    optional: true,
+    message: "Designing strings and inverters...",
+    failureMessage: "Electrical design failed, continuing with analysis...",
+    params: {
+      // Type of inverter to propose a model of unless
+      // params.panelLayout.inverterId picks one
+      inverterType: {
+        type: "string",
+        values: INVERTER_TYPES,
+        default: "string",
+      },
+      minTemperatureC: {
+        type: "number",
+        min: -60,
+        max: 30,
+        default: config.electrical.MIN_TEMPERATURE_C,
+      },
+      maxTemperatureC: {
+        type: "number",
+        min: 0,
+        max: 60,
+        default: config.electrical.MAX_TEMPERATURE_C,
+      },
+      targetDcAcRatio: {
+        type: "number",
+        min: 0.5,
+        max: 2,
+        default: config.electrical.TARGET_DC_AC_RATIO,
+      },
+    },
+    skip: ({ results }) =>
+      !results.mlServerResult?.panel_layout?.length &&
+      "No panel layout to design",
+    run: ({ params, results }) => {
+      const { inverterType, ...designOptions } = params.electricalDesign;
+      const { inverterId } = params.panelLayout;
+      const input = getElectricalInputFromResults(results);
+
+      return designElectricalSystem(input.panels, {
+        panelId: input.panelId,
+        ...(inverterId !== null ? { inverterId } : { inverterType }),
+        ...designOptions,
+      });
+    },
+    onComplete: (electricalDesignResult, { publish }) => {
+      publish("electricalDesign", { data: electricalDesignResult });
+    },
+  },
+  {
+    name: "financials",
+    output: "financialResult",
+    dependsOn: ["panelLayout"],
+    weight: 2,
+    optional: true,
+    message: "Modeling system financials...",
+    failureMessage: "Financial model failed, continuing with analysis...",
+    params: {
+      tariffId: { type: "string", default: null },
+      electricityRate: {
+        type: "number",
+        min: 0,
+        max: 10,
+        default: config.financial.ELECTRICITY_RATE,
+      },
+      netMetering: { type: "boolean", default: true },
+      exportRate: {
+        type: "number",
+        min: 0,
+        max: 10,
+        default: config.financial.EXPORT_RATE,
+      },
+      escalationRate: {
+        type: "number",
+        min: -0.1,
+        max: 0.2,
+        default: config.financial.ESCALATION_RATE,
+      },
+      // null takes the degradation of the layout's panel
+      degradationRate: { type: "number", min: 0, max: 0.1, default: null },
+      discountRate: {
+        type: "number",
+        min: 0,
+        max: 0.5,
+        default: config.financial.DISCOUNT_RATE,
+      },
+    },
+    skip: ({ results }) =>
+      !results.mlServerResult?.layout_metadata?.energy &&
+      "No energy estimate for the panel layout",
+    run: ({ params, results }) => {
+      const {
+        tariffId,
+        electricityRate,
+        netMetering,
+        exportRate,
+        ...rates
+      } = params.financials;
+      const input = getFinancialInputFromResults(results);
+      const assumptions = {};
+
+      for (const [key, value] of Object.entries(rates)) {
+        if (value !== null) assumptions[key] = value;
+      }
+
+      // Priced with the configured price book; without a configured tariff
+      // at a flat rate
+      const financialResult = runFinancialModel({
+        ...input,
+        ...assumptions,
+        ...(tariffId !== null
+          ? { tariffId }
+          : {
+              tariff: createFlatTariff(electricityRate, {
+                netMetering,
+                exportRate,
+              }),
+            }),
+      });
+
+      console.log(
+        `Modeled financials: payback year ${financialResult.paybackYear}, NPV ${financialResult.npv}`
+      );
+
+      return financialResult;
+    },
+    onComplete: (financialResult, { publish }) => {
+      publish("financials", { data: financialResult });
+    },
+  },
+  {
+    name: "battery",
+    output: "batteryResult",
+    dependsOn: ["panelLayout"],
+    weight: 3,
+    optional: true,
+    message: "Simulating battery storage...",
+    failureMessage: "Battery simulation failed, continuing with analysis...",
+    params: {
+      // Yearly household consumption given a synthetic residential shape;
+      // the step is skipped without it
+      annualLoadKwh: { type: "number", min: 0, max: 1000000, default: null },
+      powerKwPerKwh: {
+        type: "number",
+        min: 0.1,
+        max: 2,
+        default: config.battery.POWER_KW_PER_KWH,
+      },
+      roundTripEfficiency: {
+        type: "number",
+        min: 0.5,
+        max: 1,
+        default: config.battery.ROUND_TRIP_EFFICIENCY,
+      },
+      reserveFraction: {
+        type: "number",
+        min: 0,
+        max: 0.9,
+        default: config.battery.RESERVE_FRACTION,
+      },
+    },
+    skip: ({ params, results }) =>
+      (params.battery.annualLoadKwh === null &&
+        "No household load (params.battery.annualLoadKwh)") ||
+      (!getLayoutInputFromResults(results)?.panels.length &&
+        "No panel layout on the annual flux grid"),
+    run: async ({ location, signal, params, results }) => {
+      const { annualLoadKwh, ...options } = params.battery;
+      const { tariffId, electricityRate, netMetering, exportRate } =
+        params.financials;
+
+      // Hourly production of the layout from the flux and shade layers
+      const profile = await generateProductionProfile(
+        location,
+        getLayoutInputFromResults(results),
+        { includeHourly: true, includeCharts: false, signal }
+      );
+
+      // Billed with the tariff of the financial model
+      const batteryResult = simulateBatteryOptions({
+        ...options,
+        production: getHourlyProduction(profile),
+        load: createSyntheticLoad(annualLoadKwh),
+        tariff:
+          tariffId !== null
+            ? getTariff(tariffId)
+            : createFlatTariff(electricityRate, { netMetering, exportRate }),
+      });
+
+      console.log(
+        `Simulated ${batteryResult.options.length} battery sizes for ${annualLoadKwh} kWh/year of load`
+      );
+
+      return batteryResult;
+    },
+    onComplete: (batteryResult, { publish }) => {
+      publish("battery", { data: batteryResult });
+    },
+  },
+];
+
+/**
+ * Named step selections for common requests; dependencies are added
+ * automatically
+ * @type {Object<string, Array<string>>}
+ */
+const ANALYSIS_PRESETS = {
+  full: COMPREHENSIVE_ANALYSIS_STEPS.map((step) => step.name),
+  insights: ["buildingInsights", "roofSegments"],
+  layers: ["rgb", "dsm", "dsmAlignment", "annualFlux", "combinedVisualization"],
+  layout: [
+    "dsm",
+    "annualFlux",
+    "combinedVisualization",
+    "roofSegments",
+    "obstructions",
+    "panelLayout",
+  ],
+};
+
+// Shared pipeline instance; step definitions are stateless
+const comprehensiveAnalysisPipeline = new AnalysisPipeline(
+  COMPREHENSIVE_ANALYSIS_STEPS
+);
+
+/**
+ * Validate the analysis options of a request
+ * @param {Object} [options] - Request options
+ * @param {string} [options.preset] - One of ANALYSIS_PRESETS
+ * @param {Array<string>} [options.steps] - Steps whose outputs are wanted
+ * @param {Object} [options.params] - Per-step parameters keyed by step name
+ * @returns {Object} - {isValid, errors, options} where options holds the
+ *   resolved {preset, steps, params} to store with the session
+ */
+function validateAnalysisOptions(options = {}) {
+  const { preset, steps, params } = options;
+
+  if (preset !== undefined && steps !== undefined) {
+    return {
+      isValid: false,
+      errors: ["Specify either preset or steps, not both"],
+    };
+  }
+
+  if (preset !== undefined && !ANALYSIS_PRESETS[preset]) {
+    return {
+      isValid: false,
+      errors: [
+        `preset must be one of: ${Object.keys(ANALYSIS_PRESETS).join(", ")}`,
+      ],
+    };
+  }
+
+  const resolved = comprehensiveAnalysisPipeline.resolveRequest({
+    steps: preset ? ANALYSIS_PRESETS[preset] : steps,
+    params,
+  });
+
+  if (!resolved.isValid) {
+    return { isValid: false, errors: resolved.errors };
+  }
+
+  // Parameters of steps that will not run are not checked against each
+  // other or the catalogs
+  const selected = new Set(resolved.steps);
+  const layoutParams = selected.has("panelLayout")
+    ? resolved.params.panelLayout
+    : null;
+
+  for (const target of ["targetKw", "targetKwh"]) {
+    if (layoutParams?.objective === target && layoutParams[target] === null) {
+      return {
+        isValid: false,
+        errors: [
+          `params.panelLayout.${target} is required when objective is ${target}`,
+        ],
+      };
+    }
+  }
+
+  const equipmentErrors = layoutParams
+    ? [
+        ...validateEquipmentSelection(layoutParams, "params.panelLayout."),
+        ...validateRuleSetSelection(
+          layoutParams.setbackRuleSet,
+          "params.panelLayout."
+        ),
+      ]
+    : [];
+
+  if (equipmentErrors.length > 0) {
+    return { isValid: false, errors: equipmentErrors };
+  }
+
+  if (selected.has("electricalDesign")) {
+    const { minTemperatureC, maxTemperatureC } =
+      resolved.params.electricalDesign;
+    const designErrors = validateDesignOptions(
+      { minTemperatureC, maxTemperatureC },
+      "params.electricalDesign."
+    );
+
+    if (designErrors.length > 0) {
+      return { isValid: false, errors: designErrors };
+    }
+  }
+
+  const tariffId = selected.has("financials")
+    ? resolved.params.financials.tariffId
+    : null;
+
+  if (tariffId && !getTariff(tariffId)) {
+    return {
+      isValid: false,
+      errors: [`params.financials.tariffId ${tariffId} is not a known tariff`],
+    };
+  }
+
+  return {
+    isValid: true,
+    errors: [],
+    options: {
+      preset: preset || (steps ? null : "full"),
+      steps: resolved.steps,
+      params: resolved.params,
+    },
+  };
+}
+
+/**
+ * Process comprehensive solar analysis
+ * @param {AnalysisRun} run - Run that numbers, buffers and fans out events
+ * @param {Object} session - Analysis session
+ */
+async function processComprehensiveAnalysis(run, session) {
+  const store = run.store;
+  const location = session.location;
+  const analysisId = session.id;
+  const startTime = Date.now();
+  const { signal } = run;
+  let progress = 0;
+
+  // Sessions created before step selection existed run the full pipeline
+  const options = session.options || validateAnalysisOptions().options;
+
+  // Steps that fail because the run was cancelled are not reported as
+  // failures; every event carries the current pipeline progress
+  const publish = (event, data) => {
+    if (!signal.aborted) run.publish(event, { progress, ...data });
+  };
+
+  // Store results to pass between steps
+  const processingResults = {
+    buildingInsights: null,
+    rgbResult: null,
+    dsmResult: null,
+    annualFluxResult: null,
+    combinedVisualizationResult: null,
+    roofSegmentsResult: null,
+    mlServerResult: null,
+    electricalDesignResult: null,
+    financialResult: null,
+    batteryResult: null,
+    dataLayersResponse: null,
+  };
+
+  try {
+    // Update session status
+    await store.updateSession(analysisId, {
+      status: "running",
+      heartbeatAt: new Date(),
+    });
+
+    const outcomes = await comprehensiveAnalysisPipeline.run(
+      {
+        analysisId,
+        location,
+        signal,
+        publish,
+        params: options.params,
+        results: processingResults,
+      },
+      {
+        signal,
+        skip: comprehensiveAnalysisPipeline
+          .getStepNames()
+          .filter((name) => !options.steps.includes(name)),
+        onProgress: (update) => {
+          progress = update.progress;
+          publishStepProgress(publish, update);
+        },
+      }
+    );
+
+    // Send ML server results (with obstructions and layout) to client
+    if (outcomes.ml?.status === "completed") {
+      publishMlResults(publish, processingResults);
+    }
+
+    // Completion
+    const completionTime = Date.now() - startTime;
+    const steps = summarizeOutcomes(outcomes);
+
+    // Persist results and update session status before announcing them, so
+    // clients that fetch the results on "complete" find them
+    await store.saveResults(analysisId, processingResults);
+    await store.updateSession(analysisId, {
+      status: "completed",
+      completedAt: new Date(),
+      duration: completionTime,
+      steps,
+    });
+
+    publish("complete", {
+      progress: 100,
+      message: "Analysis completed successfully",
+      duration: completionTime,
+      steps,
+    });
+
+    // Notify the callback URL in the background; retries can take minutes
+    sendAnalysisWebhook(store, analysisId);
+  } catch (error) {
+    if (signal.aborted) {
+      await finishCancelledAnalysis(run, processingResults, startTime);
+      return;
+    }
+
+    console.error(`Error processing analysis ${analysisId}:`, error);
+
+    // Persist partial results and update session status
+    try {
+      await store.saveResults(analysisId, processingResults);
+      await store.updateSession(analysisId, {
+        status: "error",
+        error: error.message,
+        completedAt: new Date(),
+      });
+    } catch (storeError) {
+      console.error(
+        `Failed to persist error state for analysis ${analysisId}:`,
+        storeError
+      );
+    }
+
+    // Send error event
+    publish("error", {
+      message: "An error occurred during analysis",
+      error: error.message,
+    });
+
+    sendAnalysisWebhook(store, analysisId);
+  }
+}
+
+/**
+ * Publish a progress event for a step state change
+ * @param {Function} publish - Event publisher
+ * @param {Object} update - Pipeline progress update
+ */
+function publishStepProgress(publish, update) {
+  const { step, status } = update;
+
+  if (status === "running" && step.message) {
+    publish("progress", {
+      step: step.name,
+      status,
+      message: step.message,
+    });
+  } else if (status === "failed") {
+    publish("progress", {
+      step: step.name,
+      status,
+      message: step.failureMessage || `Step '${step.name}' failed`,
+      error: update.error?.message,
+    });
+  } else if (status === "skipped") {
+    publish("progress", {
+      step: step.name,
+      status,
+      message: `Skipped step '${step.name}': ${update.reason}`,
+    });
+  }
+}
+
+/**
+ * Publish the ML roof segmentation result once obstruction detection and
+ * panel layout have been added to it
+ * @param {Function} publish - Event publisher
+ * @param {Object} processingResults - Processing results
+ */
+function publishMlResults(publish, processingResults) {
+  const mlServerResult = processingResults.mlServerResult;
+
+  if (!mlServerResult || !mlServerResult.success) {
+    publish("progress", {
+      message: "ML roof segmentation completed with issues.",
+      error: mlServerResult?.error || "Unknown ML processing error",
+    });
+    return;
+  }
+
+  console.log(
+    `Found ${mlServerResult.obstructions?.length || 0} obstructions in ML result`
+  );
+
+  publish("visualization", {
+    type: "mlRoofSegments",
+    segments: mlServerResult.roof_segments || [],
+    obstructions: mlServerResult.obstructions || [],
+    panelLayout: mlServerResult.panel_layout || [],
+    dataUrl: mlServerResult.visualization,
+    metadata: {
+      segmentCount: mlServerResult.roof_segments?.length || 0,
+      obstructionCount: mlServerResult.obstructions?.length || 0,
+      panelCount: mlServerResult.panel_layout?.length || 0,
+      layoutMetadata: mlServerResult.layout_metadata || {},
+      processingTime: mlServerResult.processing_time,
+      usingCombinedData: !!processingResults.combinedVisualizationResult,
+      usingFluxData:
+        !!processingResults.annualFluxResult &&
+        !processingResults.combinedVisualizationResult,
+      usingRgbData:
+        !!processingResults.rgbResult &&
+        !processingResults.annualFluxResult &&
+        !processingResults.combinedVisualizationResult,
+    },
+  });
+}
+
+/**
+ * Reduce step outcomes to a JSON-friendly summary
+ * @param {Object} outcomes - Step outcomes from the pipeline
+ * @returns {Object} - {stepName: {status, duration, reason, error}}
+ */
+function summarizeOutcomes(outcomes) {
+  const summary = {};
+
+  for (const [name, outcome] of Object.entries(outcomes)) {
+    summary[name] = {
+      status: outcome.status,
+      duration: outcome.duration,
+      reason: outcome.reason,
+      error: outcome.error?.message,
+    };
+  }
+
+  return summary;
+}
+
+/**
+ * Calculate the real-world dimensions of the image the ML server segmented
+ * @param {Object} results - Processing results
+ * @returns {Object} - Real-world dimensions
+ */
+function getRealWorldDimensions(results) {
+  return calculateRealWorldDimensions(
+    results.combinedVisualizationResult ||
+      results.annualFluxResult ||
+      results.rgbResult,
+    results.buildingInsights
+  );
+}
+
+/**
+ * Generate the panel layout of an analysis, with the energy of each panel
+ * when the annual flux raster is available
+ * @param {Object} location - {latitude, longitude}
+ * @param {Object} layoutParams - Resolved params.panelLayout
+ * @param {Object} results - Processing results with a successful ML
+ *   segmentation
+ * @returns {Object} - Result of generateOptimalPanelLayout whose metadata
+ *   also holds the energy estimate, equipment and imageDimensions
+ */
+function generatePanelLayout(location, layoutParams, results) {
+  const dimensions = getRealWorldDimensions(results);
+  const fluxData = results.annualFluxResult?.raster
+    ? results.annualFluxResult
+    : null;
+  const {
+    objective,
+    targetKw,
+    targetKwh,
+    minYieldRatio,
+    panelId,
+    inverterId,
+    setbackRuleSet,
+    flatRoofMounting,
+    flatRoofMaxPitch,
+    rackTiltDegrees,
+    rackAzimuth,
+    layoutSearch,
+    searchSeed,
+    searchTimeBudgetMs,
+    searchMaxIterations,
+    searchMaxRotationDegrees,
+    ...parameterOverrides
+  } = layoutParams;
+  const equipment = resolveEquipment({ panelId, inverterId });
+  const energyParameters = getEnergyParameters(equipment);
+
+  for (const [key, value] of Object.entries(parameterOverrides)) {
+    if (value !== null) energyParameters[key] = value;
+  }
+
+  // Generate optimal panel layout, scoring positions by flux if we can
+  const optimalLayoutResult = solarPanelAnalysis.generateOptimalPanelLayout(
+    results.mlServerResult.roof_segments || [],
+    results.mlServerResult.obstructions || [],
+    dimensions,
+    results.dsmResult,
+    {
+      objective,
+      targetKw,
+      targetKwh,
+      fluxData,
+      minYieldRatio,
+      energyParameters,
+      panel: equipment.panel,
+      setbackRules: setbackRuleSet ? getRuleSet(setbackRuleSet) : null,
+      racking:
+        flatRoofMounting === "racked"
+          ? {
+              latitude: location.latitude,
+              tiltDegrees: rackTiltDegrees,
+              azimuth: rackAzimuth,
+              maxRoofPitch: flatRoofMaxPitch,
+              shadingFreeHours: config.racking.SHADING_FREE_HOURS,
+              ballastKgPerPanel: config.racking.BALLAST_KG_PER_PANEL,
+              edgeBallastFactor: config.racking.EDGE_BALLAST_FACTOR,
+            }
+          : null,
+      layoutSearch:
+        layoutSearch === "annealing"
+          ? {
+              seed: Math.floor(searchSeed),
+              maxIterations: Math.floor(searchMaxIterations),
+              timeBudgetMs: searchTimeBudgetMs,
+              maxRotationDegrees: searchMaxRotationDegrees,
+            }
+          : null,
+    }
+  );
+
+  // Estimate the energy of each panel from the annual flux raster
+  if (optimalLayoutResult.panelLayout.length > 0 && fluxData) {
+    const energy = solarPanelAnalysis.estimatePanelEnergy(
+      optimalLayoutResult.panelLayout,
+      fluxData,
+      dimensions,
+      energyParameters,
+      equipment.panel.widthMeters * equipment.panel.heightMeters
+    );
+
+    optimalLayoutResult.panelLayout.forEach((panel, index) => {
+      panel.annualFlux = energy.panels[index].annualFlux; // kWh/m²/year
+      panel.annualKwh = energy.panels[index].annualKwh;
+    });
+
+    optimalLayoutResult.metadata.energy = {
+      totalAnnualKwh: energy.totalAnnualKwh,
+      averagePanelKwh: energy.averagePanelKwh,
+      specificYield: energy.specificYield,
+      unsampledPanels: energy.unsampledPanels,
+      parameters: energy.parameters,
+    };
+
+    console.log(
+      `Estimated ${energy.totalAnnualKwh} kWh/year for the panel layout`
+    );
+  }
+
+  optimalLayoutResult.metadata.equipment = describeEquipment(equipment);
+
+  // Panel pixel coordinates are relative to this image
+  optimalLayoutResult.metadata.imageDimensions = {
+    width: dimensions.pixelWidth,
+    height: dimensions.pixelHeight,
+  };
+
+  return optimalLayoutResult;
+}
+
+/**
+ * Report a cancelled analysis and persist what was processed so far
+ * @param {AnalysisRun} run - Cancelled run
+ * @param {Object} processingResults - Partial processing results
+ * @param {number} startTime - Time the analysis started (ms)
+ */
+async function finishCancelledAnalysis(run, processingResults, startTime) {
+  const analysisId = run.analysisId;
+  const reason = run.signal.reason?.message || "Analysis cancelled";
+  const duration = Date.now() - startTime;
+
+  console.log(
+    `Analysis ${analysisId} cancelled after ${duration}ms: ${reason}`
+  );
+
+  try {
+    await run.store.saveResults(analysisId, processingResults);
+    await run.store.updateSession(analysisId, {
+      status: "cancelled",
+      cancelReason: reason,
+      completedAt: new Date(),
+      duration,
+    });
+  } catch (storeError) {
+    console.error(
+      `Failed to persist cancelled state for analysis ${analysisId}:`,
+      storeError
+    );
+  }
+
+  run.publish("cancelled", {
+    status: "cancelled",
+    message: reason,
+    duration,
+  });
+
+  sendAnalysisWebhook(run.store, analysisId);
+}
+
+module.exports = {
+  processComprehensiveAnalysis,
+  validateAnalysisOptions,
+  summarizeOutcomes,
+  generatePanelLayout,
+  getRealWorldDimensions,
+  comprehensiveAnalysisPipeline,
+  COMPREHENSIVE_ANALYSIS_STEPS,
+  ANALYSIS_PRESETS,
+};
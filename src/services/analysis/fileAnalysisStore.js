@@ -0,0 +1,327 @@
+/**
+ * File-backed analysis store
+ *
+ * Layout on disk (one directory per analysis):
+ *   <baseDir>/<analysisId>/session.json
+ *   <baseDir>/<analysisId>/events.jsonl
+ *   <baseDir>/<analysisId>/results.json
+ *   <baseDir>/_batches/<batchId>.json
+ */
+
+const fs = require("fs");
+const path = require("path");
+const AnalysisStore = require("./analysisStore");
+const { serialize, deserialize } = require("./serialization");
+
+// Analysis IDs are generated server-side; anything else is rejected so that
+// user-supplied IDs can never escape the base directory
+const VALID_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Generated IDs never contain an underscore, so this cannot clash with an
+// analysis directory
+const BATCH_DIR_NAME = "_batches";
+
+/**
+ * Analysis store that keeps everything as JSON files on local disk
+ * @extends AnalysisStore
+ */
+class FileAnalysisStore extends AnalysisStore {
+  /**
+   * Create a new FileAnalysisStore
+   * @param {Object} options - Store options
+   * @param {string} options.baseDir - Directory that holds the analyses
+   */
+  constructor(options = {}) {
+    super();
+
+    if (!options.baseDir) {
+      throw new Error("baseDir is required for FileAnalysisStore");
+    }
+
+    this.baseDir = options.baseDir;
+    this.locks = new Map();
+
+    fs.mkdirSync(this.baseDir, { recursive: true });
+    console.log(`[FileAnalysisStore] Using directory: ${this.baseDir}`);
+  }
+
+  async createSession(session) {
+    const dir = this.getSessionDir(session.id);
+
+    if (!dir) {
+      throw new Error(`Invalid analysis ID: ${session.id}`);
+    }
+
+    return this.withLock(session.id, async () => {
+      await fs.promises.mkdir(dir, { recursive: true });
+
+      const stored = {
+        ...session,
+        updatedAt: new Date().toISOString(),
+      };
+
+      await this.writeJson(path.join(dir, "session.json"), stored);
+
+      return deserialize(serialize(stored));
+    });
+  }
+
+  async getSession(analysisId) {
+    const dir = this.getSessionDir(analysisId);
+    if (!dir) return null;
+
+    return this.readJson(path.join(dir, "session.json"));
+  }
+
+  async updateSession(analysisId, updates) {
+    const dir = this.getSessionDir(analysisId);
+    if (!dir) return null;
+
+    return this.withLock(analysisId, async () => {
+      const sessionPath = path.join(dir, "session.json");
+      const session = await this.readJson(sessionPath);
+
+      if (!session) return null;
+
+      const updated = {
+        ...session,
+        ...updates,
+        updatedAt: new Date().toISOString(),
+      };
+
+      await this.writeJson(sessionPath, updated);
+      return deserialize(serialize(updated));
+    });
+  }
+
+  // Atomic within this process; the file driver serves a single instance
+  async updateSessionIf(analysisId, expectedStatus, updates) {
+    const dir = this.getSessionDir(analysisId);
+    if (!dir) return null;
+
+    return this.withLock(analysisId, async () => {
+      const sessionPath = path.join(dir, "session.json");
+      const session = await this.readJson(sessionPath);
+
+      if (!session || session.status !== expectedStatus) return null;
+
+      const updated = {
+        ...session,
+        ...updates,
+        updatedAt: new Date().toISOString(),
+      };
+
+      await this.writeJson(sessionPath, updated);
+      return deserialize(serialize(updated));
+    });
+  }
+
+  async appendEvent(analysisId, record) {
+    const dir = this.getSessionDir(analysisId);
+
+    if (!dir) {
+      throw new Error(`Invalid analysis ID: ${analysisId}`);
+    }
+
+    return this.withLock(analysisId, async () => {
+      await fs.promises.appendFile(
+        path.join(dir, "events.jsonl"),
+        `${serialize(record)}\n`
+      );
+    });
+  }
+
+  async getEvents(analysisId, afterId = 0) {
+    const dir = this.getSessionDir(analysisId);
+    if (!dir) return [];
+
+    const events = await this.readEvents(path.join(dir, "events.jsonl"));
+    return events.filter((record) => record.id > afterId);
+  }
+
+  async saveResults(analysisId, results) {
+    const dir = this.getSessionDir(analysisId);
+
+    if (!dir) {
+      throw new Error(`Invalid analysis ID: ${analysisId}`);
+    }
+
+    return this.withLock(analysisId, async () => {
+      await this.writeJson(path.join(dir, "results.json"), results, {
+        omitIntermediate: true,
+      });
+    });
+  }
+
+  async getResults(analysisId) {
+    const dir = this.getSessionDir(analysisId);
+    if (!dir) return null;
+
+    return this.readJson(path.join(dir, "results.json"));
+  }
+
+  async deleteSession(analysisId) {
+    const dir = this.getSessionDir(analysisId);
+    if (!dir) return false;
+
+    return this.withLock(analysisId, async () => {
+      if (!fs.existsSync(dir)) return false;
+
+      await fs.promises.rm(dir, { recursive: true, force: true });
+      return true;
+    });
+  }
+
+  async createBatch(batch) {
+    const batchPath = this.getBatchPath(batch.id);
+
+    if (!batchPath) {
+      throw new Error(`Invalid batch ID: ${batch.id}`);
+    }
+
+    return this.withLock(batchPath, async () => {
+      await fs.promises.mkdir(path.dirname(batchPath), { recursive: true });
+
+      const stored = {
+        ...batch,
+        updatedAt: new Date().toISOString(),
+      };
+
+      await this.writeJson(batchPath, stored);
+
+      return deserialize(serialize(stored));
+    });
+  }
+
+  async getBatch(batchId) {
+    const batchPath = this.getBatchPath(batchId);
+    if (!batchPath) return null;
+
+    return this.readJson(batchPath);
+  }
+
+  async updateBatch(batchId, updates) {
+    const batchPath = this.getBatchPath(batchId);
+    if (!batchPath) return null;
+
+    return this.withLock(batchPath, async () => {
+      const batch = await this.readJson(batchPath);
+
+      if (!batch) return null;
+
+      const updated = {
+        ...batch,
+        ...updates,
+        updatedAt: new Date().toISOString(),
+      };
+
+      await this.writeJson(batchPath, updated);
+      return deserialize(serialize(updated));
+    });
+  }
+
+  /**
+   * Resolve the directory of an analysis
+   * @private
+   * @param {string} analysisId - Analysis ID
+   * @returns {string|null} - Directory path or null for an invalid ID
+   */
+  getSessionDir(analysisId) {
+    if (typeof analysisId !== "string" || !VALID_ID_PATTERN.test(analysisId)) {
+      return null;
+    }
+
+    return path.join(this.baseDir, analysisId);
+  }
+
+  /**
+   * Resolve the file of a batch
+   * @private
+   * @param {string} batchId - Batch ID
+   * @returns {string|null} - File path or null for an invalid ID
+   */
+  getBatchPath(batchId) {
+    if (typeof batchId !== "string" || !VALID_ID_PATTERN.test(batchId)) {
+      return null;
+    }
+
+    return path.join(this.baseDir, BATCH_DIR_NAME, `${batchId}.json`);
+  }
+
+  /**
+   * Run an operation after all previously queued operations for the same
+   * analysis (or batch) have finished, so writes are never interleaved
+   * @private
+   * @param {string} analysisId - Analysis ID or batch file path
+   * @param {Function} operation - Async operation
+   * @returns {Promise<*>} - Result of the operation
+   */
+  withLock(analysisId, operation) {
+    const previous = this.locks.get(analysisId) || Promise.resolve();
+    const current = previous.catch(() => {}).then(operation);
+
+    const settled = current.catch(() => {});
+    this.locks.set(analysisId, settled);
+    settled.then(() => {
+      if (this.locks.get(analysisId) === settled) {
+        this.locks.delete(analysisId);
+      }
+    });
+
+    return current;
+  }
+
+  /**
+   * Write a JSON file atomically (write to a temp file, then rename)
+   * @private
+   * @param {string} filePath - Target path
+   * @param {*} value - Value to write
+   * @param {Object} [options] - Serialization options
+   * @returns {Promise<void>}
+   */
+  async writeJson(filePath, value, options = {}) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, serialize(value, options));
+    await fs.promises.rename(tempPath, filePath);
+  }
+
+  /**
+   * Read a JSON file
+   * @private
+   * @param {string} filePath - File path
+   * @returns {Promise<*>} - Parsed value or null if the file does not exist
+   */
+  async readJson(filePath) {
+    try {
+      const content = await fs.promises.readFile(filePath, "utf8");
+      return deserialize(content);
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Read an event log file
+   * @private
+   * @param {string} eventsPath - Path to events.jsonl
+   * @returns {Promise<Array<Object>>} - Events in emission order
+   */
+  async readEvents(eventsPath) {
+    let content;
+
+    try {
+      content = await fs.promises.readFile(eventsPath, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+
+    return content
+      .split("\n")
+      .filter((line) => line.trim().length > 0)
+      .map((line) => deserialize(line));
+  }
+}
+
+module.exports = FileAnalysisStore;
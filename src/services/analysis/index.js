@@ -0,0 +1,129 @@
+/**
+ * Main export file for comprehensive analysis persistence
+ *
+ * Provides a factory for the configured analysis store, a shared
+ * instance used by the API routes, the registry of in-flight runs, the
+ * comprehensive analysis pipeline, batch processing, webhook callbacks and
+ * result formatting helpers.
+ */
+
+const config = require("../../config/config");
+const AnalysisStore = require("./analysisStore");
+const FileAnalysisStore = require("./fileAnalysisStore");
+const SqliteAnalysisStore = require("./sqliteAnalysisStore");
+const {
+  AnalysisRun,
+  startAnalysisRun,
+  getAnalysisRun,
+  recoverStaleSession,
+  sendSSEEvent,
+  generateId,
+} = require("./analysisRunner");
+const {
+  buildAnalysisDocument,
+  formatProcessingResults,
+  summarizeAnalysis,
+} = require("./analysisResults");
+const { AnalysisPipeline, STEP_STATUS } = require("./pipeline");
+const {
+  processComprehensiveAnalysis,
+  validateAnalysisOptions,
+  summarizeOutcomes,
+  generatePanelLayout,
+  comprehensiveAnalysisPipeline,
+  COMPREHENSIVE_ANALYSIS_STEPS,
+  ANALYSIS_PRESETS,
+} = require("./comprehensiveAnalysis");
+const {
+  validateBatchRequest,
+  startBatch,
+  getBatch,
+  buildBatchDocument,
+  buildBatchSummary,
+  BatchRun,
+  BATCH_SUMMARY_COLUMNS,
+} = require("./batchAnalysis");
+const {
+  sendAnalysisWebhook,
+  ANALYSIS_WEBHOOK_EVENTS,
+} = require("./analysisWebhooks");
+
+let sharedStore = null;
+
+/**
+ * Create an analysis store for the given driver
+ * @param {Object} [options] - Store options (defaults to config.analysisStore)
+ * @param {string} [options.driver] - "file" or "sqlite"
+ * @param {string} [options.baseDir] - Directory for the file driver
+ * @param {string} [options.filename] - Database file for the sqlite driver
+ * @returns {AnalysisStore} - Configured store
+ */
+function createAnalysisStore(options = {}) {
+  const driver = options.driver || config.analysisStore.DRIVER;
+
+  switch (driver) {
+    case "file":
+      return new FileAnalysisStore({
+        baseDir: options.baseDir || config.analysisStore.FILE_DIR,
+      });
+    case "sqlite":
+      return new SqliteAnalysisStore({
+        filename: options.filename || config.analysisStore.SQLITE_PATH,
+      });
+    default:
+      throw new Error(
+        `Unsupported analysis store driver: ${driver}. Supported drivers are: file, sqlite`
+      );
+  }
+}
+
+/**
+ * Get the shared analysis store, creating it on first use
+ * @returns {AnalysisStore} - Shared store
+ */
+function getAnalysisStore() {
+  if (!sharedStore) {
+    sharedStore = createAnalysisStore();
+  }
+
+  return sharedStore;
+}
+
+module.exports = {
+  createAnalysisStore,
+  getAnalysisStore,
+  startAnalysisRun,
+  getAnalysisRun,
+  recoverStaleSession,
+  sendSSEEvent,
+  generateId,
+  buildAnalysisDocument,
+  formatProcessingResults,
+  summarizeAnalysis,
+  processComprehensiveAnalysis,
+  validateAnalysisOptions,
+  summarizeOutcomes,
+  generatePanelLayout,
+  comprehensiveAnalysisPipeline,
+  validateBatchRequest,
+  startBatch,
+  getBatch,
+  buildBatchDocument,
+  buildBatchSummary,
+  sendAnalysisWebhook,
+
+  // Constants
+  COMPREHENSIVE_ANALYSIS_STEPS,
+  ANALYSIS_PRESETS,
+  STEP_STATUS,
+  BATCH_SUMMARY_COLUMNS,
+  ANALYSIS_WEBHOOK_EVENTS,
+
+  // Classes for extension
+  AnalysisPipeline,
+  BatchRun,
+  AnalysisRun,
+  AnalysisStore,
+  FileAnalysisStore,
+  SqliteAnalysisStore,
+};
@@ -0,0 +1,857 @@
+/**
+ * Data layer processing for the comprehensive analysis
+ *
+ * Wraps the data-layers LayerManager to produce the RGB, DSM and annual flux
+ * results, the combined flux+DSM visualization used as ML input and the
+ * roof segment visualizations from building insights.
+ */
+
+const axios = require("axios");
+
+// Import the data-layers module
+const dataLayers = require("../../data-layers");
+// Import the processor and visualizer directly for roof segments
+const RoofSegmentProcessor = require("../../data-layers/layers/roof-segments/roof-segments-processor");
+const RoofSegmentVisualizer = require("../../data-layers/layers/roof-segments/roof-segments-visualizer");
+const CombinedFluxDsmVisualizer = require("../../data-layers/combined-visualizers/combined-flux-dsm-visualizer");
+const {
+  VisualizationUtils,
+} = require("../../data-layers/utils/visualization-utils");
+// Panel dimensions roof segments must fit
+const { getPanel } = require("../equipment/equipmentCatalog");
+
+// Default configuration for DSM blending, overridable per analysis
+const DSM_BLEND_MODES = ["hue_shift", "additive"];
+const DEFAULT_DSM_BLEND_MODE = "hue_shift";
+const DEFAULT_DSM_INFLUENCE = 0.2;
+
+// Create API client for the data layer manager
+const apiClient = {
+  apiKey: process.env.GOOGLE_MAPS_API_KEY,
+  async get(url, options = {}) {
+    return axios.get(url, options);
+  },
+};
+
+// Create layer manager instance
+const layerManager = dataLayers.createLayerManager(apiClient);
+
+/**
+ * Process RGB layer using the layer manager
+ * @param {Object} location - Location object with latitude and longitude
+ * @param {Object} dataLayersResponse - Response from the data layers API
+ * @param {Object} options - Layer options (optional)
+ * @param {number} options.radius - Radius around the location in meters (default 50)
+ * @param {string} options.quality - Minimum imagery quality
+ * @param {AbortSignal} options.signal - Aborts fetching the layer
+ * @returns {Promise<Object>} Processed RGB layer data
+ */
+async function processRgbLayer(location, dataLayersResponse, options = {}) {
+  const { radius = 50, quality, signal = null } = options;
+
+  try {
+    console.log(
+      `Processing RGB layer for location: ${location.latitude}, ${location.longitude}`
+    );
+
+    // Use the layer manager to process the RGB layer
+    // This will download the GeoTIFF, process it, and create base64 visualizations
+    console.log("Calling layer manager to process RGB layer with options:", {
+      radius,
+      layerUrl: dataLayersResponse.rgbUrl
+        ? "[RGB URL present]"
+        : "[No RGB URL]",
+      maskUrl: dataLayersResponse.maskUrl
+        ? "[Mask URL present]"
+        : "[No Mask URL]",
+      buildingFocus: true,
+      cropToBuilding: true,
+      fallbackToSynthetic: false,
+    });
+
+    const result = await layerManager.processLayer("rgb", location, {
+      radius,
+      quality,
+      layerUrl: dataLayersResponse.rgbUrl, // Pass the RGB URL directly
+      maskUrl: dataLayersResponse.maskUrl, // Pass the mask URL if available
+      buildingFocus: true, // Request a building-focused view
+      cropToBuilding: true, // Ensure we crop to the building
+      fallbackToSynthetic: false, // Don't use synthetic data if real data fails
+      signal,
+    });
+
+    // Log detailed information about the result received from layer manager
+    console.log("RGB layer processing raw result structure:", {
+      hasVisualization: !!result.visualization,
+      hasProcessedData: !!result.processedData,
+      hasMetadata: !!result.metadata,
+      hasBuildingBoundaries: !!result.buildingBoundaries,
+      dimensionsInMetadata: result.metadata?.dimensions
+        ? `${result.metadata.dimensions.width}x${result.metadata.dimensions.height}`
+        : "Dimensions not in metadata",
+      dimensionsInProcessedData: result.processedData?.metadata?.dimensions
+        ? `${result.processedData.metadata.dimensions.width}x${result.processedData.metadata.dimensions.height}`
+        : "Dimensions not in processedData.metadata",
+      buildingBoundariesInfo: result.buildingBoundaries?.hasBuilding
+        ? `width=${result.buildingBoundaries.width}, height=${result.buildingBoundaries.height}`
+        : "No building boundaries or building not found",
+    });
+
+    // Check if we got a valid result
+    if (!result || !result.visualization) {
+      throw new Error(
+        "RGB processing did not return expected visualization data"
+      );
+    }
+
+    // Extract the visualization data
+    let dataUrls = {};
+
+    // Check if the visualization is already in the expected format with both views
+    if (
+      typeof result.visualization === "object" &&
+      (result.visualization.buildingFocus || result.visualization.fullImage)
+    ) {
+      // It's already in the right format
+      dataUrls = {
+        buildingFocus: result.visualization.buildingFocus,
+        fullImage: result.visualization.fullImage,
+      };
+    } else {
+      // It's just a single data URL - use it for both views
+      dataUrls = {
+        buildingFocus: result.visualization,
+        fullImage: result.visualization,
+      };
+    }
+
+    // Get dimensions directly from either metadata or processed data
+    const dimensions = {
+      width:
+        result.metadata?.dimensions?.width ||
+        result.processedData?.metadata?.dimensions?.width ||
+        (result.buildingBoundaries?.hasBuilding
+          ? result.buildingBoundaries.width
+          : 0),
+      height:
+        result.metadata?.dimensions?.height ||
+        result.processedData?.metadata?.dimensions?.height ||
+        (result.buildingBoundaries?.hasBuilding
+          ? result.buildingBoundaries.height
+          : 0),
+    };
+
+    console.log(
+      "Final RGB dimensions being used:",
+      `${dimensions.width}x${dimensions.height}`
+    );
+
+    // Return the complete processed data
+    return {
+      imageryQuality: dataLayersResponse.imageryQuality || "MEDIUM",
+      dataUrls: dataUrls,
+      layerType: "rgb",
+      metadata: {
+        ...result.metadata,
+        dimensions: dimensions,
+        hasMask: !!dataLayersResponse.maskUrl,
+        buildingBoundaries: result.buildingBoundaries?.hasBuilding
+          ? {
+              exists: true,
+              width: result.buildingBoundaries.width,
+              height: result.buildingBoundaries.height,
+            }
+          : { exists: false },
+      },
+      bounds: result.bounds,
+      buildingBoundaries: result.buildingBoundaries,
+    };
+  } catch (error) {
+    console.error("Error processing RGB layer:", error);
+    throw error;
+  }
+}
+
+/**
+ * NEW: Process Annual Flux layer using the layer manager
+ * @param {Object} location - Location object with latitude and longitude
+ * @param {Object} dataLayersResponse - Response from the data layers API
+ * @param {Object} options - Layer options (optional)
+ * @param {number} options.radius - Radius around the location in meters (default 50)
+ * @param {string} options.quality - Minimum imagery quality
+ * @param {AbortSignal} options.signal - Aborts fetching the layer
+ * @returns {Promise<Object>} Processed Annual Flux layer data
+ */
+async function processAnnualFluxLayer(
+  location,
+  dataLayersResponse,
+  options = {}
+) {
+  const { radius = 50, quality, signal = null } = options;
+
+  try {
+    console.log(
+      `Processing Annual Flux layer for location: ${location.latitude}, ${location.longitude}`
+    );
+
+    if (!dataLayersResponse.annualFluxUrl) {
+      throw new Error("Annual Flux URL not available in data layers response");
+    }
+
+    // Create processing options
+    const layerOptions = {
+      radius,
+      quality,
+      layerUrl: dataLayersResponse.annualFluxUrl,
+      maskUrl: dataLayersResponse.maskUrl,
+      buildingFocus: true,
+      cropToBuilding: true, // Ensure we crop to the building boundary
+      fallbackToSynthetic: false,
+      signal,
+    };
+
+    console.log(
+      "Calling layer manager to process Annual Flux layer with options:",
+      {
+        ...layerOptions,
+        layerUrl: layerOptions.layerUrl
+          ? "[Annual Flux URL present]"
+          : "[No Annual Flux URL]",
+        maskUrl: layerOptions.maskUrl
+          ? "[Mask URL present]"
+          : "[No Mask URL]",
+      }
+    );
+
+    // Process Annual Flux using the layer manager
+    const result = await layerManager.processLayer(
+      "annualFlux",
+      location,
+      layerOptions
+    );
+
+    console.log("Layer manager result keys:", Object.keys(result));
+    console.log("Has processedData:", !!result.processedData);
+    if (result.processedData) {
+      console.log("ProcessedData keys:", Object.keys(result.processedData));
+      console.log("ProcessedData has raster:", !!result.processedData.raster);
+    }
+
+    // Get dimensions from processed Annual Flux result
+    const fluxWidth =
+      result.processedData?.metadata?.dimensions?.width ||
+      result.metadata?.dimensions?.width ||
+      0;
+    const fluxHeight =
+      result.processedData?.metadata?.dimensions?.height ||
+      result.metadata?.dimensions?.height ||
+      0;
+
+    console.log(
+      `Annual Flux processing dimensions: ${fluxWidth}x${fluxHeight}`
+    );
+
+    // Extract the visualization data
+    let dataUrls = {};
+
+    // Check if the visualization is already in the expected format with both views
+    if (
+      typeof result.visualization === "object" &&
+      (result.visualization.buildingFocus || result.visualization.fullImage)
+    ) {
+      // It's already in the right format
+      dataUrls = {
+        buildingFocus: result.visualization.buildingFocus,
+        fullImage: result.visualization.fullImage,
+      };
+    } else {
+      // It's just a single data URL - use it for both views
+      dataUrls = {
+        buildingFocus: result.visualization,
+        fullImage: result.visualization,
+      };
+    }
+
+    // CRITICAL: Try to extract raster data from the layer manager result
+    let rasterData = null;
+
+    // The layer manager should have processedData with raster
+    if (result.processedData && result.processedData.raster) {
+      rasterData = result.processedData.raster;
+      console.log(
+        `Annual Flux raster data extracted: ${rasterData.length} pixels`
+      );
+    } else {
+      console.warn(
+        "Annual Flux raster data not available from layer manager result"
+      );
+      console.log("Available result structure:", {
+        hasProcessedData: !!result.processedData,
+        processedDataKeys: result.processedData
+          ? Object.keys(result.processedData)
+          : [],
+        hasVisualization: !!result.visualization,
+        hasMetadata: !!result.metadata,
+      });
+    }
+
+    // Return the processed Annual Flux data
+    return {
+      layerType: "annualFlux",
+      bounds: result.bounds,
+      buildingBoundaries: result.buildingBoundaries,
+      dataUrls: dataUrls,
+      // Include raster data if available
+      raster: rasterData,
+      processedData: result.processedData, // Include full processed data for debugging
+      metadata: {
+        dimensions: { width: fluxWidth, height: fluxHeight },
+        cropWindow: getCropWindow(result.processedData, fluxWidth, fluxHeight),
+        hasMask: !!dataLayersResponse.maskUrl,
+        dataRange: result.processedData?.metadata?.dataRange ||
+          result.metadata?.dataRange || { min: 0, max: 1800 },
+      },
+      statistics: result.processedData?.statistics || null,
+    };
+  } catch (error) {
+    console.error("Error processing Annual Flux layer:", error);
+    throw new Error(`Failed to process Annual Flux data: ${error.message}`);
+  }
+}
+
+/**
+ * Describe where a cropped layer sits in the full GeoTIFF, so other layers
+ * covering the same area (monthly flux, hourly shade) can be sampled under
+ * the same pixels
+ * @param {Object} processedData - Processed layer data from the layer manager
+ * @param {number} width - Cropped width
+ * @param {number} height - Cropped height
+ * @returns {Object} - {x, y, width, height, fullWidth, fullHeight}
+ */
+function getCropWindow(processedData, width, height) {
+  const originalBoundaries =
+    processedData?.buildingBoundaries?.originalBoundaries;
+
+  return {
+    x: originalBoundaries?.minX || 0,
+    y: originalBoundaries?.minY || 0,
+    width,
+    height,
+    fullWidth: processedData?.fullWidth || width,
+    fullHeight: processedData?.fullHeight || height,
+  };
+}
+
+/**
+ * Process Monthly Flux layer using the layer manager
+ *
+ * The layer is not cropped, so it covers the full data layers area.
+ *
+ * @param {Object} location - Location object with latitude and longitude
+ * @param {Object} options - Layer options (optional)
+ * @param {number} options.radius - Radius around the location in meters (default 50)
+ * @param {string} options.quality - Minimum imagery quality
+ * @param {AbortSignal} options.signal - Aborts fetching the layer
+ * @returns {Promise<Object>} Processed Monthly Flux data with one raster per
+ *   month in kWh/m²/month
+ */
+async function processMonthlyFluxLayer(location, options = {}) {
+  const { radius = 50, quality, signal = null } = options;
+
+  try {
+    console.log(
+      `Processing Monthly Flux layer for location: ${location.latitude}, ${location.longitude}`
+    );
+
+    const result = await layerManager.processLayer("monthlyFlux", location, {
+      radius,
+      quality,
+      processAllMonths: true,
+      fallbackToSynthetic: false,
+      signal,
+    });
+
+    const processedData = result.processedData;
+
+    if (!processedData?.monthlyData?.length) {
+      throw new Error("Monthly flux rasters not available");
+    }
+
+    return {
+      layerType: "monthlyFlux",
+      bounds: processedData.bounds,
+      months: processedData.monthlyData.map((monthData) => ({
+        month: monthData.month,
+        raster: monthData.raster,
+      })),
+      metadata: {
+        dimensions: processedData.metadata.dimensions,
+        imageryQuality: processedData.metadata.imageryQuality,
+      },
+    };
+  } catch (error) {
+    console.error("Error processing Monthly Flux layer:", error);
+    throw new Error(`Failed to process Monthly Flux data: ${error.message}`);
+  }
+}
+
+/**
+ * Process the Hourly Shade layer of one month using the layer manager
+ *
+ * The layer is not cropped, so it covers the full data layers area. Each
+ * hourly raster holds a bit per day of the month that is set when the
+ * pixel is in the sun at that hour.
+ *
+ * @param {Object} location - Location object with latitude and longitude
+ * @param {number} month - Month index (0-11)
+ * @param {Object} options - Layer options (optional)
+ * @param {number} options.radius - Radius around the location in meters (default 50)
+ * @param {string} options.quality - Minimum imagery quality
+ * @param {AbortSignal} options.signal - Aborts fetching the layer
+ * @returns {Promise<Object>} Processed Hourly Shade data with 24 rasters
+ */
+async function processHourlyShadeLayer(location, month, options = {}) {
+  const { radius = 50, quality, signal = null } = options;
+
+  try {
+    console.log(
+      `Processing Hourly Shade layer for month ${month + 1} at location: ${location.latitude}, ${location.longitude}`
+    );
+
+    const result = await layerManager.processLayer("hourlyShade", location, {
+      radius,
+      quality,
+      month,
+      fallbackToSynthetic: false,
+      signal,
+    });
+
+    const processedData = result.processedData;
+
+    if (!processedData?.hourlyData?.length) {
+      throw new Error("Hourly shade rasters not available");
+    }
+
+    return {
+      layerType: "hourlyShade",
+      month,
+      bounds: processedData.bounds,
+      hours: processedData.hourlyData.map((hourData) => ({
+        hour: hourData.hour,
+        raster: hourData.originalRaster, // Day bit masks
+      })),
+      metadata: {
+        dimensions: processedData.metadata.dimensions,
+      },
+    };
+  } catch (error) {
+    console.error("Error processing Hourly Shade layer:", error);
+    throw new Error(`Failed to process Hourly Shade data: ${error.message}`);
+  }
+}
+
+/**
+ * Process DSM layer using the layer manager
+ * @param {Object} location - Location object with latitude and longitude
+ * @param {Object} dataLayersResponse - Response from the data layers API
+ * @param {Object} options - Layer options (optional)
+ * @param {number} options.radius - Radius around the location in meters (default 50)
+ * @param {string} options.quality - Minimum imagery quality
+ * @param {AbortSignal} options.signal - Aborts fetching the layer
+ * @returns {Promise<Object>} Processed DSM layer data at its native resolution
+ */
+async function processDsmLayer(location, dataLayersResponse, options = {}) {
+  const { radius = 50, quality, signal = null } = options;
+
+  try {
+    console.log(
+      `Processing DSM layer for location: ${location.latitude}, ${location.longitude}`
+    );
+
+    if (!dataLayersResponse.dsmUrl) {
+      throw new Error("DSM URL not available in data layers response");
+    }
+
+    // Process DSM with its own natural resolution and cropping
+    const layerOptions = {
+      radius,
+      quality,
+      layerUrl: dataLayersResponse.dsmUrl,
+      maskUrl: dataLayersResponse.maskUrl,
+      buildingFocus: true,
+      cropToBuilding: true, // Ensure we crop to the building boundary
+      fallbackToSynthetic: false,
+      signal,
+      // Remove targetDimensions from here - let DSM be processed at its native resolution
+    };
+
+    console.log("Calling layer manager to process DSM layer with options:", {
+      ...layerOptions,
+      layerUrl: layerOptions.layerUrl ? "[DSM URL present]" : "[No DSM URL]",
+      maskUrl: layerOptions.maskUrl ? "[Mask URL present]" : "[No Mask URL]",
+    });
+
+    // Process DSM at its native resolution
+    const result = await layerManager.processLayer(
+      "dsm",
+      location,
+      layerOptions
+    );
+
+    // Get dimensions from processed DSM result
+    const dsmWidth =
+      result.processedData.metadata?.dimensions?.width ||
+      result.metadata?.dimensions?.width ||
+      0;
+    const dsmHeight =
+      result.processedData.metadata?.dimensions?.height ||
+      result.metadata?.dimensions?.height ||
+      0;
+
+    console.log(`DSM processing native dimensions: ${dsmWidth}x${dsmHeight}`);
+
+    // Return the processed DSM data; alignDsmToRgb resamples it once the
+    // RGB layer is available
+    return {
+      layerType: "dsm",
+      bounds: result.bounds,
+      buildingBoundaries: result.buildingBoundaries,
+      raster: result.processedData?.raster || null,
+      // Use original raster if needed for reference
+      originalRaster: result.processedData?.raster || null,
+      metadata: {
+        dimensions: { width: dsmWidth, height: dsmHeight },
+        originalDimensions: { width: dsmWidth, height: dsmHeight },
+        hasMask: !!dataLayersResponse.maskUrl,
+        dataRange: result.processedData?.metadata?.dataRange ||
+          result.metadata?.dataRange || { min: 0, max: 100 },
+      },
+    };
+  } catch (error) {
+    console.error("Error processing DSM layer:", error);
+    throw new Error(`Failed to process DSM data: ${error.message}`);
+  }
+}
+
+/**
+ * Resample processed DSM data to the dimensions of the RGB layer
+ * @param {Object} dsmResult - Result of processDsmLayer
+ * @param {Object} rgbResults - Processed RGB data to match dimensions
+ * @returns {Object} DSM data with potentially resampled dimensions
+ */
+function alignDsmToRgb(dsmResult, rgbResults) {
+  const { width: dsmWidth, height: dsmHeight } =
+    dsmResult.metadata.originalDimensions;
+
+  // Extract RGB dimensions for comparison
+  let rgbWidth = 0,
+    rgbHeight = 0;
+  if (rgbResults && rgbResults.metadata && rgbResults.metadata.dimensions) {
+    rgbWidth = rgbResults.metadata.dimensions.width;
+    rgbHeight = rgbResults.metadata.dimensions.height;
+    console.log(`Target RGB dimensions: ${rgbWidth}x${rgbHeight}`);
+  }
+
+  // Only resample if both sets of dimensions are valid and they don't match
+  if (
+    rgbWidth <= 0 ||
+    rgbHeight <= 0 ||
+    (dsmWidth === rgbWidth && dsmHeight === rgbHeight)
+  ) {
+    return dsmResult;
+  }
+
+  console.log(
+    `Resampling DSM data AFTER cropping to match RGB dimensions: ${rgbWidth}x${rgbHeight}`
+  );
+
+  // Use visualization utils to resample the ALREADY CROPPED raster
+  const raster = VisualizationUtils.resampleRaster(
+    dsmResult.originalRaster,
+    dsmWidth,
+    dsmHeight, // source dimensions
+    rgbWidth,
+    rgbHeight, // target dimensions
+    {
+      noDataValue: dataLayers.config.processing.NO_DATA_VALUE,
+      method: "bilinear",
+    }
+  );
+
+  console.log(
+    `DSM data resampled to ${rgbWidth}x${rgbHeight} after natural cropping`
+  );
+
+  return {
+    ...dsmResult,
+    raster,
+    metadata: {
+      ...dsmResult.metadata,
+      dimensions: { width: rgbWidth, height: rgbHeight },
+    },
+  };
+}
+
+/**
+ * Create combined flux+DSM visualization using the CombinedFluxDsmVisualizer
+ * @param {Object} annualFluxResult - Processed annual flux data
+ * @param {Object} dsmResult - Processed DSM data
+ * @param {Object} options - Blending options (optional)
+ * @param {string} options.blendMode - One of DSM_BLEND_MODES
+ * @param {number} options.dsmInfluence - Weight of the DSM in the blend (0-1)
+ * @returns {Promise<Object>} Combined visualization result
+ */
+async function createCombinedFluxDsmVisualization(
+  annualFluxResult,
+  dsmResult,
+  options = {}
+) {
+  const {
+    blendMode = DEFAULT_DSM_BLEND_MODE,
+    dsmInfluence = DEFAULT_DSM_INFLUENCE,
+  } = options;
+
+  try {
+    console.log("Creating combined flux+DSM visualization for ML processing");
+
+    // Check if we have the raster data we need
+    if (!annualFluxResult.raster) {
+      console.error(
+        "Annual flux raster data is not available. Available keys:",
+        Object.keys(annualFluxResult)
+      );
+
+      // If we don't have raster data, we can't create the combined visualization
+      // Return a fallback that just uses the annual flux visualization
+      console.log("Falling back to using annual flux visualization only");
+
+      return {
+        dataUrls: {
+          buildingFocus: annualFluxResult.dataUrls.buildingFocus,
+          fullImage:
+            annualFluxResult.dataUrls.fullImage ||
+            annualFluxResult.dataUrls.buildingFocus,
+        },
+        enhanced: false, // Not actually enhanced since we couldn't combine
+        metadata: {
+          dimensions: annualFluxResult.metadata.dimensions,
+          fallbackMode: true,
+          reason: "Annual flux raster data not available for combination",
+        },
+        bounds: annualFluxResult.bounds,
+        buildingBoundaries: annualFluxResult.buildingBoundaries,
+      };
+    }
+
+    if (!dsmResult.raster) {
+      throw new Error("DSM raster data is not available.");
+    }
+
+    console.log("Both raster datasets available:");
+    console.log(`Flux raster: ${annualFluxResult.raster.length} pixels`);
+    console.log(`DSM raster: ${dsmResult.raster.length} pixels`);
+
+    // Create the combined visualizer instance
+    const combinedVisualizer = new CombinedFluxDsmVisualizer({
+      useEnhancedPalette: true,
+    });
+
+    // Create flux processed data object
+    const fluxProcessedData = {
+      raster: annualFluxResult.raster,
+      metadata: {
+        width: annualFluxResult.metadata.dimensions.width,
+        height: annualFluxResult.metadata.dimensions.height,
+        dimensions: annualFluxResult.metadata.dimensions,
+        dataRange: annualFluxResult.metadata.dataRange,
+      },
+      statistics: annualFluxResult.statistics,
+      bounds: annualFluxResult.bounds,
+      buildingBoundaries: annualFluxResult.buildingBoundaries,
+    };
+
+    // Create DSM processed data object
+    const dsmProcessedData = {
+      raster: dsmResult.raster,
+      metadata: {
+        width: dsmResult.metadata.dimensions.width,
+        height: dsmResult.metadata.dimensions.height,
+        dimensions: dsmResult.metadata.dimensions,
+        dataRange: dsmResult.metadata.dataRange,
+      },
+      bounds: dsmResult.bounds,
+      buildingBoundaries: dsmResult.buildingBoundaries,
+    };
+
+    console.log("Data for combined visualization:");
+    console.log(
+      `Flux: ${fluxProcessedData.metadata.width}x${fluxProcessedData.metadata.height}`
+    );
+    console.log(
+      `DSM: ${dsmProcessedData.metadata.width}x${dsmProcessedData.metadata.height}`
+    );
+
+    // Create the blended visualization
+    const blendedResult = await combinedVisualizer.createBlendedVisualization(
+      fluxProcessedData,
+      dsmProcessedData,
+      {
+        blendMode,
+        dsmInfluence,
+        buildingFocus: true,
+        paletteName: "IRON",
+        quality: 0.95,
+      }
+    );
+
+    console.log("Combined visualization created successfully");
+
+    // Return in the format expected by the ML processing functions
+    return {
+      dataUrls: {
+        buildingFocus: blendedResult.buildingFocus,
+        fullImage: blendedResult.fullImage,
+      },
+      enhanced: blendedResult.enhanced,
+      metadata: blendedResult.metadata || {
+        dimensions: fluxProcessedData.metadata.dimensions,
+        blendMode,
+        dsmInfluence,
+        hasDsmBlending: true,
+      },
+      bounds: fluxProcessedData.bounds,
+      buildingBoundaries: fluxProcessedData.buildingBoundaries,
+    };
+  } catch (error) {
+    console.error("Error creating combined flux+DSM visualization:", error);
+    throw new Error(
+      `Failed to create combined visualization: ${error.message}`
+    );
+  }
+}
+
+/**
+ * Process roof segments from building insights data
+ * @param {Object} buildingInsightsData - Building insights data from Google Solar API
+ * @param {Object} [panel] - Catalog panel segments must fit (default the
+ *   catalog default panel)
+ * @returns {Promise<Object>} Processed roof segments with visualizations
+ */
+async function processRoofSegments(buildingInsightsData, panel = getPanel()) {
+  try {
+    console.log("Processing roof segments from building insights data");
+
+    // Create processor and visualizer instances directly
+    const roofSegmentProcessor = new RoofSegmentProcessor();
+    const roofSegmentVisualizer = new RoofSegmentVisualizer();
+
+    // Process the roof segment data
+    const processedData = await roofSegmentProcessor.process(
+      buildingInsightsData
+    );
+
+    // Filter out segments that are too small to hold at least one panel
+    const minPanelArea = panel.widthMeters * panel.heightMeters;
+
+    // Add some margin for installation constraints
+    const installationFactor = 1.1; // 10% extra space needed for mounting
+    const minSegmentArea = minPanelArea * installationFactor;
+
+    // Filter the segments
+    const viableSegments = processedData.roofSegments.filter((segment) => {
+      // Check if segment is large enough for a panel
+      const isLargeEnough = segment.area >= minSegmentArea;
+
+      // Optionally, also check suitability
+      const hasReasonableSuitability = segment.suitability > 0.2; // Minimum 20% suitability
+
+      return isLargeEnough && hasReasonableSuitability;
+    });
+
+    console.log(
+      `Filtered from ${processedData.roofSegments.length} to ${viableSegments.length} viable roof segments`
+    );
+
+    // Skip processing if no viable segments
+    if (viableSegments.length === 0) {
+      return {
+        error: "No viable roof segments found",
+        available: false,
+      };
+    }
+
+    // Create a new processed data object with filtered segments
+    const filteredData = {
+      ...processedData,
+      roofSegments: viableSegments,
+      metadata: {
+        ...processedData.metadata,
+        viableSegmentCount: viableSegments.length,
+        originalSegmentCount: processedData.roofSegments.length,
+      },
+    };
+
+    // Create visualizations with different color modes
+    const suitabilityVisualization = await roofSegmentVisualizer.visualize(
+      filteredData,
+      {
+        colorMode: "suitability",
+        showLabels: true,
+        showLegend: true,
+      }
+    );
+
+    const orientationVisualization = await roofSegmentVisualizer.visualize(
+      filteredData,
+      {
+        colorMode: "orientation",
+        showLegend: true,
+      }
+    );
+
+    // Calculate total viable area
+    const totalViableArea = viableSegments.reduce(
+      (sum, segment) => sum + segment.area,
+      0
+    );
+
+    // Return the processed data
+    return {
+      data: viableSegments,
+      visualizations: {
+        suitability: suitabilityVisualization,
+        orientation: orientationVisualization,
+      },
+      bounds: processedData.bounds,
+      metadata: {
+        totalViableArea: totalViableArea.toFixed(2),
+        segmentCount: viableSegments.length,
+        minPanelArea: minPanelArea.toFixed(2),
+        originalSegmentCount: processedData.roofSegments.length,
+      },
+      available: true,
+    };
+  } catch (error) {
+    console.error("Error processing roof segments:", error);
+    return {
+      error: error.message,
+      available: false,
+    };
+  }
+}
+
+module.exports = {
+  processRgbLayer,
+  processAnnualFluxLayer,
+  processMonthlyFluxLayer,
+  processHourlyShadeLayer,
+  processDsmLayer,
+  alignDsmToRgb,
+  createCombinedFluxDsmVisualization,
+  processRoofSegments,
+
+  // Constants
+  DSM_BLEND_MODES,
+  DEFAULT_DSM_BLEND_MODE,
+  DEFAULT_DSM_INFLUENCE,
+};
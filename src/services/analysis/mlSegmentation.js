@@ -0,0 +1,657 @@
+/**
+ * ML server roof segmentation
+ *
+ * Sends the best available building image (combined flux+DSM, annual flux
+ * or RGB) together with the Google roof segments to the ML server and
+ * returns the detected roof segments and obstructions.
+ */
+
+const axios = require("axios");
+
+// ML server URL - should be configurable via environment variable
+const ML_SERVER_URL = process.env.ML_SERVER_URL || "http://localhost:8000";
+
+/**
+ * Process roof segmentation with ML server using Combined Flux+DSM visualization
+ * @param {Object} combinedVisualizationResult - Combined flux+DSM visualization result
+ * @param {Object} buildingInsights - Building insights data
+ * @param {Array} roofSegments - Processed roof segments (optional)
+ * @param {AbortSignal} signal - Aborts the ML server request (optional)
+ * @returns {Promise<Object>} ML server processing results
+ */
+async function processMlServerRoofSegmentationWithCombined(
+  combinedVisualizationResult,
+  buildingInsights,
+  roofSegments = null,
+  signal = null
+) {
+  try {
+    console.log(
+      "Processing ML server roof segmentation with Combined Flux+DSM data"
+    );
+
+    // Debug the combined result structure
+    console.log("Combined Visualization Result structure received:", {
+      hasDataUrls: !!combinedVisualizationResult.dataUrls,
+      hasMetadata: !!combinedVisualizationResult.metadata,
+      hasBuildingBoundaries: !!combinedVisualizationResult.buildingBoundaries,
+      enhanced: combinedVisualizationResult.enhanced,
+      metadataDimensions: combinedVisualizationResult.metadata?.dimensions
+        ? `${combinedVisualizationResult.metadata.dimensions.width}x${combinedVisualizationResult.metadata.dimensions.height}`
+        : "No dimensions in metadata",
+    });
+
+    // Extract building ID from building insights
+    const buildingId = buildingInsights.name || `building_${Date.now()}`;
+
+    // Get Combined Flux+DSM image data URL (building-focused)
+    const combinedImage = combinedVisualizationResult.dataUrls.buildingFocus;
+    if (!combinedImage) {
+      throw new Error(
+        "Combined Flux+DSM image data URL not available for ML processing"
+      );
+    }
+
+    // Extract dimensions from combined visualization result
+    const imageWidth = combinedVisualizationResult.metadata?.dimensions?.width;
+    const imageHeight =
+      combinedVisualizationResult.metadata?.dimensions?.height;
+
+    // Log the dimensions we're using
+    console.log(
+      `Using Combined Flux+DSM dimensions for ML processing: ${imageWidth}x${imageHeight}`
+    );
+
+    // Validate dimensions
+    if (!imageWidth || !imageHeight || imageWidth === 0 || imageHeight === 0) {
+      throw new Error(
+        `Invalid Combined Flux+DSM dimensions for ML processing: ${imageWidth}x${imageHeight}`
+      );
+    }
+
+    // Convert geocoordinates to pixel coordinates
+    const pixelCoordinates = convertGeoToPixel({
+      imgWidth: imageWidth,
+      imgHeight: imageHeight,
+      buildingBoundingBox: buildingInsights.boundingBox,
+      buildingCenter: buildingInsights.center,
+      roofSegments:
+        roofSegments || buildingInsights.solarPotential?.roofSegmentStats || [],
+    });
+
+    console.log("Converted pixel coordinates:", {
+      buildingBox: pixelCoordinates.buildingBox,
+      roofSegments: pixelCoordinates.roofSegments.length,
+    });
+
+    // Create request data for ML server (using Combined Flux+DSM image)
+    const requestData = {
+      building_id: buildingId,
+      rgb_image: combinedImage, // Using combined flux+DSM image instead of RGB
+      image_width: imageWidth,
+      image_height: imageHeight,
+      building_box: pixelCoordinates.buildingBox,
+      roof_segments: pixelCoordinates.roofSegments,
+      building_center: pixelCoordinates.buildingCenter,
+    };
+
+    // Log the request data (without image data)
+    const logData = { ...requestData };
+    if (logData.rgb_image)
+      logData.rgb_image = "[COMBINED FLUX+DSM IMAGE DATA URL]";
+
+    console.log(
+      "ML server request data (with Combined Flux+DSM):",
+      JSON.stringify(logData, null, 2)
+    );
+
+    // Send request to ML server
+    const startTime = Date.now();
+    console.log("Sending Combined Flux+DSM data to ML server...");
+    const mlResponse = await axios.post(
+      `${ML_SERVER_URL}/api/predict`,
+      requestData,
+      {
+        headers: { "Content-Type": "application/json" },
+        timeout: 600000, // 60 second timeout for ML processing
+        signal,
+      }
+    );
+
+    const processingTime = Date.now() - startTime;
+    console.log(`ML server response received in ${processingTime}ms`);
+
+    // Process response
+    const mlData = mlResponse.data;
+
+    // Add processing time to result
+    mlData.processing_time = processingTime;
+    mlData.success = true;
+
+    // CRITICAL: Ensure obstructions are present
+    if (!mlData.obstructions) {
+      mlData.obstructions = [];
+    }
+
+    console.log(
+      `ML server returned ${mlData.obstructions.length} obstructions using Combined Flux+DSM data`
+    );
+
+    return mlData;
+  } catch (error) {
+    console.error(
+      "Error processing with ML server using Combined Flux+DSM:",
+      error
+    );
+
+    // Capture detailed error information
+    let errorDetails = {
+      message: error.message,
+      type: error.response ? "ml_server_error" : "connection_error",
+    };
+
+    if (error.response) {
+      errorDetails.status = error.response.status;
+      errorDetails.statusText = error.response.statusText;
+      errorDetails.data = error.response.data;
+    }
+
+    console.error("Error details:", JSON.stringify(errorDetails, null, 2));
+
+    // Return error information
+    return {
+      success: false,
+      error: error.message,
+      error_type: error.response ? "ml_server_error" : "connection_error",
+      error_details: error.response?.data || {},
+      obstructions: [], // Ensure the obstructions property exists even in error case
+    };
+  }
+}
+
+/**
+ * NEW: Process roof segmentation with ML server using Annual Flux data
+ * @param {Object} annualFluxResult - Processed Annual Flux data
+ * @param {Object} buildingInsights - Building insights data
+ * @param {Array} roofSegments - Processed roof segments (optional)
+ * @param {AbortSignal} signal - Aborts the ML server request (optional)
+ * @returns {Promise<Object>} ML server processing results
+ */
+async function processMlServerRoofSegmentationWithFlux(
+  annualFluxResult,
+  buildingInsights,
+  roofSegments = null,
+  signal = null
+) {
+  try {
+    console.log("Processing ML server roof segmentation with Annual Flux data");
+
+    // Debug the annualFluxResult object thoroughly
+    console.log("Annual Flux Result structure received:", {
+      hasDataUrls: !!annualFluxResult.dataUrls,
+      hasMetadata: !!annualFluxResult.metadata,
+      hasBuildingBoundaries: !!annualFluxResult.buildingBoundaries,
+      metadataDimensions: annualFluxResult.metadata?.dimensions
+        ? `${annualFluxResult.metadata.dimensions.width}x${annualFluxResult.metadata.dimensions.height}`
+        : "No dimensions in metadata",
+      fullMetadata: JSON.stringify(annualFluxResult.metadata || {}, null, 2),
+    });
+
+    // Extract building ID from building insights
+    const buildingId = buildingInsights.name || `building_${Date.now()}`;
+
+    // Get Annual Flux image data URL (building-focused)
+    const annualFluxImage = annualFluxResult.dataUrls.buildingFocus;
+    if (!annualFluxImage) {
+      throw new Error(
+        "Annual Flux image data URL not available for ML processing"
+      );
+    }
+
+    // Extract dimensions directly from Annual Flux result
+    // Make sure to get the cropped dimensions that were actually used
+    const imageWidth = annualFluxResult.metadata?.dimensions?.width;
+    const imageHeight = annualFluxResult.metadata?.dimensions?.height;
+
+    // Log the dimensions we're using
+    console.log(
+      `Using Annual Flux dimensions for ML processing: ${imageWidth}x${imageHeight}`
+    );
+
+    // Validate dimensions
+    if (!imageWidth || !imageHeight || imageWidth === 0 || imageHeight === 0) {
+      throw new Error(
+        `Invalid Annual Flux dimensions for ML processing: ${imageWidth}x${imageHeight}`
+      );
+    }
+
+    // Convert geocoordinates to pixel coordinates
+    const pixelCoordinates = convertGeoToPixel({
+      imgWidth: imageWidth,
+      imgHeight: imageHeight,
+      buildingBoundingBox: buildingInsights.boundingBox,
+      buildingCenter: buildingInsights.center,
+      roofSegments:
+        roofSegments || buildingInsights.solarPotential?.roofSegmentStats || [],
+    });
+
+    console.log("Converted pixel coordinates:", {
+      buildingBox: pixelCoordinates.buildingBox,
+      roofSegments: pixelCoordinates.roofSegments.length,
+    });
+
+    // Create request data for ML server (using Annual Flux image instead of RGB)
+    const requestData = {
+      building_id: buildingId,
+      rgb_image: annualFluxImage, // UPDATED: Using Annual Flux image instead of RGB
+      image_width: imageWidth,
+      image_height: imageHeight,
+      building_box: pixelCoordinates.buildingBox,
+      roof_segments: pixelCoordinates.roofSegments,
+      building_center: pixelCoordinates.buildingCenter,
+    };
+
+    // Log the request data (without image data)
+    const logData = { ...requestData };
+    if (logData.rgb_image) logData.rgb_image = "[ANNUAL FLUX IMAGE DATA URL]";
+
+    console.log(
+      "ML server request data (with Annual Flux):",
+      JSON.stringify(logData, null, 2)
+    );
+
+    // Send request to ML server
+    const startTime = Date.now();
+    console.log("Sending Annual Flux data to ML server...");
+    const mlResponse = await axios.post(
+      `${ML_SERVER_URL}/api/predict`,
+      requestData,
+      {
+        headers: { "Content-Type": "application/json" },
+        timeout: 600000, // 60 second timeout for ML processing
+        signal,
+      }
+    );
+
+    const processingTime = Date.now() - startTime;
+    console.log(`ML server response received in ${processingTime}ms`);
+
+    // Process response
+    const mlData = mlResponse.data;
+
+    // Add processing time to result
+    mlData.processing_time = processingTime;
+    mlData.success = true;
+
+    // CRITICAL: Ensure obstructions are present
+    if (!mlData.obstructions) {
+      mlData.obstructions = [];
+    }
+
+    console.log(
+      `ML server returned ${mlData.obstructions.length} obstructions using Annual Flux data`
+    );
+
+    return mlData;
+  } catch (error) {
+    console.error("Error processing with ML server using Annual Flux:", error);
+
+    // Capture detailed error information
+    let errorDetails = {
+      message: error.message,
+      type: error.response ? "ml_server_error" : "connection_error",
+    };
+
+    if (error.response) {
+      errorDetails.status = error.response.status;
+      errorDetails.statusText = error.response.statusText;
+      errorDetails.data = error.response.data;
+    }
+
+    console.error("Error details:", JSON.stringify(errorDetails, null, 2));
+
+    // Return error information
+    return {
+      success: false,
+      error: error.message,
+      error_type: error.response ? "ml_server_error" : "connection_error",
+      error_details: error.response?.data || {},
+      obstructions: [], // Ensure the obstructions property exists even in error case
+    };
+  }
+}
+
+/**
+ * Process roof segmentation with ML server (original RGB version)
+ * @param {Object} rgbResult - Processed RGB data
+ * @param {Object} buildingInsights - Building insights data
+ * @param {Array} roofSegments - Processed roof segments (optional)
+ * @param {AbortSignal} signal - Aborts the ML server request (optional)
+ * @returns {Promise<Object>} ML server processing results
+ */
+async function processMlServerRoofSegmentation(
+  rgbResult,
+  buildingInsights,
+  roofSegments = null,
+  signal = null
+) {
+  try {
+    console.log("Processing ML server roof segmentation with RGB data");
+
+    // Debug the rgbResult object thoroughly
+    console.log("RGB Result structure received:", {
+      hasDataUrls: !!rgbResult.dataUrls,
+      hasMetadata: !!rgbResult.metadata,
+      hasBuildingBoundaries: !!rgbResult.buildingBoundaries,
+      metadataDimensions: rgbResult.metadata?.dimensions
+        ? `${rgbResult.metadata.dimensions.width}x${rgbResult.metadata.dimensions.height}`
+        : "No dimensions in metadata",
+      fullMetadata: JSON.stringify(rgbResult.metadata || {}, null, 2),
+    });
+
+    // Extract building ID from building insights
+    const buildingId = buildingInsights.name || `building_${Date.now()}`;
+
+    // Get RGB image data URL
+    const rgbImage = rgbResult.dataUrls.buildingFocus;
+    if (!rgbImage) {
+      throw new Error("RGB image data URL not available for ML processing");
+    }
+
+    // Extract dimensions directly from RGB result
+    // Make sure to get the cropped dimensions that were actually used
+    const imageWidth = rgbResult.metadata?.dimensions?.width;
+    const imageHeight = rgbResult.metadata?.dimensions?.height;
+
+    // Log the dimensions we're using
+    console.log(
+      `Using RGB dimensions for ML processing: ${imageWidth}x${imageHeight}`
+    );
+
+    // Validate dimensions
+    if (!imageWidth || !imageHeight || imageWidth === 0 || imageHeight === 0) {
+      throw new Error(
+        `Invalid RGB dimensions for ML processing: ${imageWidth}x${imageHeight}`
+      );
+    }
+
+    // Convert geocoordinates to pixel coordinates
+    const pixelCoordinates = convertGeoToPixel({
+      imgWidth: imageWidth,
+      imgHeight: imageHeight,
+      buildingBoundingBox: buildingInsights.boundingBox,
+      buildingCenter: buildingInsights.center,
+      roofSegments:
+        roofSegments || buildingInsights.solarPotential?.roofSegmentStats || [],
+    });
+
+    console.log("Converted pixel coordinates:", {
+      buildingBox: pixelCoordinates.buildingBox,
+      roofSegments: pixelCoordinates.roofSegments.length,
+    });
+
+    // Create request data for ML server
+    const requestData = {
+      building_id: buildingId,
+      rgb_image: rgbImage,
+      image_width: imageWidth,
+      image_height: imageHeight,
+      building_box: pixelCoordinates.buildingBox,
+      roof_segments: pixelCoordinates.roofSegments,
+      building_center: pixelCoordinates.buildingCenter,
+    };
+
+    // Log the request data (without image data)
+    const logData = { ...requestData };
+    if (logData.rgb_image) logData.rgb_image = "[RGB IMAGE DATA URL]";
+
+    console.log("ML server request data:", JSON.stringify(logData, null, 2));
+
+    // Send request to ML server
+    const startTime = Date.now();
+    console.log("Sending request to ML server...");
+    const mlResponse = await axios.post(
+      `${ML_SERVER_URL}/api/predict`,
+      requestData,
+      {
+        headers: { "Content-Type": "application/json" },
+        timeout: 600000, // 60 second timeout for ML processing
+        signal,
+      }
+    );
+
+    const processingTime = Date.now() - startTime;
+    console.log(`ML server response received in ${processingTime}ms`);
+
+    // Process response
+    const mlData = mlResponse.data;
+
+    // Add processing time to result
+    mlData.processing_time = processingTime;
+    mlData.success = true;
+
+    // CRITICAL: Ensure obstructions are present
+    if (!mlData.obstructions) {
+      mlData.obstructions = [];
+    }
+
+    console.log(
+      `ML server returned ${mlData.obstructions.length} obstructions`
+    );
+
+    return mlData;
+  } catch (error) {
+    console.error("Error processing with ML server:", error);
+
+    // Capture detailed error information
+    let errorDetails = {
+      message: error.message,
+      type: error.response ? "ml_server_error" : "connection_error",
+    };
+
+    if (error.response) {
+      errorDetails.status = error.response.status;
+      errorDetails.statusText = error.response.statusText;
+      errorDetails.data = error.response.data;
+    }
+
+    console.error("Error details:", JSON.stringify(errorDetails, null, 2));
+
+    // Return error information
+    return {
+      success: false,
+      error: error.message,
+      error_type: error.response ? "ml_server_error" : "connection_error",
+      error_details: error.response?.data || {},
+      obstructions: [], // Ensure the obstructions property exists even in error case
+    };
+  }
+}
+
+/**
+ * Convert geographic coordinates to pixel coordinates for ML server
+ * @param {Object} params - Input parameters
+ * @param {number} params.imgWidth - Image width in pixels
+ * @param {number} params.imgHeight - Image height in pixels
+ * @param {Object} params.buildingBoundingBox - Geographic bounding box of the building
+ * @param {Object} params.buildingCenter - Geographic center of the building
+ * @param {Array} params.roofSegments - Array of roof segment objects with geographic coordinates
+ * @returns {Object} - Converted coordinates for ML server
+ */
+function convertGeoToPixel(params) {
+  const {
+    imgWidth,
+    imgHeight,
+    buildingBoundingBox,
+    buildingCenter,
+    roofSegments,
+  } = params;
+
+  console.log("Converting geo to pixel with parameters:", {
+    imgWidth,
+    imgHeight,
+    hasBuildingBoundingBox: !!buildingBoundingBox,
+    hasBuildingCenter: !!buildingCenter,
+    roofSegmentsCount: roofSegments ? roofSegments.length : 0,
+  });
+
+  // Function to convert a single geographic coordinate to pixels
+  function geoToPixel(lat, lng, bounds) {
+    // If bounds are not available, return center of image
+    if (!bounds || !bounds.ne || !bounds.sw) {
+      return { x: imgWidth / 2, y: imgHeight / 2 };
+    }
+
+    // Calculate pixel coordinates
+    // Note: In images, Y increases downward
+    const x =
+      ((lng - bounds.sw.longitude) /
+        (bounds.ne.longitude - bounds.sw.longitude)) *
+      imgWidth;
+    const y =
+      ((bounds.ne.latitude - lat) / (bounds.ne.latitude - bounds.sw.latitude)) *
+      imgHeight;
+
+    return {
+      x: Math.min(Math.max(0, Math.round(x)), imgWidth - 1),
+      y: Math.min(Math.max(0, Math.round(y)), imgHeight - 1),
+    };
+  }
+
+  // Convert building center to pixel coordinates
+  let buildingCenterPixel = { x: imgWidth / 2, y: imgHeight / 2 };
+  if (buildingCenter && buildingCenter.latitude && buildingCenter.longitude) {
+    buildingCenterPixel = geoToPixel(
+      buildingCenter.latitude,
+      buildingCenter.longitude,
+      buildingBoundingBox
+    );
+  }
+
+  // Convert building bounding box to pixel coordinates
+  let buildingBoxPixel = {
+    min_x: 0,
+    min_y: 0,
+    max_x: imgWidth - 1,
+    max_y: imgHeight - 1,
+  };
+
+  if (buildingBoundingBox && buildingBoundingBox.sw && buildingBoundingBox.ne) {
+    const swPixel = geoToPixel(
+      buildingBoundingBox.sw.latitude,
+      buildingBoundingBox.sw.longitude,
+      buildingBoundingBox
+    );
+    const nePixel = geoToPixel(
+      buildingBoundingBox.ne.latitude,
+      buildingBoundingBox.ne.longitude,
+      buildingBoundingBox
+    );
+
+    buildingBoxPixel = {
+      min_x: Math.min(swPixel.x, nePixel.x),
+      min_y: Math.min(swPixel.y, nePixel.y),
+      max_x: Math.max(swPixel.x, nePixel.x),
+      max_y: Math.max(swPixel.y, nePixel.y),
+    };
+  }
+
+  // Convert roof segments to pixel coordinates
+  const roofSegmentsPixel = [];
+
+  if (Array.isArray(roofSegments) && roofSegments.length > 0) {
+    for (const segment of roofSegments) {
+      // Different segment formats might be present based on source
+      // Handle Solar API's roofSegmentStats format
+      if (
+        segment.boundingBox ||
+        (segment.center && segment.stats?.stats?.areaMeters2)
+      ) {
+        let segmentBox = {};
+
+        if (segment.boundingBox) {
+          // Format from BuildingInsights
+          const swPixel = geoToPixel(
+            segment.boundingBox.sw.latitude,
+            segment.boundingBox.sw.longitude,
+            buildingBoundingBox
+          );
+          const nePixel = geoToPixel(
+            segment.boundingBox.ne.latitude,
+            segment.boundingBox.ne.longitude,
+            buildingBoundingBox
+          );
+
+          segmentBox = {
+            min_x: Math.min(swPixel.x, nePixel.x),
+            min_y: Math.min(swPixel.y, nePixel.y),
+            max_x: Math.max(swPixel.x, nePixel.x),
+            max_y: Math.max(swPixel.y, nePixel.y),
+          };
+        } else if (segment.center) {
+          // Alternative format where only center is available
+          // Create a bounding box around the center based on area
+          const centerPixel = geoToPixel(
+            segment.center.latitude,
+            segment.center.longitude,
+            buildingBoundingBox
+          );
+
+          // Estimate dimensions from area if available
+          const area = segment.stats?.stats?.areaMeters2 || 10;
+          const estimatedRadius = Math.sqrt(area) * 2; // Convert to pixel radius
+          const pixelRadius = Math.max(20, Math.min(100, estimatedRadius)); // Constrain to reasonable size
+
+          segmentBox = {
+            min_x: Math.max(0, centerPixel.x - pixelRadius),
+            min_y: Math.max(0, centerPixel.y - pixelRadius),
+            max_x: Math.min(imgWidth - 1, centerPixel.x + pixelRadius),
+            max_y: Math.min(imgHeight - 1, centerPixel.y + pixelRadius),
+          };
+        }
+
+        const segmentPixel = {
+          id:
+            segment.segmentIndex !== undefined
+              ? `segment_${segment.segmentIndex}`
+              : `segment_${roofSegmentsPixel.length}`,
+          ...segmentBox,
+        };
+
+        // Copy other properties that might be useful for ML
+        if (segment.pitch !== undefined) segmentPixel.pitch = segment.pitch;
+        if (segment.azimuth !== undefined)
+          segmentPixel.azimuth = segment.azimuth;
+        if (segment.suitability !== undefined)
+          segmentPixel.suitability = segment.suitability;
+        if (segment.orientation !== undefined)
+          segmentPixel.orientation = segment.orientation;
+        if (segment.area !== undefined) segmentPixel.area = segment.area;
+        roofSegmentsPixel.push(segmentPixel);
+      }
+    }
+  }
+
+  console.log("Converted pixel coordinates result:", {
+    buildingCenterPixel,
+    buildingBoxWidth: buildingBoxPixel.max_x - buildingBoxPixel.min_x,
+    buildingBoxHeight: buildingBoxPixel.max_y - buildingBoxPixel.min_y,
+    roofSegmentsCount: roofSegmentsPixel.length,
+  });
+
+  // Return the converted values
+  return {
+    buildingCenter: buildingCenterPixel,
+    buildingBox: buildingBoxPixel,
+    roofSegments: roofSegmentsPixel,
+    imageWidth: imgWidth,
+    imageHeight: imgHeight,
+  };
+}
+
+module.exports = {
+  processMlServerRoofSegmentation,
+  processMlServerRoofSegmentationWithFlux,
+  processMlServerRoofSegmentationWithCombined,
+  convertGeoToPixel,
+};
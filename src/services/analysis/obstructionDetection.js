@@ -0,0 +1,535 @@
+/**
+ * Obstruction detection on ML roof segments
+ *
+ * Uses the DSM height data to find vents, chimneys and other objects that
+ * break the plane of a roof segment.
+ */
+
+/**
+ * Calculate real-world dimensions from the image and building data
+ * @param {Object} imageResult - Processed image data (RGB or Annual Flux)
+ * @param {Object} buildingInsights - Building insights data
+ * @returns {Object} - Real-world dimensions in meters
+ */
+function calculateRealWorldDimensions(imageResult, buildingInsights) {
+  try {
+    // Extract pixel dimensions
+    const pixelWidth = imageResult.metadata?.dimensions?.width || 0;
+    const pixelHeight = imageResult.metadata?.dimensions?.height || 0;
+
+    if (pixelWidth === 0 || pixelHeight === 0) {
+      throw new Error("Invalid pixel dimensions");
+    }
+
+    // Get building bounding box from insights
+    const boundingBox = buildingInsights.boundingBox;
+
+    if (!boundingBox || !boundingBox.ne || !boundingBox.sw) {
+      throw new Error("Building bounding box not available");
+    }
+
+    // Calculate real-world width and height using Haversine formula
+    const earthRadius = 6371000; // meters
+
+    // Calculate width (east-west distance)
+    const dLng =
+      ((boundingBox.ne.longitude - boundingBox.sw.longitude) * Math.PI) / 180;
+    const lat =
+      (((boundingBox.ne.latitude + boundingBox.sw.latitude) / 2) * Math.PI) /
+      180;
+    const width = earthRadius * Math.cos(lat) * dLng;
+
+    // Calculate height (north-south distance)
+    const dLat =
+      ((boundingBox.ne.latitude - boundingBox.sw.latitude) * Math.PI) / 180;
+    const height = earthRadius * dLat;
+
+    // Calculate meters per pixel
+    const metersPerPixelX = width / pixelWidth;
+    const metersPerPixelY = height / pixelHeight;
+
+    console.log(
+      `Calculated real-world dimensions: ${width.toFixed(
+        2
+      )}m x ${height.toFixed(2)}m`
+    );
+    console.log(
+      `Meters per pixel: X=${metersPerPixelX.toFixed(
+        3
+      )}m/px, Y=${metersPerPixelY.toFixed(3)}m/px`
+    );
+
+    return {
+      width,
+      height,
+      metersPerPixelX,
+      metersPerPixelY,
+      pixelWidth,
+      pixelHeight,
+    };
+  } catch (error) {
+    console.error(`Error calculating real-world dimensions: ${error.message}`);
+    // Return default values based on typical urban aerial imagery resolution
+    return {
+      width: 50,
+      height: 50,
+      metersPerPixelX: 0.1,
+      metersPerPixelY: 0.1,
+      pixelWidth: 500,
+      pixelHeight: 500,
+    };
+  }
+}
+
+/**
+ * Check if a point is inside a polygon using ray casting algorithm
+ * @param {number} x - Point x coordinate
+ * @param {number} y - Point y coordinate
+ * @param {Array} polygon - Array of polygon points {x, y}
+ * @returns {boolean} - True if point is inside polygon
+ */
+function isPointInPolygon(x, y, polygon) {
+  let inside = false;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const xi = polygon[i].x;
+    const yi = polygon[i].y;
+    const xj = polygon[j].x;
+    const yj = polygon[j].y;
+
+    // Check if ray from point crosses edge
+    const intersect =
+      yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi;
+
+    if (intersect) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
+
+/**
+ * Get bounding box of a polygon
+ * @param {Array} polygon - Array of points {x, y}
+ * @returns {Object} - Bounding box {minX, minY, maxX, maxY}
+ */
+function getPolygonBounds(polygon) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+
+  for (const point of polygon) {
+    minX = Math.min(minX, point.x);
+    minY = Math.min(minY, point.y);
+    maxX = Math.max(maxX, point.x);
+    maxY = Math.max(maxY, point.y);
+  }
+
+  return {
+    minX: Math.floor(minX),
+    minY: Math.floor(minY),
+    maxX: Math.ceil(maxX),
+    maxY: Math.ceil(maxY),
+  };
+}
+
+/**
+ * Convert rectangle coordinates to polygon points
+ * @param {number} x - X coordinate of top-left corner
+ * @param {number} y - Y coordinate of top-left corner
+ * @param {number} width - Width of rectangle
+ * @param {number} height - Height of rectangle
+ * @returns {Array} - Array of points defining the rectangle polygon
+ */
+function rectangleToPolygon(x, y, width, height) {
+  return [
+    { x: x, y: y }, // top-left
+    { x: x + width, y: y }, // top-right
+    { x: x + width, y: y + height }, // bottom-right
+    { x: x, y: y + height }, // bottom-left
+  ];
+}
+
+/**
+ * Fit a plane to 3D points using least squares method
+ * @param {Array} points - Array of {x,y,z} points
+ * @param {Object} dimensions - Real-world dimensions
+ * @returns {Object} - Fitted plane parameters
+ */
+function fitPlaneToPoints(points, dimensions) {
+  // Convert pixel coordinates to meters
+  const points3D = points.map((p) => ({
+    x: p.x * dimensions.metersPerPixelX,
+    y: p.y * dimensions.metersPerPixelY,
+    z: p.z, // Height in meters
+  }));
+
+  // Calculate centroid
+  const centroid = {
+    x: points3D.reduce((sum, p) => sum + p.x, 0) / points3D.length,
+    y: points3D.reduce((sum, p) => sum + p.y, 0) / points3D.length,
+    z: points3D.reduce((sum, p) => sum + p.z, 0) / points3D.length,
+  };
+
+  // Create covariance matrix components
+  let xx = 0,
+    xy = 0,
+    xz = 0,
+    yy = 0,
+    yz = 0;
+
+  for (const p of points3D) {
+    const dx = p.x - centroid.x;
+    const dy = p.y - centroid.y;
+    const dz = p.z - centroid.z;
+
+    xx += dx * dx;
+    xy += dx * dy;
+    xz += dx * dz;
+    yy += dy * dy;
+    yz += dy * dz;
+  }
+
+  // Solve for normal vector using least squares
+  const det_x = yy * xz - xy * yz;
+  const det_y = xy * xz - xx * yz;
+  const det = xx * yy - xy * xy;
+
+  // Avoid division by zero
+  if (Math.abs(det) < 1e-10) {
+    // Can't fit plane reliably, return default
+    return {
+      avgSlope: Math.sqrt(xz * xz + yz * yz),
+      normalVector: { x: 0, y: 0, z: 1 },
+    };
+  }
+
+  const a = det_x / det;
+  const b = det_y / det;
+
+  // Normal vector of the plane
+  const normalVector = { x: a, y: b, z: 1 };
+
+  // Calculate overall slope
+  const avgSlope = Math.sqrt(a * a + b * b);
+
+  return { avgSlope, normalVector };
+}
+
+/**
+ * Check block slope using DSM data with enhanced global slope matching
+ * @param {Array} dsmRaster - DSM raster data
+ * @param {number} x - Block top-left X
+ * @param {number} y - Block top-left Y
+ * @param {number} width - Block width
+ * @param {number} height - Block height
+ * @param {Object} dimensions - Real-world dimensions
+ * @param {number} baselineSlope - Expected slope from roof segment metadata
+ * @param {number} maxLocalDeviation - Maximum allowed local deviation in degrees
+ * @returns {Object} - Validation result
+ */
+function checkBlockSlope(
+  dsmRaster,
+  x,
+  y,
+  width,
+  height,
+  dimensions,
+  baselineSlope,
+  maxLocalDeviation
+) {
+  // Configurable threshold for global slope deviation (in degrees)
+  const MAX_GLOBAL_SLOPE_DEVIATION = 12;
+
+  // If DSM data is missing, assume block is valid
+  if (!dsmRaster || !dimensions) {
+    return { isValid: true, deviation: 0, avgSlope: baselineSlope };
+  }
+
+  try {
+    // Sample points in a grid pattern for better slope estimation
+    const dsmValues = [];
+    const dsmPoints = [];
+    let totalValid = 0;
+
+    // Use a 3x3 grid for sampling
+    const numSamplesX = 3;
+    const numSamplesY = 3;
+
+    for (let sy = 0; sy < numSamplesY; sy++) {
+      for (let sx = 0; sx < numSamplesX; sx++) {
+        const pointX = x + Math.floor((sx * width) / (numSamplesX - 1));
+        const pointY = y + Math.floor((sy * height) / (numSamplesY - 1));
+
+        // Skip if outside image bounds
+        if (
+          pointX < 0 ||
+          pointY < 0 ||
+          pointX >= dimensions.pixelWidth ||
+          pointY >= dimensions.pixelHeight
+        ) {
+          continue;
+        }
+
+        // Get DSM value at this point
+        const index = pointY * dimensions.pixelWidth + pointX;
+
+        if (index >= 0 && index < dsmRaster.length) {
+          const value = dsmRaster[index];
+
+          if (value !== undefined && !isNaN(value)) {
+            dsmValues.push(value);
+            dsmPoints.push({ x: pointX, y: pointY, z: value });
+            totalValid++;
+          }
+        }
+      }
+    }
+
+    // Need at least 4 valid points to calculate slope reliably
+    if (totalValid < 4) {
+      return { isValid: true, deviation: 0, avgSlope: baselineSlope };
+    }
+
+    // PART 1: Check for local slope consistency (sudden height changes)
+    const minHeight = Math.min(...dsmValues);
+    const maxHeight = Math.max(...dsmValues);
+    const heightDiff = maxHeight - minHeight;
+
+    // Convert height difference to slope angle for local consistency check
+    const blockDiagonalLength = Math.sqrt(
+      Math.pow(width * dimensions.metersPerPixelX, 2) +
+        Math.pow(height * dimensions.metersPerPixelY, 2)
+    );
+
+    // Calculate slope based on min/max difference (local consistency)
+    const localVarianceSlope = heightDiff / blockDiagonalLength;
+
+    // PART 2: Calculate global average slope using plane fitting
+    const { avgSlope, normalVector } = fitPlaneToPoints(dsmPoints, dimensions);
+
+    // Convert slopes to angles for comparison
+    const baselineAngle = (Math.atan(baselineSlope) * 180) / Math.PI;
+    const localVarianceAngle = (Math.atan(localVarianceSlope) * 180) / Math.PI;
+    const avgAngle = (Math.atan(avgSlope) * 180) / Math.PI;
+
+    // Calculate deviations
+    const localDeviation = Math.abs(localVarianceAngle - baselineAngle);
+    const globalDeviation = Math.abs(avgAngle - baselineAngle);
+
+    // Block is valid if both local and global deviations are acceptable
+    const isLocalValid = localDeviation <= maxLocalDeviation;
+    const isGlobalValid = globalDeviation <= MAX_GLOBAL_SLOPE_DEVIATION;
+    const isValid = isLocalValid && isGlobalValid;
+
+    return {
+      isValid,
+      localDeviation,
+      globalDeviation,
+      avgSlope,
+      baselineAngle,
+      avgAngle,
+      type: !isLocalValid
+        ? "local_variance"
+        : !isGlobalValid
+        ? "global_mismatch"
+        : "valid",
+    };
+  } catch (error) {
+    console.error(`Error checking block slope: ${error.message}`);
+    // Return valid as default in case of error
+    return { isValid: true, deviation: 0, avgSlope: baselineSlope };
+  }
+}
+
+/**
+ * Detect obstructions using roof polygons and DSM data
+ * Uses a smaller grid size (0.5m) than the solar panel layout for more detailed obstruction detection
+ * @param {Array} roofSegments - Roof segments from ML server
+ * @param {Object} dsmData - Processed DSM data
+ * @param {Object} realWorldDimensions - Real-world dimensions
+ * @param {Array} originalRoofSegments - Original roof segments with metadata
+ * @returns {Object} - Detailed obstructions
+ */
+function detectObstructions(
+  roofSegments,
+  dsmData,
+  realWorldDimensions,
+  originalRoofSegments
+) {
+  try {
+    console.log("Detecting roof obstructions with 0.5m resolution");
+
+    // Use 0.5m dimension for obstruction detection (finer than panel layout)
+    const obstructionWidth = 0.5; // meters
+    const obstructionHeight = 0.5; // meters
+
+    // Convert to pixels
+    const obstructionWidthPx = Math.round(
+      obstructionWidth / realWorldDimensions.metersPerPixelX
+    );
+    const obstructionHeightPx = Math.round(
+      obstructionHeight / realWorldDimensions.metersPerPixelY
+    );
+
+    console.log(
+      `Obstruction detection dimensions in pixels: ${obstructionWidthPx}px x ${obstructionHeightPx}px`
+    );
+
+    // Array to store results
+    const obstructions = [];
+
+    // Maximum slope deviation in degrees (for local variance)
+    const MAX_SLOPE_DEVIATION = 19; // Stricter than panel layout to catch more obstructions
+
+    // Process each roof segment
+    for (let i = 0; i < roofSegments.length; i++) {
+      const segment = roofSegments[i];
+
+      // Skip segments without polygons
+      if (!segment.polygon || segment.polygon.length < 3) {
+        console.log(`Skipping segment ${segment.id} - no valid polygon`);
+        continue;
+      }
+
+      console.log(`Processing segment ${segment.id} for obstructions`);
+
+      // Find matching original segment for metadata
+      const origSegment = originalRoofSegments.find(
+        (s) =>
+          s.segmentIndex?.toString() === segment.id.replace("segment_", "") ||
+          s.id === segment.id
+      );
+
+      // Extract metadata from original segment
+      const segmentPitch = origSegment?.pitch || segment.pitch || 20; // Default 20 degree pitch
+      const segmentAzimuth = origSegment?.azimuth || segment.azimuth || 180; // Default south-facing
+
+      // Calculate baseline slope using segment pitch
+      const baselineSlope = Math.tan((segmentPitch * Math.PI) / 180);
+
+      // Get polygon bounding box
+      const bounds = getPolygonBounds(segment.polygon);
+
+      // Make sure bounds are within the image
+      bounds.minX = Math.max(0, bounds.minX);
+      bounds.minY = Math.max(0, bounds.minY);
+      bounds.maxX = Math.min(realWorldDimensions.pixelWidth - 1, bounds.maxX);
+      bounds.maxY = Math.min(realWorldDimensions.pixelHeight - 1, bounds.maxY);
+
+      // Iterate through bounds in obstruction-sized blocks - use a smaller stride for more detailed detection
+      // Use 25% stride for finer detection with overlap
+      const strideX = Math.max(1, Math.floor(obstructionWidthPx * 0.25));
+      const strideY = Math.max(1, Math.floor(obstructionHeightPx * 0.25));
+
+      for (
+        let y = bounds.minY;
+        y <= bounds.maxY - obstructionHeightPx;
+        y += strideY
+      ) {
+        for (
+          let x = bounds.minX;
+          x <= bounds.maxX - obstructionWidthPx;
+          x += strideX
+        ) {
+          // Check if the center of this block is inside the polygon
+          const centerX = x + Math.floor(obstructionWidthPx / 2);
+          const centerY = y + Math.floor(obstructionHeightPx / 2);
+
+          if (isPointInPolygon(centerX, centerY, segment.polygon)) {
+            // Block is inside the polygon - check slope consistency
+            const { isValid, localDeviation, globalDeviation, avgSlope, type } =
+              checkBlockSlope(
+                dsmData.raster,
+                x,
+                y,
+                obstructionWidthPx,
+                obstructionHeightPx,
+                realWorldDimensions,
+                baselineSlope,
+                MAX_SLOPE_DEVIATION
+              );
+
+            if (!isValid) {
+              // Only add if it's an actual obstruction - avoid duplicating nearby detections
+              // Check if we already have a similar obstruction nearby
+              const isNearExisting = obstructions.some((obs) => {
+                const distance = Math.sqrt(
+                  Math.pow(obs.x - x, 2) + Math.pow(obs.y - y, 2)
+                );
+                return (
+                  distance < obstructionWidthPx && obs.segmentId === segment.id
+                );
+              });
+
+              if (!isNearExisting) {
+                // Add obstruction with polygon representation
+                obstructions.push({
+                  id: `obstruction_${segment.id}_${obstructions.length}`,
+                  segmentId: segment.id,
+                  x,
+                  y,
+                  width: obstructionWidthPx,
+                  height: obstructionHeightPx,
+                  type:
+                    type === "local_variance"
+                      ? "slope_variance"
+                      : "slope_mismatch",
+                  localDeviation,
+                  globalDeviation,
+                  // Add polygon representation for obstructions
+                  polygon: rectangleToPolygon(
+                    x,
+                    y,
+                    obstructionWidthPx,
+                    obstructionHeightPx
+                  ),
+                  // Add real-world dimensions
+                  realWidth: obstructionWidth,
+                  realHeight: obstructionHeight,
+                });
+              }
+            }
+          }
+        }
+      }
+    }
+
+    console.log(
+      `Detected ${obstructions.length} obstructions using 0.5m resolution`
+    );
+
+    return {
+      obstructions,
+      metadata: {
+        obstructionCount: obstructions.length,
+        obstructionDimensions: {
+          width: obstructionWidth,
+          height: obstructionHeight,
+          widthPx: obstructionWidthPx,
+          heightPx: obstructionHeightPx,
+        },
+      },
+    };
+  } catch (error) {
+    console.error(`Error detecting obstructions: ${error.message}`);
+    return {
+      obstructions: [],
+      metadata: {
+        error: error.message,
+      },
+    };
+  }
+}
+
+module.exports = {
+  calculateRealWorldDimensions,
+  detectObstructions,
+  isPointInPolygon,
+  getPolygonBounds,
+  rectangleToPolygon,
+  fitPlaneToPoints,
+  checkBlockSlope,
+};
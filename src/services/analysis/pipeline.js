@@ -0,0 +1,473 @@
+/**
+ * Declarative step pipeline
+ *
+ * A pipeline is a list of steps. Each step names the steps whose results it
+ * needs (dependsOn) and the steps it only has to wait for if they run
+ * (after). A step can also name steps to run whenever it is selected
+ * (includes), such as the alternative sources of its input. Every step
+ * whose dependencies have settled is started right away, so independent
+ * steps run in parallel. Progress is reported as the share of settled step
+ * weight.
+ *
+ * Step definition:
+ *   {
+ *     name: "rgb",                   // Unique step name
+ *     dependsOn: ["dataLayers"],     // Skipped unless these completed
+ *     after: ["dsm"],                // Waits for these, whatever their outcome
+ *     includes: ["dsm"],             // Selected with this step; also after
+ *     weight: 10,                    // Share of the overall progress
+ *     optional: true,                // A failure does not fail the pipeline
+ *     output: "rgbResult",           // Key in context.results for the result
+ *     message: "Processing RGB...",  // Shown when the step starts
+ *     failureMessage: "...",         // Shown when an optional step fails
+ *     skip: (context) => reason,     // Truthy (or a reason string) skips it
+ *     params: {                      // Caller-tunable parameters
+ *       radius: { type: "number", min: 10, max: 175, default: 50 },
+ *       quality: { type: "string", values: ["LOW", "HIGH"], default: "LOW" },
+ *       ruleSet: { type: "string", nullable: true, default: "ifc-2018" },
+ *     },
+ *     run: async (context) => result, // context.params[name] holds the params
+ *     onComplete: (result, context) => {}, // Called once progress is updated
+ *   }
+ */
+
+const STEP_STATUS = {
+  RUNNING: "running",
+  COMPLETED: "completed",
+  SKIPPED: "skipped",
+  FAILED: "failed",
+};
+
+/**
+ * Runs a set of interdependent steps with maximum parallelism
+ */
+class AnalysisPipeline {
+  /**
+   * Create a new AnalysisPipeline
+   * @param {Array<Object>} steps - Step definitions
+   * @throws {Error} if the step definitions are invalid
+   */
+  constructor(steps) {
+    this.steps = steps.map((step) => ({
+      dependsOn: [],
+      after: [],
+      includes: [],
+      weight: 1,
+      optional: false,
+      ...step,
+    }));
+    this.stepsByName = new Map();
+
+    for (const step of this.steps) {
+      if (!step.name || typeof step.run !== "function") {
+        const error = new Error("Every step needs a name and a run() function");
+        console.error("[AnalysisPipeline] Definition error:", error.message);
+        throw error;
+      }
+
+      if (this.stepsByName.has(step.name)) {
+        const error = new Error(`Duplicate step name: ${step.name}`);
+        console.error("[AnalysisPipeline] Definition error:", error.message);
+        throw error;
+      }
+
+      this.stepsByName.set(step.name, step);
+    }
+
+    for (const step of this.steps) {
+      for (const dependency of getPrerequisites(step)) {
+        if (!this.stepsByName.has(dependency)) {
+          const error = new Error(
+            `Step '${step.name}' depends on unknown step '${dependency}'`
+          );
+          console.error("[AnalysisPipeline] Definition error:", error.message);
+          throw error;
+        }
+      }
+    }
+
+    this.validateAcyclic();
+  }
+
+  /**
+   * Get the names of all steps in definition order
+   * @returns {Array<string>} - Step names
+   */
+  getStepNames() {
+    return this.steps.map((step) => step.name);
+  }
+
+  /**
+   * Validate the steps and parameters a caller asked for
+   * @param {Object} [request] - Requested configuration
+   * @param {Array<string>} [request.steps] - Steps whose outputs are wanted;
+   *   the steps they depend on or include are added automatically (default:
+   *   all steps)
+   * @param {Object} [request.params] - Parameter overrides keyed by step name
+   * @returns {Object} - {isValid, errors, steps, skip, params} where params
+   *   holds the defaults merged with the overrides for every step
+   */
+  resolveRequest(request = {}) {
+    const errors = [];
+    let requested = this.getStepNames();
+
+    if (request.steps !== undefined) {
+      if (!Array.isArray(request.steps) || request.steps.length === 0) {
+        errors.push("steps must be a non-empty array of step names");
+      } else {
+        requested = request.steps;
+
+        requested.forEach((name, index) => {
+          if (!this.stepsByName.has(name)) {
+            errors.push(
+              `steps[${index}] '${name}' is not a known step. Known steps are: ${this.getStepNames().join(", ")}`
+            );
+          }
+        });
+      }
+    }
+
+    const params = {};
+    const overrides = request.params ?? {};
+
+    if (
+      typeof overrides !== "object" ||
+      overrides === null ||
+      Array.isArray(overrides)
+    ) {
+      errors.push("params must be an object keyed by step name");
+    } else {
+      for (const stepName of Object.keys(overrides)) {
+        const step = this.stepsByName.get(stepName);
+
+        if (!step) {
+          errors.push(`params.${stepName} does not match a known step`);
+        } else if (!step.params) {
+          errors.push(`params.${stepName}: step takes no parameters`);
+        }
+      }
+
+      for (const step of this.steps) {
+        if (step.params) {
+          params[step.name] = resolveStepParams(
+            step,
+            overrides[step.name],
+            errors
+          );
+        }
+      }
+    }
+
+    if (errors.length > 0) {
+      return { isValid: false, errors };
+    }
+
+    // Add the steps the requested ones cannot run without or take their
+    // input from
+    const included = new Set();
+    const include = (name) => {
+      if (included.has(name)) return;
+      included.add(name);
+
+      const step = this.stepsByName.get(name);
+      step.dependsOn.forEach(include);
+      step.includes.forEach(include);
+    };
+    requested.forEach(include);
+
+    const steps = this.getStepNames().filter((name) => included.has(name));
+    const skip = this.getStepNames().filter((name) => !included.has(name));
+
+    return { isValid: true, errors: [], steps, skip, params };
+  }
+
+  /**
+   * Run the pipeline
+   * @param {Object} context - Shared context passed to every step; step
+   *   outputs are written to context.results
+   * @param {Object} [options] - Run options
+   * @param {AbortSignal} [options.signal] - Stops scheduling new steps
+   * @param {Array<string>} [options.skip] - Names of steps to skip
+   * @param {Function} [options.onProgress] - Called with
+   *   {step, status, progress, duration, error, reason} on every change
+   * @returns {Promise<Object>} - Outcome of every step keyed by step name
+   * @throws {Error} if a required step fails or the run is aborted
+   */
+  async run(context, options = {}) {
+    const { signal = null, skip = [], onProgress = () => {} } = options;
+    const outcomes = {};
+    const pending = new Set(this.getStepNames());
+    const running = new Map();
+    const totalWeight = this.steps.reduce((sum, step) => sum + step.weight, 0);
+    let settledWeight = 0;
+    let fatalError = null;
+
+    context.results = context.results || {};
+
+    const report = (step, status, details = {}) => {
+      if (status !== STEP_STATUS.RUNNING) {
+        settledWeight += step.weight;
+      }
+
+      outcomes[step.name] = { status, ...details };
+
+      onProgress({
+        step,
+        status,
+        progress:
+          totalWeight > 0
+            ? Math.round((settledWeight / totalWeight) * 100)
+            : 100,
+        ...details,
+      });
+    };
+
+    const isSettled = (name) =>
+      outcomes[name] && outcomes[name].status !== STEP_STATUS.RUNNING;
+
+    const execute = async (step) => {
+      const startTime = Date.now();
+      let result;
+
+      try {
+        result = await step.run(context);
+      } catch (error) {
+        if (signal?.aborted) {
+          outcomes[step.name] = { status: STEP_STATUS.FAILED, error };
+          return;
+        }
+
+        console.error(`[AnalysisPipeline] Step '${step.name}' failed:`, error);
+
+        if (!step.optional) {
+          fatalError = fatalError || error;
+        }
+
+        report(step, STEP_STATUS.FAILED, {
+          error,
+          duration: Date.now() - startTime,
+        });
+        return;
+      }
+
+      if (step.output) {
+        context.results[step.output] = result;
+      }
+
+      report(step, STEP_STATUS.COMPLETED, {
+        duration: Date.now() - startTime,
+      });
+
+      if (step.onComplete && !signal?.aborted) {
+        try {
+          step.onComplete(result, context);
+        } catch (error) {
+          console.error(
+            `[AnalysisPipeline] onComplete of step '${step.name}' failed:`,
+            error
+          );
+        }
+      }
+    };
+
+    while (pending.size > 0 || running.size > 0) {
+      let scheduled = true;
+
+      // Skipping a step can make others ready, so keep going until stable
+      while (scheduled && !fatalError && !signal?.aborted) {
+        scheduled = false;
+
+        for (const name of pending) {
+          if (fatalError || signal?.aborted) break;
+
+          const step = this.stepsByName.get(name);
+
+          if (!getPrerequisites(step).every(isSettled)) {
+            continue;
+          }
+
+          pending.delete(name);
+          scheduled = true;
+
+          const reason = this.getSkipReason(step, context, outcomes, skip);
+
+          if (reason) {
+            console.log(
+              `[AnalysisPipeline] Skipping step '${name}': ${reason}`
+            );
+            report(step, STEP_STATUS.SKIPPED, { reason });
+            continue;
+          }
+
+          report(step, STEP_STATUS.RUNNING);
+
+          const promise = execute(step).finally(() => running.delete(name));
+          running.set(name, promise);
+        }
+      }
+
+      // Nothing left to wait for (aborted, failed or every step settled)
+      if (running.size === 0) break;
+
+      await Promise.race(running.values());
+    }
+
+    signal?.throwIfAborted();
+
+    if (fatalError) {
+      throw fatalError;
+    }
+
+    return outcomes;
+  }
+
+  /**
+   * Decide whether a step should be skipped
+   * @private
+   * @param {Object} step - Step definition
+   * @param {Object} context - Pipeline context
+   * @param {Object} outcomes - Outcomes of the settled steps
+   * @param {Array<string>} skip - Names of steps skipped by the caller
+   * @returns {string|null} - Reason for skipping or null to run the step
+   */
+  getSkipReason(step, context, outcomes, skip) {
+    if (skip.includes(step.name)) {
+      return "Not requested";
+    }
+
+    const missing = step.dependsOn.find(
+      (name) => outcomes[name].status !== STEP_STATUS.COMPLETED
+    );
+
+    if (missing) {
+      return `Requires '${missing}', which did not complete`;
+    }
+
+    if (step.skip) {
+      const reason = step.skip(context);
+
+      if (reason) {
+        return typeof reason === "string" ? reason : "Not applicable";
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Make sure the dependency graph has no cycles
+   * @private
+   * @throws {Error} if a cycle is found
+   */
+  validateAcyclic() {
+    const visiting = new Set();
+    const visited = new Set();
+
+    const visit = (name, trail) => {
+      if (visited.has(name)) return;
+
+      if (visiting.has(name)) {
+        const error = new Error(
+          `Circular step dependency: ${[...trail, name].join(" -> ")}`
+        );
+        console.error("[AnalysisPipeline] Definition error:", error.message);
+        throw error;
+      }
+
+      visiting.add(name);
+
+      const step = this.stepsByName.get(name);
+      for (const dependency of getPrerequisites(step)) {
+        visit(dependency, [...trail, name]);
+      }
+
+      visiting.delete(name);
+      visited.add(name);
+    };
+
+    for (const step of this.steps) {
+      visit(step.name, []);
+    }
+  }
+}
+
+/**
+ * Validate parameter overrides for a step and merge them with its defaults;
+ * null is accepted for parameters that default to null or are nullable
+ * @param {Object} step - Step definition with a params spec
+ * @param {Object} [overrides] - Caller supplied values
+ * @param {Array<string>} errors - Validation errors are appended here
+ * @returns {Object} - Resolved parameters
+ */
+function resolveStepParams(step, overrides, errors) {
+  const resolved = {};
+
+  if (overrides === undefined) {
+    overrides = {};
+  } else if (
+    typeof overrides !== "object" ||
+    overrides === null ||
+    Array.isArray(overrides)
+  ) {
+    errors.push(`params.${step.name} must be an object`);
+    overrides = {};
+  }
+
+  for (const key of Object.keys(overrides)) {
+    if (!Object.hasOwn(step.params, key)) {
+      errors.push(
+        `params.${step.name}.${key} is not a parameter of this step. Allowed: ${Object.keys(step.params).join(", ")}`
+      );
+    }
+  }
+
+  for (const [key, spec] of Object.entries(step.params)) {
+    const path = `params.${step.name}.${key}`;
+    const value = overrides[key];
+
+    if (value === undefined) {
+      resolved[key] = spec.default;
+      continue;
+    }
+
+    if (value === null && (spec.default === null || spec.nullable)) {
+      resolved[key] = null;
+      continue;
+    }
+
+    if (spec.type === "number") {
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        errors.push(`${path} must be a number`);
+      } else if (spec.min !== undefined && value < spec.min) {
+        errors.push(`${path} must be at least ${spec.min}`);
+      } else if (spec.max !== undefined && value > spec.max) {
+        errors.push(`${path} must be at most ${spec.max}`);
+      }
+    } else if (typeof value !== spec.type) {
+      errors.push(`${path} must be a ${spec.type}`);
+    }
+
+    if (spec.values && !spec.values.includes(value)) {
+      errors.push(`${path} must be one of: ${spec.values.join(", ")}`);
+    }
+
+    resolved[key] = value;
+  }
+
+  return resolved;
+}
+
+/**
+ * Get the steps a step waits for: those it depends on, runs after or
+ * includes
+ * @param {Object} step - Step definition
+ * @returns {Array<string>} - Step names
+ */
+function getPrerequisites(step) {
+  return [...step.dependsOn, ...step.after, ...step.includes];
+}
+
+module.exports = {
+  AnalysisPipeline,
+  STEP_STATUS,
+};
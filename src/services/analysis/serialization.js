@@ -0,0 +1,86 @@
+/**
+ * JSON serialization helpers for analysis persistence
+ *
+ * Processing results contain typed-array rasters (DSM, annual flux) that
+ * JSON.stringify would expand into huge index-keyed objects. These helpers
+ * encode typed arrays as base64 and restore them when reading back.
+ */
+
+/**
+ * Keys that are dropped before persisting results. They hold large
+ * intermediate data that is only kept around for debugging.
+ */
+const OMITTED_KEYS = new Set(["processedData", "originalRaster"]);
+
+const TYPED_ARRAY_CONSTRUCTORS = {
+  Int8Array,
+  Uint8Array,
+  Uint8ClampedArray,
+  Int16Array,
+  Uint16Array,
+  Int32Array,
+  Uint32Array,
+  Float32Array,
+  Float64Array,
+};
+
+/**
+ * Serialize a value to a JSON string, encoding typed arrays
+ * @param {*} value - Value to serialize
+ * @param {Object} [options] - Serialization options
+ * @param {boolean} [options.omitIntermediate=false] - Drop debugging-only keys
+ * @returns {string} - JSON string
+ */
+function serialize(value, options = {}) {
+  const omitIntermediate = options.omitIntermediate === true;
+
+  return JSON.stringify(value, function (key, val) {
+    if (omitIntermediate && OMITTED_KEYS.has(key)) {
+      return undefined;
+    }
+
+    if (ArrayBuffer.isView(val) && !(val instanceof DataView)) {
+      const type =
+        val.constructor.name in TYPED_ARRAY_CONSTRUCTORS
+          ? val.constructor.name
+          : "Uint8Array"; // Buffer and other Uint8Array subclasses
+
+      return {
+        $typedArray: type,
+        base64: Buffer.from(val.buffer, val.byteOffset, val.byteLength).toString(
+          "base64"
+        ),
+      };
+    }
+
+    return val;
+  });
+}
+
+/**
+ * Parse a JSON string produced by serialize(), restoring typed arrays
+ * @param {string} json - JSON string
+ * @returns {*} - Parsed value
+ */
+function deserialize(json) {
+  return JSON.parse(json, (key, val) => {
+    if (val && typeof val === "object" && typeof val.$typedArray === "string") {
+      const TypedArray = TYPED_ARRAY_CONSTRUCTORS[val.$typedArray];
+
+      if (!TypedArray) {
+        return val;
+      }
+
+      // Copy into a fresh, aligned buffer before creating the view
+      const bytes = new Uint8Array(Buffer.from(val.base64, "base64"));
+      return new TypedArray(bytes.buffer);
+    }
+
+    return val;
+  });
+}
+
+module.exports = {
+  serialize,
+  deserialize,
+};
@@ -0,0 +1,168 @@
+/**
+ * Google Solar API requests used by the comprehensive analysis, plus the
+ * Geocoding API lookup used to analyze addresses
+ */
+
+const axios = require("axios");
+
+/**
+ * Fetch building insights from Google Solar API
+ * @param {Object} location - Location object with latitude and longitude
+ * @param {Object} options - Request options (optional)
+ * @param {string} options.quality - Minimum imagery quality (default HIGH)
+ * @param {AbortSignal} options.signal - Aborts the request
+ * @returns {Promise<Object>} Building insights data
+ */
+async function fetchBuildingInsights(location, options = {}) {
+  const { quality = "HIGH", signal = null } = options;
+
+  try {
+    console.log(
+      `Fetching building insights for location: ${location.latitude}, ${location.longitude}`
+    );
+
+    const response = await axios({
+      method: "GET",
+      url: "https://solar.googleapis.com/v1/buildingInsights:findClosest",
+      params: {
+        "location.latitude": location.latitude,
+        "location.longitude": location.longitude,
+        requiredQuality: quality,
+        key: process.env.GOOGLE_MAPS_API_KEY,
+      },
+      timeout: 30000, // 30 second timeout
+      signal,
+    });
+
+    console.log("Building insights API response received");
+    return response.data;
+  } catch (error) {
+    console.error("Error fetching building insights:", error);
+
+    if (error.response) {
+      throw new Error(
+        `Building insights API error: ${error.response.status} - ${
+          error.response.data.error?.message || "Unknown error"
+        }`
+      );
+    } else if (error.request) {
+      throw new Error("No response received from Building Insights API");
+    } else {
+      throw new Error(`Failed to fetch building insights: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Fetch data layers from Google Solar API
+ * @param {Object} location - Location object with latitude and longitude
+ * @param {Object} options - Request options (optional)
+ * @param {number} options.radius - Radius around the location in meters (default 50)
+ * @param {string} options.quality - Minimum imagery quality (default LOW)
+ * @param {AbortSignal} options.signal - Aborts the request
+ * @returns {Promise<Object>} Data layers data
+ */
+async function fetchDataLayers(location, options = {}) {
+  const { radius = 50, quality = "LOW", signal = null } = options;
+
+  try {
+    console.log(
+      `Fetching data layers for location: ${location.latitude}, ${location.longitude}`
+    );
+
+    const response = await axios({
+      method: "GET",
+      url: "https://solar.googleapis.com/v1/dataLayers:get",
+      params: {
+        "location.latitude": location.latitude,
+        "location.longitude": location.longitude,
+        radius_meters: radius, // You can adjust this based on building size
+        required_quality: quality, // Minimum quality (will get best available)
+        key: process.env.GOOGLE_MAPS_API_KEY,
+      },
+      timeout: 30000, // 30 second timeout
+      signal,
+    });
+
+    console.log("Data layers API response received");
+    return response.data;
+  } catch (error) {
+    console.error("Error fetching data layers:", error);
+
+    if (error.response) {
+      throw new Error(
+        `Data layers API error: ${error.response.status} - ${
+          error.response.data.error?.message || "Unknown error"
+        }`
+      );
+    } else if (error.request) {
+      throw new Error("No response received from Data Layers API");
+    } else {
+      throw new Error(`Failed to fetch data layers: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Resolve an address to coordinates with the Google Geocoding API
+ * @param {string} address - Street address
+ * @param {Object} options - Request options (optional)
+ * @param {AbortSignal} options.signal - Aborts the request
+ * @returns {Promise<Object>} Location {latitude, longitude, formattedAddress}
+ */
+async function geocodeAddress(address, options = {}) {
+  const { signal = null } = options;
+
+  console.log(`Geocoding address: ${address}`);
+
+  let response;
+
+  try {
+    response = await axios({
+      method: "GET",
+      url: "https://maps.googleapis.com/maps/api/geocode/json",
+      params: {
+        address,
+        key: process.env.GOOGLE_MAPS_API_KEY,
+      },
+      timeout: 30000, // 30 second timeout
+      signal,
+    });
+  } catch (error) {
+    console.error("Error geocoding address:", error);
+
+    if (error.response) {
+      throw new Error(`Geocoding API error: ${error.response.status}`);
+    } else if (error.request) {
+      throw new Error("No response received from Geocoding API");
+    } else {
+      throw new Error(`Failed to geocode address: ${error.message}`);
+    }
+  }
+
+  const { status, results, error_message } = response.data;
+
+  if (status === "ZERO_RESULTS") {
+    throw new Error(`Address not found: ${address}`);
+  }
+
+  if (status !== "OK" || !results?.length) {
+    throw new Error(
+      `Geocoding API error: ${status}${error_message ? ` - ${error_message}` : ""}`
+    );
+  }
+
+  const { lat, lng } = results[0].geometry.location;
+
+  return {
+    latitude: lat,
+    longitude: lng,
+    formattedAddress: results[0].formatted_address,
+  };
+}
+
+module.exports = {
+  fetchBuildingInsights,
+  fetchDataLayers,
+  geocodeAddress,
+};
@@ -0,0 +1,278 @@
+/**
+ * SQLite-backed analysis store
+ *
+ * Uses better-sqlite3 so that several server instances on the same host can
+ * share one database file. Sessions, events and results live in separate
+ * tables keyed by analysis ID; batches have a table of their own.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const AnalysisStore = require("./analysisStore");
+const { serialize, deserialize } = require("./serialization");
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS analysis_sessions (
+    id TEXT PRIMARY KEY,
+    status TEXT NOT NULL,
+    data TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS analysis_events (
+    analysis_id TEXT NOT NULL,
+    seq INTEGER NOT NULL,
+    event TEXT NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (analysis_id, seq)
+  );
+
+  CREATE TABLE IF NOT EXISTS analysis_results (
+    analysis_id TEXT PRIMARY KEY,
+    data TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS analysis_batches (
+    id TEXT PRIMARY KEY,
+    status TEXT NOT NULL,
+    data TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+`;
+
+/**
+ * Analysis store backed by a SQLite database file
+ * @extends AnalysisStore
+ */
+class SqliteAnalysisStore extends AnalysisStore {
+  /**
+   * Create a new SqliteAnalysisStore
+   * @param {Object} options - Store options
+   * @param {string} options.filename - Path to the database file
+   */
+  constructor(options = {}) {
+    super();
+
+    if (!options.filename) {
+      throw new Error("filename is required for SqliteAnalysisStore");
+    }
+
+    // Loaded lazily so the dependency is only needed when this driver is used
+    const Database = require("better-sqlite3");
+
+    if (options.filename !== ":memory:") {
+      fs.mkdirSync(path.dirname(options.filename), { recursive: true });
+    }
+
+    this.db = new Database(options.filename);
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(SCHEMA);
+
+    this.statements = {
+      insertSession: this.db.prepare(
+        "INSERT INTO analysis_sessions (id, status, data, created_at, updated_at) VALUES (?, ?, ?, ?, ?)"
+      ),
+      selectSession: this.db.prepare(
+        "SELECT data FROM analysis_sessions WHERE id = ?"
+      ),
+      updateSession: this.db.prepare(
+        "UPDATE analysis_sessions SET status = ?, data = ?, updated_at = ? WHERE id = ?"
+      ),
+      deleteSession: this.db.prepare(
+        "DELETE FROM analysis_sessions WHERE id = ?"
+      ),
+      insertEvent: this.db.prepare(
+        "INSERT INTO analysis_events (analysis_id, seq, event, data) VALUES (?, ?, ?, ?)"
+      ),
+      selectEvents: this.db.prepare(
+        "SELECT seq, event, data FROM analysis_events WHERE analysis_id = ? AND seq > ? ORDER BY seq"
+      ),
+      deleteEvents: this.db.prepare(
+        "DELETE FROM analysis_events WHERE analysis_id = ?"
+      ),
+      upsertResults: this.db.prepare(
+        `INSERT INTO analysis_results (analysis_id, data, updated_at) VALUES (?, ?, ?)
+         ON CONFLICT(analysis_id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`
+      ),
+      selectResults: this.db.prepare(
+        "SELECT data FROM analysis_results WHERE analysis_id = ?"
+      ),
+      deleteResults: this.db.prepare(
+        "DELETE FROM analysis_results WHERE analysis_id = ?"
+      ),
+      insertBatch: this.db.prepare(
+        "INSERT INTO analysis_batches (id, status, data, created_at, updated_at) VALUES (?, ?, ?, ?, ?)"
+      ),
+      selectBatch: this.db.prepare(
+        "SELECT data FROM analysis_batches WHERE id = ?"
+      ),
+      updateBatch: this.db.prepare(
+        "UPDATE analysis_batches SET status = ?, data = ?, updated_at = ? WHERE id = ?"
+      ),
+    };
+
+    // Runs as BEGIN IMMEDIATE, which takes the write lock before reading so
+    // other connections cannot change the status in between
+    this.updateSessionIfTransaction = this.db.transaction(
+      (analysisId, expectedStatus, updates) => {
+        const row = this.statements.selectSession.get(analysisId);
+        const session = row ? deserialize(row.data) : null;
+
+        if (!session || session.status !== expectedStatus) return null;
+
+        const now = new Date().toISOString();
+        const updated = deserialize(
+          serialize({ ...session, ...updates, updatedAt: now })
+        );
+
+        this.statements.updateSession.run(
+          updated.status,
+          serialize(updated),
+          now,
+          analysisId
+        );
+
+        return updated;
+      }
+    );
+
+    this.deleteSessionTransaction = this.db.transaction((analysisId) => {
+      this.statements.deleteEvents.run(analysisId);
+      this.statements.deleteResults.run(analysisId);
+      return this.statements.deleteSession.run(analysisId).changes > 0;
+    });
+
+    console.log(`[SqliteAnalysisStore] Using database: ${options.filename}`);
+  }
+
+  async createSession(session) {
+    const now = new Date().toISOString();
+    const stored = deserialize(serialize({ ...session, updatedAt: now }));
+
+    this.statements.insertSession.run(
+      stored.id,
+      stored.status,
+      serialize(stored),
+      stored.createdAt || now,
+      now
+    );
+
+    return stored;
+  }
+
+  async getSession(analysisId) {
+    const row = this.statements.selectSession.get(analysisId);
+    return row ? deserialize(row.data) : null;
+  }
+
+  async updateSession(analysisId, updates) {
+    const session = await this.getSession(analysisId);
+    if (!session) return null;
+
+    const now = new Date().toISOString();
+    const updated = deserialize(
+      serialize({ ...session, ...updates, updatedAt: now })
+    );
+
+    this.statements.updateSession.run(
+      updated.status,
+      serialize(updated),
+      now,
+      analysisId
+    );
+
+    return updated;
+  }
+
+  async updateSessionIf(analysisId, expectedStatus, updates) {
+    return this.updateSessionIfTransaction.immediate(
+      analysisId,
+      expectedStatus,
+      updates
+    );
+  }
+
+  async appendEvent(analysisId, record) {
+    this.statements.insertEvent.run(
+      analysisId,
+      record.id,
+      record.event,
+      serialize(record.data)
+    );
+  }
+
+  async getEvents(analysisId, afterId = 0) {
+    return this.statements.selectEvents
+      .all(analysisId, afterId)
+      .map((row) => ({
+        id: row.seq,
+        event: row.event,
+        data: deserialize(row.data),
+      }));
+  }
+
+  async saveResults(analysisId, results) {
+    this.statements.upsertResults.run(
+      analysisId,
+      serialize(results, { omitIntermediate: true }),
+      new Date().toISOString()
+    );
+  }
+
+  async getResults(analysisId) {
+    const row = this.statements.selectResults.get(analysisId);
+    return row ? deserialize(row.data) : null;
+  }
+
+  async deleteSession(analysisId) {
+    return this.deleteSessionTransaction(analysisId);
+  }
+
+  async createBatch(batch) {
+    const now = new Date().toISOString();
+    const stored = deserialize(serialize({ ...batch, updatedAt: now }));
+
+    this.statements.insertBatch.run(
+      stored.id,
+      stored.status,
+      serialize(stored),
+      stored.createdAt || now,
+      now
+    );
+
+    return stored;
+  }
+
+  async getBatch(batchId) {
+    const row = this.statements.selectBatch.get(batchId);
+    return row ? deserialize(row.data) : null;
+  }
+
+  async updateBatch(batchId, updates) {
+    const batch = await this.getBatch(batchId);
+    if (!batch) return null;
+
+    const now = new Date().toISOString();
+    const updated = deserialize(
+      serialize({ ...batch, ...updates, updatedAt: now })
+    );
+
+    this.statements.updateBatch.run(
+      updated.status,
+      serialize(updated),
+      now,
+      batchId
+    );
+
+    return updated;
+  }
+
+  async close() {
+    this.db.close();
+  }
+}
+
+module.exports = SqliteAnalysisStore;
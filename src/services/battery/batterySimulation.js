@@ -0,0 +1,378 @@
+/**
+ * Battery Simulation Module
+ *
+ * Simulates a year of hourly battery dispatch next to a solar system and
+ * compares candidate battery sizes. Batteries are dispatched for
+ * self-consumption: surplus production charges them and they discharge to
+ * cover the load the panels do not, down to a reserve kept for outages;
+ * the rest is exchanged with the grid. Charging and discharging each lose
+ * the square root of the round-trip efficiency. The grid imports and
+ * exports are billed with the tariff engine, so the bill impact follows
+ * the time-of-use periods and export credit rules of the tariff.
+ */
+
+const config = require("../../config/config");
+const {
+  getTariff,
+  getTariffs,
+  createFlatTariff,
+  validateTariff,
+  validateProfile,
+  toHourlyProfile,
+  computeBill,
+  PRODUCTION_DAY_SHAPE,
+} = require("../tariff/tariffEngine");
+const {
+  validateLoadInput,
+  resolveLoadProfile,
+} = require("../usage/loadProfile");
+
+const HOURS_PER_YEAR = 8760;
+
+const DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+// Accepted ranges of the battery assumptions
+const OPTION_RANGES = {
+  powerKwPerKwh: { min: 0.1, max: 2 },
+  roundTripEfficiency: { min: 0.5, max: 1 },
+  reserveFraction: { min: 0, max: 0.9 },
+};
+
+// Limits of the candidate capacities of a request
+const MAX_CANDIDATES = 10;
+const MAX_CAPACITY_KWH = 500;
+
+/**
+ * Validate a battery simulation request
+ * @param {Object} request - Request body
+ * @param {string} [request.analysisId] - Analysis whose panel layout
+ *   produces; required without production
+ * @param {number|Array} [request.production] - Production profile (see
+ *   tariffEngine.toHourlyProfile); required without analysisId
+ * @param {number|Array} [request.load] - Household load profile; annual
+ *   and monthly totals get a residential shape
+ * @param {string} [request.loadCsv] - Household load as CSV instead (see
+ *   loadProfile.parseLoadCsv)
+ * @param {string} [request.loadXml] - Household load as Green Button XML
+ *   instead (see loadProfile.parseGreenButtonXml)
+ * @param {Array<number>} [request.capacitiesKwh] - Usable capacities to
+ *   compare
+ * @param {string} [request.tariffId] - Configured tariff
+ * @param {Object} [request.tariff] - Tariff definition instead
+ * @param {number} [request.powerKwPerKwh] - Power per kWh of capacity
+ * @param {number} [request.roundTripEfficiency] - Round-trip efficiency
+ * @param {number} [request.reserveFraction] - Capacity kept for outages
+ * @returns {Object} - {isValid, errors}
+ */
+function validateBatteryRequest(request) {
+  const {
+    analysisId,
+    production,
+    load,
+    loadCsv,
+    loadXml,
+    capacitiesKwh,
+    tariffId,
+    tariff,
+    ...options
+  } = request || {};
+  const errors = [];
+
+  if (analysisId !== undefined && production !== undefined) {
+    errors.push("Provide either analysisId or production, not both");
+  } else if (analysisId !== undefined) {
+    if (typeof analysisId !== "string" || analysisId.length === 0) {
+      errors.push("analysisId must be a non-empty string");
+    }
+  } else if (production === undefined) {
+    errors.push("analysisId or production is required");
+  } else {
+    errors.push(...validateProfile(production, "production"));
+  }
+
+  errors.push(...validateLoadInput({ load, loadCsv, loadXml }, true));
+
+  if (
+    capacitiesKwh !== undefined &&
+    (!Array.isArray(capacitiesKwh) ||
+      capacitiesKwh.length === 0 ||
+      capacitiesKwh.length > MAX_CANDIDATES ||
+      !capacitiesKwh.every(
+        (capacity) =>
+          typeof capacity === "number" &&
+          capacity > 0 &&
+          capacity <= MAX_CAPACITY_KWH
+      ))
+  ) {
+    errors.push(
+      `capacitiesKwh must list 1 to ${MAX_CANDIDATES} capacities from 0 to ${MAX_CAPACITY_KWH} kWh`
+    );
+  }
+
+  if (tariffId !== undefined && tariff !== undefined) {
+    errors.push("Provide either tariffId or tariff, not both");
+  } else if (tariffId !== undefined && !getTariff(tariffId)) {
+    errors.push(
+      `tariffId must be one of: ${[...getTariffs().keys()].join(", ")}`
+    );
+  } else if (tariff !== undefined) {
+    errors.push(
+      ...validateTariff(tariff).errors.map((error) => `tariff: ${error}`)
+    );
+  }
+
+  for (const [key, value] of Object.entries(options)) {
+    const range = OPTION_RANGES[key];
+
+    if (!range) {
+      errors.push(
+        `${key} is not an option. Allowed: ${Object.keys(OPTION_RANGES).join(", ")}`
+      );
+    } else if (
+      typeof value !== "number" ||
+      value < range.min ||
+      value > range.max
+    ) {
+      errors.push(`${key} must be a number from ${range.min} to ${range.max}`);
+    }
+  }
+
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Get the tariff of a validated request: a configured tariff, an inline
+ * definition or the default flat rate with net metering
+ * @param {Object} selection - {tariffId, tariff}
+ * @returns {Object} - Tariff
+ */
+function resolveBatteryTariff({ tariffId, tariff } = {}) {
+  if (tariffId !== undefined && tariffId !== null) return getTariff(tariffId);
+  if (tariff !== undefined) return tariff;
+
+  return createFlatTariff(config.financial.ELECTRICITY_RATE, {
+    netMetering: true,
+    exportRate: config.financial.EXPORT_RATE,
+  });
+}
+
+/**
+ * Get the hourly production of a production profile: its typical days
+ * when hourly profiles were computed, else its monthly totals spread over
+ * the daylight hours
+ * @param {Object} productionProfile - Result of
+ *   productionProfile.generateProductionProfile
+ * @returns {Float64Array} - 8760 hourly kWh
+ */
+function getHourlyProduction(productionProfile) {
+  if (productionProfile.hourly?.length === 12) {
+    return toHourlyProfile(productionProfile.hourly.map((day) => day.hours));
+  }
+
+  return toHourlyProfile(
+    productionProfile.monthly.map((month) => month.kwh),
+    PRODUCTION_DAY_SHAPE
+  );
+}
+
+/**
+ * Simulate candidate battery sizes next to a solar system
+ * @param {Object} input - Simulation input
+ * @param {Float64Array} input.production - 8760 hourly kWh produced
+ * @param {Float64Array} input.load - 8760 hourly kWh consumed
+ * @param {Object} input.tariff - Validated tariff
+ * @param {Array<number>} [input.capacitiesKwh] - Usable capacities
+ *   (default config.battery.CANDIDATE_CAPACITIES_KWH)
+ * @param {number} [input.powerKwPerKwh] - Power per kWh of capacity
+ * @param {number} [input.roundTripEfficiency] - Round-trip efficiency
+ * @param {number} [input.reserveFraction] - Capacity kept for outages
+ * @returns {Object} - Solar without a battery and every candidate with
+ *   self-consumption, grid import/export, backup hours and bills
+ */
+function simulateBatteryOptions(input) {
+  const {
+    production,
+    load,
+    tariff,
+    capacitiesKwh = config.battery.CANDIDATE_CAPACITIES_KWH,
+    powerKwPerKwh = config.battery.POWER_KW_PER_KWH,
+    roundTripEfficiency = config.battery.ROUND_TRIP_EFFICIENCY,
+    reserveFraction = config.battery.RESERVE_FRACTION,
+  } = input;
+  const productionKwh = sum(production);
+  const loadKwh = sum(load);
+  const billWithoutSolar = computeBill(tariff, { load }).annual.total;
+  let billWithoutBattery = null;
+
+  const simulate = (capacityKwh) => {
+    const battery = {
+      capacityKwh,
+      powerKw: capacityKwh * powerKwPerKwh,
+      roundTripEfficiency,
+      reserveFraction,
+    };
+    const dispatch = simulateDispatch(production, load, battery);
+    const bill = computeBill(tariff, {
+      load: dispatch.gridImport,
+      production: dispatch.gridExport,
+    });
+    const averageLoadKw = loadKwh / HOURS_PER_YEAR;
+    const toBackupHours = (kwh) =>
+      averageLoadKw > 0 ? round(kwh / averageLoadKw, 1) : null;
+    const exportKwh = sum(dispatch.gridExport);
+    const importKwh = sum(dispatch.gridImport);
+
+    if (billWithoutBattery === null) billWithoutBattery = bill.annual.total;
+
+    return {
+      capacityKwh,
+      powerKw: round(battery.powerKw),
+      selfConsumedKwh: round(productionKwh - exportKwh, 1),
+      selfConsumptionRate:
+        productionKwh > 0
+          ? round((productionKwh - exportKwh) / productionKwh, 3)
+          : null,
+      selfSufficiencyRate:
+        loadKwh > 0 ? round((loadKwh - importKwh) / loadKwh, 3) : null,
+      gridImportKwh: round(importKwh, 1),
+      gridExportKwh: round(exportKwh, 1),
+      batteryChargedKwh: round(dispatch.chargedKwh, 1),
+      batteryDischargedKwh: round(dispatch.dischargedKwh, 1),
+      equivalentFullCycles:
+        capacityKwh > 0 ? round(dispatch.dischargedKwh / capacityKwh, 1) : 0,
+      // Hours the stored energy carries the average load through an outage
+      backupHours:
+        capacityKwh > 0
+          ? {
+              fullBattery: toBackupHours(capacityKwh),
+              reserve: toBackupHours(capacityKwh * reserveFraction),
+              average: toBackupHours(dispatch.averageStoredKwh),
+            }
+          : null,
+      annualBill: bill.annual.total,
+      billSavings: round(billWithoutSolar - bill.annual.total),
+      batteryBillSavings: round(billWithoutBattery - bill.annual.total),
+      monthly: bill.months.map((month, index) => ({
+        month: month.month,
+        name: month.name,
+        importKwh: month.importKwh,
+        exportKwh: month.exportKwh,
+        dischargedKwh: round(dispatch.monthlyDischargedKwh[index], 1),
+        bill: month.total,
+      })),
+    };
+  };
+
+  const withoutBattery = simulate(0);
+  const options = capacitiesKwh.map(simulate);
+
+  console.log(
+    `[BatterySimulation] ${round(productionKwh)} kWh produced, ${round(loadKwh)} kWh load: ${options.length} battery sizes simulated`
+  );
+
+  return {
+    productionKwh: round(productionKwh, 1),
+    loadKwh: round(loadKwh, 1),
+    tariff: { id: tariff.id, name: tariff.name },
+    currency: tariff.currency || null,
+    assumptions: { powerKwPerKwh, roundTripEfficiency, reserveFraction },
+    billWithoutSolar,
+    withoutBattery,
+    options,
+    generatedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Dispatch a battery for self-consumption over a year
+ * @param {Float64Array} production - 8760 hourly kWh produced
+ * @param {Float64Array} load - 8760 hourly kWh consumed
+ * @param {Object} battery - {capacityKwh, powerKw, roundTripEfficiency,
+ *   reserveFraction}
+ * @returns {Object} - {gridImport, gridExport (8760 hourly kWh each),
+ *   chargedKwh, dischargedKwh, monthlyDischargedKwh, averageStoredKwh}
+ */
+function simulateDispatch(production, load, battery) {
+  const { capacityKwh, powerKw, roundTripEfficiency, reserveFraction } =
+    battery;
+  const oneWayEfficiency = Math.sqrt(roundTripEfficiency);
+  const reserveKwh = capacityKwh * reserveFraction;
+  const gridImport = new Float64Array(HOURS_PER_YEAR);
+  const gridExport = new Float64Array(HOURS_PER_YEAR);
+  const monthlyDischargedKwh = new Array(12).fill(0);
+  let stored = reserveKwh;
+  let storedTotal = 0;
+  let chargedKwh = 0;
+  let dischargedKwh = 0;
+  let hour = 0;
+
+  for (let month = 0; month < 12; month++) {
+    for (let h = 0; h < DAYS_IN_MONTH[month] * 24; h++, hour++) {
+      const surplus = production[hour] - load[hour];
+
+      if (surplus >= 0) {
+        const charge = Math.min(
+          surplus,
+          powerKw,
+          Math.max(0, capacityKwh - stored) / oneWayEfficiency
+        );
+
+        stored += charge * oneWayEfficiency;
+        chargedKwh += charge;
+        gridExport[hour] = surplus - charge;
+      } else {
+        const discharge = Math.min(
+          -surplus,
+          powerKw,
+          Math.max(0, stored - reserveKwh) * oneWayEfficiency
+        );
+
+        stored -= discharge / oneWayEfficiency;
+        dischargedKwh += discharge;
+        monthlyDischargedKwh[month] += discharge;
+        gridImport[hour] = -surplus - discharge;
+      }
+
+      storedTotal += stored;
+    }
+  }
+
+  return {
+    gridImport,
+    gridExport,
+    chargedKwh,
+    dischargedKwh,
+    monthlyDischargedKwh,
+    averageStoredKwh: storedTotal / HOURS_PER_YEAR,
+  };
+}
+
+/**
+ * Sum a list of numbers
+ * @param {ArrayLike<number>} values - Values
+ * @returns {number} - Sum
+ */
+function sum(values) {
+  let total = 0;
+  for (const value of values) total += value;
+  return total;
+}
+
+/**
+ * Round a value to cents (or to the given decimals)
+ * @param {number} value - Value to round
+ * @param {number} [decimals=2] - Decimal places
+ * @returns {number} - Rounded value
+ */
+function round(value, decimals = 2) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+  validateBatteryRequest,
+  resolveBatteryTariff,
+  getHourlyProduction,
+  simulateBatteryOptions,
+  simulateDispatch,
+};
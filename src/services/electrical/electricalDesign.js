@@ -0,0 +1,697 @@
+/**
+ * Electrical Design Module
+ *
+ * Turns a panel layout into a string design installers can build from:
+ * - panels are grouped by roof orientation (azimuth and pitch), so every
+ *   string sits on one plane and strings on an MPPT input see the same sun
+ * - string lengths are bounded by the inverter: the open-circuit voltage at
+ *   the site's record low must stay below the maximum DC voltage, the
+ *   maximum power voltage at standard conditions below the top of the MPPT
+ *   window and the maximum power voltage of hot cells above its bottom
+ * - strings of equal length share MPPT inputs up to the input current
+ * - inverters are counted from the MPPT inputs needed and the maximum DC/AC
+ *   ratio, and the catalog model whose design has the fewest violations and
+ *   the DC/AC ratio closest to the target is proposed
+ * Microinverters carry one panel each and only the panel itself is checked
+ * against the input limits. Whatever cannot be met is reported as a
+ * violation ({code, severity, message}); "error" violations make the
+ * design invalid.
+ */
+
+const config = require("../../config/config");
+const {
+  getCatalog,
+  getInverter,
+  validateEquipmentSelection,
+  resolveEquipment,
+  INVERTER_TYPES,
+} = require("../equipment/equipmentCatalog");
+
+// Temperature of standard test conditions in °C
+const STC_TEMPERATURE_C = 25;
+
+// Cell temperature above ambient in full sun
+const CELL_TEMPERATURE_RISE_C = 25;
+
+// Panels whose azimuth and pitch round to the same steps share strings
+const AZIMUTH_STEP_DEGREES = 10;
+const PITCH_STEP_DEGREES = 5;
+
+// Accepted ranges of the design options
+const OPTION_RANGES = {
+  minTemperatureC: { min: -60, max: 30 },
+  maxTemperatureC: { min: 0, max: 60 },
+  targetDcAcRatio: { min: 0.5, max: 2 },
+};
+
+/**
+ * Validate an electrical design request
+ * @param {Object} request - Request body
+ * @param {string} [request.analysisId] - Analysis whose layout is designed
+ * @param {Object} [request.layout] - {panels: [{id, segmentId, azimuth,
+ *   pitch}]}; required without analysisId
+ * @param {string} [request.panelId] - Catalog panel
+ * @param {string} [request.inverterId] - Catalog inverter to design for
+ * @param {string} [request.inverterType] - Inverter type to propose a
+ *   model of when inverterId is not given
+ * @param {number} [request.minTemperatureC] - Record low of the site
+ * @param {number} [request.maxTemperatureC] - Average high of the site
+ * @param {number} [request.targetDcAcRatio] - DC/AC ratio to size for
+ * @returns {Object} - {isValid, errors}
+ */
+function validateElectricalDesignRequest(request) {
+  const {
+    analysisId,
+    layout,
+    panelId,
+    inverterId,
+    inverterType,
+    ...options
+  } = request || {};
+  const errors = validateEquipmentSelection({ panelId, inverterId });
+
+  if (analysisId !== undefined && layout !== undefined) {
+    errors.push("Provide either analysisId or layout, not both");
+  } else if (analysisId !== undefined) {
+    if (typeof analysisId !== "string" || analysisId.length === 0) {
+      errors.push("analysisId must be a non-empty string");
+    }
+  } else if (
+    !Array.isArray(layout?.panels) ||
+    layout.panels.length === 0 ||
+    !layout.panels.every((panel) => panel && typeof panel === "object")
+  ) {
+    errors.push("layout.panels must be a non-empty array of panels");
+  }
+
+  if (inverterId !== undefined && inverterType !== undefined) {
+    errors.push("Provide either inverterId or inverterType, not both");
+  } else if (
+    inverterType !== undefined &&
+    !INVERTER_TYPES.includes(inverterType)
+  ) {
+    errors.push(`inverterType must be one of: ${INVERTER_TYPES.join(", ")}`);
+  }
+
+  errors.push(...validateDesignOptions(options));
+
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Validate the temperature and DC/AC ratio options of a design
+ * @param {Object} options - {minTemperatureC, maxTemperatureC,
+ *   targetDcAcRatio}
+ * @param {string} [prefix=""] - Prefix of the field names in errors
+ * @returns {Array<string>} - Errors
+ */
+function validateDesignOptions(options, prefix = "") {
+  const errors = [];
+
+  for (const [key, value] of Object.entries(options)) {
+    const range = OPTION_RANGES[key];
+
+    if (!range) {
+      errors.push(
+        `${prefix}${key} is not a design option. Allowed: ${Object.keys(OPTION_RANGES).join(", ")}`
+      );
+    } else if (
+      value !== undefined &&
+      value !== null &&
+      (typeof value !== "number" || value < range.min || value > range.max)
+    ) {
+      errors.push(
+        `${prefix}${key} must be a number from ${range.min} to ${range.max}`
+      );
+    }
+  }
+
+  const minTemperatureC =
+    options.minTemperatureC ?? config.electrical.MIN_TEMPERATURE_C;
+  const maxTemperatureC =
+    options.maxTemperatureC ?? config.electrical.MAX_TEMPERATURE_C;
+
+  if (errors.length === 0 && minTemperatureC >= maxTemperatureC) {
+    errors.push(
+      `${prefix}minTemperatureC must be below maxTemperatureC (${minTemperatureC} >= ${maxTemperatureC})`
+    );
+  }
+
+  return errors;
+}
+
+/**
+ * Design the strings and inverters of a panel layout
+ * @param {Array} panels - Panels with id, segmentId, azimuth and pitch
+ * @param {Object} [options] - Design options
+ * @param {string} [options.panelId] - Catalog panel (default the catalog
+ *   default)
+ * @param {string} [options.inverterId] - Catalog inverter to design for;
+ *   without it every catalog model of inverterType is tried
+ * @param {string} [options.inverterType="string"] - Inverter type to
+ *   propose a model of
+ * @param {number} [options.minTemperatureC] - Record low of the site
+ * @param {number} [options.maxTemperatureC] - Average high of the site
+ * @param {number} [options.targetDcAcRatio] - DC/AC ratio to size for
+ * @returns {Object} - Electrical design of the proposed inverter model
+ */
+function designElectricalSystem(panels, options = {}) {
+  const { panel } = resolveEquipment({ panelId: options.panelId });
+  const settings = {
+    minTemperatureC:
+      options.minTemperatureC ?? config.electrical.MIN_TEMPERATURE_C,
+    maxTemperatureC:
+      options.maxTemperatureC ?? config.electrical.MAX_TEMPERATURE_C,
+    targetDcAcRatio:
+      options.targetDcAcRatio ?? config.electrical.TARGET_DC_AC_RATIO,
+    minDcAcRatio: config.electrical.MIN_DC_AC_RATIO,
+    maxDcAcRatio: config.electrical.MAX_DC_AC_RATIO,
+  };
+  const voltages = getPanelVoltages(panel, settings);
+  const groups = groupPanelsByOrientation(panels);
+  const inverterType = options.inverterType || "string";
+  const candidates = options.inverterId
+    ? [getInverter(options.inverterId)]
+    : getCatalog().inverters.filter(
+        (inverter) => inverter.type === inverterType
+      );
+
+  if (candidates.length === 0 || !candidates[0]) {
+    throw new Error(`No catalog inverter of type ${inverterType}`);
+  }
+
+  const designs = candidates
+    .map((inverter) =>
+      inverter.type === "microinverter"
+        ? designMicroinverters(groups, panel, inverter, voltages, settings)
+        : designStrings(groups, panel, inverter, voltages, settings)
+    )
+    .sort((a, b) => compareDesigns(a, b, settings.targetDcAcRatio));
+  const best = designs[0];
+
+  console.log(
+    `[ElectricalDesign] ${panels.length} panels: ${best.inverterCount} x ${best.inverter.id}, ${best.strings.length} strings, DC/AC ${best.dcAcRatio}, ${best.violations.length} violations`
+  );
+
+  return {
+    panel: {
+      id: panel.id,
+      manufacturer: panel.manufacturer || null,
+      model: panel.model || null,
+      watts: panel.watts,
+      voc: panel.voc,
+      vmp: panel.vmp,
+      isc: panel.isc,
+      imp: panel.imp,
+    },
+    temperatures: {
+      minTemperatureC: settings.minTemperatureC,
+      maxTemperatureC: settings.maxTemperatureC,
+      hotCellTemperatureC: voltages.hotCellTemperatureC,
+    },
+    panelVoltages: {
+      vocCold: round(voltages.vocCold),
+      vmpHot: round(voltages.vmpHot),
+    },
+    groups: groups.map((group) => ({
+      key: group.key,
+      azimuth: group.azimuth,
+      pitch: group.pitch,
+      segmentIds: group.segmentIds,
+      panelCount: group.panels.length,
+    })),
+    ...best,
+    isValid: !best.violations.some((v) => v.severity === "error"),
+    alternatives: designs.map((design) => ({
+      inverterId: design.inverter.id,
+      inverterCount: design.inverterCount,
+      dcAcRatio: design.dcAcRatio,
+      errorCount: countViolations(design, "error"),
+      warningCount: countViolations(design, "warning"),
+    })),
+  };
+}
+
+/**
+ * Get the panel voltages at the site temperature extremes; the maximum
+ * power voltage is assumed to change with temperature like the power
+ * @param {Object} panel - Catalog panel
+ * @param {Object} settings - {minTemperatureC, maxTemperatureC}
+ * @returns {Object} - {vocCold, vmpHot, hotCellTemperatureC}
+ */
+function getPanelVoltages(panel, settings) {
+  const hotCellTemperatureC =
+    settings.maxTemperatureC + CELL_TEMPERATURE_RISE_C;
+
+  return {
+    vocCold:
+      panel.voc *
+      (1 +
+        panel.vocTemperatureCoefficient *
+          (settings.minTemperatureC - STC_TEMPERATURE_C)),
+    vmpHot:
+      panel.vmp *
+      (1 +
+        panel.temperatureCoefficient *
+          (hotCellTemperatureC - STC_TEMPERATURE_C)),
+    hotCellTemperatureC,
+  };
+}
+
+/**
+ * Group panels by rounded azimuth and pitch, keeping layout order
+ * @param {Array} panels - Panels with segmentId, azimuth and pitch
+ * @returns {Array<Object>} - [{key, azimuth, pitch, segmentIds, panels}]
+ */
+function groupPanelsByOrientation(panels) {
+  const groups = new Map();
+
+  for (const panel of panels) {
+    const azimuth =
+      (Math.round((panel.azimuth ?? 180) / AZIMUTH_STEP_DEGREES) *
+        AZIMUTH_STEP_DEGREES) %
+      360;
+    const pitch =
+      Math.round((panel.pitch ?? 20) / PITCH_STEP_DEGREES) *
+      PITCH_STEP_DEGREES;
+    const key = `${azimuth}/${pitch}`;
+
+    if (!groups.has(key)) {
+      groups.set(key, { key, azimuth, pitch, segmentIds: [], panels: [] });
+    }
+
+    const group = groups.get(key);
+    group.panels.push(panel);
+
+    if (
+      panel.segmentId !== undefined &&
+      !group.segmentIds.includes(panel.segmentId)
+    ) {
+      group.segmentIds.push(panel.segmentId);
+    }
+  }
+
+  return [...groups.values()];
+}
+
+/**
+ * Design the strings, MPPT inputs and inverter count for a string or
+ * hybrid inverter model
+ * @param {Array<Object>} groups - Panel groups by orientation
+ * @param {Object} panel - Catalog panel
+ * @param {Object} inverter - Catalog inverter
+ * @param {Object} voltages - See getPanelVoltages
+ * @param {Object} settings - Design settings
+ * @returns {Object} - Design
+ */
+function designStrings(groups, panel, inverter, voltages, settings) {
+  const violations = [];
+  const maxLength = Math.min(
+    Math.floor(inverter.maxDcVoltage / voltages.vocCold),
+    Math.floor(inverter.mpptMaxVoltage / panel.vmp)
+  );
+  const minLength = Math.max(
+    1,
+    Math.ceil(inverter.mpptMinVoltage / voltages.vmpHot)
+  );
+  let maxParallelStrings = Math.floor(
+    inverter.maxInputCurrentPerMppt / panel.isc
+  );
+
+  if (maxParallelStrings < 1) {
+    violations.push({
+      code: "string_current_exceeds_mppt",
+      severity: "error",
+      message: `Panel Isc of ${panel.isc} A exceeds the ${inverter.maxInputCurrentPerMppt} A MPPT input current of the ${inverter.model}`,
+    });
+    maxParallelStrings = 1;
+  }
+
+  if (minLength > maxLength) {
+    violations.push({
+      code: "no_valid_string_length",
+      severity: "error",
+      message: `No string length fits the ${inverter.model}: ${minLength} panels are needed to stay in the MPPT window in the heat, at most ${maxLength} stay within the voltage limits`,
+    });
+  }
+
+  const strings = [];
+  const inputs = [];
+  const unstrungPanelIds = [];
+
+  for (const group of groups) {
+    const lengths =
+      minLength <= maxLength
+        ? splitIntoStrings(group.panels.length, minLength, maxLength)
+        : [];
+    const groupStrings = [];
+    let offset = 0;
+
+    for (const length of lengths) {
+      const string = {
+        id: `string_${strings.length + 1}`,
+        groupKey: group.key,
+        panelIds: group.panels
+          .slice(offset, offset + length)
+          .map((groupPanel) => groupPanel.id),
+        panelCount: length,
+        vocCold: round(voltages.vocCold * length),
+        vmp: round(panel.vmp * length),
+        vmpHot: round(voltages.vmpHot * length),
+        imp: panel.imp,
+        isc: panel.isc,
+        inverterIndex: null,
+        mppt: null,
+      };
+
+      offset += length;
+      strings.push(string);
+      groupStrings.push(string);
+    }
+
+    const leftover = group.panels.slice(offset);
+
+    if (leftover.length > 0) {
+      unstrungPanelIds.push(...leftover.map((groupPanel) => groupPanel.id));
+
+      if (minLength <= maxLength) {
+        violations.push({
+          code: "unstrung_panels",
+          severity: "error",
+          message: `${leftover.length} panels facing ${group.azimuth}° at ${group.pitch}° pitch do not fit strings of ${minLength} to ${maxLength} panels`,
+          groupKey: group.key,
+          panelIds: leftover.map((groupPanel) => groupPanel.id),
+        });
+      }
+    }
+
+    // Strings on one MPPT input need the same orientation and length
+    for (const length of new Set(lengths)) {
+      const sameLength = groupStrings.filter((s) => s.panelCount === length);
+
+      for (let i = 0; i < sameLength.length; i += maxParallelStrings) {
+        inputs.push(sameLength.slice(i, i + maxParallelStrings));
+      }
+    }
+  }
+
+  const strungPanels = strings.reduce((sum, s) => sum + s.panelCount, 0);
+  const dcWatts = strungPanels * panel.watts;
+  const maxInverterWatts = inverter.acRatingWatts * settings.maxDcAcRatio;
+  let inverterCount = Math.max(
+    1,
+    Math.ceil(dcWatts / maxInverterWatts),
+    Math.ceil(inputs.length / inverter.mpptCount)
+  );
+  let inverters = assignInputs(inputs, inverterCount, inverter, panel);
+
+  // Strings cannot be split, so add inverters until none is overloaded
+  while (
+    inverterCount < inputs.length &&
+    inverters.some((unit) => unit.dcWatts > maxInverterWatts)
+  ) {
+    inverterCount++;
+    inverters = assignInputs(inputs, inverterCount, inverter, panel);
+  }
+
+  const inverterSummaries = inverters.map((unit) => {
+    const dcAcRatio = round(unit.dcWatts / inverter.acRatingWatts);
+
+    if (dcAcRatio > settings.maxDcAcRatio) {
+      violations.push({
+        code: "dc_ac_ratio_high",
+        severity: "error",
+        message: `Inverter ${unit.index + 1} has a DC/AC ratio of ${dcAcRatio}, above ${settings.maxDcAcRatio}`,
+        inverterIndex: unit.index,
+      });
+    } else if (dcAcRatio < settings.minDcAcRatio && strungPanels > 0) {
+      violations.push({
+        code: "dc_ac_ratio_low",
+        severity: "warning",
+        message: `Inverter ${unit.index + 1} has a DC/AC ratio of ${dcAcRatio}, below ${settings.minDcAcRatio}`,
+        inverterIndex: unit.index,
+      });
+    }
+
+    return {
+      index: unit.index,
+      dcKw: round(unit.dcWatts / 1000, 3),
+      dcAcRatio,
+      mppts: unit.mppts,
+    };
+  });
+
+  return {
+    inverter: summarizeInverter(inverter),
+    inverterCount,
+    dcKw: round(dcWatts / 1000, 3),
+    acKw: round((inverterCount * inverter.acRatingWatts) / 1000, 3),
+    dcAcRatio: round(dcWatts / (inverterCount * inverter.acRatingWatts)),
+    stringLimits: { minLength, maxLength, maxParallelStrings },
+    strings,
+    inverters: inverterSummaries,
+    unstrungPanelIds,
+    violations,
+  };
+}
+
+/**
+ * Assign MPPT inputs to inverters, largest inputs first and each on the
+ * least loaded inverter with a free MPPT; sets inverterIndex and mppt of
+ * the strings
+ * @param {Array<Array<Object>>} inputs - Strings of every MPPT input
+ * @param {number} inverterCount - Inverters to spread the inputs over
+ * @param {Object} inverter - Catalog inverter
+ * @param {Object} panel - Catalog panel
+ * @returns {Array<Object>} - [{index, dcWatts, mppts}]
+ */
+function assignInputs(inputs, inverterCount, inverter, panel) {
+  const inverters = Array.from({ length: inverterCount }, (_, index) => ({
+    index,
+    dcWatts: 0,
+    mppts: [],
+  }));
+  const inputWatts = (input) =>
+    input.reduce((sum, s) => sum + s.panelCount * panel.watts, 0);
+
+  for (const input of [...inputs].sort(
+    (a, b) => inputWatts(b) - inputWatts(a)
+  )) {
+    const target = inverters
+      .filter((candidate) => candidate.mppts.length < inverter.mpptCount)
+      .reduce((best, candidate) =>
+        candidate.dcWatts < best.dcWatts ? candidate : best
+      );
+    const mppt = target.mppts.length + 1;
+
+    input.forEach((string) => {
+      string.inverterIndex = target.index;
+      string.mppt = mppt;
+    });
+    target.dcWatts += inputWatts(input);
+    target.mppts.push({
+      mppt,
+      stringIds: input.map((string) => string.id),
+      panelCount: input.reduce((sum, s) => sum + s.panelCount, 0),
+      parallelStrings: input.length,
+      vocCold: input[0].vocCold,
+      vmpHot: input[0].vmpHot,
+      iscTotal: round(panel.isc * input.length),
+    });
+  }
+
+  return inverters;
+}
+
+/**
+ * Split a group of panels into as few strings of allowed length as
+ * possible, with lengths differing by at most one panel; when no split
+ * fits, as many full-length strings as fit are returned
+ * @param {number} count - Panels in the group
+ * @param {number} minLength - Shortest allowed string
+ * @param {number} maxLength - Longest allowed string
+ * @returns {Array<number>} - String lengths
+ */
+function splitIntoStrings(count, minLength, maxLength) {
+  if (count < minLength) return [];
+
+  const fewest = Math.ceil(count / maxLength);
+  const most = Math.floor(count / minLength);
+
+  if (fewest > most) {
+    return new Array(most).fill(maxLength);
+  }
+
+  const base = Math.floor(count / fewest);
+  const longer = count % fewest;
+
+  return Array.from({ length: fewest }, (_, index) =>
+    index < longer ? base + 1 : base
+  );
+}
+
+/**
+ * Check a microinverter model against the panel, one unit per panel
+ * @param {Array<Object>} groups - Panel groups by orientation
+ * @param {Object} panel - Catalog panel
+ * @param {Object} inverter - Catalog microinverter
+ * @param {Object} voltages - See getPanelVoltages
+ * @param {Object} settings - Design settings
+ * @returns {Object} - Design
+ */
+function designMicroinverters(groups, panel, inverter, voltages, settings) {
+  const panelCount = groups.reduce((sum, g) => sum + g.panels.length, 0);
+  const dcAcRatio = round(panel.watts / inverter.acRatingWatts);
+  const violations = [];
+  const limit = `the ${inverter.model}`;
+
+  if (voltages.vocCold > inverter.maxDcVoltage) {
+    violations.push({
+      code: "panel_voltage_exceeds_max",
+      severity: "error",
+      message: `Panel Voc of ${round(voltages.vocCold)} V in the cold exceeds the ${inverter.maxDcVoltage} V input limit of ${limit}`,
+    });
+  }
+
+  if (panel.vmp > inverter.mpptMaxVoltage) {
+    violations.push({
+      code: "panel_above_mppt",
+      severity: "error",
+      message: `Panel Vmp of ${panel.vmp} V is above the ${inverter.mpptMaxVoltage} V MPPT window of ${limit}`,
+    });
+  }
+
+  if (voltages.vmpHot < inverter.mpptMinVoltage) {
+    violations.push({
+      code: "panel_below_mppt",
+      severity: "warning",
+      message: `Panel Vmp of ${round(voltages.vmpHot)} V in the heat is below the ${inverter.mpptMinVoltage} V MPPT window of ${limit}`,
+    });
+  }
+
+  if (panel.isc > inverter.maxInputCurrentPerMppt) {
+    violations.push({
+      code: "panel_current_exceeds_input",
+      severity: "warning",
+      message: `Panel Isc of ${panel.isc} A exceeds the ${inverter.maxInputCurrentPerMppt} A input current of ${limit}`,
+    });
+  }
+
+  if (dcAcRatio > settings.maxDcAcRatio) {
+    violations.push({
+      code: "dc_ac_ratio_high",
+      severity: "error",
+      message: `A ${panel.watts} W panel on ${limit} has a DC/AC ratio of ${dcAcRatio}, above ${settings.maxDcAcRatio}`,
+    });
+  } else if (dcAcRatio < settings.minDcAcRatio) {
+    violations.push({
+      code: "dc_ac_ratio_low",
+      severity: "warning",
+      message: `A ${panel.watts} W panel on ${limit} has a DC/AC ratio of ${dcAcRatio}, below ${settings.minDcAcRatio}`,
+    });
+  }
+
+  return {
+    inverter: summarizeInverter(inverter),
+    inverterCount: panelCount,
+    dcKw: round((panelCount * panel.watts) / 1000, 3),
+    acKw: round((panelCount * inverter.acRatingWatts) / 1000, 3),
+    dcAcRatio,
+    stringLimits: null,
+    strings: [],
+    inverters: [],
+    unstrungPanelIds: [],
+    violations,
+  };
+}
+
+/**
+ * Order designs from best to worst: fewest errors, unstrung panels and
+ * warnings, then DC/AC ratio closest to the target and fewest inverters
+ * @param {Object} a - Design
+ * @param {Object} b - Design
+ * @param {number} targetDcAcRatio - DC/AC ratio to size for
+ * @returns {number} - Negative if a is better
+ */
+function compareDesigns(a, b, targetDcAcRatio) {
+  const keys = (design) => [
+    countViolations(design, "error"),
+    design.unstrungPanelIds.length,
+    countViolations(design, "warning"),
+    Math.abs(design.dcAcRatio - targetDcAcRatio),
+    design.inverterCount,
+  ];
+  const keysA = keys(a);
+  const keysB = keys(b);
+
+  for (let i = 0; i < keysA.length; i++) {
+    if (keysA[i] !== keysB[i]) return keysA[i] - keysB[i];
+  }
+
+  return 0;
+}
+
+/**
+ * Count the violations of a severity
+ * @param {Object} design - Design
+ * @param {string} severity - "error" or "warning"
+ * @returns {number} - Count
+ */
+function countViolations(design, severity) {
+  return design.violations.filter((v) => v.severity === severity).length;
+}
+
+/**
+ * Summarize a catalog inverter for a design
+ * @param {Object} inverter - Catalog inverter
+ * @returns {Object} - {id, manufacturer, model, type, acRatingWatts}
+ */
+function summarizeInverter(inverter) {
+  return {
+    id: inverter.id,
+    manufacturer: inverter.manufacturer || null,
+    model: inverter.model || null,
+    type: inverter.type,
+    acRatingWatts: inverter.acRatingWatts,
+  };
+}
+
+/**
+ * Extract the layout to design from comprehensive analysis results
+ * @param {Object} processingResults - Stored processing results
+ * @returns {Object|null} - {panels, panelId, inverterType} or null without
+ *   a panel layout
+ */
+function getElectricalInputFromResults(processingResults) {
+  const mlServerResult = processingResults?.mlServerResult;
+
+  if (!mlServerResult?.success || !mlServerResult.panel_layout?.length) {
+    return null;
+  }
+
+  const equipment = mlServerResult.layout_metadata?.equipment;
+
+  return {
+    panels: mlServerResult.panel_layout,
+    panelId: equipment?.panel.id,
+    inverterType: equipment?.inverter.type,
+  };
+}
+
+/**
+ * Round a value to the given decimals
+ * @param {number} value - Value to round
+ * @param {number} [decimals=2] - Decimal places
+ * @returns {number} - Rounded value
+ */
+function round(value, decimals = 2) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+  validateElectricalDesignRequest,
+  validateDesignOptions,
+  designElectricalSystem,
+  getElectricalInputFromResults,
+};
@@ -0,0 +1,359 @@
+/**
+ * Equipment Catalog Module
+ *
+ * Loads the panels and inverters systems are designed with from a local
+ * JSON catalog (see src/data/equipment-catalog.json):
+ * - panels: {id, manufacturer, model, widthMeters, heightMeters, watts,
+ *   temperatureCoefficient (power change per °C, e.g. -0.0035),
+ *   degradationRate (output lost per year), voc, vmp, isc, imp (volts and
+ *   amps at standard test conditions), vocTemperatureCoefficient (Voc
+ *   change per °C)}
+ * - inverters: {id, manufacturer, model, type, acRatingWatts, efficiency,
+ *   maxDcVoltage, mpptMinVoltage, mpptMaxVoltage, mpptCount,
+ *   maxInputCurrentPerMppt} where type is "string", "microinverter" (one
+ *   per panel) or "hybrid" and matches the inverter option the price book
+ *   prices it with
+ * Layout generation uses the panel dimensions, production estimates the
+ * panel efficiency, temperature coefficient and inverter efficiency, the
+ * electrical design the voltages and currents, and quotes the panel
+ * wattage and inverter type.
+ */
+
+const fs = require("fs");
+const config = require("../../config/config");
+
+const INVERTER_TYPES = ["string", "microinverter", "hybrid"];
+
+// Fields every panel and inverter needs as positive numbers
+const PANEL_POSITIVE_FIELDS = [
+  "widthMeters",
+  "heightMeters",
+  "watts",
+  "voc",
+  "vmp",
+  "isc",
+  "imp",
+];
+
+// Temperature coefficients of panels, fractions per °C from -0.01 to 0
+const PANEL_COEFFICIENT_FIELDS = [
+  "temperatureCoefficient",
+  "vocTemperatureCoefficient",
+];
+
+const INVERTER_POSITIVE_FIELDS = [
+  "acRatingWatts",
+  "maxDcVoltage",
+  "mpptMinVoltage",
+  "mpptMaxVoltage",
+  "maxInputCurrentPerMppt",
+];
+
+// Catalog loaded from config.equipment.CATALOG_PATH
+let cachedCatalog = null;
+
+/**
+ * Load and validate an equipment catalog file
+ * @param {string} [filePath] - Path to the JSON catalog
+ *   (default config.equipment.CATALOG_PATH)
+ * @returns {Object} - Catalog
+ * @throws {Error} if the file cannot be read or the catalog is invalid
+ */
+function loadCatalog(filePath = config.equipment.CATALOG_PATH) {
+  const catalog = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  const validation = validateCatalog(catalog);
+
+  if (!validation.isValid) {
+    const error = new Error(
+      `Invalid equipment catalog ${filePath}: ${validation.errors.join("; ")}`
+    );
+    console.error("[EquipmentCatalog] Catalog error:", error.message);
+    throw error;
+  }
+
+  console.log(
+    `[EquipmentCatalog] Loaded ${catalog.panels.length} panels and ${catalog.inverters.length} inverters from ${filePath}`
+  );
+  return catalog;
+}
+
+/**
+ * Get the configured catalog, loading it on first use
+ * @returns {Object} - Catalog
+ */
+function getCatalog() {
+  if (!cachedCatalog) {
+    cachedCatalog = loadCatalog();
+  }
+
+  return cachedCatalog;
+}
+
+/**
+ * Validate the structure of an equipment catalog
+ * @param {Object} catalog - Catalog
+ * @returns {Object} - {isValid, errors}
+ */
+function validateCatalog(catalog) {
+  const errors = [];
+
+  if (!catalog || typeof catalog !== "object") {
+    return { isValid: false, errors: ["Catalog must be an object"] };
+  }
+
+  const isPositive = (value) => typeof value === "number" && value > 0;
+
+  for (const list of ["panels", "inverters"]) {
+    if (!Array.isArray(catalog[list]) || catalog[list].length === 0) {
+      errors.push(`${list} must be a non-empty array`);
+      continue;
+    }
+
+    const ids = new Set();
+
+    catalog[list].forEach((item, index) => {
+      if (!item?.id || typeof item.id !== "string") {
+        errors.push(`${list}[${index}] needs an id`);
+      } else if (ids.has(item.id)) {
+        errors.push(`${list}[${index}] duplicates id ${item.id}`);
+      } else {
+        ids.add(item.id);
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    return { isValid: false, errors };
+  }
+
+  catalog.panels.forEach((panel, index) => {
+    for (const field of PANEL_POSITIVE_FIELDS) {
+      if (!isPositive(panel[field])) {
+        errors.push(`panels[${index}].${field} must be a positive number`);
+      }
+    }
+
+    for (const field of PANEL_COEFFICIENT_FIELDS) {
+      if (
+        typeof panel[field] !== "number" ||
+        panel[field] > 0 ||
+        panel[field] < -0.01
+      ) {
+        errors.push(
+          `panels[${index}].${field} must be a number from -0.01 to 0`
+        );
+      }
+    }
+
+    if (panel.vmp >= panel.voc) {
+      errors.push(`panels[${index}].vmp must be below voc`);
+    }
+
+    if (
+      typeof panel.degradationRate !== "number" ||
+      panel.degradationRate < 0 ||
+      panel.degradationRate > 0.1
+    ) {
+      errors.push(
+        `panels[${index}].degradationRate must be a number from 0 to 0.1`
+      );
+    }
+
+    if (errors.length === 0) {
+      const efficiency = getPanelEfficiency(panel);
+
+      if (efficiency < 0.05 || efficiency > 0.5) {
+        errors.push(
+          `panels[${index}] has an implausible efficiency of ${efficiency.toFixed(3)}`
+        );
+      }
+    }
+  });
+
+  catalog.inverters.forEach((inverter, index) => {
+    if (!INVERTER_TYPES.includes(inverter.type)) {
+      errors.push(
+        `inverters[${index}].type must be one of: ${INVERTER_TYPES.join(", ")}`
+      );
+    }
+
+    for (const field of INVERTER_POSITIVE_FIELDS) {
+      if (!isPositive(inverter[field])) {
+        errors.push(`inverters[${index}].${field} must be a positive number`);
+      }
+    }
+
+    if (!Number.isInteger(inverter.mpptCount) || inverter.mpptCount < 1) {
+      errors.push(`inverters[${index}].mpptCount must be a positive integer`);
+    }
+
+    if (
+      !(inverter.mpptMinVoltage < inverter.mpptMaxVoltage) ||
+      !(inverter.mpptMaxVoltage <= inverter.maxDcVoltage)
+    ) {
+      errors.push(
+        `inverters[${index}] needs mpptMinVoltage < mpptMaxVoltage <= maxDcVoltage`
+      );
+    }
+
+    if (
+      typeof inverter.efficiency !== "number" ||
+      inverter.efficiency < 0.5 ||
+      inverter.efficiency > 1
+    ) {
+      errors.push(`inverters[${index}].efficiency must be from 0.5 to 1`);
+    }
+  });
+
+  if (!catalog.panels.some((panel) => panel.id === catalog.defaultPanel)) {
+    errors.push("defaultPanel must match one of the panels");
+  }
+
+  if (
+    !catalog.inverters.some(
+      (inverter) => inverter.id === catalog.defaultInverter
+    )
+  ) {
+    errors.push("defaultInverter must match one of the inverters");
+  }
+
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Get a catalog panel
+ * @param {string} [panelId] - Panel id (default the catalog default)
+ * @returns {Object|null} - Panel or null if unknown
+ */
+function getPanel(panelId) {
+  const catalog = getCatalog();
+  const id = panelId ?? catalog.defaultPanel;
+
+  return catalog.panels.find((panel) => panel.id === id) || null;
+}
+
+/**
+ * Get a catalog inverter
+ * @param {string} [inverterId] - Inverter id (default the catalog default)
+ * @returns {Object|null} - Inverter or null if unknown
+ */
+function getInverter(inverterId) {
+  const catalog = getCatalog();
+  const id = inverterId ?? catalog.defaultInverter;
+
+  return catalog.inverters.find((inverter) => inverter.id === id) || null;
+}
+
+/**
+ * Validate a panel and inverter selection
+ * @param {Object} selection - Selection
+ * @param {string} [selection.panelId] - Catalog panel id
+ * @param {string} [selection.inverterId] - Catalog inverter id
+ * @param {string} [prefix=""] - Prefix of the field names in errors
+ * @returns {Array<string>} - Errors
+ */
+function validateEquipmentSelection(selection = {}, prefix = "") {
+  const { panelId, inverterId } = selection;
+  const catalog = getCatalog();
+  const errors = [];
+
+  if (
+    panelId !== undefined &&
+    panelId !== null &&
+    (typeof panelId !== "string" || !getPanel(panelId))
+  ) {
+    errors.push(
+      `${prefix}panelId must be one of: ${catalog.panels.map((p) => p.id).join(", ")}`
+    );
+  }
+
+  if (
+    inverterId !== undefined &&
+    inverterId !== null &&
+    (typeof inverterId !== "string" || !getInverter(inverterId))
+  ) {
+    errors.push(
+      `${prefix}inverterId must be one of: ${catalog.inverters.map((i) => i.id).join(", ")}`
+    );
+  }
+
+  return errors;
+}
+
+/**
+ * Resolve a panel and inverter selection, using the catalog defaults for
+ * missing ids
+ * @param {Object} [selection] - {panelId, inverterId}
+ * @returns {Object} - {panel, inverter}
+ * @throws {Error} if an id is not in the catalog
+ */
+function resolveEquipment({ panelId, inverterId } = {}) {
+  const panel = getPanel(panelId);
+  const inverter = getInverter(inverterId);
+
+  if (!panel) throw new Error(`Unknown panel ${panelId}`);
+  if (!inverter) throw new Error(`Unknown inverter ${inverterId}`);
+
+  return { panel, inverter };
+}
+
+/**
+ * Get the module efficiency of a panel at standard test conditions
+ * (1000 W/m²)
+ * @param {Object} panel - Catalog panel
+ * @returns {number} - Efficiency (0-1)
+ */
+function getPanelEfficiency(panel) {
+  return panel.watts / (panel.widthMeters * panel.heightMeters * 1000);
+}
+
+/**
+ * Get the energy parameters of a panel and inverter, see
+ * solarPanelAnalysis.estimatePanelEnergy
+ * @param {Object} equipment - {panel, inverter}
+ * @returns {Object} - {panelEfficiency, temperatureCoefficient,
+ *   inverterEfficiency}
+ */
+function getEnergyParameters({ panel, inverter }) {
+  return {
+    panelEfficiency: Number(getPanelEfficiency(panel).toFixed(4)),
+    temperatureCoefficient: panel.temperatureCoefficient,
+    inverterEfficiency: inverter.efficiency,
+  };
+}
+
+/**
+ * Describe a panel with its catalog fields and efficiency
+ * @param {Object} panel - Catalog panel
+ * @returns {Object} - Panel description
+ */
+function describePanel(panel) {
+  return {
+    ...panel,
+    efficiency: Number(getPanelEfficiency(panel).toFixed(4)),
+  };
+}
+
+/**
+ * Describe a panel and inverter for layout metadata
+ * @param {Object} equipment - {panel, inverter}
+ * @returns {Object} - {panel, inverter}
+ */
+function describeEquipment({ panel, inverter }) {
+  return { panel: describePanel(panel), inverter: { ...inverter } };
+}
+
+module.exports = {
+  loadCatalog,
+  getCatalog,
+  validateCatalog,
+  getPanel,
+  getInverter,
+  validateEquipmentSelection,
+  resolveEquipment,
+  getPanelEfficiency,
+  getEnergyParameters,
+  describePanel,
+  describeEquipment,
+  INVERTER_TYPES,
+};
@@ -0,0 +1,441 @@
+/**
+ * Layout Export Module
+ *
+ * Exports the panel layout and roof geometry of an analysis for mapping and
+ * CAD tools. Layout polygons are pixel coordinates in the image the ML
+ * server segmented, which covers the area of the RGB layer, so they are
+ * converted to latitude/longitude by their position within the RGB layer
+ * bounds. Formats:
+ * - geojson: a FeatureCollection with one polygon feature per shape
+ * - kml: a Google Earth document with one folder per layer
+ * - dxf: an AutoCAD R12 drawing in meters east and north of the south-west
+ *   corner of the image, with one CAD layer per layer
+ */
+
+// Layers of an export, drawn in this order; kmlColor is aabbggrr and
+// dxfColor an AutoCAD color index
+const EXPORT_LAYERS = [
+  {
+    key: "roofSegments",
+    name: "Roof segments",
+    dxfLayer: "ROOF_SEGMENTS",
+    kmlColor: "ff00a5ff",
+    dxfColor: 30,
+  },
+  {
+    key: "setbacks",
+    name: "Setbacks",
+    dxfLayer: "SETBACKS",
+    kmlColor: "ff0000ff",
+    dxfColor: 1,
+  },
+  {
+    key: "obstructions",
+    name: "Obstructions",
+    dxfLayer: "OBSTRUCTIONS",
+    kmlColor: "ff808080",
+    dxfColor: 8,
+  },
+  {
+    key: "panels",
+    name: "Panels",
+    dxfLayer: "PANELS",
+    kmlColor: "ffff0000",
+    dxfColor: 5,
+  },
+];
+
+// Decimals of exported degrees (about 1 mm) and meters
+const DEGREE_DECIMALS = 8;
+const METER_DECIMALS = 3;
+
+const EARTH_RADIUS_METERS = 6371000;
+
+/**
+ * Export formats with their content type, file extension and writer
+ * @type {Object<string, Object>}
+ */
+const EXPORT_FORMATS = {
+  geojson: {
+    contentType: "application/geo+json",
+    extension: "geojson",
+    write: toGeoJson,
+  },
+  kml: {
+    contentType: "application/vnd.google-earth.kml+xml",
+    extension: "kml",
+    write: toKml,
+  },
+  dxf: { contentType: "application/dxf", extension: "dxf", write: toDxf },
+};
+
+/**
+ * Check whether the results of an analysis hold a layout that can be
+ * placed on the map
+ * @param {Object|null} processingResults - Stored processing results
+ * @returns {boolean} - True with a panel layout and RGB layer bounds
+ */
+function canExportLayout(processingResults) {
+  const bounds = processingResults?.rgbResult?.bounds;
+
+  return (
+    !!processingResults?.mlServerResult?.success &&
+    !!processingResults.mlServerResult.layout_metadata?.imageDimensions &&
+    ["north", "south", "east", "west"].every((key) =>
+      Number.isFinite(bounds?.[key])
+    )
+  );
+}
+
+/**
+ * Export the panel layout and roof geometry of an analysis
+ * @param {Object} processingResults - Stored processing results, see
+ *   canExportLayout
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {Object} options - Options (optional)
+ * @param {string} options.name - Name of the drawing or document
+ * @returns {Object} - {content, contentType, extension}
+ * @throws {Error} for an unknown format
+ */
+function exportLayout(processingResults, format, options = {}) {
+  const exportFormat = Object.hasOwn(EXPORT_FORMATS, format)
+    ? EXPORT_FORMATS[format]
+    : null;
+
+  if (!exportFormat) {
+    throw new Error(
+      `Unknown export format '${format}'. Allowed: ${Object.keys(EXPORT_FORMATS).join(", ")}`
+    );
+  }
+
+  const geometry = buildLayoutGeometry(processingResults);
+  const name = options.name || "Solar layout";
+
+  console.log(
+    `[LayoutExport] Exporting ${geometry.layers.panels.length} panels as ${format}`
+  );
+
+  return {
+    content: exportFormat.write(geometry, name),
+    contentType: exportFormat.contentType,
+    extension: exportFormat.extension,
+  };
+}
+
+/**
+ * Collect the shapes of every export layer with latitude/longitude polygons
+ * @param {Object} processingResults - Stored processing results
+ * @returns {Object} - {bounds, layers: {roofSegments, setbacks,
+ *   obstructions, panels}} where each layer lists {properties, polygon}
+ */
+function buildLayoutGeometry(processingResults) {
+  const { mlServerResult, rgbResult } = processingResults;
+  const metadata = mlServerResult.layout_metadata;
+  const { width, height } = metadata.imageDimensions;
+  const { north, south, east, west } = rgbResult.bounds;
+  const roofSegments = mlServerResult.roof_segments || [];
+  const toGeoPolygon = (polygon) =>
+    polygon.map((point) => ({
+      latitude: north - (point.y / height) * (north - south),
+      longitude: west + (point.x / width) * (east - west),
+    }));
+  const toShape = (polygon, properties) =>
+    polygon && polygon.length >= 3
+      ? { properties, polygon: toGeoPolygon(polygon) }
+      : null;
+
+  // Setback strips stored with the layout when it was generated; layouts
+  // stored before the strips were kept have none to draw
+  const ruleSetId = metadata.setbacks?.ruleSet?.id ?? null;
+  const setbackZones = metadata.setbacks?.zones || [];
+
+  const layers = {
+    roofSegments: roofSegments.map((segment) =>
+      toShape(segment.polygon, {
+        id: segment.id,
+        pitch: segment.pitch ?? null,
+        azimuth: segment.azimuth ?? null,
+      })
+    ),
+    setbacks: setbackZones.map((zone) =>
+      toShape(zone.polygon, {
+        segmentId: zone.segmentId,
+        edgeType: zone.edgeType,
+        setbackMeters: zone.setbackMeters,
+        ruleSet: ruleSetId,
+      })
+    ),
+    obstructions: (mlServerResult.obstructions || []).map((obstruction) =>
+      toShape(getShapePolygon(obstruction), {
+        id: obstruction.id,
+        segmentId: obstruction.segmentId ?? null,
+        type: obstruction.type ?? null,
+      })
+    ),
+    panels: (mlServerResult.panel_layout || []).map((panel) =>
+      toShape(getShapePolygon(panel), {
+        id: panel.id,
+        segmentId: panel.segmentId ?? null,
+        widthMeters: round(panel.realWidth, METER_DECIMALS),
+        heightMeters: round(panel.realHeight, METER_DECIMALS),
+        annualKwh: panel.annualKwh ?? null,
+      })
+    ),
+  };
+
+  for (const key of Object.keys(layers)) {
+    layers[key] = layers[key].filter(Boolean);
+  }
+
+  return { bounds: rgbResult.bounds, layers };
+}
+
+/**
+ * Write a GeoJSON FeatureCollection; each feature has a layer property
+ * @param {Object} geometry - See buildLayoutGeometry
+ * @param {string} name - Collection name
+ * @returns {string} - GeoJSON
+ */
+function toGeoJson(geometry, name) {
+  const features = EXPORT_LAYERS.flatMap((layer) =>
+    geometry.layers[layer.key].map((shape) => ({
+      type: "Feature",
+      properties: { layer: layer.key, ...shape.properties },
+      geometry: {
+        type: "Polygon",
+        coordinates: [
+          closeRing(shape.polygon).map((point) => [
+            round(point.longitude, DEGREE_DECIMALS),
+            round(point.latitude, DEGREE_DECIMALS),
+          ]),
+        ],
+      },
+    }))
+  );
+
+  return JSON.stringify({ type: "FeatureCollection", name, features });
+}
+
+/**
+ * Write a KML document with a folder and style per layer
+ * @param {Object} geometry - See buildLayoutGeometry
+ * @param {string} name - Document name
+ * @returns {string} - KML
+ */
+function toKml(geometry, name) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    "<Document>",
+    `<name>${escapeXml(name)}</name>`,
+  ];
+
+  for (const layer of EXPORT_LAYERS) {
+    // Outlines in the layer color over a translucent fill
+    lines.push(
+      `<Style id="${layer.key}">`,
+      `<LineStyle><color>${layer.kmlColor}</color><width>1</width></LineStyle>`,
+      `<PolyStyle><color>40${layer.kmlColor.slice(2)}</color></PolyStyle>`,
+      "</Style>"
+    );
+  }
+
+  for (const layer of EXPORT_LAYERS) {
+    lines.push("<Folder>", `<name>${layer.name}</name>`);
+
+    geometry.layers[layer.key].forEach((shape, index) => {
+      const { properties } = shape;
+      const data = Object.entries(properties)
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(
+          ([key, value]) =>
+            `<Data name="${key}"><value>${escapeXml(value)}</value></Data>`
+        );
+      const coordinates = closeRing(shape.polygon)
+        .map(
+          (point) =>
+            `${round(point.longitude, DEGREE_DECIMALS)},${round(point.latitude, DEGREE_DECIMALS)},0`
+        )
+        .join(" ");
+
+      lines.push(
+        "<Placemark>",
+        `<name>${escapeXml(properties.id ?? `${layer.name} ${index + 1}`)}</name>`,
+        `<styleUrl>#${layer.key}</styleUrl>`,
+        `<ExtendedData>${data.join("")}</ExtendedData>`,
+        "<Polygon><altitudeMode>clampToGround</altitudeMode>",
+        `<outerBoundaryIs><LinearRing><coordinates>${coordinates}</coordinates></LinearRing></outerBoundaryIs>`,
+        "</Polygon>",
+        "</Placemark>"
+      );
+    });
+
+    lines.push("</Folder>");
+  }
+
+  lines.push("</Document>", "</kml>");
+  return lines.join("\n");
+}
+
+/**
+ * Write an AutoCAD R12 DXF drawing with one closed polyline per shape, in
+ * meters east and north of the south-west corner of the image
+ * @param {Object} geometry - See buildLayoutGeometry
+ * @param {string} name - Drawing name, written as a comment
+ * @returns {string} - DXF
+ */
+function toDxf(geometry, name) {
+  const { north, south, west } = geometry.bounds;
+  // Equirectangular projection around the middle of the image, accurate to
+  // millimeters over a building
+  const metersPerDegree = (Math.PI * EARTH_RADIUS_METERS) / 180;
+  const metersPerDegreeLongitude =
+    metersPerDegree * Math.cos((((north + south) / 2) * Math.PI) / 180);
+  const toMeters = (point) => ({
+    x: round(
+      (point.longitude - west) * metersPerDegreeLongitude,
+      METER_DECIMALS
+    ),
+    y: round((point.latitude - south) * metersPerDegree, METER_DECIMALS),
+  });
+  const extent = {
+    x: round(
+      (geometry.bounds.east - west) * metersPerDegreeLongitude,
+      METER_DECIMALS
+    ),
+    y: round((north - south) * metersPerDegree, METER_DECIMALS),
+  };
+
+  // Group code and value pairs
+  const pairs = [
+    [999, name.replace(/[\r\n]+/g, " ")],
+    // R12 has no header variable for drawing units
+    [999, "Units: meters"],
+    [999, `Origin (south-west corner): ${south}, ${west}`],
+    [0, "SECTION"],
+    [2, "HEADER"],
+    [9, "$ACADVER"],
+    [1, "AC1009"],
+    [9, "$EXTMIN"],
+    [10, 0],
+    [20, 0],
+    [9, "$EXTMAX"],
+    [10, extent.x],
+    [20, extent.y],
+    [0, "ENDSEC"],
+    [0, "SECTION"],
+    [2, "TABLES"],
+    [0, "TABLE"],
+    [2, "LAYER"],
+    [70, EXPORT_LAYERS.length],
+  ];
+
+  for (const layer of EXPORT_LAYERS) {
+    pairs.push(
+      [0, "LAYER"],
+      [2, layer.dxfLayer],
+      [70, 0],
+      [62, layer.dxfColor],
+      [6, "CONTINUOUS"]
+    );
+  }
+
+  pairs.push([0, "ENDTAB"], [0, "ENDSEC"], [0, "SECTION"], [2, "ENTITIES"]);
+
+  for (const layer of EXPORT_LAYERS) {
+    for (const shape of geometry.layers[layer.key]) {
+      // Closed polyline (flag 1) followed by its vertices
+      pairs.push(
+        [0, "POLYLINE"],
+        [8, layer.dxfLayer],
+        [66, 1],
+        [70, 1],
+        [10, 0],
+        [20, 0],
+        [30, 0]
+      );
+
+      for (const point of shape.polygon.map(toMeters)) {
+        pairs.push(
+          [0, "VERTEX"],
+          [8, layer.dxfLayer],
+          [10, point.x],
+          [20, point.y],
+          [30, 0]
+        );
+      }
+
+      pairs.push([0, "SEQEND"], [8, layer.dxfLayer]);
+    }
+  }
+
+  pairs.push([0, "ENDSEC"], [0, "EOF"]);
+
+  return pairs.map(([code, value]) => `${code}\n${value}`).join("\n") + "\n";
+}
+
+/**
+ * Get the pixel polygon of a panel or obstruction, from its rectangle when
+ * it has none
+ * @param {Object} shape - Panel or obstruction
+ * @returns {Array|null} - Pixel polygon, null without geometry
+ */
+function getShapePolygon(shape) {
+  if (shape.polygon) return shape.polygon;
+
+  if ([shape.x, shape.y, shape.width, shape.height].every(Number.isFinite)) {
+    return [
+      { x: shape.x, y: shape.y },
+      { x: shape.x + shape.width, y: shape.y },
+      { x: shape.x + shape.width, y: shape.y + shape.height },
+      { x: shape.x, y: shape.y + shape.height },
+    ];
+  }
+
+  return null;
+}
+
+/**
+ * Repeat the first point of a polygon at its end, as GeoJSON and KML rings
+ * require
+ * @param {Array} polygon - [{latitude, longitude}]
+ * @returns {Array} - Closed ring
+ */
+function closeRing(polygon) {
+  const first = polygon[0];
+  const last = polygon[polygon.length - 1];
+
+  return first.latitude === last.latitude && first.longitude === last.longitude
+    ? polygon
+    : [...polygon, first];
+}
+
+/**
+ * Escape text for XML content and attributes
+ * @param {*} value - Value to escape
+ * @returns {string} - Escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * Round a value to a number of decimals
+ * @param {number} value - Value to round
+ * @param {number} decimals - Decimals to keep
+ * @returns {number|null} - Rounded value, null if not a number
+ */
+function round(value, decimals) {
+  return Number.isFinite(value) ? Number(value.toFixed(decimals)) : null;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  canExportLayout,
+  exportLayout,
+};
@@ -0,0 +1,549 @@
+/**
+ * Financial Model Module
+ *
+ * Projects the cash flows of a solar system over its lifetime and derives
+ * payback, NPV, IRR and lifetime savings. The savings of every year are the
+ * difference of the yearly bills with and without the system, computed by
+ * the tariff engine from hourly usage and production, so time-of-use
+ * periods, tiers, fixed charges and export credit rules of the customer's
+ * utility are all taken into account.
+ *
+ * Production degrades and rates escalate every year; incentives are
+ * received in the year they specify (upfront by default).
+ */
+
+const config = require("../../config/config");
+const {
+  generateQuote,
+  getQuoteInputFromResults,
+} = require("../quote/quoteEngine");
+const {
+  getTariff,
+  getTariffs,
+  createFlatTariff,
+  validateTariff,
+  validateProfile,
+  toHourlyProfile,
+  computeBill,
+  PRODUCTION_DAY_SHAPE,
+} = require("../tariff/tariffEngine");
+
+const INCENTIVE_TYPES = ["percent", "fixed"];
+
+// Accepted ranges of the numeric assumptions
+const ASSUMPTION_RANGES = {
+  escalationRate: { min: -0.1, max: 0.2 },
+  degradationRate: { min: 0, max: 0.1 },
+  discountRate: { min: 0, max: 0.5 },
+  annualOperatingCost: { min: 0, max: 1000000 },
+  analysisYears: { min: 1, max: 50, integer: true },
+};
+
+/**
+ * Get the default assumptions of a financial model
+ * @returns {Object} - Assumptions, see runFinancialModel
+ */
+function getDefaultAssumptions() {
+  return {
+    tariff: createFlatTariff(config.financial.ELECTRICITY_RATE, {
+      netMetering: true,
+      exportRate: config.financial.EXPORT_RATE,
+    }),
+    escalationRate: config.financial.ESCALATION_RATE,
+    degradationRate: config.financial.DEGRADATION_RATE,
+    discountRate: config.financial.DISCOUNT_RATE,
+    annualOperatingCost: 0,
+    analysisYears: config.financial.ANALYSIS_YEARS,
+  };
+}
+
+/**
+ * Validate a financial model request
+ * @param {Object} request - Request body, see runFinancialModel for the
+ *   inputs; analysisId takes production, cost and incentives from a
+ *   completed analysis, which the other inputs may override
+ * @returns {Object} - {isValid, errors}
+ */
+function validateFinancialRequest(request) {
+  const {
+    analysisId,
+    annualProductionKwh,
+    monthlyProductionKwh,
+    hourlyProductionKwh,
+    annualUsageKwh,
+    monthlyUsageKwh,
+    hourlyUsageKwh,
+    systemCost,
+    incentives,
+    tariffId,
+    tariff,
+    ...assumptions
+  } = request || {};
+  const fromAnalysis = analysisId !== undefined;
+  const errors = [];
+
+  if (fromAnalysis && (typeof analysisId !== "string" || analysisId === "")) {
+    errors.push("analysisId must be a non-empty string");
+  }
+
+  errors.push(
+    ...validateEnergyInput(
+      "Production",
+      {
+        annual: annualProductionKwh,
+        monthly: monthlyProductionKwh,
+        hourly: hourlyProductionKwh,
+      },
+      !fromAnalysis
+    ),
+    ...validateEnergyInput(
+      "Usage",
+      {
+        annual: annualUsageKwh,
+        monthly: monthlyUsageKwh,
+        hourly: hourlyUsageKwh,
+      },
+      false
+    )
+  );
+
+  if (systemCost === undefined) {
+    if (!fromAnalysis) errors.push("systemCost is required without analysisId");
+  } else if (typeof systemCost !== "number" || !(systemCost >= 0)) {
+    errors.push("systemCost must be a non-negative number");
+  }
+
+  if (incentives !== undefined) {
+    // Incentives after the last projected year would never be paid out
+    const analysisYears = Number.isInteger(assumptions.analysisYears)
+      ? assumptions.analysisYears
+      : config.financial.ANALYSIS_YEARS;
+
+    if (!Array.isArray(incentives)) {
+      errors.push("incentives must be an array");
+    } else {
+      incentives.forEach((incentive, index) => {
+        const incentiveError = validateIncentive(incentive, analysisYears);
+
+        if (incentiveError) {
+          errors.push(`incentives[${index}] ${incentiveError}`);
+        }
+      });
+    }
+  }
+
+  if (tariffId !== undefined && tariff !== undefined) {
+    errors.push("Provide either tariffId or tariff, not both");
+  } else if (tariffId !== undefined && !getTariff(tariffId)) {
+    errors.push(
+      `tariffId must be one of: ${[...getTariffs().keys()].join(", ")}`
+    );
+  } else if (tariff !== undefined) {
+    errors.push(
+      ...validateTariff(tariff).errors.map((error) => `tariff: ${error}`)
+    );
+  }
+
+  for (const [key, value] of Object.entries(assumptions)) {
+    const range = ASSUMPTION_RANGES[key];
+
+    if (!range) {
+      errors.push(`${key} is not an input of the financial model`);
+    } else if (
+      typeof value !== "number" ||
+      value < range.min ||
+      value > range.max ||
+      (range.integer && !Number.isInteger(value))
+    ) {
+      errors.push(
+        `${key} must be ${range.integer ? "an integer" : "a number"} from ${range.min} to ${range.max}`
+      );
+    }
+  }
+
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Validate the annual, monthly and hourly forms of an energy input
+ * @param {string} name - "Production" or "Usage"
+ * @param {Object} forms - {annual, monthly, hourly} as given
+ * @param {boolean} required - Whether one of them is required
+ * @returns {Array<string>} - Validation errors
+ */
+function validateEnergyInput(name, forms, required) {
+  const keys = Object.keys(forms).map((form) => `${form}${name}Kwh`);
+  const given = Object.entries(forms).filter(
+    ([, value]) => value !== undefined
+  );
+
+  if (given.length > 1) {
+    return [`Provide only one of ${keys.join(", ")}`];
+  }
+
+  if (given.length === 0) {
+    return required ? [`One of ${keys.join(", ")} is required`] : [];
+  }
+
+  const [form, value] = given[0];
+  const key = `${form}${name}Kwh`;
+
+  if (form === "annual") {
+    return typeof value === "number" && value >= 0
+      ? []
+      : [`${key} must be a non-negative number`];
+  }
+
+  if (form === "monthly") {
+    return Array.isArray(value) &&
+      value.length === 12 &&
+      value.every((kwh) => typeof kwh === "number" && kwh >= 0)
+      ? []
+      : [`${key} must be an array of 12 non-negative numbers`];
+  }
+
+  const isHourly =
+    Array.isArray(value) &&
+    (value.length === 8760 || value.every((day) => Array.isArray(day)));
+
+  return isHourly && validateProfile(value, key).length === 0
+    ? []
+    : [
+        `${key} must be 8760 hourly kWh values or 12 typical days of 24 hourly kWh values`,
+      ];
+}
+
+/**
+ * Validate a single incentive
+ * @param {Object} incentive - Incentive
+ * @param {number} analysisYears - Years the model projects
+ * @returns {string|null} - Error message, null if valid
+ */
+function validateIncentive(incentive, analysisYears) {
+  const isAmount = (value) =>
+    typeof value === "number" && Number.isFinite(value) && value >= 0;
+
+  if (!incentive?.id || !isAmount(incentive.value)) {
+    return "needs an id and a non-negative value";
+  }
+
+  if (!INCENTIVE_TYPES.includes(incentive.type)) {
+    return `type must be one of: ${INCENTIVE_TYPES.join(", ")}`;
+  }
+
+  if (incentive.type === "percent" && incentive.value > 1) {
+    return "value must be a fraction from 0 to 1 for percent incentives";
+  }
+
+  if (incentive.max !== undefined && !isAmount(incentive.max)) {
+    return "max must be a non-negative number";
+  }
+
+  if (
+    incentive.year !== undefined &&
+    (!Number.isInteger(incentive.year) ||
+      incentive.year < 0 ||
+      incentive.year > analysisYears)
+  ) {
+    return `year must be an integer from 0 to ${analysisYears} (analysisYears)`;
+  }
+
+  return null;
+}
+
+/**
+ * Project the cash flows of a system and derive its financial metrics
+ * @param {Object} input - Model inputs
+ * @param {number} [input.annualProductionKwh] - First-year AC production
+ * @param {Array<number>} [input.monthlyProductionKwh] - First-year AC
+ *   production per month instead
+ * @param {Array} [input.hourlyProductionKwh] - First-year AC production as
+ *   8760 hourly values or 12 typical days of 24 hours instead; totals are
+ *   spread over the daylight hours
+ * @param {number} [input.annualUsageKwh] - Household usage per year
+ * @param {Array<number>} [input.monthlyUsageKwh] - Usage per month instead
+ * @param {Array} [input.hourlyUsageKwh] - Hourly usage instead; without
+ *   usage all first-year production is assumed to be used on site
+ * @param {number} input.systemCost - Installed cost before incentives
+ * @param {Array<Object>} [input.incentives] - [{id, label, type: "percent"
+ *   (of the system cost) or "fixed", value, max, year (default 0, at most
+ *   analysisYears)}]
+ * @param {string} [input.tariffId] - Configured tariff of the customer's
+ *   utility
+ * @param {Object} [input.tariff] - Tariff definition instead (default flat
+ *   at the configured electricity rate with net metering)
+ * @param {number} [input.escalationRate] - Yearly rate increase
+ * @param {number} [input.degradationRate] - Yearly production loss
+ * @param {number} [input.discountRate] - Discount rate of the NPV
+ * @param {number} [input.annualOperatingCost=0] - Maintenance per year
+ * @param {number} [input.analysisYears] - Years to project
+ * @param {string} [input.currency] - Currency of the amounts (default the
+ *   tariff currency)
+ * @returns {Object} - Financial model result
+ */
+function runFinancialModel(input) {
+  const assumptions = getDefaultAssumptions();
+
+  for (const key of Object.keys(assumptions)) {
+    if (input[key] !== undefined) assumptions[key] = input[key];
+  }
+
+  if (input.tariffId !== undefined) {
+    assumptions.tariff = getTariff(input.tariffId);
+  }
+
+  const { tariff, ...rates } = assumptions;
+  const production = toHourlyProfile(
+    input.hourlyProductionKwh ??
+      input.monthlyProductionKwh ??
+      input.annualProductionKwh,
+    PRODUCTION_DAY_SHAPE
+  );
+  const usageProfile =
+    input.hourlyUsageKwh ?? input.monthlyUsageKwh ?? input.annualUsageKwh;
+  const usage =
+    usageProfile !== undefined ? toHourlyProfile(usageProfile) : production;
+  const billWithoutSolar = computeBill(tariff, { load: usage });
+  const systemCost = input.systemCost;
+
+  const incentives = (input.incentives || []).map((incentive) => {
+    let amount =
+      incentive.type === "percent"
+        ? systemCost * incentive.value
+        : incentive.value;
+
+    if (incentive.max !== undefined) {
+      amount = Math.min(amount, incentive.max);
+    }
+
+    return {
+      id: incentive.id,
+      label: incentive.label || incentive.id,
+      year: incentive.year ?? 0,
+      amount: round(amount),
+    };
+  });
+
+  const incentivesInYear = (year) =>
+    incentives
+      .filter((incentive) => incentive.year === year)
+      .reduce((total, incentive) => total + incentive.amount, 0);
+
+  const upfrontIncentives = incentivesInYear(0);
+  const cashFlows = [
+    {
+      year: 0,
+      productionKwh: 0,
+      savings: 0,
+      incentives: round(upfrontIncentives),
+      operatingCost: 0,
+      netCashFlow: round(upfrontIncentives - systemCost),
+      cumulativeCashFlow: round(upfrontIncentives - systemCost),
+    },
+  ];
+
+  let cumulative = upfrontIncentives - systemCost;
+  let firstYear = null;
+
+  for (let year = 1; year <= rates.analysisYears; year++) {
+    const degradation = (1 - rates.degradationRate) ** (year - 1);
+    const escalation = (1 + rates.escalationRate) ** (year - 1);
+    const yearProduction = production.map((kwh) => kwh * degradation);
+    const billWithSolar = computeBill(tariff, {
+      load: usage,
+      production: yearProduction,
+    });
+    const billSavings =
+      billWithoutSolar.annual.total - billWithSolar.annual.total;
+    const savings = billSavings * escalation;
+    const yearIncentives = incentivesInYear(year);
+    const netCashFlow = savings + yearIncentives - rates.annualOperatingCost;
+
+    cumulative += netCashFlow;
+
+    if (year === 1) {
+      firstYear = {
+        productionKwh: round(sum(yearProduction), 1),
+        usageKwh: round(sum(usage), 1),
+        exportedKwh: billWithSolar.annual.exportKwh,
+        billWithoutSolar: billWithoutSolar.annual.total,
+        billWithSolar: billWithSolar.annual.total,
+        exportCredits: billWithSolar.annual.exportCredits,
+        savings: round(billSavings),
+        monthlyBills: billWithSolar.months.map((month, index) => ({
+          month: month.month,
+          name: month.name,
+          billWithoutSolar: billWithoutSolar.months[index].total,
+          billWithSolar: month.total,
+        })),
+      };
+    }
+
+    cashFlows.push({
+      year,
+      productionKwh: round(sum(yearProduction), 1),
+      savings: round(savings),
+      incentives: round(yearIncentives),
+      operatingCost: round(rates.annualOperatingCost),
+      netCashFlow: round(netCashFlow),
+      cumulativeCashFlow: round(cumulative),
+    });
+  }
+
+  const netFlows = cashFlows.map((flow) => flow.netCashFlow);
+  const irr = calculateIrr(netFlows);
+  const totalIncentives = sum(incentives.map((incentive) => incentive.amount));
+
+  return {
+    currency: input.currency || tariff.currency || null,
+    tariff: { id: tariff.id, name: tariff.name },
+    assumptions: rates,
+    systemCost: round(systemCost),
+    incentives,
+    totalIncentives: round(totalIncentives),
+    netCost: round(systemCost - totalIncentives),
+    firstYear,
+    paybackYear: calculatePaybackYear(cashFlows),
+    npv: round(calculateNpv(netFlows, rates.discountRate)),
+    irr: irr === null ? null : round(irr, 4),
+    lifetimeSavings: round(sum(cashFlows.map((flow) => flow.savings))),
+    lifetimeProductionKwh: round(
+      sum(cashFlows.map((flow) => flow.productionKwh)),
+      1
+    ),
+    cashFlows,
+    generatedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Calculate the net present value of yearly cash flows
+ * @param {Array<number>} cashFlows - Cash flows, starting with year 0
+ * @param {number} rate - Discount rate
+ * @returns {number} - NPV
+ */
+function calculateNpv(cashFlows, rate) {
+  return cashFlows.reduce(
+    (npv, cashFlow, year) => npv + cashFlow / (1 + rate) ** year,
+    0
+  );
+}
+
+/**
+ * Calculate the internal rate of return of yearly cash flows by bisection
+ * @param {Array<number>} cashFlows - Cash flows, starting with year 0
+ * @returns {number|null} - IRR, null if the NPV does not change sign
+ *   between -99% and 1000%
+ */
+function calculateIrr(cashFlows) {
+  let low = -0.99;
+  let high = 10;
+  let npvLow = calculateNpv(cashFlows, low);
+
+  if (npvLow * calculateNpv(cashFlows, high) > 0) {
+    return null;
+  }
+
+  for (let i = 0; i < 200 && high - low > 1e-7; i++) {
+    const mid = (low + high) / 2;
+    const npvMid = calculateNpv(cashFlows, mid);
+
+    if (npvLow * npvMid <= 0) {
+      high = mid;
+    } else {
+      low = mid;
+      npvLow = npvMid;
+    }
+  }
+
+  return (low + high) / 2;
+}
+
+/**
+ * Find when the cumulative cash flow turns positive
+ * @param {Array<Object>} cashFlows - Yearly cash flows from runFinancialModel
+ * @returns {number|null} - Years after installation, interpolated within
+ *   the year; null if the system does not pay back in the analysis period
+ */
+function calculatePaybackYear(cashFlows) {
+  if (cashFlows[0].cumulativeCashFlow >= 0) return 0;
+
+  for (let year = 1; year < cashFlows.length; year++) {
+    const { netCashFlow, cumulativeCashFlow } = cashFlows[year];
+
+    if (cumulativeCashFlow >= 0) {
+      return round(year - cumulativeCashFlow / netCashFlow, 1);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Extract the financial model inputs from comprehensive analysis results,
+ * pricing the panel layout with the configured price book
+ * @param {Object} processingResults - Processing results
+ * @returns {Object|null} - {annualProductionKwh, systemCost, incentives,
+ *   currency} and the degradationRate of the layout's panel, or null
+ *   without a panel layout energy estimate
+ */
+function getFinancialInputFromResults(processingResults) {
+  const energy = processingResults?.mlServerResult?.layout_metadata?.energy;
+  const quoteInput = getQuoteInputFromResults(processingResults);
+
+  if (!energy || !quoteInput || quoteInput.layout.panels.length === 0) {
+    return null;
+  }
+
+  const quote = generateQuote(quoteInput.layout, {
+    panelId: quoteInput.panelId,
+    inverterId: quoteInput.inverterId,
+    panelWattage: quoteInput.panelWattage,
+  });
+  const degradationRate =
+    processingResults.mlServerResult.layout_metadata.equipment?.panel
+      .degradationRate;
+
+  return {
+    annualProductionKwh: energy.totalAnnualKwh,
+    systemCost: quote.subtotal,
+    incentives: quote.incentives.map((incentive) => ({
+      id: incentive.id,
+      label: incentive.label,
+      type: "fixed",
+      value: incentive.amount,
+    })),
+    currency: quote.currency,
+    ...(degradationRate !== undefined ? { degradationRate } : {}),
+  };
+}
+
+/**
+ * Sum a list of numbers
+ * @param {Array<number>} values - Values
+ * @returns {number} - Sum
+ */
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+/**
+ * Round a currency amount to cents (or to the given decimals)
+ * @param {number} value - Value to round
+ * @param {number} [decimals=2] - Decimal places
+ * @returns {number} - Rounded value
+ */
+function round(value, decimals = 2) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+  getDefaultAssumptions,
+  validateTariff,
+  validateFinancialRequest,
+  runFinancialModel,
+  calculateNpv,
+  calculateIrr,
+  getFinancialInputFromResults,
+};
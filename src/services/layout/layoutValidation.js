@@ -0,0 +1,243 @@
+/**
+ * Layout Validation Module
+ *
+ * Validates panel layouts that designers edited (moved, added or deleted
+ * panels) against the roof of an analysis with the rules generated layouts
+ * follow (see solarPanelAnalysis.validatePanelLayout), and estimates their
+ * energy from the annual flux raster. The setback rule set, panel and
+ * energy parameters are those the analysis' layout was generated with.
+ */
+
+const solarPanelAnalysis = require("../../utils/solarPanelAnalysis");
+const {
+  getRealWorldDimensions,
+} = require("../analysis/comprehensiveAnalysis");
+const { getRuleSet } = require("../setbacks/setbackRules");
+
+// Most panels an edited layout may hold
+const MAX_PANELS = 5000;
+
+// Most panel errors reported for one request
+const MAX_REPORTED_ERRORS = 20;
+
+/**
+ * Validate a layout edit request
+ * @param {Object} request - Request body
+ * @param {Array} request.panels - Edited panels with a pixel polygon (or x,
+ *   y, width and height) in the analysis image, and optionally id,
+ *   segmentId, realWidth and realHeight (meters) and mounting
+ * @returns {Object} - {isValid, errors}
+ */
+function validateLayoutEditRequest(request) {
+  const panels = request?.panels;
+
+  if (!Array.isArray(panels) || panels.length > MAX_PANELS) {
+    return {
+      isValid: false,
+      errors: [`panels must be an array of at most ${MAX_PANELS} panels`],
+    };
+  }
+
+  const errors = [];
+
+  panels.forEach((panel, index) => {
+    const error = validatePanel(panel);
+    if (error) errors.push(`panels[${index}] ${error}`);
+  });
+
+  if (errors.length > MAX_REPORTED_ERRORS) {
+    errors.splice(
+      MAX_REPORTED_ERRORS,
+      Infinity,
+      `and ${errors.length - MAX_REPORTED_ERRORS} more invalid panels`
+    );
+  }
+
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Validate the shape of an edited panel
+ * @param {Object} panel - Panel
+ * @returns {string|null} - Error message, null if valid
+ */
+function validatePanel(panel) {
+  const isNumber = (value) => typeof value === "number" && isFinite(value);
+
+  if (!panel || typeof panel !== "object") {
+    return "must be an object";
+  }
+
+  if (panel.polygon !== undefined) {
+    if (
+      !Array.isArray(panel.polygon) ||
+      panel.polygon.length < 4 ||
+      !panel.polygon.every((point) => isNumber(point?.x) && isNumber(point?.y))
+    ) {
+      return "polygon must list 4 or more {x, y} pixel points";
+    }
+  } else if (
+    ![panel.x, panel.y, panel.width, panel.height].every(isNumber) ||
+    panel.width <= 0 ||
+    panel.height <= 0
+  ) {
+    return "needs a polygon or x, y, width and height in pixels";
+  }
+
+  for (const key of ["realWidth", "realHeight"]) {
+    if (
+      panel[key] !== undefined &&
+      (!isNumber(panel[key]) || panel[key] <= 0)
+    ) {
+      return `${key} must be a positive number of meters`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check whether the results of an analysis hold a layout to edit
+ * @param {Object|null} processingResults - Stored processing results
+ * @returns {boolean} - True once a panel layout was generated
+ */
+function canValidateLayout(processingResults) {
+  return (
+    !!processingResults?.mlServerResult?.success &&
+    !!processingResults.mlServerResult.layout_metadata?.imageDimensions
+  );
+}
+
+/**
+ * Validate an edited layout on the roof of an analysis and total it
+ * @param {Object} processingResults - Stored processing results, see
+ *   canValidateLayout
+ * @param {Array} panels - Validated panels, see validateLayoutEditRequest
+ * @returns {Object} - {panels: per-panel violations and annualKwh, totals
+ *   of the edited layout, generated: totals of the generated layout,
+ *   setbackRuleSet}
+ */
+function validateEditedLayout(processingResults, panels) {
+  const { mlServerResult, annualFluxResult, dsmResult } = processingResults;
+  const metadata = mlServerResult.layout_metadata;
+  const dimensions = getRealWorldDimensions(processingResults);
+  const ruleSetId = metadata.setbacks?.ruleSet?.id;
+  const setbackRules = ruleSetId ? getRuleSet(ruleSetId) : null;
+  const layoutPanels = panels.map((panel) => withRealSize(panel, dimensions));
+
+  const validation = solarPanelAnalysis.validatePanelLayout(
+    layoutPanels,
+    mlServerResult.roof_segments || [],
+    mlServerResult.obstructions || [],
+    dimensions,
+    dsmResult,
+    { setbackRules }
+  );
+
+  // Energy of each panel from the annual flux raster, when it was kept
+  const energyParameters = {
+    ...solarPanelAnalysis.DEFAULT_ENERGY_PARAMETERS,
+    ...metadata.energy?.parameters,
+  };
+  // Edited panels count with the module area of the layout's panel, as
+  // generated ones do, not with their footprint on a pitched roof
+  const { standardDimensions } = metadata;
+  const panelArea = standardDimensions
+    ? standardDimensions.width * standardDimensions.height
+    : null;
+  const energy =
+    annualFluxResult?.raster && layoutPanels.length > 0
+      ? solarPanelAnalysis.estimatePanelEnergy(
+          layoutPanels,
+          annualFluxResult,
+          dimensions,
+          energyParameters,
+          panelArea
+        )
+      : null;
+
+  const results = validation.map((result, index) => ({
+    ...result,
+    annualKwh: energy ? energy.panels[index].annualKwh : null,
+  }));
+  const violationCounts = {};
+
+  for (const { violations } of results) {
+    for (const { type } of violations) {
+      violationCounts[type] = (violationCounts[type] || 0) + 1;
+    }
+  }
+
+  const totalArea = layoutPanels.reduce(
+    (sum, panel) => sum + (panelArea ?? panel.realWidth * panel.realHeight),
+    0
+  );
+  const potentialKw = metadata.panelWatts
+    ? (layoutPanels.length * metadata.panelWatts) / 1000
+    : totalArea * energyParameters.panelEfficiency;
+  const validAnnualKwh = results
+    .filter((result) => result.isValid)
+    .reduce((sum, result) => sum + (result.annualKwh ?? 0), 0);
+  const validPanelCount = results.filter((result) => result.isValid).length;
+
+  console.log(
+    `[LayoutValidation] ${validPanelCount} of ${results.length} edited panels are valid`
+  );
+
+  return {
+    panels: results,
+    totals: {
+      panelCount: results.length,
+      validPanelCount,
+      invalidPanelCount: results.length - validPanelCount,
+      violationCounts,
+      totalArea: Number(totalArea.toFixed(2)),
+      potentialKw: Number(potentialKw.toFixed(2)),
+      annualKwh: energy ? energy.totalAnnualKwh : null,
+      validAnnualKwh: energy ? Number(validAnnualKwh.toFixed(1)) : null,
+      specificYield: energy ? energy.specificYield : null,
+    },
+    generated: {
+      panelCount: metadata.panelCount ?? null,
+      potentialKw: metadata.potentialKw ? Number(metadata.potentialKw) : null,
+      annualKwh: metadata.energy?.totalAnnualKwh ?? null,
+    },
+    setbackRuleSet: setbackRules
+      ? { id: setbackRules.id, name: setbackRules.name }
+      : null,
+  };
+}
+
+/**
+ * Give a panel its size in meters, from the lengths of its first two
+ * polygon edges when the request leaves it out
+ * @param {Object} panel - Validated panel
+ * @param {Object} dimensions - Real-world dimensions of the analysis image
+ * @returns {Object} - Panel with polygon, realWidth and realHeight
+ */
+function withRealSize(panel, dimensions) {
+  const polygon = panel.polygon || [
+    { x: panel.x, y: panel.y },
+    { x: panel.x + panel.width, y: panel.y },
+    { x: panel.x + panel.width, y: panel.y + panel.height },
+    { x: panel.x, y: panel.y + panel.height },
+  ];
+  const edgeMeters = (a, b) =>
+    Math.hypot(
+      (b.x - a.x) * dimensions.metersPerPixelX,
+      (b.y - a.y) * dimensions.metersPerPixelY
+    );
+
+  return {
+    ...panel,
+    polygon,
+    realWidth: panel.realWidth ?? edgeMeters(polygon[0], polygon[1]),
+    realHeight: panel.realHeight ?? edgeMeters(polygon[1], polygon[2]),
+  };
+}
+
+module.exports = {
+  validateLayoutEditRequest,
+  canValidateLayout,
+  validateEditedLayout,
+};
@@ -0,0 +1,375 @@
+/**
+ * Layout Sampling Module
+ *
+ * Shared helpers for sampling the monthly flux and hourly shade layers under
+ * the panels of a layout.
+ *
+ * Panels are positioned either by pixel polygons from a comprehensive
+ * analysis (mapped through the crop window of its annual flux layer) or by
+ * latitude/longitude polygons. Both are converted to fractions of the data
+ * layers area, which the monthly flux and hourly shade GeoTIFFs cover at
+ * their own resolutions. Every panel counts with the area of its catalog
+ * module, which the plan view of a polygon on a pitched roof falls short of.
+ *
+ * The hour bands of the hourly shade layers are read as clock hours in the
+ * site's standard time. The sun position of a band is taken at the solar
+ * time of its clock hour, from the longitude, the equation of time and the
+ * UTC offset of the site: given by the caller, else the nominal offset of
+ * the longitude (its 15° time zone). Daylight saving time is not applied.
+ */
+
+const { processHourlyShadeLayer } = require("../analysis/layerProcessing");
+const solarPanelAnalysis = require("../../utils/solarPanelAnalysis");
+
+const MONTH_NAMES = [
+  "Jan",
+  "Feb",
+  "Mar",
+  "Apr",
+  "May",
+  "Jun",
+  "Jul",
+  "Aug",
+  "Sep",
+  "Oct",
+  "Nov",
+  "Dec",
+];
+
+// Days per month of a non-leap year
+const DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+// Accepted standard time offsets from UTC in hours
+const MIN_UTC_OFFSET_HOURS = -12;
+const MAX_UTC_OFFSET_HOURS = 14;
+
+/**
+ * Validate the layout part of a request
+ * @param {Object} request - Request body
+ * @param {string} [request.analysisId] - Analysis whose layout is used
+ * @param {Object} [request.location] - {latitude, longitude}; required
+ *   without analysisId
+ * @param {Object} [request.layout] - {panels}; panels carry either a pixel
+ *   polygon of the analysis image or a polygon of {latitude, longitude}
+ *   points
+ * @returns {Array<string>} - Validation errors
+ */
+function validateLayoutRequest(request) {
+  const errors = [];
+  const { analysisId, location, layout } = request || {};
+
+  if (analysisId !== undefined && location !== undefined) {
+    errors.push("Provide either analysisId or location, not both");
+  } else if (analysisId !== undefined) {
+    if (typeof analysisId !== "string" || analysisId === "") {
+      errors.push("analysisId must be a non-empty string");
+    }
+  } else if (
+    !location ||
+    typeof location.latitude !== "number" ||
+    typeof location.longitude !== "number" ||
+    Math.abs(location.latitude) > 90 ||
+    Math.abs(location.longitude) > 180
+  ) {
+    errors.push("location with valid latitude and longitude is required");
+  } else if (layout === undefined) {
+    errors.push("layout is required with location");
+  }
+
+  if (layout !== undefined) {
+    if (!Array.isArray(layout?.panels) || layout.panels.length === 0) {
+      errors.push("layout.panels must be a non-empty array");
+    } else {
+      layout.panels.forEach((panel, index) => {
+        const panelError = validatePanel(panel, analysisId !== undefined);
+
+        if (panelError) {
+          errors.push(`layout.panels[${index}] ${panelError}`);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a single panel of a posted layout
+ * @param {Object} panel - Panel
+ * @param {boolean} pixelPolygons - Whether pixel polygons are allowed
+ * @returns {string|null} - Error message, null if valid
+ */
+function validatePanel(panel, pixelPolygons) {
+  if (!Array.isArray(panel?.polygon) || panel.polygon.length < 3) {
+    return "must have a polygon with at least 3 points";
+  }
+
+  if (panel.polygon.every((point) => isGeoPoint(point))) {
+    return null;
+  }
+
+  if (!pixelPolygons) {
+    return "polygon points must be {latitude, longitude} without analysisId";
+  }
+
+  if (
+    !panel.polygon.every(
+      (point) => Number.isFinite(point?.x) && Number.isFinite(point?.y)
+    )
+  ) {
+    return "polygon points must be {x, y} or {latitude, longitude}";
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a polygon point is given as latitude/longitude
+ * @param {Object} point - Polygon point
+ * @returns {boolean} - True for {latitude, longitude}
+ */
+function isGeoPoint(point) {
+  return (
+    Number.isFinite(point?.latitude) && Number.isFinite(point?.longitude)
+  );
+}
+
+/**
+ * Collect the layout of a completed analysis for sampling
+ * @param {Object} processingResults - Stored processing results
+ * @param {Array} [panels] - Edited panels replacing the stored layout, in
+ *   the same pixel space
+ * @returns {Object|null} - {panels, imageDimensions, cropWindow,
+ *   equipment}, null if the analysis has no layout on the annual flux grid;
+ *   equipment is {panelId, inverterId} the layout was generated with
+ */
+function getLayoutInputFromResults(processingResults, panels) {
+  const mlServerResult = processingResults?.mlServerResult;
+  const imageDimensions = mlServerResult?.layout_metadata?.imageDimensions;
+  const cropWindow = processingResults?.annualFluxResult?.metadata?.cropWindow;
+
+  if (!mlServerResult?.success || !imageDimensions || !cropWindow) {
+    return null;
+  }
+
+  const equipment = mlServerResult.layout_metadata.equipment;
+
+  return {
+    panels: panels || mlServerResult.panel_layout || [],
+    imageDimensions,
+    cropWindow,
+    equipment: equipment
+      ? { panelId: equipment.panel.id, inverterId: equipment.inverter.id }
+      : null,
+  };
+}
+
+/**
+ * Convert a panel to a polygon in fractions (0-1) of the data layers area
+ * plus its area in square meters
+ * @param {Object} panel - Panel with a pixel or latitude/longitude polygon
+ * @param {Object} input - Layout input with imageDimensions and cropWindow
+ *   for pixel polygons
+ * @param {Object} bounds - Geographic bounds of the data layers area
+ * @param {number} panelArea - Area of the module in m²; polygons and the
+ *   realWidth and realHeight of flush panels only give its plan view, which
+ *   a pitched roof foreshortens
+ * @returns {Object} - {id, polygon, area}
+ */
+function toAreaPanel(panel, input, bounds, panelArea) {
+  const points = panel.polygon;
+
+  if (points.every((point) => isGeoPoint(point))) {
+    return {
+      id: panel.id,
+      polygon: points.map((point) => ({
+        x: (point.longitude - bounds.west) / (bounds.east - bounds.west),
+        y: (bounds.north - point.latitude) / (bounds.north - bounds.south),
+      })),
+      area: panelArea,
+    };
+  }
+
+  const { imageDimensions, cropWindow } = input;
+  const scaleX = cropWindow.width / imageDimensions.width;
+  const scaleY = cropWindow.height / imageDimensions.height;
+
+  return {
+    id: panel.id,
+    polygon: points.map((point) => ({
+      x: (cropWindow.x + point.x * scaleX) / cropWindow.fullWidth,
+      y: (cropWindow.y + point.y * scaleY) / cropWindow.fullHeight,
+    })),
+    area: panelArea,
+  };
+}
+
+/**
+ * Find the raster pixels under every panel of a layer
+ * @param {Array} panels - Panels with area fraction polygons
+ * @param {Object} dimensions - {width, height} of the layer
+ * @returns {Array<Array<number>>} - Raster indices per panel
+ */
+function getPanelIndices(panels, dimensions) {
+  const { width, height } = dimensions;
+
+  return panels.map((panel) =>
+    solarPanelAnalysis.getPolygonRasterIndices(
+      panel.polygon.map((point) => ({
+        x: point.x * width,
+        y: point.y * height,
+      })),
+      width,
+      height
+    )
+  );
+}
+
+/**
+ * Fetch the hourly shade layers of all 12 months
+ * @param {Object} location - {latitude, longitude}
+ * @param {Object} options - Layer options (optional)
+ * @param {AbortSignal} options.signal - Aborts fetching the layers
+ * @returns {Promise<Array>} - Results of processHourlyShadeLayer by month
+ */
+async function fetchHourlyShade(location, options = {}) {
+  const hourlyShade = [];
+
+  // One GeoTIFF per month; fetched one at a time to bound memory use
+  for (let month = 0; month < 12; month++) {
+    hourlyShade.push(await processHourlyShadeLayer(location, month, options));
+  }
+
+  return hourlyShade;
+}
+
+/**
+ * Get the day of the year of a day of a month (non-leap year)
+ * @param {number} month - Month index (0-11)
+ * @param {number} day - Day of the month (1-31)
+ * @returns {number} - Day of the year (1-365)
+ */
+function getDayOfYear(month, day) {
+  return DAYS_IN_MONTH.slice(0, month).reduce((sum, days) => sum + days, day);
+}
+
+/**
+ * Validate the UTC offset of a request
+ * @param {*} utcOffsetHours - Value from the request (optional)
+ * @returns {Array<string>} - Validation errors
+ */
+function validateUtcOffset(utcOffsetHours) {
+  if (
+    utcOffsetHours !== undefined &&
+    (typeof utcOffsetHours !== "number" ||
+      utcOffsetHours < MIN_UTC_OFFSET_HOURS ||
+      utcOffsetHours > MAX_UTC_OFFSET_HOURS)
+  ) {
+    return [
+      `utcOffsetHours must be a number from ${MIN_UTC_OFFSET_HOURS} to ${MAX_UTC_OFFSET_HOURS}`,
+    ];
+  }
+
+  return [];
+}
+
+/**
+ * Get the clock the hours of a report are read in
+ * @param {Object} location - {latitude, longitude} of the building
+ * @param {number} [utcOffsetHours] - Standard time offset from the caller
+ * @returns {Object} - {utcOffsetHours, source: "request" or "longitude",
+ *   daylightSaving: false}
+ */
+function resolveTimeBasis(location, utcOffsetHours) {
+  return utcOffsetHours !== undefined && utcOffsetHours !== null
+    ? { utcOffsetHours, source: "request", daylightSaving: false }
+    : {
+        utcOffsetHours: Math.round(location.longitude / 15),
+        source: "longitude",
+        daylightSaving: false,
+      };
+}
+
+/**
+ * Convert a clock hour of a site to apparent solar time
+ * @param {number} hour - Hour of the day in local standard time
+ * @param {number} longitude - Longitude in degrees (east positive)
+ * @param {Object} timeBasis - From resolveTimeBasis
+ * @param {number} dayOfYear - Day of the year (1-365)
+ * @returns {number} - Solar hour; below 0 or from 24 on near midnight
+ */
+function toSolarHour(hour, longitude, timeBasis, dayOfYear) {
+  // Equation of time in minutes
+  const b = (2 * Math.PI * (dayOfYear - 81)) / 364;
+  const equationOfTime =
+    9.87 * Math.sin(2 * b) - 7.53 * Math.cos(b) - 1.5 * Math.sin(b);
+
+  return hour + longitude / 15 - timeBasis.utcOffsetHours + equationOfTime / 60;
+}
+
+/**
+ * Get the sine of the sun elevation in the middle of an hour, 0 while the
+ * sun is down
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} dayOfYear - Day of the year (1-365)
+ * @param {number} hour - Hour of the day in solar time (see toSolarHour)
+ * @returns {number} - Relative clear-sky irradiance (0-1)
+ */
+function getSunElevationFactor(latitude, dayOfYear, hour) {
+  const declination =
+    ((23.45 * Math.PI) / 180) *
+    Math.sin(((2 * Math.PI) / 365) * (284 + dayOfYear));
+  const hourAngle = ((hour + 0.5 - 12) * 15 * Math.PI) / 180;
+  const lat = (latitude * Math.PI) / 180;
+
+  return Math.max(
+    0,
+    Math.sin(lat) * Math.sin(declination) +
+      Math.cos(lat) * Math.cos(declination) * Math.cos(hourAngle)
+  );
+}
+
+/**
+ * Count the days whose bit is set in an hourly shade value
+ * @param {number} value - 32-bit day mask
+ * @returns {number} - Number of set bits
+ */
+function countSetBits(value) {
+  let bits = value >>> 0;
+  let count = 0;
+
+  while (bits) {
+    bits &= bits - 1;
+    count++;
+  }
+
+  return count;
+}
+
+/**
+ * Round a value to a number of decimals
+ * @param {number} value - Value
+ * @param {number} [decimals=1] - Decimals to keep
+ * @returns {number} - Rounded value
+ */
+function round(value, decimals = 1) {
+  return Number(value.toFixed(decimals));
+}
+
+module.exports = {
+  validateLayoutRequest,
+  isGeoPoint,
+  getLayoutInputFromResults,
+  toAreaPanel,
+  getPanelIndices,
+  fetchHourlyShade,
+  getDayOfYear,
+  validateUtcOffset,
+  resolveTimeBasis,
+  toSolarHour,
+  getSunElevationFactor,
+  countSetBits,
+  round,
+  MONTH_NAMES,
+  DAYS_IN_MONTH,
+};
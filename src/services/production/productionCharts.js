@@ -0,0 +1,235 @@
+/**
+ * Production Charts Module
+ *
+ * Renders the series of a production profile as PNG data URLs with the
+ * same canvas tooling the data layer visualizers use: a bar chart of the
+ * monthly production and a line chart of the typical-day hourly production
+ * of every month.
+ */
+
+const { createCanvas } = require("canvas");
+const VisualizationUtils = require("../../data-layers/utils/visualization-utils");
+
+// Shared chart layout in pixels
+const CHART_WIDTH = 800;
+const CHART_HEIGHT = 400;
+const CHART_PADDING = { top: 40, right: 20, bottom: 50, left: 70 };
+const GRID_LINES = 5;
+
+/**
+ * Create a canvas with a white background, title and value axis
+ * @param {string} title - Chart title
+ * @param {number} maxValue - Largest value on the axis
+ * @param {string} unit - Axis unit label
+ * @returns {Object} - {canvas, ctx, plot} where plot is the plotting area
+ *   {x, y, width, height, maxValue}
+ */
+function createChartCanvas(title, maxValue, unit) {
+  const canvas = createCanvas(CHART_WIDTH, CHART_HEIGHT);
+  const ctx = canvas.getContext("2d");
+  const plot = {
+    x: CHART_PADDING.left,
+    y: CHART_PADDING.top,
+    width: CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right,
+    height: CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom,
+    maxValue: niceCeiling(maxValue),
+  };
+
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, CHART_WIDTH, CHART_HEIGHT);
+
+  // Title
+  ctx.fillStyle = "rgba(0, 0, 0, 0.85)";
+  ctx.font = "bold 16px Arial";
+  ctx.textAlign = "center";
+  ctx.fillText(title, CHART_WIDTH / 2, 24);
+
+  // Horizontal grid lines with value labels
+  ctx.font = "12px Arial";
+  ctx.textAlign = "right";
+  ctx.strokeStyle = "rgba(0, 0, 0, 0.1)";
+  ctx.lineWidth = 1;
+
+  for (let i = 0; i <= GRID_LINES; i++) {
+    const value = (plot.maxValue * i) / GRID_LINES;
+    const y = plot.y + plot.height - (plot.height * i) / GRID_LINES;
+
+    ctx.beginPath();
+    ctx.moveTo(plot.x, y);
+    ctx.lineTo(plot.x + plot.width, y);
+    ctx.stroke();
+
+    ctx.fillText(formatAxisValue(value), plot.x - 8, y + 4);
+  }
+
+  // Unit label, rotated along the value axis
+  ctx.save();
+  ctx.translate(16, plot.y + plot.height / 2);
+  ctx.rotate(-Math.PI / 2);
+  ctx.textAlign = "center";
+  ctx.fillText(unit, 0, 0);
+  ctx.restore();
+
+  return { canvas, ctx, plot };
+}
+
+/**
+ * Render the monthly production as a bar chart
+ * @param {Array} monthly - [{name, kwh}] for each month
+ * @returns {string} - PNG data URL, empty on error
+ */
+function renderMonthlyChart(monthly) {
+  try {
+    const maxValue = Math.max(...monthly.map((month) => month.kwh), 0);
+    const { canvas, ctx, plot } = createChartCanvas(
+      "Monthly AC production",
+      maxValue,
+      "kWh"
+    );
+    const slotWidth = plot.width / monthly.length;
+    const barWidth = slotWidth * 0.7;
+
+    ctx.textAlign = "center";
+
+    monthly.forEach((month, index) => {
+      const barHeight =
+        plot.maxValue > 0 ? (plot.height * month.kwh) / plot.maxValue : 0;
+      const x = plot.x + index * slotWidth + (slotWidth - barWidth) / 2;
+      const y = plot.y + plot.height - barHeight;
+
+      ctx.fillStyle = "rgb(245, 158, 11)";
+      ctx.fillRect(x, y, barWidth, barHeight);
+
+      ctx.fillStyle = "rgba(0, 0, 0, 0.8)";
+      ctx.fillText(month.name, x + barWidth / 2, plot.y + plot.height + 18);
+    });
+
+    return VisualizationUtils.canvasToDataURL(canvas);
+  } catch (error) {
+    console.error(
+      `[ProductionCharts] Error rendering monthly chart: ${error.message}`
+    );
+    return "";
+  }
+}
+
+/**
+ * Render the typical-day hourly production of every month as line chart
+ * @param {Array} hourly - [{month, name, hours}] where hours holds 24 kWh
+ *   values
+ * @returns {string} - PNG data URL, empty on error
+ */
+function renderHourlyChart(hourly) {
+  try {
+    const maxValue = Math.max(...hourly.flatMap((month) => month.hours), 0);
+    const { canvas, ctx, plot } = createChartCanvas(
+      "Typical day AC production",
+      maxValue,
+      "kWh"
+    );
+    const hourWidth = plot.width / 23;
+
+    // Hour labels
+    ctx.fillStyle = "rgba(0, 0, 0, 0.8)";
+    ctx.textAlign = "center";
+
+    for (let hour = 0; hour < 24; hour += 3) {
+      ctx.fillText(
+        `${hour}:00`,
+        plot.x + hour * hourWidth,
+        plot.y + plot.height + 18
+      );
+    }
+
+    // One line per month, colored from winter blue to summer orange
+    hourly.forEach((month, index) => {
+      const color = getSeasonColor(month.month - 1);
+
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+
+      month.hours.forEach((kwh, hour) => {
+        const x = plot.x + hour * hourWidth;
+        const y =
+          plot.y +
+          plot.height -
+          (plot.maxValue > 0 ? (plot.height * kwh) / plot.maxValue : 0);
+
+        if (hour === 0) {
+          ctx.moveTo(x, y);
+        } else {
+          ctx.lineTo(x, y);
+        }
+      });
+
+      ctx.stroke();
+
+      // Legend entry below the hour labels
+      const legendX = plot.x + (index * plot.width) / hourly.length;
+      const legendY = plot.y + plot.height + 36;
+
+      ctx.fillStyle = color;
+      ctx.fillRect(legendX, legendY - 8, 10, 10);
+      ctx.fillStyle = "rgba(0, 0, 0, 0.8)";
+      ctx.textAlign = "left";
+      ctx.fillText(month.name, legendX + 14, legendY + 1);
+    });
+
+    return VisualizationUtils.canvasToDataURL(canvas);
+  } catch (error) {
+    console.error(
+      `[ProductionCharts] Error rendering hourly chart: ${error.message}`
+    );
+    return "";
+  }
+}
+
+/**
+ * Get the line color of a month, blue in winter and orange in summer
+ * @param {number} month - Month index (0-11)
+ * @returns {string} - CSS color
+ */
+function getSeasonColor(month) {
+  // Season factor peaks in July at 1 and bottoms out in January at 0
+  const factor = (1 - Math.cos((month / 12) * 2 * Math.PI)) / 2;
+  const r = Math.round(37 + factor * (234 - 37));
+  const g = Math.round(99 + factor * (88 - 99));
+  const b = Math.round(235 + factor * (12 - 235));
+
+  return `rgb(${r}, ${g}, ${b})`;
+}
+
+/**
+ * Round a value up to a tidy axis maximum (1, 2, 2.5 or 5 times a power of
+ * ten)
+ * @param {number} value - Largest value to show
+ * @returns {number} - Axis maximum
+ */
+function niceCeiling(value) {
+  if (!(value > 0)) return 1;
+
+  const magnitude = 10 ** Math.floor(Math.log10(value));
+
+  for (const step of [1, 2, 2.5, 5, 10]) {
+    if (step * magnitude >= value) {
+      return step * magnitude;
+    }
+  }
+
+  return 10 * magnitude;
+}
+
+/**
+ * Format an axis value without trailing zeros
+ * @param {number} value - Axis value
+ * @returns {string} - Label
+ */
+function formatAxisValue(value) {
+  return value >= 10 ? Math.round(value).toString() : value.toFixed(1);
+}
+
+module.exports = {
+  renderMonthlyChart,
+  renderHourlyChart,
+};
@@ -0,0 +1,365 @@
+/**
+ * Production Profile Module
+ *
+ * Estimates when a panel layout produces its energy, so proposals can be
+ * compared against monthly utility bills:
+ * - monthly AC production, by sampling the monthly flux layer
+ *   (kWh/m²/month) under every panel
+ * - a typical-day hourly profile for each month, spreading the month's
+ *   daily production over the hours of the day by sun elevation and by the
+ *   share of days each hour the hourly shade layer marks the panels sunlit.
+ *   Hours are clock hours in the site's standard time, like load profiles
+ *   and tariff periods; the profile's timeBasis tells which UTC offset was
+ *   used
+ *
+ * See layoutSampling for how panels are positioned on the layers and how
+ * clock hours are turned into sun positions.
+ */
+
+const { processMonthlyFluxLayer } = require("../analysis/layerProcessing");
+const solarPanelAnalysis = require("../../utils/solarPanelAnalysis");
+const {
+  validateEquipmentSelection,
+  resolveEquipment,
+  getEnergyParameters,
+} = require("../equipment/equipmentCatalog");
+const { renderMonthlyChart, renderHourlyChart } = require("./productionCharts");
+const {
+  validateLayoutRequest,
+  toAreaPanel,
+  getPanelIndices,
+  fetchHourlyShade,
+  getDayOfYear,
+  validateUtcOffset,
+  resolveTimeBasis,
+  toSolarHour,
+  getSunElevationFactor,
+  countSetBits,
+  round,
+  MONTH_NAMES,
+  DAYS_IN_MONTH,
+} = require("./layoutSampling");
+
+// Accepted ranges of the energy parameters
+const PARAMETER_RANGES = {
+  panelEfficiency: { min: 0.05, max: 0.5 },
+  systemLosses: { min: 0, max: 0.5 },
+  inverterEfficiency: { min: 0.5, max: 1 },
+  temperatureCoefficient: { min: -0.01, max: 0 },
+};
+
+/**
+ * Validate a production profile request
+ * @param {Object} request - Request body
+ * @param {string} [request.analysisId] - Analysis whose layout is used
+ * @param {Object} [request.location] - {latitude, longitude}; required
+ *   without analysisId
+ * @param {Object} [request.layout] - {panels}; panels carry either a pixel
+ *   polygon of the analysis image or a polygon of {latitude, longitude}
+ *   points
+ * @param {boolean} [request.includeHourly=true] - Compute hourly profiles
+ * @param {boolean} [request.includeCharts=true] - Render charts
+ * @param {string} [request.panelId] - Catalog panel
+ * @param {string} [request.inverterId] - Catalog inverter
+ * @param {number} [request.utcOffsetHours] - Standard time offset of the
+ *   site from UTC; default the nominal offset of its longitude
+ * @returns {Object} - {isValid, errors}
+ */
+function validateProductionRequest(request) {
+  const {
+    analysisId,
+    location,
+    layout,
+    includeHourly,
+    includeCharts,
+    panelId,
+    inverterId,
+    utcOffsetHours,
+    ...parameters
+  } = request || {};
+  const errors = [
+    ...validateLayoutRequest({ analysisId, location, layout }),
+    ...validateEquipmentSelection({ panelId, inverterId }),
+    ...validateUtcOffset(utcOffsetHours),
+  ];
+
+  for (const [key, value] of Object.entries(parameters)) {
+    const range = PARAMETER_RANGES[key];
+
+    if (!range) {
+      errors.push(
+        `${key} is not a parameter. Allowed: ${Object.keys(PARAMETER_RANGES).join(", ")}`
+      );
+    } else if (
+      typeof value !== "number" ||
+      value < range.min ||
+      value > range.max
+    ) {
+      errors.push(`${key} must be a number from ${range.min} to ${range.max}`);
+    }
+  }
+
+  for (const [key, value] of Object.entries({ includeHourly, includeCharts })) {
+    if (value !== undefined && typeof value !== "boolean") {
+      errors.push(`${key} must be a boolean`);
+    }
+  }
+
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Generate the monthly and typical-day hourly production of a layout
+ * @param {Object} location - {latitude, longitude} of the building
+ * @param {Object} input - Layout input
+ * @param {Array} input.panels - Panels with pixel or latitude/longitude
+ *   polygons
+ * @param {Object} [input.imageDimensions] - {width, height} of the image
+ *   pixel polygons refer to
+ * @param {Object} [input.cropWindow] - Crop window of that image in the
+ *   data layers area (see layerProcessing)
+ * @param {Object} [input.equipment] - {panelId, inverterId} of an analysis
+ *   layout
+ * @param {Object} options - Profile options (optional)
+ * @param {boolean} options.includeHourly - Compute hourly profiles
+ *   (default true); needs 12 hourly shade downloads
+ * @param {boolean} options.includeCharts - Render charts (default true)
+ * @param {Object} options.equipment - {panelId, inverterId} from the
+ *   equipment catalog; default the layout's equipment, else the catalog
+ *   defaults
+ * @param {Object} options.parameters - Energy parameters, see
+ *   DEFAULT_ENERGY_PARAMETERS; undefined values keep those of the
+ *   equipment
+ * @param {number} options.utcOffsetHours - Standard time offset of the site
+ *   from UTC (default the nominal offset of the longitude)
+ * @param {AbortSignal} options.signal - Aborts fetching the layers
+ * @returns {Promise<Object>} - Production profile
+ */
+async function generateProductionProfile(location, input, options = {}) {
+  const {
+    includeHourly = true,
+    includeCharts = true,
+    equipment = {},
+    parameters = {},
+    utcOffsetHours,
+    signal = null,
+  } = options;
+  const timeBasis = resolveTimeBasis(location, utcOffsetHours);
+  const { panel, inverter } = resolveEquipment({
+    panelId: equipment.panelId ?? input.equipment?.panelId,
+    inverterId: equipment.inverterId ?? input.equipment?.inverterId,
+  });
+  const energyParameters = {
+    ...solarPanelAnalysis.DEFAULT_ENERGY_PARAMETERS,
+    ...getEnergyParameters({ panel, inverter }),
+  };
+  const warnings = [];
+
+  for (const [key, value] of Object.entries(parameters)) {
+    if (value !== undefined) energyParameters[key] = value;
+  }
+
+  console.log(
+    `[ProductionProfile] Generating profile for ${input.panels.length} panels at ${location.latitude}, ${location.longitude}`
+  );
+
+  const monthlyFlux = await processMonthlyFluxLayer(location, { signal });
+  const panels = input.panels.map((layoutPanel) =>
+    toAreaPanel(
+      layoutPanel,
+      input,
+      monthlyFlux.bounds,
+      panel.widthMeters * panel.heightMeters
+    )
+  );
+
+  const monthly = computeMonthlyProduction(
+    panels,
+    monthlyFlux,
+    energyParameters
+  );
+
+  let hourly = null;
+
+  if (includeHourly) {
+    try {
+      const hourlyShade = await fetchHourlyShade(location, { signal });
+
+      hourly = computeHourlyProduction(
+        panels,
+        monthly,
+        hourlyShade,
+        location,
+        timeBasis
+      );
+    } catch (error) {
+      signal?.throwIfAborted();
+      console.warn(
+        `[ProductionProfile] Hourly profile unavailable: ${error.message}`
+      );
+      warnings.push(`Hourly profile unavailable: ${error.message}`);
+    }
+  }
+
+  const monthlySeries = monthly.totals.map((kwh, month) => ({
+    month: month + 1,
+    name: MONTH_NAMES[month],
+    kwh: round(kwh),
+    dailyKwh: round(kwh / DAYS_IN_MONTH[month]),
+  }));
+
+  if (monthly.unsampledPanels > 0) {
+    warnings.push(
+      `${monthly.unsampledPanels} panels are outside the monthly flux data and produce no energy`
+    );
+  }
+
+  return {
+    location,
+    panelCount: panels.length,
+    annualKwh: round(monthly.totals.reduce((sum, kwh) => sum + kwh, 0)),
+    monthly: monthlySeries,
+    hourly,
+    timeBasis,
+    panels: panels.map((panel, index) => ({
+      panelId: panel.id,
+      annualKwh: round(
+        monthly.panels[index].reduce((sum, kwh) => sum + kwh, 0)
+      ),
+      monthlyKwh: monthly.panels[index].map((kwh) => round(kwh)),
+    })),
+    equipment: { panelId: panel.id, inverterId: inverter.id },
+    parameters: energyParameters,
+    charts: includeCharts
+      ? {
+          monthly: renderMonthlyChart(monthlySeries),
+          hourly: hourly ? renderHourlyChart(hourly) : null,
+        }
+      : null,
+    imageryQuality: monthlyFlux.metadata.imageryQuality || null,
+    warnings,
+    generatedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Compute the monthly AC production of every panel
+ * @param {Array} panels - Panels with area fraction polygons
+ * @param {Object} monthlyFlux - Result of processMonthlyFluxLayer
+ * @param {Object} energyParameters - Energy parameters
+ * @returns {Object} - {panels, totals, unsampledPanels} where panels holds
+ *   12 kWh values per panel and totals 12 kWh values for the layout
+ */
+function computeMonthlyProduction(panels, monthlyFlux, energyParameters) {
+  const conversionFactor =
+    solarPanelAnalysis.getEnergyConversionFactor(energyParameters);
+  const indices = getPanelIndices(panels, monthlyFlux.metadata.dimensions);
+  const totals = new Array(12).fill(0);
+  const sampled = new Array(panels.length).fill(false);
+
+  const panelMonths = panels.map(() => new Array(12).fill(0));
+
+  for (const { month, raster } of monthlyFlux.months) {
+    panels.forEach((panel, index) => {
+      const { mean } = solarPanelAnalysis.averageRasterValues(
+        raster,
+        indices[index]
+      );
+
+      if (mean === null) return;
+
+      const kwh = mean * panel.area * conversionFactor;
+      panelMonths[index][month] = kwh;
+      totals[month] += kwh;
+      sampled[index] = true;
+    });
+  }
+
+  return {
+    panels: panelMonths,
+    totals,
+    unsampledPanels: sampled.filter((isSampled) => !isSampled).length,
+  };
+}
+
+/**
+ * Spread the production of a typical day of each month over its hours
+ * @param {Array} panels - Panels with area fraction polygons
+ * @param {Object} monthly - Result of computeMonthlyProduction
+ * @param {Array} hourlyShade - Results of processHourlyShadeLayer, one per
+ *   month
+ * @param {Object} location - {latitude, longitude} of the building
+ * @param {Object} timeBasis - Clock of the hour bands, see resolveTimeBasis
+ * @returns {Array} - [{month, name, dailyKwh, hours}] with 24 kWh values;
+ *   hour h covers h:00 to h+1:00 local standard time
+ */
+function computeHourlyProduction(
+  panels,
+  monthly,
+  hourlyShade,
+  location,
+  timeBasis
+) {
+  return hourlyShade.map((shade) => {
+    const month = shade.month;
+    const days = DAYS_IN_MONTH[month];
+    const dayOfYear = getDayOfYear(month, 15);
+    const dailyKwh = monthly.totals[month] / days;
+    const indices = getPanelIndices(panels, shade.metadata.dimensions);
+    const weights = new Array(24).fill(0);
+
+    for (const { hour, raster } of shade.hours) {
+      // Share of the days the panels are sunlit, weighted by their output
+      let sunlit = 0;
+      let weightSum = 0;
+
+      panels.forEach((panel, index) => {
+        const panelWeight = monthly.panels[index][month];
+        const pixels = indices[index];
+
+        let sunlitDays = 0;
+        let validPixels = 0;
+
+        for (const pixel of pixels) {
+          const value = raster[pixel];
+
+          if (Number.isFinite(value) && value >= 0) {
+            sunlitDays += countSetBits(value);
+            validPixels++;
+          }
+        }
+
+        if (panelWeight <= 0 || validPixels === 0) return;
+
+        sunlit += (panelWeight * sunlitDays) / (validPixels * days);
+        weightSum += panelWeight;
+      });
+
+      weights[hour] =
+        weightSum > 0
+          ? (sunlit / weightSum) *
+            getSunElevationFactor(
+              location.latitude,
+              dayOfYear,
+              toSolarHour(hour, location.longitude, timeBasis, dayOfYear)
+            )
+          : 0;
+    }
+
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+    return {
+      month: month + 1,
+      name: MONTH_NAMES[month],
+      dailyKwh: round(dailyKwh),
+      hours: weights.map((weight) =>
+        totalWeight > 0 ? round((dailyKwh * weight) / totalWeight, 2) : 0
+      ),
+    };
+  });
+}
+
+module.exports = {
+  validateProductionRequest,
+  generateProductionProfile,
+};
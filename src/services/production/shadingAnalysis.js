@@ -0,0 +1,302 @@
+/**
+ * Shading Analysis Module
+ *
+ * Reports how much of the available sun each panel of a layout loses to
+ * shade, from the hourly shade layers. Each hourly shade GeoTIFF covers one
+ * month with a band per hour of the day; every pixel holds a bit per day of
+ * the month that is set when the pixel is in the sun at that hour.
+ *
+ * For every panel, month, day and hour:
+ * - a sun hour is an hour the sun is above the horizon (from the sun
+ *   position at the middle of the hour) or the pixel is marked sunlit
+ * - a shaded hour is a sun hour the pixel is not marked sunlit
+ * Solar access weights the same hours by clear-sky irradiance (the sine of
+ * the sun elevation), the way installers report it for incentive programs:
+ * 100% means the panel receives all the sun it could without shade.
+ *
+ * See layoutSampling for how panels are positioned on the layers and how
+ * the clock hours of the bands are turned into sun positions; the report's
+ * timeBasis tells which UTC offset was used.
+ */
+
+const {
+  validateLayoutRequest,
+  toAreaPanel,
+  getPanelIndices,
+  fetchHourlyShade,
+  getDayOfYear,
+  validateUtcOffset,
+  resolveTimeBasis,
+  toSolarHour,
+  getSunElevationFactor,
+  round,
+  MONTH_NAMES,
+  DAYS_IN_MONTH,
+} = require("./layoutSampling");
+const { getPanel } = require("../equipment/equipmentCatalog");
+
+// Panels below this solar access (percent) are flagged by default
+const DEFAULT_SOLAR_ACCESS_THRESHOLD = 80;
+
+/**
+ * Validate a shading analysis request
+ * @param {Object} request - Request body; see validateLayoutRequest for
+ *   analysisId, location and layout
+ * @param {number} [request.solarAccessThreshold=80] - Percent solar access
+ *   below which panels are flagged
+ * @param {number} [request.utcOffsetHours] - Standard time offset of the
+ *   site from UTC; default the nominal offset of its longitude
+ * @returns {Object} - {isValid, errors}
+ */
+function validateShadingRequest(request) {
+  const {
+    analysisId,
+    location,
+    layout,
+    solarAccessThreshold,
+    utcOffsetHours,
+    ...rest
+  } = request || {};
+  const errors = [
+    ...validateLayoutRequest({ analysisId, location, layout }),
+    ...validateUtcOffset(utcOffsetHours),
+  ];
+
+  for (const key of Object.keys(rest)) {
+    errors.push(`${key} is not a parameter of a shading analysis`);
+  }
+
+  if (
+    solarAccessThreshold !== undefined &&
+    (typeof solarAccessThreshold !== "number" ||
+      solarAccessThreshold < 0 ||
+      solarAccessThreshold > 100)
+  ) {
+    errors.push("solarAccessThreshold must be a number from 0 to 100");
+  }
+
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Generate the per-panel and per-month shading report of a layout
+ * @param {Object} location - {latitude, longitude} of the building
+ * @param {Object} input - Layout input, see generateProductionProfile
+ * @param {Object} options - Report options (optional)
+ * @param {number} options.solarAccessThreshold - Percent solar access below
+ *   which panels are flagged (default 80)
+ * @param {number} options.utcOffsetHours - Standard time offset of the site
+ *   from UTC (default the nominal offset of the longitude)
+ * @param {AbortSignal} options.signal - Aborts fetching the layers
+ * @returns {Promise<Object>} - Shading report
+ */
+async function generateShadingReport(location, input, options = {}) {
+  const {
+    solarAccessThreshold = DEFAULT_SOLAR_ACCESS_THRESHOLD,
+    utcOffsetHours,
+    signal = null,
+  } = options;
+  const timeBasis = resolveTimeBasis(location, utcOffsetHours);
+
+  console.log(
+    `[ShadingAnalysis] Analyzing shade for ${input.panels.length} panels at ${location.latitude}, ${location.longitude}`
+  );
+
+  const hourlyShade = await fetchHourlyShade(location, { signal });
+  // Module of the layout, else the catalog default when it was dropped
+  const catalogPanel = getPanel(input.equipment?.panelId) || getPanel();
+  const panels = input.panels.map((panel) =>
+    toAreaPanel(
+      panel,
+      input,
+      hourlyShade[0].bounds,
+      catalogPanel.widthMeters * catalogPanel.heightMeters
+    )
+  );
+
+  // Layout figures are area-weighted averages of the panels
+  const totalArea = panels.reduce((sum, panel) => sum + panel.area, 0);
+  const panelTotals = panels.map(() => createTotals());
+  const panelMonths = panels.map(() => []);
+  const layoutMonths = [];
+  let unsampledPanels = 0;
+
+  for (const shade of hourlyShade) {
+    const indices = getPanelIndices(panels, shade.metadata.dimensions);
+    const sunWeights = getMonthSunWeights(location, shade.month, timeBasis);
+    const monthTotals = createTotals();
+
+    panels.forEach((panel, index) => {
+      const totals = samplePanelShade(shade, indices[index], sunWeights);
+
+      panelMonths[index].push(summarizeTotals(totals, shade.month));
+      addTotals(panelTotals[index], totals, 1);
+      addTotals(monthTotals, totals, panel.area / totalArea);
+    });
+
+    layoutMonths.push(summarizeTotals(monthTotals, shade.month));
+  }
+
+  const layoutTotals = createTotals();
+
+  const panelReports = panels.map((panel, index) => {
+    const summary = summarizeTotals(panelTotals[index]);
+
+    if (panelTotals[index].sunHours === 0) unsampledPanels++;
+    addTotals(layoutTotals, panelTotals[index], panel.area / totalArea);
+
+    return {
+      panelId: panel.id,
+      solarAccess: summary.solarAccess,
+      shadedPercent: summary.shadedPercent,
+      sunHours: summary.sunHours,
+      shadedHours: summary.shadedHours,
+      belowThreshold:
+        summary.solarAccess !== null &&
+        summary.solarAccess < solarAccessThreshold,
+      monthly: panelMonths[index],
+    };
+  });
+
+  const layoutSummary = summarizeTotals(layoutTotals);
+
+  return {
+    location,
+    panelCount: panels.length,
+    solarAccess: layoutSummary.solarAccess,
+    shadedPercent: layoutSummary.shadedPercent,
+    solarAccessThreshold,
+    panelsBelowThreshold: panelReports.filter((panel) => panel.belowThreshold)
+      .length,
+    unsampledPanels,
+    timeBasis,
+    monthly: layoutMonths,
+    panels: panelReports,
+    generatedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Get the clear-sky sun weight of every day and clock hour of a month
+ * @param {Object} location - {latitude, longitude} of the building
+ * @param {number} month - Month index (0-11)
+ * @param {Object} timeBasis - Clock of the hour bands, see resolveTimeBasis
+ * @returns {Array<Array<number>>} - weights[day][hour], 0 while the sun is
+ *   down
+ */
+function getMonthSunWeights(location, month, timeBasis) {
+  return Array.from({ length: DAYS_IN_MONTH[month] }, (_, day) => {
+    const dayOfYear = getDayOfYear(month, day + 1);
+
+    return Array.from({ length: 24 }, (__, hour) =>
+      getSunElevationFactor(
+        location.latitude,
+        dayOfYear,
+        toSolarHour(hour, location.longitude, timeBasis, dayOfYear)
+      )
+    );
+  });
+}
+
+/**
+ * Walk the hourly day bits of every pixel under a panel
+ * @param {Object} shade - Result of processHourlyShadeLayer
+ * @param {Array<number>} pixels - Raster indices under the panel
+ * @param {Array<Array<number>>} sunWeights - From getMonthSunWeights
+ * @returns {Object} - Totals averaged over the panel's pixels
+ */
+function samplePanelShade(shade, pixels, sunWeights) {
+  const totals = createTotals();
+  let validPixels = 0;
+
+  for (const pixel of pixels) {
+    let pixelValid = false;
+
+    for (const { hour, raster } of shade.hours) {
+      const value = raster[pixel];
+
+      if (!Number.isFinite(value) || value < 0) continue;
+
+      const bits = value >>> 0;
+      pixelValid = true;
+
+      for (let day = 0; day < sunWeights.length; day++) {
+        const sunlit = (bits >>> day) & 1;
+        const weight = sunWeights[day][hour];
+
+        if (weight === 0 && !sunlit) continue;
+
+        totals.sunHours++;
+        totals.weightedSun += weight;
+
+        if (sunlit) {
+          totals.weightedSunlit += weight;
+        } else {
+          totals.shadedHours++;
+        }
+      }
+    }
+
+    if (pixelValid) validPixels++;
+  }
+
+  if (validPixels > 1) {
+    for (const key of Object.keys(totals)) {
+      totals[key] /= validPixels;
+    }
+  }
+
+  return totals;
+}
+
+/**
+ * Create empty shade totals
+ * @returns {Object} - {sunHours, shadedHours, weightedSun, weightedSunlit}
+ */
+function createTotals() {
+  return { sunHours: 0, shadedHours: 0, weightedSun: 0, weightedSunlit: 0 };
+}
+
+/**
+ * Add weighted shade totals to a running total
+ * @param {Object} target - Running totals, updated in place
+ * @param {Object} totals - Totals to add
+ * @param {number} weight - Weight of the added totals (e.g. area share)
+ */
+function addTotals(target, totals, weight) {
+  for (const key of Object.keys(target)) {
+    target[key] += totals[key] * weight;
+  }
+}
+
+/**
+ * Turn shade totals into report figures
+ * @param {Object} totals - Shade totals
+ * @param {number} [month] - Month index (0-11) for monthly figures
+ * @returns {Object} - {month, name, sunHours, shadedHours, shadedPercent,
+ *   solarAccess}; percentages are null without sun hours
+ */
+function summarizeTotals(totals, month) {
+  const summary = {
+    sunHours: round(totals.sunHours),
+    shadedHours: round(totals.shadedHours),
+    shadedPercent:
+      totals.sunHours > 0
+        ? round((totals.shadedHours / totals.sunHours) * 100)
+        : null,
+    solarAccess:
+      totals.weightedSun > 0
+        ? round((totals.weightedSunlit / totals.weightedSun) * 100)
+        : null,
+  };
+
+  return month === undefined
+    ? summary
+    : { month: month + 1, name: MONTH_NAMES[month], ...summary };
+}
+
+module.exports = {
+  validateShadingRequest,
+  generateShadingReport,
+  DEFAULT_SOLAR_ACCESS_THRESHOLD,
+};
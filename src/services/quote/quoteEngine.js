@@ -0,0 +1,608 @@
+/**
+ * Quote Engine Module
+ *
+ * Prices a solar system from a generated panel layout using a configurable
+ * price book (see src/data/price-book.json). A quote is itemized into:
+ * - equipment and installation at a base cost per watt
+ * - per-panel adders (racking, wiring, ...)
+ * - the selected inverter option (per watt, per panel and/or fixed)
+ * - a steep-roof surcharge per watt of panels above the pitch threshold
+ * - a roof complexity adder per roof segment beyond the included ones
+ * - an adder per obstruction to work around
+ * - fixed fees (permits, design, ...) and a minimum system price
+ * Incentives are then deducted: "percent" of the gross price, "perWatt" or
+ * "fixed", each optionally capped with "max". Panels and inverters can be
+ * picked from the equipment catalog: the panel sets the wattage and the
+ * inverter is priced with the option matching its type. With a tariff and
+ * the system's production, the quote also estimates first-year bill
+ * savings and a simple payback period.
+ */
+
+const fs = require("fs");
+const config = require("../../config/config");
+const {
+  getTariff,
+  getTariffs,
+  estimateBillSavings,
+} = require("../tariff/tariffEngine");
+const {
+  getPanel,
+  getInverter,
+  validateEquipmentSelection,
+} = require("../equipment/equipmentCatalog");
+
+// Price book loaded from config.quotes.PRICE_BOOK_PATH
+let cachedPriceBook = null;
+
+/**
+ * Load and validate a price book file
+ * @param {string} [filePath] - Path to the JSON price book
+ *   (default config.quotes.PRICE_BOOK_PATH)
+ * @returns {Object} - Price book
+ * @throws {Error} if the file cannot be read or the price book is invalid
+ */
+function loadPriceBook(filePath = config.quotes.PRICE_BOOK_PATH) {
+  const priceBook = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  const validation = validatePriceBook(priceBook);
+
+  if (!validation.isValid) {
+    const error = new Error(
+      `Invalid price book ${filePath}: ${validation.errors.join("; ")}`
+    );
+    console.error("[QuoteEngine] Price book error:", error.message);
+    throw error;
+  }
+
+  console.log(
+    `[QuoteEngine] Loaded price book ${priceBook.version} from ${filePath}`
+  );
+  return priceBook;
+}
+
+/**
+ * Get the configured price book, loading it on first use
+ * @returns {Object} - Price book
+ */
+function getPriceBook() {
+  if (!cachedPriceBook) {
+    cachedPriceBook = loadPriceBook();
+  }
+
+  return cachedPriceBook;
+}
+
+/**
+ * Validate the structure of a price book
+ * @param {Object} priceBook - Price book
+ * @returns {Object} - {isValid, errors}
+ */
+function validatePriceBook(priceBook) {
+  const errors = [];
+  const isAmount = (value) =>
+    typeof value === "number" && Number.isFinite(value) && value >= 0;
+
+  if (!priceBook || typeof priceBook !== "object") {
+    return { isValid: false, errors: ["Price book must be an object"] };
+  }
+
+  for (const field of ["baseCostPerWatt", "panelWattage", "perObstruction"]) {
+    if (!isAmount(priceBook[field])) {
+      errors.push(`${field} must be a non-negative number`);
+    }
+  }
+
+  if (typeof priceBook.currency !== "string") {
+    errors.push("currency must be a string");
+  }
+
+  for (const list of ["perPanelAdders", "fixedFees"]) {
+    if (!Array.isArray(priceBook[list])) {
+      errors.push(`${list} must be an array`);
+      continue;
+    }
+
+    priceBook[list].forEach((item, index) => {
+      if (!item.id || !isAmount(item.amount)) {
+        errors.push(`${list}[${index}] needs an id and a non-negative amount`);
+      }
+    });
+  }
+
+  if (!Array.isArray(priceBook.inverters) || priceBook.inverters.length === 0) {
+    errors.push("inverters must be a non-empty array");
+  } else {
+    priceBook.inverters.forEach((inverter, index) => {
+      const prices = ["perWatt", "perPanel", "fixed"].filter(
+        (key) => inverter[key] !== undefined
+      );
+
+      if (!inverter.id || prices.length === 0) {
+        errors.push(
+          `inverters[${index}] needs an id and at least one of perWatt, perPanel, fixed`
+        );
+      } else if (!prices.every((key) => isAmount(inverter[key]))) {
+        errors.push(`inverters[${index}] prices must be non-negative numbers`);
+      }
+    });
+
+    if (!priceBook.inverters.some((i) => i.id === priceBook.defaultInverter)) {
+      errors.push("defaultInverter must match one of the inverters");
+    }
+  }
+
+  if (
+    !priceBook.steepRoof ||
+    !isAmount(priceBook.steepRoof.pitchThresholdDegrees) ||
+    !isAmount(priceBook.steepRoof.surchargePerWatt)
+  ) {
+    errors.push(
+      "steepRoof needs non-negative pitchThresholdDegrees and surchargePerWatt"
+    );
+  }
+
+  if (
+    !priceBook.roofComplexity ||
+    !isAmount(priceBook.roofComplexity.includedSegments) ||
+    !isAmount(priceBook.roofComplexity.perAdditionalSegment)
+  ) {
+    errors.push(
+      "roofComplexity needs non-negative includedSegments and perAdditionalSegment"
+    );
+  }
+
+  if (
+    priceBook.minimumSystemPrice !== undefined &&
+    !isAmount(priceBook.minimumSystemPrice)
+  ) {
+    errors.push("minimumSystemPrice must be a non-negative number");
+  }
+
+  if (!Array.isArray(priceBook.incentives)) {
+    errors.push("incentives must be an array");
+  } else {
+    priceBook.incentives.forEach((incentive, index) => {
+      if (!incentive.id || !isAmount(incentive.value)) {
+        errors.push(`incentives[${index}] needs an id and a non-negative value`);
+      } else if (!["percent", "perWatt", "fixed"].includes(incentive.type)) {
+        errors.push(
+          `incentives[${index}].type must be one of: percent, perWatt, fixed`
+        );
+      } else if (incentive.max !== undefined && !isAmount(incentive.max)) {
+        errors.push(`incentives[${index}].max must be a non-negative number`);
+      }
+    });
+  }
+
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Validate a quote request
+ * @param {Object} layout - Layout to price, see generateQuote
+ * @param {Object} [options] - Quote options, see generateQuote
+ * @returns {Object} - {isValid, errors}
+ */
+function validateQuoteRequest(layout, options = {}) {
+  const errors = [];
+  const priceBook = options.priceBook || getPriceBook();
+
+  if (!layout || typeof layout !== "object") {
+    return { isValid: false, errors: ["layout must be an object"] };
+  }
+
+  if (layout.panels !== undefined && !Array.isArray(layout.panels)) {
+    errors.push("layout.panels must be an array");
+  }
+
+  if (
+    layout.panels === undefined &&
+    (!Number.isInteger(layout.panelCount) || layout.panelCount < 0)
+  ) {
+    errors.push(
+      "layout.panels or a non-negative layout.panelCount is required"
+    );
+  }
+
+  if (layout.segments !== undefined && !Array.isArray(layout.segments)) {
+    errors.push("layout.segments must be an array");
+  }
+
+  if (
+    layout.obstructions !== undefined &&
+    !Array.isArray(layout.obstructions)
+  ) {
+    errors.push("layout.obstructions must be an array");
+  }
+
+  errors.push(...validateEquipmentSelection(options));
+
+  if (options.inverter !== undefined && options.inverterId !== undefined) {
+    errors.push("Provide either inverter or inverterId, not both");
+  }
+
+  if (options.panelWattage !== undefined && options.panelId !== undefined) {
+    errors.push("Provide either panelWattage or panelId, not both");
+  }
+
+  const catalogInverter =
+    typeof options.inverterId === "string"
+      ? getInverter(options.inverterId)
+      : null;
+
+  if (
+    catalogInverter &&
+    !priceBook.inverters.some((option) => option.id === catalogInverter.type)
+  ) {
+    errors.push(
+      `The price book has no ${catalogInverter.type} inverter option for inverterId ${options.inverterId}`
+    );
+  }
+
+  if (
+    options.inverter !== undefined &&
+    !priceBook.inverters.some((inverter) => inverter.id === options.inverter)
+  ) {
+    errors.push(
+      `inverter must be one of: ${priceBook.inverters.map((i) => i.id).join(", ")}`
+    );
+  }
+
+  if (
+    options.panelWattage !== undefined &&
+    (typeof options.panelWattage !== "number" || !(options.panelWattage > 0))
+  ) {
+    errors.push("panelWattage must be a positive number");
+  }
+
+  if (options.tariffId !== undefined && !getTariff(options.tariffId)) {
+    errors.push(
+      `tariffId must be one of: ${[...getTariffs().keys()].join(", ")}`
+    );
+  }
+
+  for (const key of ["annualProductionKwh", "annualUsageKwh"]) {
+    if (
+      options[key] !== undefined &&
+      (typeof options[key] !== "number" || !(options[key] >= 0))
+    ) {
+      errors.push(`${key} must be a non-negative number`);
+    }
+  }
+
+  if (
+    options.tariffId !== undefined &&
+    options.annualProductionKwh === undefined
+  ) {
+    errors.push("annualProductionKwh is required with tariffId");
+  }
+
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Describe the system to price from a panel layout
+ * @param {Object} layout - Layout, see generateQuote
+ * @param {number} panelWattage - Panel rating in watts
+ * @param {Object} priceBook - Price book
+ * @returns {Object} - System description
+ */
+function describeSystem(layout, panelWattage, priceBook) {
+  const panels = layout.panels || [];
+  const segments = layout.segments || [];
+  const panelCount = layout.panels ? panels.length : layout.panelCount;
+  const segmentPitches = new Map(
+    segments.map((segment) => [segment.id, segment.pitch])
+  );
+
+  // Only roof faces that carry panels add installation complexity
+  const usedSegmentIds = new Set(
+    panels
+      .map((panel) => panel.segmentId)
+      .filter((segmentId) => segmentId !== undefined)
+  );
+  const segmentCount =
+    usedSegmentIds.size > 0
+      ? usedSegmentIds.size
+      : layout.segmentCount ?? segments.length;
+
+  const threshold = priceBook.steepRoof.pitchThresholdDegrees;
+  const pitches = layout.panels
+    ? panels.map((panel) => panel.pitch ?? segmentPitches.get(panel.segmentId))
+    : [];
+  const steepPanelCount = layout.panels
+    ? pitches.filter((pitch) => pitch > threshold).length
+    : layout.steepPanelCount ?? 0;
+  const knownPitches = [
+    ...pitches,
+    ...segments.map((segment) => segment.pitch),
+  ].filter((pitch) => typeof pitch === "number");
+
+  return {
+    panelCount,
+    panelWattage,
+    systemKw: round((panelCount * panelWattage) / 1000, 3),
+    segmentCount,
+    steepPanelCount,
+    maxPitch: knownPitches.length > 0 ? Math.max(...knownPitches) : null,
+    obstructionCount: layout.obstructions
+      ? layout.obstructions.length
+      : layout.obstructionCount ?? 0,
+  };
+}
+
+/**
+ * Generate an itemized quote for a panel layout
+ * @param {Object} layout - Layout to price
+ * @param {Array<Object>} [layout.panels] - Panels ({segmentId, pitch})
+ * @param {number} [layout.panelCount] - Panel count when panels are not given
+ * @param {Array<Object>} [layout.segments] - Roof segments ({id, pitch})
+ * @param {Array<Object>} [layout.obstructions] - Obstructions on the roof
+ * @param {number} [layout.obstructionCount] - Count when not given as a list
+ * @param {Object} [options] - Quote options
+ * @param {string} [options.inverter] - Inverter option id (default from the
+ *   price book)
+ * @param {string} [options.inverterId] - Catalog inverter, priced with the
+ *   option of its type instead of inverter
+ * @param {number} [options.panelWattage] - Panel rating in watts (default
+ *   from the price book)
+ * @param {string} [options.panelId] - Catalog panel whose wattage is used
+ *   instead of panelWattage
+ * @param {Object} [options.priceBook] - Price book (default configured one)
+ * @param {string} [options.tariffId] - Tariff to estimate bill savings with
+ * @param {number} [options.annualProductionKwh] - Production of the system,
+ *   required with tariffId
+ * @param {number} [options.annualUsageKwh] - Household usage (default the
+ *   production)
+ * @returns {Object} - Itemized quote
+ */
+function generateQuote(layout, options = {}) {
+  const priceBook = options.priceBook || getPriceBook();
+  const catalogPanel = options.panelId ? getPanel(options.panelId) : null;
+  const catalogInverter = options.inverterId
+    ? getInverter(options.inverterId)
+    : null;
+  const inverter = priceBook.inverters.find(
+    (candidate) =>
+      candidate.id ===
+      (catalogInverter?.type || options.inverter || priceBook.defaultInverter)
+  );
+  const system = describeSystem(
+    layout,
+    catalogPanel?.watts || options.panelWattage || priceBook.panelWattage,
+    priceBook
+  );
+  const watts = system.panelCount * system.panelWattage;
+  const lineItems = [];
+
+  const addLineItem = (id, label, quantity, unit, unitPrice) => {
+    if (quantity > 0 && unitPrice > 0) {
+      lineItems.push({
+        id,
+        label,
+        quantity,
+        unit,
+        unitPrice,
+        amount: round(quantity * unitPrice),
+      });
+    }
+  };
+
+  addLineItem(
+    "equipment_installation",
+    "Panels, equipment and installation",
+    watts,
+    "W",
+    priceBook.baseCostPerWatt
+  );
+
+  for (const adder of priceBook.perPanelAdders) {
+    addLineItem(
+      adder.id,
+      adder.label,
+      system.panelCount,
+      "panel",
+      adder.amount
+    );
+  }
+
+  const inverterLabel = catalogInverter
+    ? `${inverter.label || inverter.id}: ${catalogInverter.manufacturer} ${catalogInverter.model}`
+    : inverter.label || inverter.id;
+  addLineItem("inverter", inverterLabel, watts, "W", inverter.perWatt);
+  addLineItem(
+    "inverter_per_panel",
+    inverterLabel,
+    system.panelCount,
+    "panel",
+    inverter.perPanel
+  );
+  addLineItem("inverter_fixed", inverterLabel, 1, "system", inverter.fixed);
+
+  addLineItem(
+    "steep_roof",
+    `Steep roof surcharge (pitch above ${priceBook.steepRoof.pitchThresholdDegrees}°)`,
+    system.steepPanelCount * system.panelWattage,
+    "W",
+    priceBook.steepRoof.surchargePerWatt
+  );
+
+  addLineItem(
+    "roof_complexity",
+    "Additional roof faces",
+    Math.max(
+      0,
+      system.segmentCount - priceBook.roofComplexity.includedSegments
+    ),
+    "segment",
+    priceBook.roofComplexity.perAdditionalSegment
+  );
+
+  addLineItem(
+    "obstructions",
+    "Working around roof obstructions",
+    system.obstructionCount,
+    "obstruction",
+    priceBook.perObstruction
+  );
+
+  if (system.panelCount > 0) {
+    for (const fee of priceBook.fixedFees) {
+      addLineItem(fee.id, fee.label, 1, "system", fee.amount);
+    }
+  }
+
+  let subtotal = round(lineItems.reduce((sum, item) => sum + item.amount, 0));
+  const minimumSystemPrice = priceBook.minimumSystemPrice || 0;
+
+  if (system.panelCount > 0 && subtotal < minimumSystemPrice) {
+    addLineItem(
+      "minimum_price_adjustment",
+      "Minimum system price adjustment",
+      1,
+      "system",
+      round(minimumSystemPrice - subtotal)
+    );
+    subtotal = minimumSystemPrice;
+  }
+
+  const incentives = priceBook.incentives
+    .map((incentive) => {
+      let amount =
+        incentive.type === "percent"
+          ? subtotal * incentive.value
+          : incentive.type === "perWatt"
+          ? watts * incentive.value
+          : incentive.value;
+
+      if (incentive.max !== undefined) {
+        amount = Math.min(amount, incentive.max);
+      }
+
+      return {
+        id: incentive.id,
+        label: incentive.label || incentive.id,
+        type: incentive.type,
+        amount: round(Math.min(amount, subtotal)),
+      };
+    })
+    .filter((incentive) => incentive.amount > 0);
+
+  const totalIncentives = round(
+    incentives.reduce((sum, incentive) => sum + incentive.amount, 0)
+  );
+  const netCost = round(Math.max(0, subtotal - totalIncentives));
+
+  return {
+    currency: priceBook.currency,
+    priceBookVersion: priceBook.version || null,
+    inverter: { id: inverter.id, label: inverterLabel },
+    equipment: {
+      panel: catalogPanel ? summarizeEquipment(catalogPanel) : null,
+      inverter: catalogInverter ? summarizeEquipment(catalogInverter) : null,
+    },
+    system,
+    lineItems,
+    subtotal,
+    incentives,
+    totalIncentives,
+    netCost,
+    grossCostPerWatt: watts > 0 ? round(subtotal / watts) : null,
+    netCostPerWatt: watts > 0 ? round(netCost / watts) : null,
+    savings:
+      options.tariffId !== undefined
+        ? estimateQuoteSavings(options, netCost)
+        : null,
+    generatedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Estimate the first-year bill savings of a quoted system
+ * @param {Object} options - Quote options with tariffId,
+ *   annualProductionKwh and optionally annualUsageKwh
+ * @param {number} netCost - Net cost of the system
+ * @returns {Object} - Savings estimate
+ */
+function estimateQuoteSavings(options, netCost) {
+  const tariff = getTariff(options.tariffId);
+  const annualUsageKwh = options.annualUsageKwh ?? options.annualProductionKwh;
+  const estimate = estimateBillSavings(tariff, {
+    load: annualUsageKwh,
+    production: options.annualProductionKwh,
+  });
+
+  return {
+    tariffId: tariff.id,
+    currency: tariff.currency,
+    annualProductionKwh: options.annualProductionKwh,
+    annualUsageKwh,
+    billWithoutSolar: estimate.billWithoutSolar,
+    billWithSolar: estimate.billWithSolar,
+    firstYearSavings: estimate.savings,
+    simplePaybackYears:
+      estimate.savings > 0 ? round(netCost / estimate.savings, 1) : null,
+  };
+}
+
+/**
+ * Summarize a catalog panel or inverter for a quote
+ * @param {Object} item - Catalog panel or inverter
+ * @returns {Object} - {id, manufacturer, model}
+ */
+function summarizeEquipment(item) {
+  return {
+    id: item.id,
+    manufacturer: item.manufacturer || null,
+    model: item.model || null,
+  };
+}
+
+/**
+ * Extract the layout to price from comprehensive analysis results
+ * @param {Object} processingResults - Stored processing results
+ * @returns {Object|null} - {layout, panelId, inverterId, panelWattage,
+ *   annualProductionKwh} or null without a panel layout; analyses from
+ *   before the equipment catalog have no ids but Google's panel wattage
+ */
+function getQuoteInputFromResults(processingResults) {
+  const mlServerResult = processingResults?.mlServerResult;
+
+  if (!mlServerResult?.success || !mlServerResult.panel_layout) {
+    return null;
+  }
+
+  const equipment = mlServerResult.layout_metadata?.equipment;
+  const solarPotential = processingResults.buildingInsights?.solarPotential;
+
+  return {
+    layout: {
+      panels: mlServerResult.panel_layout,
+      segments: mlServerResult.roof_segments || [],
+      obstructions: mlServerResult.obstructions || [],
+    },
+    panelId: equipment?.panel.id,
+    inverterId: equipment?.inverter.id,
+    panelWattage: equipment ? undefined : solarPotential?.panelCapacityWatts,
+    annualProductionKwh: mlServerResult.layout_metadata?.energy?.totalAnnualKwh,
+  };
+}
+
+/**
+ * Round a currency amount to cents (or to the given decimals)
+ * @param {number} value - Value to round
+ * @param {number} [decimals=2] - Decimal places
+ * @returns {number} - Rounded value
+ */
+function round(value, decimals = 2) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+  loadPriceBook,
+  getPriceBook,
+  validatePriceBook,
+  validateQuoteRequest,
+  generateQuote,
+  getQuoteInputFromResults,
+};
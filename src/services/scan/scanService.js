@@ -1,8 +1,19 @@
+const { deliverWebhook } = require("../webhooks/webhookService");
+const {
+  comprehensiveAnalysisPipeline,
+  validateAnalysisOptions,
+  summarizeOutcomes,
+} = require("../analysis");
+const {
+  generateQuote,
+  getQuoteInputFromResults,
+} = require("../quote/quoteEngine");
+
 // In a production app, you'd use a database to store jobs
 // For the MVP, we'll use an in-memory store
 const scanJobs = new Map();
 
-// Mock processing stages
+// Processing stages, in order
 const STAGES = [
   "building_data_retrieval",
   "lidar_data_retrieval",
@@ -13,8 +24,33 @@ const STAGES = [
   "completed",
 ];
 
-// Create a new scan job
-exports.createScanJob = async (buildingId, location, clientId) => {
+// Comprehensive analysis steps run during each stage
+const STAGE_STEPS = {
+  building_data_retrieval: ["buildingInsights"],
+  lidar_data_retrieval: ["dataLayers", "dsm"],
+  model_generation: [
+    "rgb",
+    "dsmAlignment",
+    "annualFlux",
+    "combinedVisualization",
+  ],
+  roof_analysis: ["roofSegments", "ml", "obstructions"],
+  solar_potential_calculation: ["panelLayout", "electricalDesign"],
+  quote_generation: ["financials", "battery"],
+};
+
+// Share of the job progress covered by the analysis pipeline; the rest is
+// quote generation
+const PIPELINE_PROGRESS_SHARE = 0.9;
+
+// Create a new scan job; options.callbackUrl receives a signed webhook
+// when the job completes or fails
+exports.createScanJob = async (
+  buildingId,
+  location,
+  clientId,
+  options = {}
+) => {
   // Generate a unique job ID
   const jobId = `scan_${Date.now()}_${Math.random()
     .toString(36)
@@ -32,6 +68,8 @@ exports.createScanJob = async (buildingId, location, clientId) => {
     updatedAt: new Date(),
     results: null,
     error: null,
+    callbackUrl: options.callbackUrl || null,
+    webhookDeliveries: [],
   };
 
   // Store job
@@ -75,84 +113,117 @@ exports.getScanJobResults = async (jobId) => {
   };
 };
 
-// Process scan job (async mock implementation)
+// Get the webhook deliveries of a job
+exports.getScanJobWebhooks = async (jobId) => {
+  const job = scanJobs.get(jobId);
+
+  if (!job) return null;
+
+  return {
+    id: job.id,
+    callbackUrl: job.callbackUrl,
+    deliveries: job.webhookDeliveries,
+  };
+};
+
+// Process scan job: runs the comprehensive analysis pipeline and reports
+// its steps as the scan stages
 exports.processScanJobAsync = async (jobId) => {
   const job = scanJobs.get(jobId);
 
   if (!job) return;
 
-  // Process each stage
-  try {
-    // Building data retrieval
-    await this.updateJobStatus(jobId, "building_data_retrieval", 10);
-    await simulateProcessing(1000); // Simulate API call delay
+  const processingResults = {};
+  let currentStage = 0;
 
-    // LiDAR data retrieval
-    await this.updateJobStatus(jobId, "lidar_data_retrieval", 20);
-    await simulateProcessing(2000); // Simulate longer processing
+  // Pipeline progress updates move the job through the stages
+  try {
+    await this.updateJobStatus(jobId, STAGES[0], 0);
 
-    // 3D model generation
-    await this.updateJobStatus(jobId, "model_generation", 40);
-    await simulateProcessing(3000);
+    const outcomes = await comprehensiveAnalysisPipeline.run(
+      {
+        analysisId: jobId,
+        location: job.location,
+        signal: null,
+        publish: () => {},
+        params: validateAnalysisOptions().options.params,
+        results: processingResults,
+      },
+      {
+        onProgress: ({ step, progress }) => {
+          // Steps of different stages overlap, so only ever move forward
+          const stage = STAGES.findIndex((name) =>
+            STAGE_STEPS[name]?.includes(step.name)
+          );
+          currentStage = Math.max(currentStage, stage);
 
-    // Roof analysis
-    await this.updateJobStatus(jobId, "roof_analysis", 60);
-    await simulateProcessing(1500);
+          this.updateJobStatus(
+            jobId,
+            STAGES[currentStage],
+            Math.round(progress * PIPELINE_PROGRESS_SHARE)
+          );
+        },
+      }
+    );
 
-    // Solar potential calculation
-    await this.updateJobStatus(jobId, "solar_potential_calculation", 80);
-    await simulateProcessing(1500);
+    // Without building insights there is nothing to scan
+    if (outcomes.buildingInsights.status !== "completed") {
+      throw new Error(
+        `Building data retrieval failed: ${
+          outcomes.buildingInsights.error?.message || "Unknown error"
+        }`
+      );
+    }
 
     // Quote generation
-    await this.updateJobStatus(jobId, "quote_generation", 90);
-    await simulateProcessing(1000);
-
-    // Complete
-    const mockResults = {
-      buildingModel: {
-        footprint: {
-          /* mock footprint data */
-        },
-        roofFaces: [
-          {
-            id: 1,
-            area: 120,
-            orientation: "south",
-            pitch: 30,
-            suitability: 0.9,
-          },
-          {
-            id: 2,
-            area: 80,
-            orientation: "north",
-            pitch: 30,
-            suitability: 0.3,
-          },
-        ],
-      },
-      solarPotential: {
-        annualProduction: 12000, // kWh
-        installableCapacity: 8.4, // kW
-        savingsEstimate: 1800, // $
-      },
-      quote: {
-        installationCost: 16800,
-        paybackPeriod: 9.3, // years
-      },
-    };
+    await this.updateJobStatus(jobId, "quote_generation", 95);
+    const results = buildScanResults(processingResults, outcomes);
 
-    await this.updateJobStatus(jobId, "completed", 100, mockResults);
+    await this.updateJobStatus(jobId, "completed", 100, results);
+    this.sendScanWebhook(jobId, "scan.completed");
   } catch (error) {
     console.error(`Error processing job ${jobId}:`, error);
     const job = scanJobs.get(jobId);
     if (job) {
+      job.status = "failed";
       job.error = error.message;
       job.updatedAt = new Date();
       scanJobs.set(jobId, job);
+      this.sendScanWebhook(jobId, "scan.failed");
     }
   }
 };
 
+// Notify the job's callback URL (if any) in the background
+exports.sendScanWebhook = (jobId, event) => {
+  const job = scanJobs.get(jobId);
+
+  if (!job || !job.callbackUrl) return null;
+
+  const previousDeliveries = [...job.webhookDeliveries];
+
+  return deliverWebhook(
+    job.callbackUrl,
+    event,
+    {
+      jobId: job.id,
+      buildingId: job.buildingId,
+      clientId: job.clientId,
+      status: job.status,
+      progress: job.progress,
+      results: job.results,
+      error: job.error,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+    },
+    {
+      onUpdate: async (delivery) => {
+        job.webhookDeliveries = [...previousDeliveries, delivery];
+      },
+    }
+  );
+};
+
 // Update job status
 exports.updateJobStatus = async (jobId, status, progress, results = null) => {
   const job = scanJobs.get(jobId);
@@ -168,7 +239,93 @@ exports.updateJobStatus = async (jobId, status, progress, results = null) => {
   return job;
 };
 
-// Helper function to simulate processing time
-function simulateProcessing(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+// Turn the pipeline outputs into the scan job results
+function buildScanResults(processingResults, outcomes) {
+  const {
+    buildingInsights,
+    dataLayersResponse,
+    roofSegmentsResult,
+    mlServerResult,
+  } = processingResults;
+  const solarPotential = buildingInsights.solarPotential || {};
+  const mlSucceeded = !!mlServerResult && mlServerResult.success;
+  const panelLayout = mlSucceeded ? mlServerResult.panel_layout || [] : [];
+  const layoutMetadata = mlSucceeded
+    ? mlServerResult.layout_metadata || {}
+    : {};
+  const roofFaces = roofSegmentsResult?.available
+    ? roofSegmentsResult.data
+    : [];
+
+  return {
+    buildingModel: {
+      center: buildingInsights.center,
+      boundingBox: buildingInsights.boundingBox,
+      imageryDate:
+        dataLayersResponse?.imageryDate || buildingInsights.imageryDate,
+      imageryQuality:
+        dataLayersResponse?.imageryQuality || buildingInsights.imageryQuality,
+      roofFaces: roofFaces.map((face) => ({
+        id: face.id,
+        area: face.area,
+        orientation: face.orientation,
+        pitch: face.pitch,
+        azimuth: face.azimuth,
+        suitability: face.suitability,
+        center: face.center,
+      })),
+      segments: mlSucceeded ? mlServerResult.roof_segments || [] : [],
+      obstructions: mlSucceeded ? mlServerResult.obstructions || [] : [],
+    },
+    solarPotential: {
+      panelCount: mlSucceeded ? panelLayout.length : null,
+      installableCapacity:
+        layoutMetadata.potentialKw !== undefined
+          ? parseFloat(layoutMetadata.potentialKw)
+          : null, // kW
+      annualProduction:
+        layoutMetadata.energy?.totalAnnualKwh ??
+        estimateAnnualProduction(
+          solarPotential,
+          mlSucceeded ? panelLayout.length : null
+        ), // kWh
+      viableRoofArea: roofSegmentsResult?.available
+        ? parseFloat(roofSegmentsResult.metadata.totalViableArea)
+        : null, // m²
+      maxArrayPanelsCount: solarPotential.maxArrayPanelsCount ?? null,
+      maxSunshineHoursPerYear: solarPotential.maxSunshineHoursPerYear ?? null,
+    },
+    panelLayout,
+    layoutMetadata,
+    electricalDesign: processingResults.electricalDesignResult || null,
+    quote: buildQuote(processingResults),
+    financials: processingResults.financialResult || null,
+    battery: processingResults.batteryResult || null,
+    steps: summarizeOutcomes(outcomes),
+  };
+}
+
+// Estimate yearly DC energy from the largest Solar API panel configuration
+// that fits in the generated layout
+function estimateAnnualProduction(solarPotential, panelCount) {
+  if (!panelCount || !solarPotential.solarPanelConfigs?.length) return null;
+
+  const match = solarPotential.solarPanelConfigs
+    .filter((candidate) => candidate.panelsCount <= panelCount)
+    .sort((a, b) => b.panelsCount - a.panelsCount)[0];
+
+  return match ? Math.round(match.yearlyEnergyDcKwh) : null;
+}
+
+// Price the generated panel layout with the configured price book
+function buildQuote(processingResults) {
+  const input = getQuoteInputFromResults(processingResults);
+
+  if (!input || input.layout.panels.length === 0) return null;
+
+  return generateQuote(input.layout, {
+    panelId: input.panelId,
+    inverterId: input.inverterId,
+    panelWattage: input.panelWattage,
+  });
 }
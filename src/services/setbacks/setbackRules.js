@@ -0,0 +1,161 @@
+/**
+ * Setback Rules Module
+ *
+ * Loads the fire-code rule sets panel layouts are generated with from a
+ * local JSON file (see src/data/setback-rules.json). A rule set is
+ * {id, name, description, setbacks, pathway}:
+ * - setbacks: clear distance in meters, measured on the roof surface, that
+ *   panels keep from each roof edge type ("ridge", "eave", "rake", "hip",
+ *   "valley")
+ * - pathway: {widthMeters, edgeTypes} for an access pathway from eave to
+ *   ridge on every roof plane, kept along the longest edge of the first
+ *   edge type the plane has; null for none
+ * The layout generator classifies the edges of each roof segment and
+ * applies the distances per edge (see solarPanelAnalysis).
+ */
+
+const fs = require("fs");
+const config = require("../../config/config");
+
+const EDGE_TYPES = ["ridge", "eave", "rake", "hip", "valley"];
+
+// Edges an access pathway can run along from eave to ridge
+const PATHWAY_EDGE_TYPES = ["rake", "hip", "valley"];
+
+// Rule sets loaded from config.setbacks.RULES_PATH
+let cachedRuleSets = null;
+
+/**
+ * Load and validate a setback rules file
+ * @param {string} [filePath] - Path to the JSON rules
+ *   (default config.setbacks.RULES_PATH)
+ * @returns {Array<Object>} - Rule sets
+ * @throws {Error} if the file cannot be read or a rule set is invalid
+ */
+function loadRuleSets(filePath = config.setbacks.RULES_PATH) {
+  const { ruleSets } = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  const validation = validateRuleSets(ruleSets);
+
+  if (!validation.isValid) {
+    const error = new Error(
+      `Invalid setback rules ${filePath}: ${validation.errors.join("; ")}`
+    );
+    console.error("[SetbackRules] Rules error:", error.message);
+    throw error;
+  }
+
+  console.log(
+    `[SetbackRules] Loaded ${ruleSets.length} rule sets from ${filePath}`
+  );
+  return ruleSets;
+}
+
+/**
+ * Get the configured rule sets, loading them on first use
+ * @returns {Array<Object>} - Rule sets
+ */
+function getRuleSets() {
+  if (!cachedRuleSets) {
+    cachedRuleSets = loadRuleSets();
+  }
+
+  return cachedRuleSets;
+}
+
+/**
+ * Get a rule set by id
+ * @param {string} ruleSetId - Rule set id
+ * @returns {Object|null} - Rule set or null if unknown
+ */
+function getRuleSet(ruleSetId) {
+  return getRuleSets().find((ruleSet) => ruleSet.id === ruleSetId) || null;
+}
+
+/**
+ * Validate a list of setback rule sets
+ * @param {Array<Object>} ruleSets - Rule sets
+ * @returns {Object} - {isValid, errors}
+ */
+function validateRuleSets(ruleSets) {
+  if (!Array.isArray(ruleSets) || ruleSets.length === 0) {
+    return { isValid: false, errors: ["ruleSets must be a non-empty array"] };
+  }
+
+  const errors = [];
+  const ids = new Set();
+  const isDistance = (value) =>
+    typeof value === "number" && value >= 0 && value <= 10;
+
+  ruleSets.forEach((ruleSet, index) => {
+    const label = `ruleSets[${index}]`;
+
+    if (!ruleSet?.id || typeof ruleSet.id !== "string") {
+      errors.push(`${label} needs an id`);
+      return;
+    }
+
+    if (ids.has(ruleSet.id)) {
+      errors.push(`${label} duplicates id ${ruleSet.id}`);
+    }
+    ids.add(ruleSet.id);
+
+    for (const edgeType of EDGE_TYPES) {
+      if (!isDistance(ruleSet.setbacks?.[edgeType])) {
+        errors.push(
+          `${label}.setbacks.${edgeType} must be a distance from 0 to 10 meters`
+        );
+      }
+    }
+
+    const { pathway } = ruleSet;
+
+    if (pathway === null || pathway === undefined) return;
+
+    if (!isDistance(pathway.widthMeters) || pathway.widthMeters === 0) {
+      errors.push(
+        `${label}.pathway.widthMeters must be a distance from 0 to 10 meters`
+      );
+    }
+
+    if (
+      !Array.isArray(pathway.edgeTypes) ||
+      pathway.edgeTypes.length === 0 ||
+      !pathway.edgeTypes.every((type) => PATHWAY_EDGE_TYPES.includes(type))
+    ) {
+      errors.push(
+        `${label}.pathway.edgeTypes must list edge types of: ${PATHWAY_EDGE_TYPES.join(", ")}`
+      );
+    }
+  });
+
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Validate a rule set selection
+ * @param {string|null} ruleSetId - Rule set id; null for no setbacks
+ * @param {string} [prefix=""] - Prefix of the field names in errors
+ * @returns {Array<string>} - Errors
+ */
+function validateRuleSetSelection(ruleSetId, prefix = "") {
+  if (ruleSetId === undefined || ruleSetId === null) return [];
+
+  if (typeof ruleSetId !== "string" || !getRuleSet(ruleSetId)) {
+    return [
+      `${prefix}setbackRuleSet must be one of: ${getRuleSets()
+        .map((ruleSet) => ruleSet.id)
+        .join(", ")}`,
+    ];
+  }
+
+  return [];
+}
+
+module.exports = {
+  loadRuleSets,
+  getRuleSets,
+  getRuleSet,
+  validateRuleSets,
+  validateRuleSetSelection,
+  EDGE_TYPES,
+};
@@ -0,0 +1,159 @@
+/**
+ * Usage Sizing Module
+ *
+ * Sizes a system to offset a share of the customer's electricity usage
+ * instead of filling the roof. The panel layout of an analysis is generated
+ * again with the targetKwh objective: every roof segment is filled with its
+ * most productive fixed-strategy layout on the annual flux layer and the
+ * highest-yield positions are kept until their production reaches the
+ * target.
+ */
+
+const {
+  validateAnalysisOptions,
+  generatePanelLayout,
+} = require("../analysis/comprehensiveAnalysis");
+const {
+  validateLoadInput,
+  resolveLoadProfile,
+  summarizeLoad,
+} = require("../usage/loadProfile");
+
+// Share of the usage offset when a request gives none, and the accepted
+// range in percent
+const DEFAULT_OFFSET_PERCENT = 100;
+const MIN_OFFSET_PERCENT = 1;
+const MAX_OFFSET_PERCENT = 200;
+
+/**
+ * Validate a usage sizing request
+ * @param {Object} request - Request body
+ * @param {string} request.analysisId - Analysis whose roof is laid out
+ * @param {number|Array} [request.load] - Usage as 12 monthly kWh from
+ *   utility bills, or any profile accepted by the tariff engine
+ * @param {string} [request.loadCsv] - Usage as a Green Button or other
+ *   meter CSV export instead (see loadProfile.parseLoadCsv)
+ * @param {string} [request.loadXml] - Usage as a Green Button XML export
+ *   instead (see loadProfile.parseGreenButtonXml)
+ * @param {number} [request.targetOffsetPercent] - Share of the annual usage
+ *   to produce (default 100)
+ * @returns {Object} - {isValid, errors}
+ */
+function validateSizingRequest(request) {
+  const { analysisId, load, loadCsv, loadXml, targetOffsetPercent } =
+    request || {};
+  const errors = [];
+
+  if (typeof analysisId !== "string" || analysisId.length === 0) {
+    errors.push("analysisId is required");
+  }
+
+  const loadInput = { load, loadCsv, loadXml };
+  const loadErrors = validateLoadInput(loadInput, true);
+
+  errors.push(...loadErrors);
+
+  if (
+    loadErrors.length === 0 &&
+    summarizeLoad(resolveLoadProfile(loadInput)).annualKwh <= 0
+  ) {
+    errors.push("Usage must total more than 0 kWh per year");
+  }
+
+  if (
+    targetOffsetPercent !== undefined &&
+    (typeof targetOffsetPercent !== "number" ||
+      targetOffsetPercent < MIN_OFFSET_PERCENT ||
+      targetOffsetPercent > MAX_OFFSET_PERCENT)
+  ) {
+    errors.push(
+      `targetOffsetPercent must be a number from ${MIN_OFFSET_PERCENT} to ${MAX_OFFSET_PERCENT}`
+    );
+  }
+
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Check whether stored results can be laid out again
+ * @param {Object|null} processingResults - Stored processing results
+ * @returns {boolean} - True with a roof segmentation and annual flux raster
+ */
+function canSizeFromResults(processingResults) {
+  return (
+    !!processingResults?.mlServerResult?.success &&
+    !!processingResults.annualFluxResult?.raster
+  );
+}
+
+/**
+ * Size a system for a customer's usage on the roof of an analysis
+ * @param {Object} session - Analysis session with location and options
+ * @param {Object} processingResults - Stored processing results, see
+ *   canSizeFromResults
+ * @param {Object} request - Validated request, see validateSizingRequest
+ * @returns {Object} - Usage, target, panel count, kW, production and the
+ *   panels to install, highest-yield first
+ * @throws {Error} if the layout cannot be generated
+ */
+function sizeSystemForUsage(session, processingResults, request) {
+  const { targetOffsetPercent = DEFAULT_OFFSET_PERCENT } = request;
+  const usage = summarizeLoad(resolveLoadProfile(request));
+  const targetAnnualKwh = round((usage.annualKwh * targetOffsetPercent) / 100);
+
+  // Sessions created before step selection existed use the default params.
+  // Sizing answers an HTTP request, so it lays out with the fixed
+  // strategies rather than blocking the server with a layout search.
+  const { params } = session.options || validateAnalysisOptions().options;
+  const layout = generatePanelLayout(
+    session.location,
+    {
+      ...params.panelLayout,
+      objective: "targetKwh",
+      targetKwh: targetAnnualKwh,
+      layoutSearch: "strategies",
+    },
+    processingResults
+  );
+
+  if (layout.metadata.error) {
+    throw new Error(layout.metadata.error);
+  }
+
+  const annualKwh = layout.metadata.energy?.totalAnnualKwh ?? 0;
+
+  console.log(
+    `[UsageSizing] ${layout.panelLayout.length} panels produce ${annualKwh} of the ${targetAnnualKwh} kWh/year target`
+  );
+
+  return {
+    usage,
+    targetOffsetPercent,
+    targetAnnualKwh,
+    panelCount: layout.panelLayout.length,
+    systemKw: Number(layout.metadata.potentialKw),
+    annualKwh,
+    offsetPercent:
+      usage.annualKwh > 0 ? round((annualKwh / usage.annualKwh) * 100) : null,
+    targetReached: annualKwh >= targetAnnualKwh,
+    // Panels the roof holds, to show how far short an unreached target is
+    maxPanelCount: layout.metadata.candidatePanelCount,
+    panelLayout: layout.panelLayout,
+    layoutMetadata: layout.metadata,
+  };
+}
+
+/**
+ * Round a value to one decimal
+ * @param {number} value - Value to round
+ * @returns {number} - Rounded value
+ */
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+module.exports = {
+  validateSizingRequest,
+  canSizeFromResults,
+  sizeSystemForUsage,
+};
@@ -0,0 +1,739 @@
+/**
+ * Tariff Engine Module
+ *
+ * Loads utility tariff definitions from local JSON files (see
+ * src/data/tariffs, one tariff per file) and computes electricity bills
+ * from hourly load and production profiles. A tariff defines:
+ * - seasons: the months (1-12) they cover and their time-of-use periods.
+ *   The first period matching the day ("weekdays", "weekends" or "all")
+ *   and hour (0-23) applies; the last period covers all remaining hours.
+ *   A period charges a rate per kWh or monthly tiers [{upToKwh, rate}]
+ *   where the last tier has no limit
+ * - fixedCharges: [{id, label, perMonth, perDay}]
+ * - minimumMonthlyCharge: floor of every monthly bill
+ * - export: how energy sent to the grid is credited
+ *   - "netMetering": kWh are netted per period over the month; excess kWh
+ *     are banked for the same period in later months and whatever is left
+ *     at the annual true-up is paid at surplusRate
+ *   - "netBilling": every exported kWh is credited at rate (or
+ *     periodRates[periodId]); credits offset energy charges and carry over
+ *     to later months, unused credit lapses at the annual true-up
+ *   - "none": exports are not credited
+ *
+ * Profiles are laid out on a non-leap year starting on a Wednesday; see
+ * toHourlyProfile for the accepted forms.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const config = require("../../config/config");
+
+const HOURS_PER_YEAR = 8760;
+
+const DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+const MONTH_NAMES = [
+  "Jan",
+  "Feb",
+  "Mar",
+  "Apr",
+  "May",
+  "Jun",
+  "Jul",
+  "Aug",
+  "Sep",
+  "Oct",
+  "Nov",
+  "Dec",
+];
+
+// Day of the week (0 = Sunday) of January 1st of the profile year
+const PROFILE_YEAR_START_DAY = 3;
+
+const DAY_TYPES = ["all", "weekdays", "weekends"];
+
+const EXPORT_TYPES = ["netMetering", "netBilling", "none"];
+
+// Relative load by hour of the day when only totals are known
+const FLAT_DAY_SHAPE = new Array(24).fill(1);
+
+// Relative production by hour of the day when only totals are known: a
+// sine between 6:00 and 18:00
+const PRODUCTION_DAY_SHAPE = Array.from({ length: 24 }, (_, hour) =>
+  hour >= 6 && hour < 18 ? Math.sin(((hour + 0.5 - 6) / 12) * Math.PI) : 0
+);
+
+// Tariffs loaded from config.tariffs.TARIFF_DIR, keyed by id
+let cachedTariffs = null;
+
+// Period of every hour of the year, computed once per tariff
+const schedules = new WeakMap();
+
+/**
+ * Load and validate all tariff files of a directory
+ * @param {string} [directory] - Directory with one JSON tariff per file
+ *   (default config.tariffs.TARIFF_DIR)
+ * @returns {Map<string, Object>} - Tariffs by id
+ * @throws {Error} if a file cannot be read or a tariff is invalid
+ */
+function loadTariffs(directory = config.tariffs.TARIFF_DIR) {
+  const tariffs = new Map();
+  const files = fs
+    .readdirSync(directory)
+    .filter((file) => file.endsWith(".json"))
+    .sort();
+
+  for (const file of files) {
+    const filePath = path.join(directory, file);
+    const tariff = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    const validation = validateTariff(tariff);
+
+    if (!validation.isValid || tariffs.has(tariff.id)) {
+      const error = new Error(
+        `Invalid tariff ${filePath}: ${
+          validation.isValid
+            ? `duplicate id ${tariff.id}`
+            : validation.errors.join("; ")
+        }`
+      );
+      console.error("[TariffEngine] Tariff error:", error.message);
+      throw error;
+    }
+
+    tariffs.set(tariff.id, tariff);
+  }
+
+  console.log(`[TariffEngine] Loaded ${tariffs.size} tariffs from ${directory}`);
+  return tariffs;
+}
+
+/**
+ * Get the configured tariffs, loading them on first use
+ * @returns {Map<string, Object>} - Tariffs by id
+ */
+function getTariffs() {
+  if (!cachedTariffs) {
+    cachedTariffs = loadTariffs();
+  }
+
+  return cachedTariffs;
+}
+
+/**
+ * Get a configured tariff
+ * @param {string} tariffId - Tariff id
+ * @returns {Object|null} - Tariff or null if unknown
+ */
+function getTariff(tariffId) {
+  return getTariffs().get(tariffId) || null;
+}
+
+/**
+ * Summarize the configured tariffs
+ * @returns {Array<Object>} - [{id, name, utility, currency, seasons,
+ *   exportType}]
+ */
+function listTariffs() {
+  return [...getTariffs().values()].map((tariff) => ({
+    id: tariff.id,
+    name: tariff.name,
+    utility: tariff.utility || null,
+    currency: tariff.currency,
+    seasons: tariff.seasons.map((season) => season.id),
+    exportType: tariff.export.type,
+  }));
+}
+
+/**
+ * Create a tariff with a single flat rate
+ * @param {number} rate - Rate per kWh
+ * @param {Object} [options] - Export options
+ * @param {boolean} [options.netMetering=true] - Net metering, otherwise
+ *   net billing
+ * @param {number} [options.exportRate=0] - Net metering surplus rate or
+ *   net billing export rate per kWh
+ * @returns {Object} - Tariff
+ */
+function createFlatTariff(rate, options = {}) {
+  const { netMetering = true, exportRate = 0 } = options;
+
+  return {
+    id: "flat",
+    name: `Flat rate of ${rate} per kWh`,
+    currency: null,
+    seasons: [
+      {
+        id: "all",
+        months: MONTH_NAMES.map((_, month) => month + 1),
+        periods: [{ id: "all", rate }],
+      },
+    ],
+    export: netMetering
+      ? { type: "netMetering", surplusRate: exportRate }
+      : { type: "netBilling", rate: exportRate },
+  };
+}
+
+/**
+ * Validate the structure of a tariff
+ * @param {Object} tariff - Tariff
+ * @returns {Object} - {isValid, errors}
+ */
+function validateTariff(tariff) {
+  const errors = [];
+  const isAmount = (value) =>
+    typeof value === "number" && Number.isFinite(value) && value >= 0;
+
+  if (!tariff || typeof tariff !== "object") {
+    return { isValid: false, errors: ["Tariff must be an object"] };
+  }
+
+  for (const field of ["id", "name"]) {
+    if (typeof tariff[field] !== "string" || tariff[field] === "") {
+      errors.push(`${field} must be a non-empty string`);
+    }
+  }
+
+  if (tariff.currency !== null && typeof tariff.currency !== "string") {
+    errors.push("currency must be a string");
+  }
+
+  if (!Array.isArray(tariff.seasons) || tariff.seasons.length === 0) {
+    errors.push("seasons must be a non-empty array");
+  } else {
+    const coveredMonths = [];
+
+    tariff.seasons.forEach((season, index) => {
+      const prefix = `seasons[${index}]`;
+
+      if (!season?.id) {
+        errors.push(`${prefix} needs an id`);
+      }
+
+      if (
+        !Array.isArray(season?.months) ||
+        !season.months.every(
+          (month) => Number.isInteger(month) && month >= 1 && month <= 12
+        )
+      ) {
+        errors.push(`${prefix}.months must be an array of months 1-12`);
+      } else {
+        coveredMonths.push(...season.months);
+      }
+
+      if (!Array.isArray(season?.periods) || season.periods.length === 0) {
+        errors.push(`${prefix}.periods must be a non-empty array`);
+      } else {
+        season.periods.forEach((period, periodIndex) => {
+          errors.push(
+            ...validatePeriod(
+              period,
+              periodIndex === season.periods.length - 1
+            ).map((error) => `${prefix}.periods[${periodIndex}] ${error}`)
+          );
+        });
+      }
+    });
+
+    for (let month = 1; month <= 12; month++) {
+      const count = coveredMonths.filter((covered) => covered === month).length;
+
+      if (count !== 1) {
+        errors.push(
+          `Month ${month} must belong to exactly one season (found ${count})`
+        );
+      }
+    }
+  }
+
+  if (tariff.fixedCharges !== undefined) {
+    if (!Array.isArray(tariff.fixedCharges)) {
+      errors.push("fixedCharges must be an array");
+    } else {
+      tariff.fixedCharges.forEach((charge, index) => {
+        const amounts = ["perMonth", "perDay"].filter(
+          (key) => charge?.[key] !== undefined
+        );
+
+        if (!charge?.id || amounts.length === 0) {
+          errors.push(
+            `fixedCharges[${index}] needs an id and perMonth and/or perDay`
+          );
+        } else if (!amounts.every((key) => isAmount(charge[key]))) {
+          errors.push(
+            `fixedCharges[${index}] amounts must be non-negative numbers`
+          );
+        }
+      });
+    }
+  }
+
+  if (
+    tariff.minimumMonthlyCharge !== undefined &&
+    !isAmount(tariff.minimumMonthlyCharge)
+  ) {
+    errors.push("minimumMonthlyCharge must be a non-negative number");
+  }
+
+  const exportRules = tariff.export;
+
+  if (!EXPORT_TYPES.includes(exportRules?.type)) {
+    errors.push(`export.type must be one of: ${EXPORT_TYPES.join(", ")}`);
+  } else if (
+    exportRules.type === "netMetering" &&
+    exportRules.surplusRate !== undefined &&
+    !isAmount(exportRules.surplusRate)
+  ) {
+    errors.push("export.surplusRate must be a non-negative number");
+  } else if (exportRules.type === "netBilling") {
+    if (!isAmount(exportRules.rate)) {
+      errors.push("export.rate must be a non-negative number");
+    }
+
+    if (
+      exportRules.periodRates !== undefined &&
+      (typeof exportRules.periodRates !== "object" ||
+        !Object.values(exportRules.periodRates).every(isAmount))
+    ) {
+      errors.push(
+        "export.periodRates must map period ids to non-negative numbers"
+      );
+    }
+  }
+
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Validate a time-of-use period of a season
+ * @param {Object} period - Period
+ * @param {boolean} isLast - Whether it is the last period of its season
+ * @returns {Array<string>} - Validation errors
+ */
+function validatePeriod(period, isLast) {
+  const errors = [];
+  const isAmount = (value) =>
+    typeof value === "number" && Number.isFinite(value) && value >= 0;
+
+  if (!period?.id) {
+    return ["needs an id"];
+  }
+
+  if (period.days !== undefined && !DAY_TYPES.includes(period.days)) {
+    errors.push(`days must be one of: ${DAY_TYPES.join(", ")}`);
+  }
+
+  if (
+    period.hours !== undefined &&
+    (!Array.isArray(period.hours) ||
+      !period.hours.every(
+        (hour) => Number.isInteger(hour) && hour >= 0 && hour <= 23
+      ))
+  ) {
+    errors.push("hours must be an array of hours 0-23");
+  }
+
+  if (
+    isLast &&
+    (period.hours !== undefined || (period.days || "all") !== "all")
+  ) {
+    errors.push("is the last period and must cover all days and hours");
+  }
+
+  if ((period.rate === undefined) === (period.tiers === undefined)) {
+    errors.push("needs either a rate or tiers");
+  } else if (period.rate !== undefined && !isAmount(period.rate)) {
+    errors.push("rate must be a non-negative number");
+  } else if (period.tiers !== undefined) {
+    if (!Array.isArray(period.tiers) || period.tiers.length === 0) {
+      errors.push("tiers must be a non-empty array");
+    } else {
+      let previousLimit = 0;
+
+      period.tiers.forEach((tier, index) => {
+        if (!isAmount(tier?.rate)) {
+          errors.push(`tiers[${index}].rate must be a non-negative number`);
+        }
+
+        // The last tier covers all remaining usage
+        if (index < period.tiers.length - 1) {
+          if (
+            typeof tier?.upToKwh !== "number" ||
+            !(tier.upToKwh > previousLimit)
+          ) {
+            errors.push(
+              `tiers[${index}].upToKwh must be above the previous tier limit`
+            );
+          }
+          previousLimit = tier?.upToKwh;
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a load or production profile
+ * @param {*} profile - Profile, see toHourlyProfile
+ * @param {string} name - Name used in error messages
+ * @returns {Array<string>} - Validation errors
+ */
+function validateProfile(profile, name) {
+  const isKwh = (value) =>
+    typeof value === "number" && Number.isFinite(value) && value >= 0;
+
+  if (isKwh(profile)) return [];
+
+  if (Array.isArray(profile)) {
+    if (profile.length === HOURS_PER_YEAR || profile.length === 12) {
+      if (profile.every(isKwh)) return [];
+    }
+
+    if (
+      profile.length === 12 &&
+      profile.every(
+        (day) => Array.isArray(day) && day.length === 24 && day.every(isKwh)
+      )
+    ) {
+      return [];
+    }
+  }
+
+  return [
+    `${name} must be annual kWh, 12 monthly kWh values, 12 typical days of 24 hourly kWh values or 8760 hourly kWh values`,
+  ];
+}
+
+/**
+ * Validate a bill request
+ * @param {Object} request - Request body
+ * @param {string} [request.tariffId] - Configured tariff
+ * @param {Object} [request.tariff] - Tariff definition instead
+ * @param {number|Array} request.load - Consumption profile
+ * @param {number|Array} [request.production] - Production profile
+ * @returns {Object} - {isValid, errors}
+ */
+function validateBillRequest(request) {
+  const { tariffId, tariff, load, production } = request || {};
+  const errors = [];
+
+  if ((tariffId === undefined) === (tariff === undefined)) {
+    errors.push("Provide either tariffId or tariff");
+  } else if (tariffId !== undefined && !getTariff(tariffId)) {
+    errors.push(
+      `tariffId must be one of: ${[...getTariffs().keys()].join(", ")}`
+    );
+  } else if (tariff !== undefined) {
+    errors.push(
+      ...validateTariff(tariff).errors.map((error) => `tariff: ${error}`)
+    );
+  }
+
+  if (load === undefined) {
+    errors.push("load is required");
+  } else {
+    errors.push(...validateProfile(load, "load"));
+  }
+
+  if (production !== undefined) {
+    errors.push(...validateProfile(production, "production"));
+  }
+
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Expand a load or production profile to 8760 hourly values
+ * @param {number|Array} profile - One of
+ *   - annual kWh, spread over the months by their length
+ *   - 12 monthly kWh totals
+ *   - 12 arrays of 24 hourly kWh of a typical day of each month
+ *   - 8760 hourly kWh starting January 1st 0:00
+ * @param {Array<number>} [dayShape] - Relative kWh by hour of the day used
+ *   to spread totals (default flat)
+ * @returns {Float64Array} - 8760 hourly kWh
+ */
+function toHourlyProfile(profile, dayShape = FLAT_DAY_SHAPE) {
+  if (typeof profile === "number") {
+    profile = DAYS_IN_MONTH.map((days) => (profile * days) / 365);
+  }
+
+  if (profile.length === HOURS_PER_YEAR) {
+    return Float64Array.from(profile);
+  }
+
+  const hourly = new Float64Array(HOURS_PER_YEAR);
+  const shapeTotal = dayShape.reduce((total, weight) => total + weight, 0);
+  let hourOfYear = 0;
+
+  for (let month = 0; month < 12; month++) {
+    const days = DAYS_IN_MONTH[month];
+    const day = Array.isArray(profile[month])
+      ? profile[month]
+      : dayShape.map((weight) => (profile[month] * weight) / days / shapeTotal);
+
+    for (let dayOfMonth = 0; dayOfMonth < days; dayOfMonth++) {
+      for (let hour = 0; hour < 24; hour++) {
+        hourly[hourOfYear++] = day[hour];
+      }
+    }
+  }
+
+  return hourly;
+}
+
+/**
+ * Get the month and period of every hour of the profile year
+ * @param {Object} tariff - Validated tariff
+ * @returns {Array<Object>} - 8760 entries of {month, period}
+ */
+function getSchedule(tariff) {
+  if (schedules.has(tariff)) {
+    return schedules.get(tariff);
+  }
+
+  const schedule = [];
+
+  for (let month = 0; month < 12; month++) {
+    const season = tariff.seasons.find((candidate) =>
+      candidate.months.includes(month + 1)
+    );
+
+    for (let day = 0; day < DAYS_IN_MONTH[month]; day++) {
+      const dayOfWeek = (PROFILE_YEAR_START_DAY + schedule.length / 24) % 7;
+      const dayType =
+        dayOfWeek === 0 || dayOfWeek === 6 ? "weekends" : "weekdays";
+
+      for (let hour = 0; hour < 24; hour++) {
+        const period = season.periods.find(
+          (candidate) =>
+            (candidate.days === undefined ||
+              candidate.days === "all" ||
+              candidate.days === dayType) &&
+            (candidate.hours === undefined || candidate.hours.includes(hour))
+        );
+
+        schedule.push({ month, period });
+      }
+    }
+  }
+
+  schedules.set(tariff, schedule);
+  return schedule;
+}
+
+/**
+ * Compute the electricity bills of a year
+ * @param {Object} tariff - Validated tariff
+ * @param {Object} profiles - Profiles, see toHourlyProfile
+ * @param {number|Array} profiles.load - Household consumption
+ * @param {number|Array} [profiles.production] - Solar production; totals
+ *   are spread over the daylight hours
+ * @returns {Object} - {tariffId, currency, months, annual, trueUp}
+ */
+function computeBill(tariff, profiles) {
+  const load = toHourlyProfile(profiles.load);
+  const production =
+    profiles.production !== undefined
+      ? toHourlyProfile(profiles.production, PRODUCTION_DAY_SHAPE)
+      : null;
+  const schedule = getSchedule(tariff);
+  const exportRules = tariff.export;
+
+  // Imported and exported kWh per period of every month
+  const usage = Array.from({ length: 12 }, () => new Map());
+
+  for (let hour = 0; hour < HOURS_PER_YEAR; hour++) {
+    const { month, period } = schedule[hour];
+    const net = load[hour] - (production ? production[hour] : 0);
+    let bucket = usage[month].get(period.id);
+
+    if (!bucket) {
+      bucket = { period, importKwh: 0, exportKwh: 0 };
+      usage[month].set(period.id, bucket);
+    }
+
+    if (net >= 0) {
+      bucket.importKwh += net;
+    } else {
+      bucket.exportKwh -= net;
+    }
+  }
+
+  const banked = new Map(); // Net metering kWh credits by period id
+  let carriedCredit = 0; // Net billing credit carried to the next month
+
+  const months = usage.map((buckets, month) => {
+    const periods = [];
+    let importKwh = 0;
+    let exportKwh = 0;
+    let energyCharge = 0;
+    let exportCredit = 0;
+
+    for (const [periodId, bucket] of buckets) {
+      let billedKwh = bucket.importKwh;
+
+      if (exportRules.type === "netMetering") {
+        const bank = banked.get(periodId) || 0;
+        const netKwh = bucket.importKwh - bucket.exportKwh;
+        const credit = Math.min(bank, Math.max(0, netKwh));
+
+        banked.set(periodId, bank - credit + Math.max(0, -netKwh));
+        billedKwh = Math.max(0, netKwh) - credit;
+      } else if (exportRules.type === "netBilling") {
+        exportCredit +=
+          bucket.exportKwh *
+          (exportRules.periodRates?.[periodId] ?? exportRules.rate);
+      }
+
+      const charge = getPeriodCharge(bucket.period, billedKwh);
+      importKwh += bucket.importKwh;
+      exportKwh += bucket.exportKwh;
+      energyCharge += charge;
+
+      periods.push({
+        periodId,
+        importKwh: round(bucket.importKwh, 1),
+        exportKwh: round(bucket.exportKwh, 1),
+        billedKwh: round(billedKwh, 1),
+        charge: round(charge),
+      });
+    }
+
+    // Net billing credits only offset energy charges
+    const availableCredit = exportCredit + carriedCredit;
+    const creditApplied = Math.min(availableCredit, energyCharge);
+    carriedCredit = availableCredit - creditApplied;
+
+    const fixedCharge = (tariff.fixedCharges || []).reduce(
+      (total, charge) =>
+        total +
+        (charge.perMonth || 0) +
+        (charge.perDay || 0) * DAYS_IN_MONTH[month],
+      0
+    );
+    const subtotal = energyCharge - creditApplied + fixedCharge;
+    const minimumChargeAdjustment = Math.max(
+      0,
+      (tariff.minimumMonthlyCharge || 0) - subtotal
+    );
+
+    return {
+      month: month + 1,
+      name: MONTH_NAMES[month],
+      importKwh: round(importKwh, 1),
+      exportKwh: round(exportKwh, 1),
+      energyCharge: round(energyCharge),
+      exportCredit: round(exportCredit),
+      creditApplied: round(creditApplied),
+      fixedCharge: round(fixedCharge),
+      minimumChargeAdjustment: round(minimumChargeAdjustment),
+      total: round(subtotal + minimumChargeAdjustment),
+      periods,
+    };
+  });
+
+  // Annual true-up: banked kWh are paid out, net billing credit lapses
+  const surplusKwh = [...banked.values()].reduce(
+    (total, kwh) => total + kwh,
+    0
+  );
+  const surplusCredit = surplusKwh * (exportRules.surplusRate || 0);
+  const sumMonths = (key) =>
+    months.reduce((total, month) => total + month[key], 0);
+
+  return {
+    tariffId: tariff.id,
+    currency: tariff.currency,
+    months,
+    annual: {
+      importKwh: round(sumMonths("importKwh"), 1),
+      exportKwh: round(sumMonths("exportKwh"), 1),
+      energyCharges: round(sumMonths("energyCharge")),
+      exportCredits: round(sumMonths("creditApplied") + surplusCredit),
+      fixedCharges: round(sumMonths("fixedCharge")),
+      minimumChargeAdjustments: round(sumMonths("minimumChargeAdjustment")),
+      total: round(sumMonths("total") - surplusCredit),
+    },
+    trueUp: {
+      surplusKwh: round(surplusKwh, 1),
+      surplusCredit: round(surplusCredit),
+      lapsedCredit: round(carriedCredit),
+    },
+  };
+}
+
+/**
+ * Compute the charge of a period for the kWh billed in a month
+ * @param {Object} period - Tariff period with a rate or tiers
+ * @param {number} kwh - Billed kWh
+ * @returns {number} - Charge
+ */
+function getPeriodCharge(period, kwh) {
+  if (period.tiers === undefined) {
+    return kwh * period.rate;
+  }
+
+  let charge = 0;
+  let lowerLimit = 0;
+
+  for (const [index, tier] of period.tiers.entries()) {
+    const upperLimit =
+      index === period.tiers.length - 1 ? Infinity : tier.upToKwh;
+
+    charge += Math.max(0, Math.min(kwh, upperLimit) - lowerLimit) * tier.rate;
+
+    if (kwh <= upperLimit) break;
+    lowerLimit = upperLimit;
+  }
+
+  return charge;
+}
+
+/**
+ * Estimate how much a system saves on the bills of a year
+ * @param {Object} tariff - Validated tariff
+ * @param {Object} profiles - {load, production}, see computeBill
+ * @returns {Object} - {billWithoutSolar, billWithSolar, savings,
+ *   exportedKwh, exportCredits}
+ */
+function estimateBillSavings(tariff, profiles) {
+  const withoutSolar = computeBill(tariff, { load: profiles.load });
+  const withSolar = computeBill(tariff, profiles);
+
+  return {
+    billWithoutSolar: withoutSolar.annual.total,
+    billWithSolar: withSolar.annual.total,
+    savings: round(withoutSolar.annual.total - withSolar.annual.total),
+    exportedKwh: withSolar.annual.exportKwh,
+    exportCredits: withSolar.annual.exportCredits,
+  };
+}
+
+/**
+ * Round a currency amount to cents (or to the given decimals)
+ * @param {number} value - Value to round
+ * @param {number} [decimals=2] - Decimal places
+ * @returns {number} - Rounded value
+ */
+function round(value, decimals = 2) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+  loadTariffs,
+  getTariffs,
+  getTariff,
+  listTariffs,
+  createFlatTariff,
+  validateTariff,
+  validateProfile,
+  validateBillRequest,
+  toHourlyProfile,
+  computeBill,
+  estimateBillSavings,
+  PRODUCTION_DAY_SHAPE,
+};
@@ -0,0 +1,483 @@
+/**
+ * Load Profile Module
+ *
+ * Builds the 8760 hourly household consumption a system is simulated
+ * against, from one of
+ * - load: a profile as accepted by the tariff engine (annual kWh, 12
+ *   monthly kWh, 12 typical days of 24 hourly kWh or 8760 hourly kWh).
+ *   Annual and monthly totals are spread with a synthetic residential
+ *   shape: more use in winter and summer, a morning and an evening peak
+ * - loadCsv: a utility or meter export, such as a Green Button CSV, with a
+ *   kWh column and optionally a timestamp column (see parseLoadCsv)
+ * - loadXml: a Green Button (ESPI) XML export of interval readings (see
+ *   parseGreenButtonXml)
+ *
+ * Profiles are laid out on the tariff engine's non-leap profile year.
+ */
+
+const { parseCsvRows } = require("../../utils/csv");
+const {
+  validateProfile,
+  toHourlyProfile,
+} = require("../tariff/tariffEngine");
+
+const HOURS_PER_YEAR = 8760;
+
+const DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+// Relative household use by hour of the day: low overnight, a morning peak
+// and a larger evening peak
+const RESIDENTIAL_DAY_SHAPE = [
+  0.55, 0.5, 0.48, 0.47, 0.48, 0.55, 0.75, 0.95, 0.9, 0.8, 0.75, 0.75,
+  0.75, 0.72, 0.72, 0.78, 0.9, 1.1, 1.3, 1.35, 1.3, 1.15, 0.95, 0.72,
+];
+
+// Relative daily household use by month (heating and cooling seasons)
+const MONTHLY_LOAD_WEIGHTS = [
+  1.15, 1.05, 0.95, 0.85, 0.85, 1.0, 1.15, 1.15, 0.95, 0.85, 0.95, 1.1,
+];
+
+// Header names accepted for the kWh and timestamp columns of load CSVs
+const KWH_COLUMNS = ["kwh", "usage", "consumption", "load", "value", "energy"];
+const TIMESTAMP_COLUMNS = [
+  "timestamp",
+  "datetime",
+  "date",
+  "start",
+  "time",
+  "interval_start",
+];
+
+// Column holding the time of day of Green Button CSVs that split dates and
+// times
+const START_TIME_COLUMN = "start time";
+
+// Green Button unit of measure code of watt-hours
+const GREEN_BUTTON_WH_UOM = "72";
+
+const SECONDS_PER_YEAR = 365 * 24 * 3600;
+
+// Most single hours missing from interval readings that are interpolated
+// from their neighbors, such as the hour skipped when daylight saving time
+// starts
+const MAX_INTERPOLATED_HOURS = 24;
+
+// Readings per hour of load CSVs without timestamps, keyed by row count
+const UNDATED_ROW_COUNTS = {
+  [HOURS_PER_YEAR]: 1,
+  [HOURS_PER_YEAR * 2]: 2,
+  [HOURS_PER_YEAR * 4]: 4,
+};
+
+// Parsers of the load exports a request may upload
+const LOAD_FILE_PARSERS = {
+  loadCsv: { parse: (text) => parseLoadCsv(text), format: "CSV" },
+  loadXml: { parse: (text) => parseGreenButtonXml(text), format: "XML" },
+};
+
+/**
+ * Validate the load of a request
+ * @param {Object} input - {load, loadCsv, loadXml}
+ * @param {boolean} required - Whether a load must be given
+ * @returns {Array<string>} - Errors
+ */
+function validateLoadInput(input, required) {
+  const given = ["load", ...Object.keys(LOAD_FILE_PARSERS)].filter(
+    (key) => input[key] !== undefined
+  );
+
+  if (given.length > 1) {
+    return [`Provide only one of ${given.join(", ")}`];
+  }
+
+  if (given.length === 0) {
+    return required ? ["load, loadCsv or loadXml is required"] : [];
+  }
+
+  const [key] = given;
+
+  if (key === "load") {
+    return validateProfile(input.load, "load");
+  }
+
+  const { parse, format } = LOAD_FILE_PARSERS[key];
+
+  if (typeof input[key] !== "string" || input[key].trim() === "") {
+    return [`${key} must be ${format} text`];
+  }
+
+  try {
+    parse(input[key]);
+    return [];
+  } catch (error) {
+    return [`${key}: ${error.message}`];
+  }
+}
+
+/**
+ * Build the hourly load of a validated request
+ * @param {Object} input - {load, loadCsv, loadXml}, see validateLoadInput
+ * @returns {Float64Array} - 8760 hourly kWh
+ */
+function resolveLoadProfile(input) {
+  const fileKey = Object.keys(LOAD_FILE_PARSERS).find(
+    (key) => input[key] !== undefined
+  );
+  const profile = fileKey
+    ? LOAD_FILE_PARSERS[fileKey].parse(input[fileKey])
+    : input.load;
+
+  return typeof profile === "number"
+    ? createSyntheticLoad(profile)
+    : toHourlyProfile(profile, RESIDENTIAL_DAY_SHAPE);
+}
+
+/**
+ * Total an hourly load per month and over the year
+ * @param {ArrayLike<number>} hourly - 8760 hourly kWh
+ * @returns {Object} - {monthlyKwh (12), annualKwh}
+ */
+function summarizeLoad(hourly) {
+  const monthlyKwh = [];
+  let hour = 0;
+
+  for (const days of DAYS_IN_MONTH) {
+    let total = 0;
+
+    for (const end = hour + days * 24; hour < end; hour++) {
+      total += hourly[hour];
+    }
+
+    monthlyKwh.push(Math.round(total * 10) / 10);
+  }
+
+  return {
+    monthlyKwh,
+    annualKwh:
+      Math.round(monthlyKwh.reduce((total, kwh) => total + kwh, 0) * 10) / 10,
+  };
+}
+
+/**
+ * Create a synthetic residential load of a yearly consumption
+ * @param {number} annualKwh - Yearly consumption
+ * @returns {Float64Array} - 8760 hourly kWh
+ */
+function createSyntheticLoad(annualKwh) {
+  const weightedDays = DAYS_IN_MONTH.reduce(
+    (total, days, month) => total + days * MONTHLY_LOAD_WEIGHTS[month],
+    0
+  );
+  const monthly = DAYS_IN_MONTH.map(
+    (days, month) =>
+      (annualKwh * days * MONTHLY_LOAD_WEIGHTS[month]) / weightedDays
+  );
+
+  return toHourlyProfile(monthly, RESIDENTIAL_DAY_SHAPE);
+}
+
+/**
+ * Parse a load CSV with a header row into a profile. Lines above the header
+ * (account details of Green Button exports) are skipped. The kWh column is
+ * the first whose header contains "kwh" or is one of KWH_COLUMNS; a
+ * timestamp column (YYYY-MM-DD[ HH:mm] or M/D/YYYY[ H:mm], with the time
+ * optionally in 12-hour "h:mm AM" form or in a "start time" column) places
+ * the readings. Only the year up to the last reading is used:
+ * - timestamps with a time give hourly or shorter intervals in local time
+ *   that must cover every hour of a year. Readings of one hour are summed,
+ *   which merges the hour repeated when daylight saving time ends; single
+ *   missing hours, like the one skipped when it starts, are interpolated.
+ *   Readings of February 29 are ignored
+ * - dates without a time give daily readings summed per month
+ * Without timestamps the rows are 12 monthly totals or 8760 hourly,
+ * 17520 half-hourly or 35040 quarter-hourly readings from January 1st.
+ * @param {string} text - CSV text
+ * @returns {Array<number>} - 12 monthly or 8760 hourly kWh
+ * @throws {Error} if the CSV cannot be read as a year of load
+ */
+function parseLoadCsv(text) {
+  const rows = parseCsvRows(text);
+  const findKwhColumn = (headers) =>
+    headers.find((header) => header.includes("kwh")) ||
+    headers.find((header) => KWH_COLUMNS.includes(header));
+  const headerIndex = rows.findIndex((fields) =>
+    findKwhColumn(fields.map((field) => field.trim().toLowerCase()))
+  );
+
+  if (headerIndex === -1) {
+    throw new Error(
+      `needs a kWh column (a header containing "kwh" or one of: ${KWH_COLUMNS.join(", ")})`
+    );
+  }
+
+  const headers = rows[headerIndex].map((field) => field.trim().toLowerCase());
+  const records = rows.slice(headerIndex + 1).map((fields) =>
+    Object.fromEntries(
+      headers.map((header, index) => [header, (fields[index] ?? "").trim()])
+    )
+  );
+  const kwhColumn = findKwhColumn(headers);
+  const timestampColumn = headers.find((header) =>
+    TIMESTAMP_COLUMNS.includes(header)
+  );
+  const timeColumn =
+    timestampColumn === "date" && headers.includes(START_TIME_COLUMN)
+      ? START_TIME_COLUMN
+      : null;
+
+  const values = records.map((record, index) => {
+    const value = Number(record[kwhColumn]);
+
+    if (record[kwhColumn] === "" || !Number.isFinite(value) || value < 0) {
+      throw new Error(
+        `row ${headerIndex + index + 2} has no valid ${kwhColumn}`
+      );
+    }
+
+    return value;
+  });
+
+  if (!timestampColumn) {
+    if (values.length === 12) return values;
+
+    const readingsPerHour = UNDATED_ROW_COUNTS[values.length];
+
+    if (!readingsPerHour) {
+      throw new Error(
+        `without a timestamp column needs 12 monthly or 8760, 17520 or 35040 interval rows, got ${values.length}`
+      );
+    }
+
+    return Array.from({ length: HOURS_PER_YEAR }, (_, hour) =>
+      values
+        .slice(hour * readingsPerHour, (hour + 1) * readingsPerHour)
+        .reduce((total, kwh) => total + kwh, 0)
+    );
+  }
+
+  const readings = records.map((record, index) => {
+    const timestamp = timeColumn
+      ? `${record[timestampColumn]} ${record[timeColumn]}`
+      : record[timestampColumn];
+    const reading = parseTimestamp(timestamp);
+
+    if (!reading) {
+      throw new Error(
+        `row ${headerIndex + index + 2} has an unreadable ${timestampColumn} "${timestamp}"`
+      );
+    }
+
+    return { ...reading, kwh: values[index] };
+  });
+
+  // Exports of more than a year would add several years into one
+  const lastYear = selectLastYear(readings);
+
+  if (lastYear.every((reading) => reading.hour === null)) {
+    const monthly = new Array(12).fill(0);
+    const covered = new Set();
+
+    for (const { month, kwh } of lastYear) {
+      monthly[month] += kwh;
+      covered.add(month);
+    }
+
+    if (covered.size < 12) {
+      throw new Error("daily readings must cover all 12 months");
+    }
+
+    return monthly;
+  }
+
+  const hourly = new Array(HOURS_PER_YEAR).fill(0);
+  const covered = new Set();
+
+  for (const { month, day, hour, kwh } of lastYear) {
+    if (month === 1 && day === 29) continue;
+
+    if (hour === null || day > DAYS_IN_MONTH[month]) {
+      throw new Error("mixes dates with and without a time");
+    }
+
+    const dayOfYear =
+      DAYS_IN_MONTH.slice(0, month).reduce((total, days) => total + days, 0) +
+      day -
+      1;
+    const hourOfYear = dayOfYear * 24 + hour;
+
+    hourly[hourOfYear] += kwh;
+    covered.add(hourOfYear);
+  }
+
+  const missing = [];
+
+  for (let hour = 0; hour < HOURS_PER_YEAR; hour++) {
+    if (!covered.has(hour)) missing.push(hour);
+  }
+
+  // Fill single missing hours from the hours around them; the profile year
+  // wraps around
+  const previousHour = (hour) => (hour + HOURS_PER_YEAR - 1) % HOURS_PER_YEAR;
+  const nextHour = (hour) => (hour + 1) % HOURS_PER_YEAR;
+
+  if (
+    missing.length > MAX_INTERPOLATED_HOURS ||
+    missing.some(
+      (hour) => !covered.has(previousHour(hour)) || !covered.has(nextHour(hour))
+    )
+  ) {
+    throw new Error(
+      `interval readings cover ${covered.size} of the ${HOURS_PER_YEAR} hours of a year`
+    );
+  }
+
+  for (const hour of missing) {
+    hourly[hour] = (hourly[previousHour(hour)] + hourly[nextHour(hour)]) / 2;
+  }
+
+  return hourly;
+}
+
+/**
+ * Keep the load CSV readings of the year up to the last one
+ * @param {Array} readings - Readings with year, month, day and hour (null
+ *   for daily readings)
+ * @returns {Array} - Readings after the same time one year before the last
+ */
+function selectLastYear(readings) {
+  const timeOf = ({ year, month, day, hour }) =>
+    Date.UTC(year, month, day, hour ?? 0);
+  const last = new Date(
+    readings.reduce((latest, reading) => Math.max(latest, timeOf(reading)), 0)
+  );
+  const yearBefore = Date.UTC(
+    last.getUTCFullYear() - 1,
+    last.getUTCMonth(),
+    last.getUTCDate(),
+    last.getUTCHours()
+  );
+
+  return readings.filter((reading) => timeOf(reading) > yearBefore);
+}
+
+/**
+ * Parse a Green Button (ESPI) XML export into monthly totals. Interval
+ * readings are in Wh scaled by the powerOfTenMultiplier of the reading
+ * type and placed in local time by the tzOffset of the usage point; the
+ * last year of readings is used and must cover all 12 months.
+ * @param {string} text - XML text
+ * @returns {Array<number>} - 12 monthly kWh
+ * @throws {Error} if the XML holds no year of readings
+ */
+function parseGreenButtonXml(text) {
+  // Value of the first element with this local name, ignoring namespaces
+  const readElement = (xml, name) =>
+    new RegExp(`<(?:[\\w-]+:)?${name}>\\s*([^<]*?)\\s*</`).exec(xml)?.[1];
+  const uom = readElement(text, "uom");
+  const multiplier = Number(readElement(text, "powerOfTenMultiplier") ?? 0);
+  const tzOffset = Number(readElement(text, "tzOffset") ?? 0);
+  const readings = [];
+
+  if (uom !== undefined && uom !== GREEN_BUTTON_WH_UOM) {
+    throw new Error(
+      `readings must be in Wh (uom ${GREEN_BUTTON_WH_UOM}), got uom ${uom}`
+    );
+  }
+
+  for (const [, reading] of text.matchAll(
+    /<(?:[\w-]+:)?IntervalReading>([\s\S]*?)<\/(?:[\w-]+:)?IntervalReading>/g
+  )) {
+    const start = Number(readElement(reading, "start"));
+    const value = Number(readElement(reading, "value"));
+
+    if (!Number.isFinite(start) || !Number.isFinite(value) || value < 0) {
+      throw new Error("has an IntervalReading without a valid start or value");
+    }
+
+    readings.push({ start, kwh: (value * 10 ** multiplier) / 1000 });
+  }
+
+  if (readings.length === 0) {
+    throw new Error("has no IntervalReading elements");
+  }
+
+  const lastStart = Math.max(...readings.map((reading) => reading.start));
+  const monthly = new Array(12).fill(0);
+  const covered = new Set();
+
+  for (const { start, kwh } of readings) {
+    if (start <= lastStart - SECONDS_PER_YEAR) continue;
+
+    const month = new Date((start + tzOffset) * 1000).getUTCMonth();
+
+    monthly[month] += kwh;
+    covered.add(month);
+  }
+
+  if (covered.size < 12) {
+    throw new Error(
+      `the last year of readings covers ${covered.size} of 12 months`
+    );
+  }
+
+  return monthly;
+}
+
+/**
+ * Read the date and hour of a load CSV timestamp
+ * @param {string} value - YYYY-MM-DD[ HH:mm] or M/D/YYYY[ H:mm], the time
+ *   optionally h:mm AM/PM
+ * @returns {Object|null} - {year, month (0-11), day, hour (null without a
+ *   time)}, or null if unreadable
+ */
+function parseTimestamp(value) {
+  const iso = /^(\d{4})-(\d{1,2})-(\d{1,2})(.*)$/.exec(value);
+  const us = /^(\d{1,2})\/(\d{1,2})\/(\d{4})(.*)$/.exec(value);
+  const [year, month, day, rest] = iso
+    ? [iso[1], iso[2], iso[3], iso[4]]
+    : us
+      ? [us[3], us[1], us[2], us[4]]
+      : [];
+
+  if (month === undefined) return null;
+
+  // Time of day, 24-hour or with an AM/PM suffix
+  const time =
+    /^(?:[T ]\s*(\d{1,2})(?::\d{2}){0,2}(?:\s*([AP])\.?M\.?)?)?/i.exec(rest);
+  let hour = time[1] !== undefined ? Number(time[1]) : null;
+
+  if (time[2]) {
+    if (hour < 1 || hour > 12) return null;
+
+    hour = (hour % 12) + (time[2].toUpperCase() === "P" ? 12 : 0);
+  }
+
+  const reading = {
+    year: Number(year),
+    month: Number(month) - 1,
+    day: Number(day),
+    hour,
+  };
+
+  if (
+    reading.month < 0 ||
+    reading.month > 11 ||
+    reading.day < 1 ||
+    reading.day > 31 ||
+    (reading.hour !== null && reading.hour > 23)
+  ) {
+    return null;
+  }
+
+  return reading;
+}
+
+module.exports = {
+  validateLoadInput,
+  resolveLoadProfile,
+  summarizeLoad,
+  createSyntheticLoad,
+  parseLoadCsv,
+  parseGreenButtonXml,
+  RESIDENTIAL_DAY_SHAPE,
+};
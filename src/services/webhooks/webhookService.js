@@ -0,0 +1,346 @@
+/**
+ * Webhook delivery
+ *
+ * POSTs signed JSON payloads to client-supplied callback URLs so that
+ * server-to-server integrations do not have to hold SSE connections open.
+ *
+ * Every request carries:
+ *   X-SolarScanner-Event: <event name>
+ *   X-SolarScanner-Delivery: <delivery id, identical for all retries>
+ *   X-SolarScanner-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256>
+ * where the HMAC is computed with the shared secret over "<t>.<raw body>".
+ * Receivers should recompute it and reject stale timestamps.
+ *
+ * Callbacks may not reach loopback, link-local, private or other reserved
+ * addresses: literal addresses are rejected up front and host names are
+ * checked each time they are resolved, so a name cannot be pointed at an
+ * internal service after validation. Hosts on config.webhooks.ALLOWED_HOSTS
+ * are exempt, and when that list is set no other host is accepted.
+ *
+ * Failed attempts (network errors, timeouts, 408, 429 and 5xx responses)
+ * are retried with exponential backoff. Each attempt is recorded on the
+ * delivery, which is handed to the caller after every change so it can be
+ * persisted next to the analysis or job it belongs to. Delivery is
+ * best-effort: retries wait in memory, so a delivery still pending when
+ * the server stops is not resumed and keeps its last recorded state.
+ */
+
+const crypto = require("crypto");
+const dns = require("dns");
+const net = require("net");
+const axios = require("axios");
+const config = require("../../config/config");
+
+// Longest response body excerpt kept per attempt
+const MAX_RESPONSE_EXCERPT = 500;
+
+// Error code of connections refused by lookupCallbackHost
+const BLOCKED_ADDRESS_CODE = "ECALLBACKBLOCKED";
+
+// Address ranges callbacks may not reach: "this" network, private, carrier
+// NAT, loopback, link-local, benchmarking, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv4");
+}
+
+for (const [network, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv6");
+}
+
+/**
+ * Validate a callback URL supplied by a client
+ * @param {*} callbackUrl - Value from the request
+ * @returns {Object} - {isValid, errors}
+ */
+function validateCallbackUrl(callbackUrl) {
+  const errors = [];
+
+  if (typeof callbackUrl !== "string" || callbackUrl.trim() === "") {
+    errors.push("callbackUrl must be a non-empty string");
+  } else {
+    let url = null;
+
+    try {
+      url = new URL(callbackUrl);
+    } catch (error) {
+      errors.push("callbackUrl must be an absolute URL");
+    }
+
+    if (url && url.protocol !== "https:" && url.protocol !== "http:") {
+      errors.push("callbackUrl must use http or https");
+    }
+
+    const hostError = url && checkCallbackHost(url.hostname);
+
+    if (hostError) {
+      errors.push(`callbackUrl ${hostError}`);
+    }
+  }
+
+  if (!config.webhooks.SECRET) {
+    errors.push("Webhook callbacks are not configured on this server");
+  }
+
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Check whether a callback host may be called before it is resolved
+ * @param {string} hostname - Host name or literal address of the URL
+ * @returns {string|null} - Reason the host is refused, or null
+ */
+function checkCallbackHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  const { ALLOWED_HOSTS } = config.webhooks;
+
+  if (ALLOWED_HOSTS.length > 0) {
+    return ALLOWED_HOSTS.includes(host)
+      ? null
+      : `host ${host} is not on the allowed callback hosts`;
+  }
+
+  if (host === "localhost" || host.endsWith(".localhost")) {
+    return `host ${host} is a loopback host`;
+  }
+
+  if (net.isIP(host) && isBlockedAddress(host)) {
+    return `address ${host} is loopback, link-local, private or reserved`;
+  }
+
+  return null;
+}
+
+/**
+ * Check whether an IP address is in a range callbacks may not reach
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - True if blocked
+ */
+function isBlockedAddress(address) {
+  // IPv4 addresses mapped into IPv6 are matched against the IPv4 ranges
+  return BLOCKED_ADDRESSES.check(
+    address,
+    net.isIPv6(address) ? "ipv6" : "ipv4"
+  );
+}
+
+/**
+ * Resolve a callback host, refusing addresses callbacks may not reach
+ * (dns.lookup signature, used by the HTTP agent on every connection)
+ * @param {string} hostname - Host to resolve
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - (error, addresses) => void
+ */
+function lookupCallbackHost(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+
+    if (blocked) {
+      const blockedError = new Error(
+        `Callback host ${hostname} resolves to the blocked address ${blocked.address}`
+      );
+      blockedError.code = BLOCKED_ADDRESS_CODE;
+      return callback(blockedError);
+    }
+
+    callback(null, addresses);
+  });
+}
+
+/**
+ * Compute the signature header for a payload
+ * @param {string} body - Raw request body
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} [secret] - Shared secret (default config.webhooks.SECRET)
+ * @returns {string} - Header value "t=<timestamp>,v1=<hex digest>"
+ */
+function signPayload(body, timestamp, secret = config.webhooks.SECRET) {
+  const digest = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Deliver a webhook, retrying until it succeeds or the attempts run out
+ * @param {string} callbackUrl - URL to POST to
+ * @param {string} event - Event name, e.g. "analysis.completed"
+ * @param {Object} data - Event payload
+ * @param {Object} [options] - Delivery options
+ * @param {Function} [options.onUpdate] - async (delivery) => void, called
+ *   after every attempt with the delivery record
+ * @returns {Promise<Object>} - Final delivery record; never rejects
+ */
+async function deliverWebhook(callbackUrl, event, data, options = {}) {
+  const { onUpdate = async () => {} } = options;
+  const { MAX_ATTEMPTS, INITIAL_BACKOFF_MS } = config.webhooks;
+
+  const delivery = {
+    id: crypto.randomUUID(),
+    event,
+    url: callbackUrl,
+    status: "pending",
+    attempts: [],
+    createdAt: new Date().toISOString(),
+    deliveredAt: null,
+    nextAttemptAt: null,
+  };
+
+  const body = JSON.stringify({
+    id: delivery.id,
+    event,
+    createdAt: delivery.createdAt,
+    data,
+  });
+
+  const update = async () => {
+    try {
+      await onUpdate({ ...delivery, attempts: [...delivery.attempts] });
+    } catch (error) {
+      console.error(
+        `[Webhooks] Failed to record delivery ${delivery.id}:`,
+        error
+      );
+    }
+  };
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const result = await attemptDelivery(delivery, body, attempt);
+    delivery.attempts.push(result);
+
+    if (result.success) {
+      delivery.status = "delivered";
+      delivery.deliveredAt = result.timestamp;
+      delivery.nextAttemptAt = null;
+      console.log(
+        `[Webhooks] Delivered ${event} to ${callbackUrl} on attempt ${attempt}`
+      );
+      await update();
+      return delivery;
+    }
+
+    if (!result.retryable || attempt === MAX_ATTEMPTS) {
+      break;
+    }
+
+    const delay = INITIAL_BACKOFF_MS * 2 ** (attempt - 1);
+    delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    console.warn(
+      `[Webhooks] Attempt ${attempt} of ${event} to ${callbackUrl} failed, retrying in ${delay}ms`
+    );
+    await update();
+
+    await new Promise((resolve) => setTimeout(resolve, delay));
+  }
+
+  delivery.status = "failed";
+  delivery.nextAttemptAt = null;
+  console.error(
+    `[Webhooks] Giving up on ${event} to ${callbackUrl} after ${delivery.attempts.length} attempts`
+  );
+  await update();
+
+  return delivery;
+}
+
+/**
+ * Make a single delivery attempt
+ * @param {Object} delivery - Delivery record
+ * @param {string} body - Raw JSON body
+ * @param {number} attempt - Attempt number (1-based)
+ * @returns {Promise<Object>} - Attempt record {attempt, timestamp,
+ *   statusCode, error, duration, success, retryable}
+ */
+async function attemptDelivery(delivery, body, attempt) {
+  const startTime = Date.now();
+  const timestamp = Math.floor(startTime / 1000);
+  const record = {
+    attempt,
+    timestamp: new Date(startTime).toISOString(),
+    statusCode: null,
+    error: null,
+    responseBody: null,
+    duration: null,
+    success: false,
+    retryable: true,
+  };
+
+  try {
+    const { hostname } = new URL(delivery.url);
+    const hostError = checkCallbackHost(hostname);
+
+    // Refusals do not change on a retry
+    if (hostError) {
+      record.retryable = false;
+      throw new Error(`Callback ${hostError}`);
+    }
+
+    const allowlisted = config.webhooks.ALLOWED_HOSTS.length > 0;
+    const response = await axios.post(delivery.url, body, {
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "SolarScanner-Webhooks/1.0",
+        "X-SolarScanner-Event": delivery.event,
+        "X-SolarScanner-Delivery": delivery.id,
+        "X-SolarScanner-Signature": signPayload(body, timestamp),
+      },
+      timeout: config.webhooks.TIMEOUT_MS,
+      maxRedirects: 0,
+      lookup: allowlisted ? undefined : lookupCallbackHost,
+      responseType: "text",
+      validateStatus: () => true,
+    });
+
+    const status = response.status;
+
+    record.statusCode = status;
+    record.responseBody =
+      typeof response.data === "string"
+        ? response.data.slice(0, MAX_RESPONSE_EXCERPT)
+        : null;
+    record.success = status >= 200 && status < 300;
+    record.retryable = status === 408 || status === 429 || status >= 500;
+
+    if (!record.success) {
+      record.error = `Callback responded with status ${status}`;
+    }
+  } catch (error) {
+    record.error = error.message;
+
+    if (error.code === BLOCKED_ADDRESS_CODE) {
+      record.retryable = false;
+    }
+  }
+
+  record.duration = Date.now() - startTime;
+  return record;
+}
+
+module.exports = {
+  validateCallbackUrl,
+  signPayload,
+  deliverWebhook,
+};
@@ -0,0 +1,153 @@
+/**
+ * CSV Module
+ *
+ * Minimal RFC 4180 reader and writer used for spreadsheet uploads and
+ * downloadable reports. Handles quoted fields, escaped quotes, embedded
+ * line breaks and both LF and CRLF line endings.
+ *
+ * Text fields written that start like a spreadsheet formula (=, +, -, @,
+ * tab or carriage return) get a leading apostrophe so that opening a
+ * report cannot run formulas from uploaded or geocoded values.
+ */
+
+// Leading characters spreadsheets read as the start of a formula
+const FORMULA_PREFIX_PATTERN = /^[=+\-@\t\r]/;
+
+// Text that is a plain number, e.g. "-12.5", and cannot be a formula
+const NUMBER_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Rows, blank lines removed
+ * @throws {Error} if a quoted field is not closed
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark added by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+
+      // Treat CRLF as a single line break
+      if (char === "\r" && input[i + 1] === "\n") i++;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error("Unterminated quoted field in CSV");
+  }
+
+  if (field.length > 0 || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((fields) => fields.some((value) => value.trim() !== ""));
+}
+
+/**
+ * Parse CSV text with a header row into objects
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} - One object per data row keyed by the
+ *   lower-cased, trimmed header names
+ * @throws {Error} if the text is not valid CSV or has no header row
+ */
+function parseCsv(text) {
+  const rows = parseCsvRows(text);
+
+  if (rows.length === 0) {
+    throw new Error("CSV is empty");
+  }
+
+  const headers = rows[0].map((header) => header.trim().toLowerCase());
+
+  return rows.slice(1).map((fields) => {
+    const record = {};
+
+    headers.forEach((header, index) => {
+      if (header) {
+        record[header] = (fields[index] ?? "").trim();
+      }
+    });
+
+    return record;
+  });
+}
+
+/**
+ * Quote a value for CSV output when needed, neutralizing text that would
+ * be read as a formula
+ * @param {*} value - Value to write
+ * @returns {string} - CSV field
+ */
+function formatCsvField(value) {
+  if (value === null || value === undefined) return "";
+
+  let text = String(value);
+
+  if (
+    typeof value !== "number" &&
+    FORMULA_PREFIX_PATTERN.test(text) &&
+    !NUMBER_PATTERN.test(text)
+  ) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Convert objects into CSV text
+ * @param {Array<Object>} records - Records to write
+ * @param {Array<string>} columns - Keys to write, in order; also used as the
+ *   header row
+ * @returns {string} - CSV text with CRLF line endings
+ */
+function toCsv(records, columns) {
+  const lines = [columns.map(formatCsvField).join(",")];
+
+  for (const record of records) {
+    lines.push(
+      columns.map((column) => formatCsvField(record[column])).join(",")
+    );
+  }
+
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+module.exports = {
+  parseCsv,
+  parseCsvRows,
+  toCsv,
+};
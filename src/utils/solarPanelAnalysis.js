@@ -1,31 +1,197 @@
 /**
  * Solar Panel Analysis Module
  *
- * Provides functions for analyzing roof data and generating optimal
- * solar panel layouts while detecting obstructions.
+ * Provides functions for analyzing roof data, generating optimal
+ * solar panel layouts while detecting obstructions, keeping fire-code
+ * setbacks from roof edges, racking tilted rows on flat roofs and
+ * estimating the annual energy of each panel from the annual flux raster.
  */
 
-// Define standard solar panel dimensions in meters as constants
+const dataLayersConfig = require("../data-layers/config");
+
+// Standard solar panel dimensions in meters, used when no catalog panel is
+// given
 const STANDARD_PANEL_WIDTH = 1.045; // meters
 const STANDARD_PANEL_HEIGHT = 1.879; // meters
 const PANEL_SPACING = 0; // meters - spacing between panels
 
+// Default parameters for turning annual flux into AC energy
+const DEFAULT_ENERGY_PARAMETERS = {
+  panelEfficiency: 0.2, // 20% module efficiency
+  systemLosses: 0.14, // soiling, wiring, mismatch and temperature losses
+  inverterEfficiency: 0.96, // DC to AC conversion
+  temperatureCoefficient: -0.004, // power change per °C the losses assume
+};
+
+// Average cell temperature above 25 °C while panels produce; modules with
+// a better temperature coefficient than the default lose less
+const PRODUCING_CELL_TEMPERATURE_RISE = 20;
+
+// Panels below this share of the sunniest position's flux are dropped when
+// flux data is supplied. Only objectives that trade panel count for yield
+// drop any unless the caller picks a ratio.
+const DEFAULT_MIN_YIELD_RATIO = 0;
+const OBJECTIVE_MIN_YIELD_RATIOS = { maxKwhPerPanel: 0.6 };
+
+// Roof edges whose outward direction is within about 37° of the downslope
+// direction are eaves, within 37° of the upslope direction ridges; the
+// others run from eave to ridge (rakes, hips and valleys)
+const EAVE_RIDGE_MIN_ALIGNMENT = 0.8;
+
+// Edges whose midpoint lies this close to another roof segment are shared
+// with it (hips, valleys and double-sided ridges)
+const SHARED_EDGE_TOLERANCE_METERS = 0.5;
+
+// Declination of the sun on the winter solstice in degrees; racked rows
+// are spaced for the lowest sun of the year
+const WINTER_SOLSTICE_DECLINATION = 23.44;
+
+// Interval in hours at which the sun is sampled across the shading-free
+// window
+const SUN_SAMPLE_HOURS = 0.25;
+
+// Degrees the DSM slope under a flush panel may deviate from the segment
+// pitch
+const MAX_SLOPE_DEVIATION = 15;
+
+// Share of their size by which panels may overlap each other without a
+// violation; layouts place panels edge to edge
+const PANEL_OVERLAP_TOLERANCE = 0.02;
+
+// Temperatures of the layout search, as the relative loss of score a move
+// is accepted with at a chance of 1/e: about one panel in 50 at the start,
+// one in 2000 at the end
+const SEARCH_INITIAL_TEMPERATURE = 0.02;
+const SEARCH_FINAL_TEMPERATURE = 0.0005;
+
+// Weight of the second ranking key in the layout search score, small
+// enough to only break ties of the first
+const SEARCH_TIEBREAK_WEIGHT = 1e-6;
+
+/**
+ * Ranking keys of each layout objective, compared in order; a layout is
+ * {panels, annualKwh}
+ * @type {Object<string, Function>}
+ */
+const LAYOUT_OBJECTIVES = {
+  maxPanels: (layout) => [layout.panels.length, layout.annualKwh],
+  maxKwh: (layout) => [layout.annualKwh, layout.panels.length],
+  maxKwhPerPanel: (layout) => [
+    layout.panels.length > 0 ? layout.annualKwh / layout.panels.length : 0,
+    layout.annualKwh,
+    layout.panels.length,
+  ],
+  // Every segment is filled with its most productive layout, then the
+  // sunniest panels are kept until the target is reached
+  targetKw: (layout) => [layout.annualKwh, layout.panels.length],
+  targetKwh: (layout) => [layout.annualKwh, layout.panels.length],
+};
+
 /**
  * Generate optimal panel layout based on roof segments and obstructions
  * @param {Array} roofSegments - Roof segments from ML server
  * @param {Array} obstructions - Obstructions identified in the segments
  * @param {Object} dimensions - Real-world dimensions
  * @param {Object} dsmData - DSM data for elevation/slope checks (optional)
+ * @param {Object} options - Layout options (optional)
+ * @param {string} options.objective - One of LAYOUT_OBJECTIVES
+ *   (default "maxPanels")
+ * @param {number} options.targetKw - System size for the targetKw objective
+ * @param {number} options.targetKwh - Annual production for the targetKwh
+ *   objective; needs fluxData
+ * @param {Object} options.fluxData - Annual flux data used to score panel
+ *   positions (see estimatePanelEnergy)
+ * @param {number} options.minYieldRatio - Drop panels whose flux is below
+ *   this share of the sunniest position; 0 keeps every panel. Default the
+ *   objective's OBJECTIVE_MIN_YIELD_RATIOS entry, else
+ *   DEFAULT_MIN_YIELD_RATIO
+ * @param {Object} options.energyParameters - See estimatePanelEnergy
+ * @param {Object} options.panel - Panel to lay out ({widthMeters,
+ *   heightMeters, watts}, e.g. from the equipment catalog); default the
+ *   standard dimensions sized by panelEfficiency
+ * @param {Object} options.setbackRules - Fire-code rule set ({id, name,
+ *   setbacks, pathway}, see services/setbacks/setbackRules) whose roof
+ *   edge setbacks and access pathways panels keep clear of; default none
+ * @param {Object} options.racking - Racks tilted rows on segments up to
+ *   maxRoofPitch instead of laying panels flush: {latitude, tiltDegrees,
+ *   azimuth (null faces the equator), maxRoofPitch, shadingFreeHours,
+ *   ballastKgPerPanel, edgeBallastFactor}; default none. Racked panels are
+ *   scored with the flux of the roof under them.
+ * @param {Object} options.layoutSearch - Also searches the flush layout of
+ *   every segment by simulated annealing (see searchSegmentLayout):
+ *   {seed, maxIterations per segment, timeBudgetMs shared by the segments
+ *   by area, maxRotationDegrees}; default none. The layout found competes
+ *   with the fixed strategies for the objective.
  * @returns {Object} - Optimized panel layout with obstructions preserved
  */
 function generateOptimalPanelLayout(
   roofSegments,
   obstructions = [],
   dimensions,
-  dsmData = null
+  dsmData = null,
+  options = {}
 ) {
   try {
-    console.log("Generating optimal solar panel layout");
+    const {
+      objective = "maxPanels",
+      targetKw = null,
+      targetKwh = null,
+      fluxData = null,
+      minYieldRatio = null,
+      energyParameters = {},
+      panel = null,
+      setbackRules = null,
+      racking = null,
+      layoutSearch = null,
+    } = options;
+    const rankLayout = LAYOUT_OBJECTIVES[objective];
+    const pickBestLayout = (layoutOptions) =>
+      layoutOptions.reduce(
+        (best, current) =>
+          compareRanks(rankLayout(current), rankLayout(best)) > 0
+            ? current
+            : best,
+        { panels: [], obstructions: [], annualKwh: 0 }
+      );
+    const isRacked = (segment) =>
+      !!racking &&
+      typeof segment.pitch === "number" &&
+      segment.pitch <= racking.maxRoofPitch;
+    const panelEfficiency =
+      energyParameters.panelEfficiency ??
+      DEFAULT_ENERGY_PARAMETERS.panelEfficiency;
+    const panelDimensions = {
+      width: panel?.widthMeters ?? STANDARD_PANEL_WIDTH,
+      height: panel?.heightMeters ?? STANDARD_PANEL_HEIGHT,
+    };
+    // Area of a module; realWidth and realHeight of flush panels are their
+    // footprint in the image, foreshortened by the roof pitch
+    const panelArea = panelDimensions.width * panelDimensions.height;
+    // Rated panel power when known, else from the module area
+    const getPanelKw = () =>
+      panel?.watts ? panel.watts / 1000 : panelArea * panelEfficiency;
+
+    if (!rankLayout) {
+      throw new Error(
+        `Unknown layout objective '${objective}'. Allowed: ${Object.keys(LAYOUT_OBJECTIVES).join(", ")}`
+      );
+    }
+
+    if (objective === "targetKw" && !(targetKw > 0)) {
+      throw new Error("targetKw must be a positive number");
+    }
+
+    if (objective === "targetKwh" && !(targetKwh > 0)) {
+      throw new Error("targetKwh must be a positive number");
+    }
+
+    if (objective === "targetKwh" && !fluxData) {
+      throw new Error("targetKwh needs annual flux data to score panels");
+    }
+
+    console.log(
+      `Generating optimal solar panel layout (objective: ${objective})`
+    );
 
     // Log the actual obstructions we're working with
     console.log(
@@ -37,6 +203,28 @@ function generateOptimalPanelLayout(
     // Arrays to store results
     const panelLayout = [];
     const detectedObstructions = [...(obstructions || [])]; // Start with existing obstructions
+    const segmentCandidates = [];
+    const segmentSetbacks = [];
+    const setbackZones = [];
+    const rackedSegments = [];
+    const flushFallbackSegments = [];
+    const searchedSegments = [];
+
+    // Segments share the layout search time budget by the area of their
+    // bounds
+    const searchAreas = roofSegments.map((segment) => {
+      if (
+        !segment.polygon ||
+        segment.polygon.length < 3 ||
+        isRacked(segment)
+      ) {
+        return 0;
+      }
+
+      const bounds = getPolygonBounds(segment.polygon);
+      return (bounds.maxX - bounds.minX) * (bounds.maxY - bounds.minY);
+    });
+    const totalSearchArea = searchAreas.reduce((sum, area) => sum + area, 0);
 
     // Process each roof segment
     for (let i = 0; i < roofSegments.length; i++) {
@@ -77,6 +265,52 @@ function generateOptimalPanelLayout(
         maxY: Math.min(dimensions.pixelHeight - 1, bounds.maxY),
       };
 
+      // Edges panels keep their fire-code distance from
+      const setbacks = setbackRules
+        ? getSegmentSetbacks(segment, roofSegments, setbackRules, dimensions)
+        : { edges: [], summary: null };
+
+      if (setbacks.summary) {
+        segmentSetbacks.push(setbacks.summary);
+        setbackZones.push(...getSetbackZones(segment.id, setbacks.edges));
+      }
+
+      // Flat segments get tilted rows on racks instead of flush panels,
+      // unless rows cannot be spaced there (the winter sun stays down)
+      let rackedOptions = null;
+
+      if (isRacked(segment)) {
+        try {
+          rackedOptions = testRackedLayoutStrategies(
+            segment,
+            segmentObstructions,
+            dimensions,
+            racking,
+            panelDimensions,
+            setbacks.edges
+          );
+        } catch (error) {
+          console.log(
+            `Laying out segment ${segment.id} flush instead of racked: ${error.message}`
+          );
+          flushFallbackSegments.push({
+            segmentId: segment.id,
+            reason: error.message,
+          });
+        }
+      }
+
+      if (rackedOptions) {
+        segmentCandidates.push({
+          segment,
+          layoutOptions: rackedOptions.map((option) => ({
+            ...option,
+            annualKwh: 0,
+          })),
+        });
+        continue;
+      }
+
       // Determine layout orientation based on orientation property or azimuth
       const layoutDirection = determineLayoutDirection(orientation, azimuth);
       console.log(
@@ -95,7 +329,9 @@ function generateOptimalPanelLayout(
         dsmData,
         pitch,
         azimuth,
-        false // portrait (not landscape)
+        false, // portrait (not landscape)
+        panelDimensions,
+        setbacks.edges
       );
       layoutOptions.push(...portraitResults);
 
@@ -108,38 +344,151 @@ function generateOptimalPanelLayout(
         dsmData,
         pitch,
         azimuth,
-        true // landscape
+        true, // landscape
+        panelDimensions,
+        setbacks.edges
       );
       layoutOptions.push(...landscapeResults);
 
-      // Find the best layout (maximum number of panels)
-      const bestLayout = layoutOptions.reduce(
-        (best, current) =>
-          current.panels.length > best.panels.length ? current : best,
-        { panels: [], obstructions: [] }
+      // Search grid offsets, mixed row orientations and small rotations
+      // for a layout the fixed strategies miss
+      if (layoutSearch) {
+        layoutOptions.push(
+          searchSegmentLayout(
+            segment,
+            segmentObstructions,
+            dimensions,
+            dsmData,
+            pitch,
+            azimuth,
+            panelDimensions,
+            setbacks.edges,
+            {
+              seed: (layoutSearch.seed + i) >>> 0,
+              maxIterations: Math.floor(layoutSearch.maxIterations),
+              timeBudgetMs:
+                (layoutSearch.timeBudgetMs * searchAreas[i]) / totalSearchArea,
+              maxRotationDegrees: layoutSearch.maxRotationDegrees,
+              rankLayout,
+              fluxData,
+              energyParameters,
+              panelArea,
+            }
+          )
+        );
+      }
+
+      segmentCandidates.push({
+        segment,
+        layoutOptions: layoutOptions.map((option) => ({
+          ...option,
+          annualKwh: 0,
+        })),
+      });
+    }
+
+    // Score every candidate panel position and drop the low-yield ones
+    let droppedLowYieldPanels = 0;
+
+    const yieldRatio =
+      minYieldRatio ??
+      OBJECTIVE_MIN_YIELD_RATIOS[objective] ??
+      DEFAULT_MIN_YIELD_RATIO;
+
+    if (fluxData) {
+      droppedLowYieldPanels = scoreLayoutOptions(
+        segmentCandidates,
+        fluxData,
+        dimensions,
+        energyParameters,
+        yieldRatio,
+        panelArea
       );
+    }
+
+    for (const { segment, layoutOptions } of segmentCandidates) {
+      // Find the best layout for the objective
+      const bestLayout = pickBestLayout(layoutOptions);
 
       // Log results of optimization
       console.log(`Selected best layout for segment ${segment.id}:`);
       console.log(`- Panel count: ${bestLayout.panels.length}`);
+      if (fluxData) {
+        console.log(`- Annual energy: ${bestLayout.annualKwh.toFixed(1)} kWh`);
+      }
       console.log(`- Orientation: ${bestLayout.orientation}`);
       console.log(`- Layout strategy: ${bestLayout.strategy}`);
       console.log(`- Start point: ${bestLayout.startPoint}`);
 
+      // Compare the searched layout with the best fixed strategy
+      const searchedLayout = layoutOptions.find(
+        (option) => option.strategy === "annealing"
+      );
+
+      if (searchedLayout) {
+        const baselineLayout = pickBestLayout(
+          layoutOptions.filter((option) => option !== searchedLayout)
+        );
+
+        searchedSegments.push({
+          segmentId: segment.id,
+          ...searchedLayout.search,
+          orientation: searchedLayout.orientation,
+          panelCount: searchedLayout.panels.length,
+          annualKwh: Number(searchedLayout.annualKwh.toFixed(1)),
+          baselinePanelCount: baselineLayout.panels.length,
+          baselineAnnualKwh: Number(baselineLayout.annualKwh.toFixed(1)),
+          selected: bestLayout === searchedLayout,
+        });
+      }
+
+      if (bestLayout.racking) {
+        rackedSegments.push({
+          segmentId: segment.id,
+          roofPitch: segment.pitch,
+          orientation: bestLayout.orientation,
+          ...bestLayout.racking,
+        });
+      }
+
       // Add the best layout panels and obstructions to the overall results
       panelLayout.push(...bestLayout.panels);
       detectedObstructions.push(...bestLayout.obstructions);
     }
 
+    // Keep only as many panels as the target system size or production
+    // needs
+    const candidatePanelCount = panelLayout.length;
+
+    if (objective === "targetKw") {
+      const selectedPanels = selectPanelsForTarget(
+        panelLayout,
+        targetKw,
+        getPanelKw
+      );
+
+      console.log(
+        `Kept ${selectedPanels.length} of ${panelLayout.length} panels for a ${targetKw} kW target`
+      );
+      panelLayout.splice(0, panelLayout.length, ...selectedPanels);
+    } else if (objective === "targetKwh") {
+      const selectedPanels = selectPanelsForEnergy(panelLayout, targetKwh);
+
+      console.log(
+        `Kept ${selectedPanels.length} of ${panelLayout.length} panels for a ${targetKwh} kWh/year target`
+      );
+      panelLayout.splice(0, panelLayout.length, ...selectedPanels);
+    }
+
     // Calculate overall statistics
-    const totalArea = panelLayout.reduce(
-      (sum, panel) => sum + panel.realWidth * panel.realHeight,
-      0
-    );
+    const totalArea = panelLayout.length * panelArea;
+
+    const totalPotentialKw = panelLayout.length * getPanelKw();
 
-    const avgEfficiency = 0.2; // 20% panel efficiency
-    const avgIrradiance = 1000; // W/m² (standard test condition)
-    const totalPotentialKw = (totalArea * avgEfficiency * avgIrradiance) / 1000;
+    // Racked rows and ballast of the panels that were kept
+    const rackingSummary = racking
+      ? summarizeRacking(rackedSegments, panelLayout, flushFallbackSegments)
+      : null;
 
     console.log(`Total panel layout generated: ${panelLayout.length} panels`);
     console.log(`Total obstructions detected: ${detectedObstructions.length}`);
@@ -151,11 +500,42 @@ function generateOptimalPanelLayout(
         panelCount: panelLayout.length,
         totalArea: totalArea.toFixed(2),
         potentialKw: totalPotentialKw.toFixed(2),
+        objective,
+        targetKw: objective === "targetKw" ? targetKw : null,
+        targetKwh: objective === "targetKwh" ? targetKwh : null,
+        // Panels the roof holds before a target trims them
+        candidatePanelCount,
+        minYieldRatio: fluxData ? yieldRatio : null,
+        droppedLowYieldPanels,
         standardDimensions: {
-          width: STANDARD_PANEL_WIDTH,
-          height: STANDARD_PANEL_HEIGHT,
+          ...panelDimensions,
           spacing: PANEL_SPACING,
         },
+        panelWatts: panel?.watts ?? null,
+        setbacks: setbackRules
+          ? {
+              ruleSet: { id: setbackRules.id, name: setbackRules.name },
+              segments: segmentSetbacks,
+              // Kept with the layout so drawings show the strips it was
+              // placed with, whatever the rule file says later
+              zones: setbackZones,
+            }
+          : null,
+        racking: rackingSummary,
+        layoutSearch: layoutSearch
+          ? {
+              method: "annealing",
+              seed: layoutSearch.seed,
+              maxIterations: layoutSearch.maxIterations,
+              timeBudgetMs: layoutSearch.timeBudgetMs,
+              maxRotationDegrees: layoutSearch.maxRotationDegrees,
+              elapsedMs: searchedSegments.reduce(
+                (sum, searched) => sum + searched.elapsedMs,
+                0
+              ),
+              segments: searchedSegments,
+            }
+          : null,
       },
     };
   } catch (error) {
@@ -170,6 +550,329 @@ function generateOptimalPanelLayout(
   }
 }
 
+/**
+ * Compare two ranking key lists lexicographically
+ * @param {Array<number>} a - Ranking keys
+ * @param {Array<number>} b - Ranking keys
+ * @returns {number} - Positive if a ranks higher, negative if b does
+ */
+function compareRanks(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+
+  return 0;
+}
+
+/**
+ * Attach flux and energy estimates to the panels of every layout option and
+ * remove panels far less sunny than the best position on the roof
+ * @param {Array} segmentCandidates - [{segment, layoutOptions}]
+ * @param {Object} fluxData - Processed annual flux data
+ * @param {Object} dimensions - Real-world dimensions of the layout image
+ * @param {Object} energyParameters - See estimatePanelEnergy
+ * @param {number} minYieldRatio - Share of the best flux a panel must reach
+ * @param {number} panelArea - Area of a module in m²
+ * @returns {number} - Number of panels dropped across all options
+ */
+function scoreLayoutOptions(
+  segmentCandidates,
+  fluxData,
+  dimensions,
+  energyParameters,
+  minYieldRatio,
+  panelArea
+) {
+  let maxFlux = 0;
+
+  for (const { layoutOptions } of segmentCandidates) {
+    for (const option of layoutOptions) {
+      const energy = estimatePanelEnergy(
+        option.panels,
+        fluxData,
+        dimensions,
+        energyParameters,
+        panelArea
+      );
+
+      option.panels.forEach((panel, index) => {
+        panel.annualFlux = energy.panels[index].annualFlux; // kWh/m²/year
+        panel.annualKwh = energy.panels[index].annualKwh;
+        maxFlux = Math.max(maxFlux, panel.annualFlux ?? 0);
+      });
+    }
+  }
+
+  // Panels outside the raster have no estimate and are kept as they are
+  const minFlux = maxFlux * minYieldRatio;
+  let dropped = 0;
+
+  for (const { layoutOptions } of segmentCandidates) {
+    for (const option of layoutOptions) {
+      const keptPanels = option.panels.filter(
+        (panel) => panel.annualFlux === null || panel.annualFlux >= minFlux
+      );
+
+      dropped += option.panels.length - keptPanels.length;
+      option.panels = keptPanels;
+      option.annualKwh = keptPanels.reduce(
+        (sum, panel) => sum + panel.annualKwh,
+        0
+      );
+    }
+  }
+
+  return dropped;
+}
+
+/**
+ * Pick the panels that make up a system of the target size, most
+ * productive first; panels without an energy estimate keep their order
+ * @param {Array} panels - Candidate panels
+ * @param {number} targetKw - Target system size in kW
+ * @param {Function} getPanelKw - Rated power of a panel in kW
+ * @returns {Array} - Selected panels
+ */
+function selectPanelsForTarget(panels, targetKw, getPanelKw) {
+  const ranked = [...panels].sort(
+    (a, b) => (b.annualKwh ?? 0) - (a.annualKwh ?? 0)
+  );
+  const selected = [];
+  let totalKw = 0;
+
+  for (const panel of ranked) {
+    const panelKw = getPanelKw(panel);
+
+    // Stop once another panel would move the size further from the target
+    if (
+      Math.abs(totalKw + panelKw - targetKw) >= Math.abs(totalKw - targetKw)
+    ) {
+      break;
+    }
+
+    selected.push(panel);
+    totalKw += panelKw;
+  }
+
+  return selected;
+}
+
+/**
+ * Pick the most productive panels until their annual energy reaches the
+ * target; every panel is kept when the roof cannot reach it
+ * @param {Array} panels - Candidate panels with annualKwh estimates
+ * @param {number} targetKwh - Target annual production in kWh
+ * @returns {Array} - Selected panels, most productive first
+ */
+function selectPanelsForEnergy(panels, targetKwh) {
+  const ranked = [...panels].sort(
+    (a, b) => (b.annualKwh ?? 0) - (a.annualKwh ?? 0)
+  );
+  const selected = [];
+  let totalKwh = 0;
+
+  for (const panel of ranked) {
+    if (totalKwh >= targetKwh) break;
+
+    selected.push(panel);
+    totalKwh += panel.annualKwh ?? 0;
+  }
+
+  return selected;
+}
+
+/**
+ * Estimate the annual energy of every panel from the annual flux raster
+ *
+ * The flux raster covers the same area as the image the layout was drawn
+ * on, so panel polygons are scaled into raster pixels and the flux of all
+ * pixels whose centers fall inside the panel is averaged. Panels smaller
+ * than a raster pixel use the pixel under their center.
+ *
+ * @param {Array} panelLayout - Panels with pixel polygons (layout image)
+ * @param {Object} fluxData - Processed annual flux data with raster and
+ *   metadata.dimensions; values in kWh/m²/year
+ * @param {Object} dimensions - Real-world dimensions of the layout image
+ * @param {Object} parameters - Energy parameters (optional)
+ * @param {number} parameters.panelEfficiency - Module efficiency (0-1)
+ * @param {number} parameters.systemLosses - Share of DC energy lost (0-1)
+ * @param {number} parameters.inverterEfficiency - Inverter efficiency (0-1)
+ * @param {number} parameters.temperatureCoefficient - Module power change
+ *   per °C (e.g. -0.0035)
+ * @param {number} panelArea - Area of a module in m² (optional); default
+ *   each panel's realWidth × realHeight, which is only the footprint of
+ *   panels flush on a pitched roof
+ * @returns {Object} - Per-panel estimates and totals
+ */
+function estimatePanelEnergy(
+  panelLayout,
+  fluxData,
+  dimensions,
+  parameters = {},
+  panelArea = null
+) {
+  const energyParameters = { ...DEFAULT_ENERGY_PARAMETERS, ...parameters };
+  const raster = fluxData?.raster;
+  const fluxWidth = fluxData?.metadata?.dimensions?.width || 0;
+  const fluxHeight = fluxData?.metadata?.dimensions?.height || 0;
+
+  if (!raster || fluxWidth === 0 || fluxHeight === 0) {
+    throw new Error("Annual flux raster not available");
+  }
+
+  if (!dimensions.pixelWidth || !dimensions.pixelHeight) {
+    throw new Error("Layout image dimensions not available");
+  }
+
+  const conversionFactor = getEnergyConversionFactor(energyParameters);
+
+  const scaleX = fluxWidth / dimensions.pixelWidth;
+  const scaleY = fluxHeight / dimensions.pixelHeight;
+
+  let totalAnnualKwh = 0;
+  let totalArea = 0;
+  let unsampledPanels = 0;
+
+  const panels = panelLayout.map((panel) => {
+    const polygon = (
+      panel.polygon ||
+      rectangleToPolygon(panel.x, panel.y, panel.width, panel.height)
+    ).map((point) => ({ x: point.x * scaleX, y: point.y * scaleY }));
+    const { mean: annualFlux, sampleCount } = averageRasterValues(
+      raster,
+      getPolygonRasterIndices(polygon, fluxWidth, fluxHeight)
+    );
+
+    const area = panelArea ?? panel.realWidth * panel.realHeight;
+    const annualKwh =
+      annualFlux !== null ? annualFlux * area * conversionFactor : 0;
+
+    if (annualFlux === null) unsampledPanels++;
+    totalAnnualKwh += annualKwh;
+    totalArea += area;
+
+    return {
+      panelId: panel.id,
+      annualFlux: annualFlux !== null ? Number(annualFlux.toFixed(1)) : null,
+      annualKwh: Number(annualKwh.toFixed(1)),
+      sampleCount,
+    };
+  });
+
+  // Peak power at standard test conditions (1000 W/m²)
+  const peakKw = totalArea * energyParameters.panelEfficiency;
+
+  return {
+    panels,
+    totalAnnualKwh: Number(totalAnnualKwh.toFixed(1)),
+    averagePanelKwh:
+      panels.length > 0
+        ? Number((totalAnnualKwh / panels.length).toFixed(1))
+        : 0,
+    specificYield:
+      peakKw > 0 ? Number((totalAnnualKwh / peakKw).toFixed(1)) : null, // kWh/kWp
+    unsampledPanels,
+    parameters: energyParameters,
+  };
+}
+
+/**
+ * Get the kWh of AC energy produced per kWh/m² of sunlight on a square
+ * meter of panel
+ * @param {Object} parameters - Energy parameters (optional), see
+ *   DEFAULT_ENERGY_PARAMETERS
+ * @returns {number} - Conversion factor
+ */
+function getEnergyConversionFactor(parameters = {}) {
+  const {
+    panelEfficiency,
+    systemLosses,
+    inverterEfficiency,
+    temperatureCoefficient,
+  } = {
+    ...DEFAULT_ENERGY_PARAMETERS,
+    ...parameters,
+  };
+
+  // systemLosses include the temperature losses of the default module
+  const temperatureAdjustment =
+    (1 + temperatureCoefficient * PRODUCING_CELL_TEMPERATURE_RISE) /
+    (1 +
+      DEFAULT_ENERGY_PARAMETERS.temperatureCoefficient *
+        PRODUCING_CELL_TEMPERATURE_RISE);
+
+  return (
+    panelEfficiency *
+    (1 - systemLosses) *
+    inverterEfficiency *
+    temperatureAdjustment
+  );
+}
+
+/**
+ * Find the raster pixels covered by a polygon
+ *
+ * Pixels count as covered when their center lies inside the polygon. A
+ * polygon smaller than a pixel covers the pixel under its center.
+ *
+ * @param {Array} polygon - Polygon in raster pixel coordinates [{x, y}]
+ * @param {number} width - Raster width
+ * @param {number} height - Raster height
+ * @returns {Array<number>} - Indices into the raster (row-major)
+ */
+function getPolygonRasterIndices(polygon, width, height) {
+  const bounds = getPolygonBounds(polygon);
+  const indices = [];
+
+  for (let py = Math.max(0, bounds.minY); py < bounds.maxY; py++) {
+    if (py >= height) break;
+
+    for (let px = Math.max(0, bounds.minX); px < bounds.maxX; px++) {
+      if (px >= width) break;
+
+      if (isPointInPolygon(px + 0.5, py + 0.5, polygon)) {
+        indices.push(py * width + px);
+      }
+    }
+  }
+
+  // Polygon is smaller than a raster pixel, use the pixel under its center
+  if (indices.length === 0) {
+    const px = Math.floor((bounds.minX + bounds.maxX) / 2);
+    const py = Math.floor((bounds.minY + bounds.maxY) / 2);
+
+    if (px >= 0 && py >= 0 && px < width && py < height) {
+      indices.push(py * width + px);
+    }
+  }
+
+  return indices;
+}
+
+/**
+ * Average the valid raster values at the given indices, ignoring no-data
+ * and negative values
+ * @param {Array<number>|TypedArray} raster - Raster values
+ * @param {Array<number>} indices - Indices to average
+ * @returns {Object} - {mean, sampleCount}; mean is null without samples
+ */
+function averageRasterValues(raster, indices) {
+  const noDataValue = dataLayersConfig.processing.NO_DATA_VALUE;
+  let sum = 0;
+  let sampleCount = 0;
+
+  for (const index of indices) {
+    const value = raster[index];
+
+    if (value !== noDataValue && Number.isFinite(value) && value >= 0) {
+      sum += value;
+      sampleCount++;
+    }
+  }
+
+  return { mean: sampleCount > 0 ? sum / sampleCount : null, sampleCount };
+}
+
 /**
  * Test multiple layout strategies and return the results for each
  * @param {Object} segment - Roof segment
@@ -180,6 +883,9 @@ function generateOptimalPanelLayout(
  * @param {number} pitch - Roof pitch
  * @param {number} azimuth - Roof azimuth
  * @param {boolean} isLandscape - Whether to use landscape orientation
+ * @param {Object} panelDimensions - Panel {width, height} in meters
+ * @param {Array} edgeSetbacks - Segment edges with the distance panels
+ *   keep from them (see getSegmentSetbacks)
  * @returns {Array} Array of layout results
  */
 function testMultipleLayoutStrategies(
@@ -190,46 +896,25 @@ function testMultipleLayoutStrategies(
   dsmData,
   pitch,
   azimuth,
-  isLandscape
+  isLandscape,
+  panelDimensions,
+  edgeSetbacks
 ) {
   const results = [];
   const orientationName = isLandscape ? "landscape" : "portrait";
 
-  // Adjust panel dimensions based on orientation and pitch
-  const pitchRadians = (pitch * Math.PI) / 180;
-  const cosineSlope = Math.cos(pitchRadians);
-
-  // Set panel dimensions based on orientation
-  let adjustedWidth, adjustedHeight;
-  if (isLandscape) {
-    // Swap dimensions for landscape orientation
-    adjustedWidth = STANDARD_PANEL_HEIGHT;
-    adjustedHeight = STANDARD_PANEL_WIDTH;
-  } else {
-    adjustedWidth = STANDARD_PANEL_WIDTH;
-    adjustedHeight = STANDARD_PANEL_HEIGHT;
-  }
-
   // Determine which dimension to adjust based on layout direction
   const layoutDirection = determineLayoutDirection(
     segment.orientation,
     azimuth
   );
-
-  let panelWidthPx, panelHeightPx;
-  if (layoutDirection.direction === "horizontal") {
-    // For horizontal layouts (north/south facing), height is along the slope
-    panelWidthPx = Math.round(adjustedWidth / dimensions.metersPerPixelX);
-    panelHeightPx = Math.round(
-      (adjustedHeight * cosineSlope) / dimensions.metersPerPixelY
-    );
-  } else {
-    // For vertical layouts (east/west facing), width is along the slope
-    panelWidthPx = Math.round(
-      (adjustedWidth * cosineSlope) / dimensions.metersPerPixelX
-    );
-    panelHeightPx = Math.round(adjustedHeight / dimensions.metersPerPixelY);
-  }
+  const { panelWidthPx, panelHeightPx } = getPanelPixelSize(
+    panelDimensions,
+    isLandscape,
+    layoutDirection,
+    pitch,
+    dimensions
+  );
 
   // Add spacing (which is 0 in this case)
   const spacedWidth = panelWidthPx;
@@ -270,7 +955,8 @@ function testMultipleLayoutStrategies(
       bounds,
       dimensions,
       dsmData,
-      pitch
+      pitch,
+      edgeSetbacks
     );
 
     results.push({
@@ -293,7 +979,8 @@ function testMultipleLayoutStrategies(
       bounds,
       dimensions,
       dsmData,
-      pitch
+      pitch,
+      edgeSetbacks
     );
 
     results.push({
@@ -308,6 +995,52 @@ function testMultipleLayoutStrategies(
   return results;
 }
 
+/**
+ * Get the size in image pixels of a panel laid flush on a pitched segment;
+ * the side along the slope is foreshortened by the pitch
+ * @param {Object} panelDimensions - Panel {width, height} in meters
+ * @param {boolean} isLandscape - Whether the panel is turned landscape
+ * @param {Object} layoutDirection - See determineLayoutDirection
+ * @param {number} pitch - Roof pitch in degrees
+ * @param {Object} dimensions - Real-world dimensions
+ * @returns {Object} - {panelWidthPx, panelHeightPx}
+ */
+function getPanelPixelSize(
+  panelDimensions,
+  isLandscape,
+  layoutDirection,
+  pitch,
+  dimensions
+) {
+  const cosineSlope = Math.cos((pitch * Math.PI) / 180);
+
+  // Swap dimensions for landscape orientation
+  const adjustedWidth = isLandscape
+    ? panelDimensions.height
+    : panelDimensions.width;
+  const adjustedHeight = isLandscape
+    ? panelDimensions.width
+    : panelDimensions.height;
+
+  if (layoutDirection.direction === "horizontal") {
+    // For horizontal layouts (north/south facing), height is along the slope
+    return {
+      panelWidthPx: Math.round(adjustedWidth / dimensions.metersPerPixelX),
+      panelHeightPx: Math.round(
+        (adjustedHeight * cosineSlope) / dimensions.metersPerPixelY
+      ),
+    };
+  }
+
+  // For vertical layouts (east/west facing), width is along the slope
+  return {
+    panelWidthPx: Math.round(
+      (adjustedWidth * cosineSlope) / dimensions.metersPerPixelX
+    ),
+    panelHeightPx: Math.round(adjustedHeight / dimensions.metersPerPixelY),
+  };
+}
+
 /**
  * Calculate grid parameters from specified starting point
  * @param {Object} bounds - Segment bounds
@@ -376,6 +1109,8 @@ function calculateGridParametersFromPoint(
  * @param {Object} dimensions - Real-world dimensions
  * @param {Object} dsmData - DSM data
  * @param {number} pitch - Roof pitch
+ * @param {Array} edgeSetbacks - Segment edges with the distance panels
+ *   keep from them (see getSegmentSetbacks)
  * @returns {Object} Panels and obstructions
  */
 function generateStaggeredPanelGrid(
@@ -389,7 +1124,8 @@ function generateStaggeredPanelGrid(
   bounds,
   dimensions,
   dsmData = null,
-  pitch = 20
+  pitch = 20,
+  edgeSetbacks = []
 ) {
   const panels = [];
   const newObstructions = [];
@@ -412,7 +1148,6 @@ function generateStaggeredPanelGrid(
 
   // Calculate baseline slope from pitch
   const baselineSlope = Math.tan((pitch * Math.PI) / 180);
-  const MAX_SLOPE_DEVIATION = 15;
 
   // Track panel positions in rows and columns
   for (let row = 0; row < maxRows; row++) {
@@ -456,7 +1191,8 @@ function generateStaggeredPanelGrid(
       const validationResult = isPanelValid(
         panelPolygon,
         segment.polygon,
-        obstructions
+        obstructions,
+        edgeSetbacks
       );
 
       if (validationResult.isValid) {
@@ -522,8 +1258,12 @@ function generateStaggeredPanelGrid(
         };
 
         panels.push(panel);
-      } else if (validationResult.reason === "obstruction_overlap") {
-        // Panel position overlaps with an existing obstruction - no need to add a new one
+      } else if (
+        validationResult.reason === "obstruction_overlap" ||
+        validationResult.reason === "setback"
+      ) {
+        // Panel position overlaps with an existing obstruction or a
+        // fire-code setback - no need to add a new obstruction
         continue;
       } else {
         // Invalid panel position that's not due to an existing obstruction
@@ -644,6 +1384,8 @@ function determineLayoutDirection(orientation, azimuth) {
  * @param {Object} dimensions - Real-world dimensions
  * @param {Object} dsmData - DSM data for elevation checks (optional)
  * @param {number} pitch - Roof pitch in degrees
+ * @param {Array} edgeSetbacks - Segment edges with the distance panels
+ *   keep from them (see getSegmentSetbacks)
  * @returns {Object} - Object containing panels and newly detected obstructions
  */
 function generatePanelGrid(
@@ -657,7 +1399,8 @@ function generatePanelGrid(
   bounds,
   dimensions,
   dsmData = null,
-  pitch = 20
+  pitch = 20,
+  edgeSetbacks = []
 ) {
   const panels = [];
   const newObstructions = [];
@@ -679,9 +1422,6 @@ function generatePanelGrid(
   // Calculate baseline slope from pitch
   const baselineSlope = Math.tan((pitch * Math.PI) / 180);
 
-  // Maximum slope deviation in degrees for validation
-  const MAX_SLOPE_DEVIATION = 15;
-
   // Track panel positions in rows and columns
   for (let row = 0; row < maxRows; row++) {
     for (let col = 0; col < maxCols; col++) {
@@ -719,7 +1459,8 @@ function generatePanelGrid(
       const validationResult = isPanelValid(
         panelPolygon,
         segment.polygon,
-        obstructions
+        obstructions,
+        edgeSetbacks
       );
 
       if (validationResult.isValid) {
@@ -785,8 +1526,12 @@ function generatePanelGrid(
         };
 
         panels.push(panel);
-      } else if (validationResult.reason === "obstruction_overlap") {
-        // Panel position overlaps with an existing obstruction - no need to add a new one
+      } else if (
+        validationResult.reason === "obstruction_overlap" ||
+        validationResult.reason === "setback"
+      ) {
+        // Panel position overlaps with an existing obstruction or a
+        // fire-code setback - no need to add a new obstruction
         continue;
       } else {
         // Invalid panel position that's not due to an existing obstruction
@@ -810,52 +1555,1337 @@ function generatePanelGrid(
 }
 
 /**
- * Check if a panel is valid (within segment and not overlapping obstructions)
- * @param {Array} panelPolygon - Panel polygon
- * @param {Array} segmentPolygon - Segment polygon
- * @param {Array} obstructions - Obstructions array
- * @returns {Object} - Validation result with isValid flag and reason if invalid
+ * Search the flush panel layout of a segment by simulated annealing
+ *
+ * A layout is a grid of panel rows, rotated by up to maxRotationDegrees
+ * around the segment center to follow roof edges that are not aligned with
+ * the image. Each row is portrait or landscape and shifted along its
+ * length, and the grid as a whole is offset from the segment bounds. Every
+ * iteration changes one of these and keeps the change when the layout
+ * ranks higher for the objective or, with a chance that falls as the
+ * search cools, when it ranks lower. The moves come from a generator seeded
+ * with search.seed, so the same seed and maxIterations give the same
+ * layout; the time budget only ends a search early.
+ *
+ * @param {Object} segment - Roof segment
+ * @param {Array} obstructions - Segment obstructions
+ * @param {Object} dimensions - Real-world dimensions
+ * @param {Object} dsmData - DSM data
+ * @param {number} pitch - Roof pitch
+ * @param {number} azimuth - Roof azimuth
+ * @param {Object} panelDimensions - Panel {width, height} in meters
+ * @param {Array} edgeSetbacks - Segment edges with the distance panels
+ *   keep from them (see getSegmentSetbacks)
+ * @param {Object} search - {seed, maxIterations, timeBudgetMs,
+ *   maxRotationDegrees, rankLayout, fluxData, energyParameters,
+ *   panelArea}
+ * @returns {Object} - Layout result of the best layout found, with the
+ *   statistics of the search
  */
-function isPanelValid(panelPolygon, segmentPolygon, obstructions) {
-  // Check all four corners of the panel
-  const corners = [
-    panelPolygon[0], // top-left
-    panelPolygon[1], // top-right
-    panelPolygon[2], // bottom-right
-    panelPolygon[3], // bottom-left
-  ];
-
-  // Panel is valid if all corners are inside segment
-  const allCornersInSegment = corners.every((corner) =>
-    isPointInPolygon(corner.x, corner.y, segmentPolygon)
-  );
-
-  if (!allCornersInSegment) {
-    return { isValid: false, reason: "outside_segment" };
+function searchSegmentLayout(
+  segment,
+  obstructions,
+  dimensions,
+  dsmData,
+  pitch,
+  azimuth,
+  panelDimensions,
+  edgeSetbacks,
+  search
+) {
+  const startTime = Date.now();
+  const random = createSeededRandom(search.seed);
+  const layoutDirection = determineLayoutDirection(
+    segment.orientation,
+    azimuth
+  );
+  // Portrait and landscape panel sizes, indexed by isLandscape
+  const panelSizes = [false, true].map((isLandscape) =>
+    getPanelPixelSize(
+      panelDimensions,
+      isLandscape,
+      layoutDirection,
+      pitch,
+      dimensions
+    )
+  );
+  const bounds = getPolygonBounds(segment.polygon);
+  const limits = {
+    maxWidthPx: Math.max(...panelSizes.map((size) => size.panelWidthPx)),
+    maxHeightPx: Math.max(...panelSizes.map((size) => size.panelHeightPx)),
+    maxRotationDegrees: search.maxRotationDegrees,
+  };
+  const minHeightPx = Math.min(
+    ...panelSizes.map((size) => size.panelHeightPx)
+  );
+  const context = {
+    segment,
+    obstructions,
+    dimensions,
+    dsmData,
+    pitch,
+    edgeSetbacks,
+    panelSizes,
+    center: {
+      x: (bounds.minX + bounds.maxX) / 2,
+      y: (bounds.minY + bounds.maxY) / 2,
+    },
+    fluxData: search.fluxData,
+    energyParameters: search.energyParameters,
+    panelArea: search.panelArea,
+  };
+  const evaluate = (state) => {
+    const layout = buildSearchLayout(state, context, false);
+    const rank = search.rankLayout(layout);
+
+    return { state, layout, rank, score: getSearchScore(rank) };
+  };
+
+  if (
+    panelSizes.some((size) => size.panelWidthPx < 1 || size.panelHeightPx < 1)
+  ) {
+    throw new Error(`Panels are smaller than a pixel on segment ${segment.id}`);
   }
 
-  // Panel is invalid if it overlaps with any obstruction
-  for (const obstruction of obstructions) {
-    if (!obstruction.polygon) continue;
+  // Rows enough to cross the segment at any rotation
+  const rowCount =
+    Math.ceil(
+      Math.hypot(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY) /
+        minHeightPx
+    ) + 1;
+
+  // Start from the better of the unrotated all-portrait and all-landscape
+  // grids
+  let current = [false, true]
+    .map((isLandscape) =>
+      evaluate({
+        offsetX: 0,
+        offsetY: 0,
+        rotation: 0,
+        rows: new Array(rowCount).fill(isLandscape),
+        rowShifts: new Array(rowCount).fill(0),
+      })
+    )
+    .reduce((best, candidate) =>
+      compareRanks(candidate.rank, best.rank) > 0 ? candidate : best
+    );
+  let best = current;
+  let iterations = 0;
+  let acceptedMoves = 0;
+  let improvements = 0;
+  let stoppedBy = "iterations";
+
+  for (; iterations < search.maxIterations; iterations++) {
+    if (Date.now() - startTime > search.timeBudgetMs) {
+      stoppedBy = "timeBudget";
+      break;
+    }
 
-    // Check if any corner of the panel is inside the obstruction
-    const anyCornerInObstruction = corners.some((corner) =>
-      isPointInPolygon(corner.x, corner.y, obstruction.polygon)
+    // Cool geometrically from the initial to the final temperature
+    const temperature =
+      SEARCH_INITIAL_TEMPERATURE *
+      Math.pow(
+        SEARCH_FINAL_TEMPERATURE / SEARCH_INITIAL_TEMPERATURE,
+        iterations / search.maxIterations
+      );
+    const candidate = evaluate(
+      mutateSearchState(current.state, current.layout.rowCount, random, limits)
     );
+    // Relative change, so temperatures fit any objective and roof size
+    const delta =
+      (candidate.score - current.score) /
+      Math.max(Math.abs(current.score), Number.EPSILON);
+
+    if (delta >= 0 || random() < Math.exp(delta / temperature)) {
+      current = candidate;
+      acceptedMoves++;
+
+      if (compareRanks(candidate.rank, best.rank) > 0) {
+        best = candidate;
+        improvements++;
+      }
+    }
+  }
+
+  // Lay out the best grid again, recording the positions it had to skip
+  const layout = buildSearchLayout(best.state, context, true);
+  const landscapePanels = layout.panels.filter((panel) => panel.landscape);
+  const elapsedMs = Date.now() - startTime;
+
+  console.log(
+    `Layout search of segment ${segment.id}: ${layout.panels.length} panels after ${iterations} iterations in ${elapsedMs} ms (${stoppedBy})`
+  );
+
+  return {
+    panels: layout.panels,
+    obstructions: layout.obstructions,
+    orientation:
+      landscapePanels.length === 0
+        ? "portrait"
+        : landscapePanels.length === layout.panels.length
+          ? "landscape"
+          : "mixed",
+    strategy: "annealing",
+    startPoint: "search",
+    search: {
+      seed: search.seed,
+      iterations,
+      acceptedMoves,
+      improvements,
+      elapsedMs,
+      stoppedBy,
+      rotationDegrees: best.state.rotation,
+      offsetPx: { x: best.state.offsetX, y: best.state.offsetY },
+      landscapeRows: new Set(landscapePanels.map((panel) => panel.row)).size,
+      portraitRows: new Set(
+        layout.panels
+          .filter((panel) => !panel.landscape)
+          .map((panel) => panel.row)
+      ).size,
+    },
+  };
+}
+
+/**
+ * Lay out the panel grid of a layout search state on its segment
+ * @param {Object} state - {offsetX, offsetY, rotation, rows (isLandscape
+ *   per row), rowShifts}
+ * @param {Object} context - Segment, obstructions, dimensions, DSM, pitch,
+ *   edge setbacks, panel sizes, rotation center, flux data and module area
+ *   of the search
+ * @param {boolean} recordObstructions - Record the positions skipped for
+ *   the segment boundary or slope as obstructions, like generatePanelGrid
+ * @returns {Object} - {panels, obstructions, annualKwh, rowCount} where
+ *   rowCount is the number of rows that fit the segment
+ */
+function buildSearchLayout(state, context, recordObstructions) {
+  const { segment, obstructions, dimensions, dsmData, panelSizes, center } =
+    context;
+  const angle = (state.rotation * Math.PI) / 180;
+  const baselineSlope = Math.tan((context.pitch * Math.PI) / 180);
+  const panels = [];
+  const newObstructions = [];
 
-    // Check if any corner of the obstruction is inside the panel
-    const anyObstructionCornerInPanel = obstruction.polygon.some((corner) =>
-      isPointInPolygon(corner.x, corner.y, panelPolygon)
+  // Rows run along the x axis of the grid, which is rotated by angle
+  const gridBounds = getPolygonBounds(
+    segment.polygon.map((point) => rotatePoint(point, center, -angle))
+  );
+  let y = gridBounds.minY + state.offsetY;
+  let row = 0;
+
+  for (; row < state.rows.length; row++) {
+    const isLandscape = state.rows[row];
+    const { panelWidthPx, panelHeightPx } = panelSizes[isLandscape ? 1 : 0];
+
+    if (y + panelHeightPx > gridBounds.maxY) break;
+
+    const shift = (state.offsetX + state.rowShifts[row]) % panelWidthPx;
+
+    for (
+      let x = gridBounds.minX + shift, col = 0;
+      x + panelWidthPx <= gridBounds.maxX;
+      x += panelWidthPx, col++
+    ) {
+      const panelPolygon =
+        angle === 0
+          ? rectangleToPolygon(x, y, panelWidthPx, panelHeightPx)
+          : rectangleToPolygon(x, y, panelWidthPx, panelHeightPx).map(
+              (point) => rotatePoint(point, center, angle, 2)
+            );
+      const box = getPolygonBounds(panelPolygon);
+
+      // Check if we're within image boundaries
+      if (
+        box.minX < 0 ||
+        box.minY < 0 ||
+        box.maxX > dimensions.pixelWidth ||
+        box.maxY > dimensions.pixelHeight
+      ) {
+        continue;
+      }
+
+      const validationResult = isPanelValid(
+        panelPolygon,
+        segment.polygon,
+        obstructions,
+        context.edgeSetbacks
+      );
+
+      if (!validationResult.isValid) {
+        // Positions outside the segment, like those of the fixed grids,
+        // become boundary obstructions
+        if (
+          recordObstructions &&
+          validationResult.reason === "outside_segment"
+        ) {
+          newObstructions.push({
+            id: `boundary_obstruction_${segment.id}_${newObstructions.length}`,
+            segmentId: segment.id,
+            x: box.minX,
+            y: box.minY,
+            width: box.maxX - box.minX,
+            height: box.maxY - box.minY,
+            type: "segment_boundary",
+            reason: validationResult.reason,
+            polygon: panelPolygon,
+          });
+        }
+        continue;
+      }
+
+      // Rotated panels are checked on the DSM block around them
+      let slopeInfo = {};
+
+      if (dsmData && dsmData.raster) {
+        const slopeCheck = checkBlockSlope(
+          dsmData.raster,
+          box.minX,
+          box.minY,
+          box.maxX - box.minX,
+          box.maxY - box.minY,
+          dimensions,
+          baselineSlope,
+          MAX_SLOPE_DEVIATION
+        );
+
+        slopeInfo = {
+          avgSlope: slopeCheck.avgSlope,
+          localDeviation: slopeCheck.localDeviation,
+          globalDeviation: slopeCheck.globalDeviation,
+          type: slopeCheck.type,
+        };
+
+        if (!slopeCheck.isValid) {
+          if (recordObstructions) {
+            newObstructions.push({
+              id: `slope_obstruction_${segment.id}_${newObstructions.length}`,
+              segmentId: segment.id,
+              x: box.minX,
+              y: box.minY,
+              width: box.maxX - box.minX,
+              height: box.maxY - box.minY,
+              type: slopeCheck.type || "slope_inconsistency",
+              reason: "Slope inconsistency detected",
+              polygon: panelPolygon,
+              ...slopeInfo,
+            });
+          }
+          continue;
+        }
+      }
+
+      // x and y are the corner of the bounding box of a rotated panel;
+      // width and height stay those of the panel itself
+      panels.push({
+        id: `panel_${segment.id}_${panels.length}`,
+        segmentId: segment.id,
+        x: box.minX,
+        y: box.minY,
+        width: panelWidthPx,
+        height: panelHeightPx,
+        realWidth: panelWidthPx * dimensions.metersPerPixelX,
+        realHeight: panelHeightPx * dimensions.metersPerPixelY,
+        pitch: segment.pitch || context.pitch,
+        azimuth: segment.azimuth,
+        orientation: segment.orientation,
+        landscape: isLandscape,
+        rotation: state.rotation,
+        row: row,
+        col: col,
+        polygon: panelPolygon,
+        ...slopeInfo,
+      });
+    }
+
+    y += panelHeightPx;
+  }
+
+  const annualKwh =
+    context.fluxData && panels.length > 0
+      ? estimatePanelEnergy(
+          panels,
+          context.fluxData,
+          dimensions,
+          context.energyParameters,
+          context.panelArea
+        ).totalAnnualKwh
+      : 0;
+
+  return { panels, obstructions: newObstructions, annualKwh, rowCount: row };
+}
+
+/**
+ * Change one property of a layout search state at random: the grid offset
+ * across or along the rows, the orientation or shift of one row, or the
+ * grid rotation
+ * @param {Object} state - Search state, see buildSearchLayout
+ * @param {number} rowCount - Rows of the state that fit the segment
+ * @param {Function} random - Seeded random number generator
+ * @param {Object} limits - {maxWidthPx, maxHeightPx, maxRotationDegrees}
+ * @returns {Object} - New search state
+ */
+function mutateSearchState(state, rowCount, random, limits) {
+  const next = {
+    ...state,
+    rows: [...state.rows],
+    rowShifts: [...state.rowShifts],
+  };
+  const moveCount = limits.maxRotationDegrees > 0 ? 5 : 4;
+  const move = Math.floor(random() * moveCount);
+  const row = Math.floor(random() * Math.max(rowCount, 1));
+  // Signed step of up to half a panel
+  const step = (sizePx) =>
+    (random() < 0.5 ? -1 : 1) * (1 + Math.floor((random() * sizePx) / 2));
+  const wrap = (value, sizePx) => ((value % sizePx) + sizePx) % sizePx;
+
+  switch (move) {
+    case 0:
+      next.offsetX = wrap(
+        next.offsetX + step(limits.maxWidthPx),
+        limits.maxWidthPx
+      );
+      break;
+    case 1:
+      next.offsetY = wrap(
+        next.offsetY + step(limits.maxHeightPx),
+        limits.maxHeightPx
+      );
+      break;
+    case 2:
+      next.rows[row] = !next.rows[row];
+      break;
+    case 3:
+      next.rowShifts[row] = Math.floor(random() * limits.maxWidthPx);
+      break;
+    default: {
+      const rotation =
+        state.rotation + ((random() * 2 - 1) * limits.maxRotationDegrees) / 4;
+
+      next.rotation =
+        Math.round(
+          Math.max(
+            -limits.maxRotationDegrees,
+            Math.min(limits.maxRotationDegrees, rotation)
+          ) * 10
+        ) / 10;
+    }
+  }
+
+  return next;
+}
+
+/**
+ * Collapse the ranking keys of a layout into one number for the annealing
+ * acceptance test; the second key only breaks ties of the first
+ * @param {Array<number>} rank - Ranking keys, see LAYOUT_OBJECTIVES
+ * @returns {number} - Score
+ */
+function getSearchScore(rank) {
+  return rank[0] + (rank[1] ?? 0) * SEARCH_TIEBREAK_WEIGHT;
+}
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} - Generator of numbers in [0, 1)
+ */
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Rotate a point around a center
+ * @param {Object} point - {x, y}
+ * @param {Object} center - {x, y}
+ * @param {number} angle - Angle in radians, clockwise in image coordinates
+ * @param {number} decimals - Decimals to round to (optional)
+ * @returns {Object} - Rotated {x, y}
+ */
+function rotatePoint(point, center, angle, decimals = null) {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const dx = point.x - center.x;
+  const dy = point.y - center.y;
+  const x = center.x + dx * cos - dy * sin;
+  const y = center.y + dx * sin + dy * cos;
+
+  if (decimals === null) return { x, y };
+
+  return { x: Number(x.toFixed(decimals)), y: Number(y.toFixed(decimals)) };
+}
+
+/**
+ * Test racked rows of landscape and portrait panels on a flat segment,
+ * aligning the rows to the front or back of the segment and the panels of
+ * each row to either end or the middle
+ * @param {Object} segment - Roof segment
+ * @param {Array} obstructions - Segment obstructions
+ * @param {Object} dimensions - Real-world dimensions
+ * @param {Object} racking - Racking options (see generateOptimalPanelLayout)
+ * @param {Object} panelDimensions - Panel {width, height} in meters
+ * @param {Array} edgeSetbacks - Segment edges with the distance panels
+ *   keep from them (see getSegmentSetbacks)
+ * @returns {Array} Array of layout results
+ */
+function testRackedLayoutStrategies(
+  segment,
+  obstructions,
+  dimensions,
+  racking,
+  panelDimensions,
+  edgeSetbacks
+) {
+  const azimuth = racking.azimuth ?? (racking.latitude >= 0 ? 180 : 0);
+  const results = [];
+
+  for (const isLandscape of [true, false]) {
+    // Landscape panels have their long side along the row
+    const rack = {
+      ...racking,
+      azimuth,
+      panelWidth: isLandscape ? panelDimensions.height : panelDimensions.width,
+      panelLength: isLandscape ? panelDimensions.width : panelDimensions.height,
+    };
+    const spacing = calculateRackRowSpacing(rack);
+
+    for (const rowAlignment of ["front", "back"]) {
+      for (const columnAlignment of ["start", "center", "end"]) {
+        const grid = generateRackedPanelGrid(
+          segment,
+          obstructions,
+          dimensions,
+          rack,
+          spacing,
+          { rowAlignment, columnAlignment },
+          edgeSetbacks
+        );
+
+        results.push({
+          panels: grid.panels,
+          obstructions: [],
+          orientation: isLandscape ? "landscape" : "portrait",
+          strategy: "racked",
+          startPoint: `${rowAlignment}-${columnAlignment}`,
+          racking: {
+            tiltDegrees: rack.tiltDegrees,
+            azimuth,
+            ...spacing,
+            rowCount: grid.rowCount,
+          },
+        });
+      }
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Calculate the spacing of racked rows so that no row shades the row
+ * behind it while the sun is up during the shading-free hours around
+ * solar noon on the winter solstice
+ * @param {Object} rack - {latitude, tiltDegrees, azimuth, panelLength
+ *   (meters up the tilted panel), shadingFreeHours}
+ * @returns {Object} - {rowPitchMeters (front of one row to the front of
+ *   the next), rowGapMeters, rowDepthMeters, groundCoverageRatio,
+ *   designSunAltitude (lowest sampled sun, degrees)}
+ * @throws {Error} if the sun does not rise during the hours
+ */
+function calculateRackRowSpacing(rack) {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const latitude = toRadians(rack.latitude);
+  const declination = toRadians(
+    rack.latitude >= 0
+      ? -WINTER_SOLSTICE_DECLINATION
+      : WINTER_SOLSTICE_DECLINATION
+  );
+  const tilt = toRadians(rack.tiltDegrees);
+  const rowDepth = rack.panelLength * Math.cos(tilt);
+  const backEdgeHeight = rack.panelLength * Math.sin(tilt);
+  const samples = Math.max(
+    1,
+    Math.round(rack.shadingFreeHours / SUN_SAMPLE_HOURS)
+  );
+  let rowGap = 0;
+  let designSunAltitude = null;
+
+  for (let i = 0; i <= samples; i++) {
+    const hour = (i / samples - 0.5) * rack.shadingFreeHours;
+    const hourAngle = toRadians(hour * 15);
+    const altitude = Math.asin(
+      Math.sin(latitude) * Math.sin(declination) +
+        Math.cos(latitude) * Math.cos(declination) * Math.cos(hourAngle)
     );
 
-    if (anyCornerInObstruction || anyObstructionCornerInPanel) {
+    if (altitude <= 0) continue;
+
+    // Azimuth from north, clockwise
+    const sunAzimuth =
+      Math.atan2(
+        Math.sin(hourAngle),
+        Math.cos(hourAngle) * Math.sin(latitude) -
+          Math.tan(declination) * Math.cos(latitude)
+      ) + Math.PI;
+    const shadowLength = backEdgeHeight / Math.tan(altitude);
+
+    // Shadows fall away from the sun; only their length behind the row
+    // needs clearing
+    rowGap = Math.max(
+      rowGap,
+      shadowLength * Math.cos(sunAzimuth - toRadians(rack.azimuth))
+    );
+    designSunAltitude = Math.min(
+      designSunAltitude ?? Infinity,
+      (altitude * 180) / Math.PI
+    );
+  }
+
+  if (designSunAltitude === null) {
+    throw new Error(
+      `The sun does not rise on the winter solstice at latitude ${rack.latitude}`
+    );
+  }
+
+  const rowPitch = rowDepth + rowGap;
+
+  return {
+    rowPitchMeters: Number(rowPitch.toFixed(3)),
+    rowGapMeters: Number(rowGap.toFixed(3)),
+    rowDepthMeters: Number(rowDepth.toFixed(3)),
+    groundCoverageRatio: Number((rack.panelLength / rowPitch).toFixed(3)),
+    designSunAltitude: Number(designSunAltitude.toFixed(1)),
+  };
+}
+
+/**
+ * Generate racked rows of tilted panels on a flat segment. Rows run
+ * across the rack azimuth and panels face it; positions are computed in
+ * meters and returned as pixel polygons.
+ * @param {Object} segment - Roof segment
+ * @param {Array} obstructions - Segment obstructions
+ * @param {Object} dimensions - Real-world dimensions
+ * @param {Object} rack - Racking options with azimuth, panelWidth (along
+ *   the row) and panelLength (up the tilted panel) in meters
+ * @param {Object} spacing - Row spacing (see calculateRackRowSpacing)
+ * @param {Object} alignment - {rowAlignment: "front" | "back",
+ *   columnAlignment: "start" | "center" | "end"}
+ * @param {Array} edgeSetbacks - Segment edges with the distance panels
+ *   keep from them (see getSegmentSetbacks)
+ * @returns {Object} - {panels, rowCount}
+ */
+function generateRackedPanelGrid(
+  segment,
+  obstructions,
+  dimensions,
+  rack,
+  spacing,
+  alignment,
+  edgeSetbacks
+) {
+  const { metersPerPixelX, metersPerPixelY } = dimensions;
+  const radians = (rack.azimuth * Math.PI) / 180;
+  // Unit directions in meters: panels face `facing`, rows run along `row`
+  const facing = { x: Math.sin(radians), y: -Math.cos(radians) };
+  const row = { x: Math.cos(radians), y: Math.sin(radians) };
+  const toPixels = (u, v) => ({
+    x: Number(((row.x * u + facing.x * v) / metersPerPixelX).toFixed(2)),
+    y: Number(((row.y * u + facing.y * v) / metersPerPixelY).toFixed(2)),
+  });
+
+  // Extent of the segment across (u) and along (v) the rack azimuth
+  const projected = segment.polygon.map((point) => {
+    const x = point.x * metersPerPixelX;
+    const y = point.y * metersPerPixelY;
+    return { u: x * row.x + y * row.y, v: x * facing.x + y * facing.y };
+  });
+  const minU = Math.min(...projected.map((p) => p.u));
+  const maxU = Math.max(...projected.map((p) => p.u));
+  const minV = Math.min(...projected.map((p) => p.v));
+  const maxV = Math.max(...projected.map((p) => p.v));
+
+  const width = rack.panelWidth;
+  const depth = spacing.rowDepthMeters;
+  const columnStart =
+    alignment.columnAlignment === "start"
+      ? minU
+      : alignment.columnAlignment === "end"
+        ? maxU - width
+        : (minU + maxU - width) / 2;
+  const firstColumn = Math.floor((minU - columnStart) / width);
+  const lastColumn = Math.ceil((maxU - columnStart) / width);
+  const rowCount = Math.floor((maxV - minV) / spacing.rowPitchMeters) + 1;
+  const panels = [];
+
+  for (let rowIndex = 0; rowIndex < rowCount; rowIndex++) {
+    // Rows are numbered from the front (lowest edge facing the azimuth)
+    const v =
+      alignment.rowAlignment === "front"
+        ? maxV - depth - rowIndex * spacing.rowPitchMeters
+        : minV + (rowCount - 1 - rowIndex) * spacing.rowPitchMeters;
+
+    for (let column = firstColumn; column <= lastColumn; column++) {
+      const u = columnStart + column * width;
+      const panelPolygon = [
+        toPixels(u, v),
+        toPixels(u + width, v),
+        toPixels(u + width, v + depth),
+        toPixels(u, v + depth),
+      ];
+      const validationResult = isPanelValid(
+        panelPolygon,
+        segment.polygon,
+        obstructions,
+        edgeSetbacks
+      );
+
+      if (!validationResult.isValid) continue;
+
+      const bounds = getPolygonBounds(panelPolygon);
+
+      panels.push({
+        id: `panel_${segment.id}_${panels.length}`,
+        segmentId: segment.id,
+        x: bounds.minX,
+        y: bounds.minY,
+        width: bounds.maxX - bounds.minX,
+        height: bounds.maxY - bounds.minY,
+        realWidth: width,
+        realHeight: rack.panelLength,
+        pitch: rack.tiltDegrees,
+        azimuth: rack.azimuth,
+        orientation: getOrientationFromAzimuth(rack.azimuth),
+        mounting: "racked",
+        row: rowIndex,
+        col: column - firstColumn,
+        polygon: panelPolygon,
+      });
+    }
+  }
+
+  // Panels at the ends of their row or in the first or last occupied row
+  // carry edge ballast
+  const rows = panels.map((panel) => panel.row);
+  const firstRow = Math.min(...rows);
+  const lastRow = Math.max(...rows);
+
+  for (const panel of panels) {
+    const rowColumns = panels
+      .filter((other) => other.row === panel.row)
+      .map((other) => other.col);
+    const isEdge =
+      panel.row === firstRow ||
+      panel.row === lastRow ||
+      panel.col === Math.min(...rowColumns) ||
+      panel.col === Math.max(...rowColumns);
+
+    const ballastKg =
+      rack.ballastKgPerPanel * (isEdge ? rack.edgeBallastFactor : 1);
+
+    panel.ballastKg = Number(ballastKg.toFixed(1));
+  }
+
+  return {
+    panels,
+    rowCount: new Set(rows).size,
+  };
+}
+
+/**
+ * Summarize the racked segments of a layout with the panels and ballast
+ * that were kept
+ * @param {Array} rackedSegments - Racking of the chosen layout of every
+ *   racked segment
+ * @param {Array} panelLayout - Final panels
+ * @param {Array} flushFallbackSegments - Flat segments laid out flush
+ *   because their rows could not be spaced: [{segmentId, reason}]
+ * @returns {Object} - {segments, panelCount, totalBallastKg,
+ *   flushFallbackSegments}
+ */
+function summarizeRacking(rackedSegments, panelLayout, flushFallbackSegments) {
+  const segments = rackedSegments.map((racked) => {
+    const panels = panelLayout.filter(
+      (panel) => panel.segmentId === racked.segmentId
+    );
+
+    return {
+      ...racked,
+      rowCount: new Set(panels.map((panel) => panel.row)).size,
+      panelCount: panels.length,
+      ballastKg: Number(
+        panels.reduce((sum, panel) => sum + panel.ballastKg, 0).toFixed(1)
+      ),
+    };
+  });
+
+  return {
+    segments,
+    panelCount: segments.reduce((sum, s) => sum + s.panelCount, 0),
+    totalBallastKg: Number(
+      segments.reduce((sum, s) => sum + s.ballastKg, 0).toFixed(1)
+    ),
+    flushFallbackSegments,
+  };
+}
+
+/**
+ * Validate placed or edited panels with the rules generated layouts follow:
+ * every panel lies inside a roof segment, clear of obstructions, other
+ * panels and the segment's fire-code setbacks, and flush panels sit on roof
+ * whose DSM slope matches the segment pitch
+ * @param {Array} panels - Panels with a pixel polygon (or x, y, width and
+ *   height); segmentId picks their segment, else the segment under their
+ *   center. Racked panels (mounting "racked") skip the slope check.
+ * @param {Array} roofSegments - Roof segments from ML server
+ * @param {Array} obstructions - Obstructions identified in the segments
+ * @param {Object} dimensions - Real-world dimensions
+ * @param {Object} dsmData - DSM data for slope checks (optional)
+ * @param {Object} options - Validation options (optional)
+ * @param {Object} options.setbackRules - Fire-code rule set whose setbacks
+ *   panels keep (see generateOptimalPanelLayout); default none
+ * @returns {Array} - Per panel {panelId, segmentId, isValid, violations:
+ *   [{type, ...details}]} with type "outside_segment",
+ *   "obstruction_overlap", "setback", "panel_overlap" or "slope"
+ */
+function validatePanelLayout(
+  panels,
+  roofSegments,
+  obstructions = [],
+  dimensions,
+  dsmData = null,
+  options = {}
+) {
+  const { setbackRules = null } = options;
+  const segments = roofSegments.filter(
+    (segment) => segment.polygon && segment.polygon.length >= 3
+  );
+  const segmentSetbacks = new Map();
+  const polygons = panels.map(
+    (panel) =>
+      panel.polygon ||
+      rectangleToPolygon(panel.x, panel.y, panel.width, panel.height)
+  );
+  const bounds = polygons.map((polygon) => getPolygonBounds(polygon));
+
+  // Panels touching edge to edge do not overlap
+  const overlapPolygons = polygons.map((polygon) =>
+    shrinkPolygon(polygon, PANEL_OVERLAP_TOLERANCE)
+  );
+
+  return panels.map((panel, index) => {
+    const polygon = polygons[index];
+    const { minX, minY, maxX, maxY } = bounds[index];
+    const centerX = (minX + maxX) / 2;
+    const centerY = (minY + maxY) / 2;
+    const violations = [];
+    const segment =
+      segments.find(
+        (candidate) => String(candidate.id) === String(panel.segmentId)
+      ) ||
+      segments.find((candidate) =>
+        isPointInPolygon(centerX, centerY, candidate.polygon)
+      );
+
+    if (!segment || !isPanelValid(polygon, segment.polygon, []).isValid) {
+      violations.push({ type: "outside_segment" });
+    }
+
+    for (const obstruction of obstructions) {
+      if (
+        obstruction.polygon &&
+        doPolygonsOverlap(polygon, obstruction.polygon)
+      ) {
+        violations.push({
+          type: "obstruction_overlap",
+          obstructionId: obstruction.id ?? null,
+        });
+      }
+    }
+
+    if (segment && setbackRules) {
+      if (!segmentSetbacks.has(segment)) {
+        segmentSetbacks.set(
+          segment,
+          getSegmentSetbacks(segment, roofSegments, setbackRules, dimensions)
+            .edges
+        );
+      }
+
+      const edgeTypes = new Set(
+        segmentSetbacks
+          .get(segment)
+          .filter(
+            (edge) => getPolygonEdgeDistance(polygon, edge) < edge.distancePx
+          )
+          .map((edge) => edge.type)
+      );
+
+      for (const edgeType of edgeTypes) {
+        violations.push({ type: "setback", edgeType });
+      }
+    }
+
+    for (let other = 0; other < panels.length; other++) {
+      if (
+        other !== index &&
+        bounds[other].minX < maxX &&
+        bounds[other].maxX > minX &&
+        bounds[other].minY < maxY &&
+        bounds[other].maxY > minY &&
+        doPolygonsOverlap(overlapPolygons[index], overlapPolygons[other])
+      ) {
+        violations.push({
+          type: "panel_overlap",
+          panelId: panels[other].id ?? other,
+        });
+      }
+    }
+
+    if (segment && dsmData?.raster && panel.mounting !== "racked") {
+      const pitch = segment.pitch || 20;
+      const slopeCheck = checkBlockSlope(
+        dsmData.raster,
+        Math.round(minX),
+        Math.round(minY),
+        Math.round(maxX - minX),
+        Math.round(maxY - minY),
+        dimensions,
+        Math.tan((pitch * Math.PI) / 180),
+        MAX_SLOPE_DEVIATION
+      );
+
+      if (!slopeCheck.isValid) {
+        violations.push({
+          type: "slope",
+          slopeType: slopeCheck.type,
+          localDeviation: Number(slopeCheck.localDeviation.toFixed(1)),
+          globalDeviation: Number(slopeCheck.globalDeviation.toFixed(1)),
+        });
+      }
+    }
+
+    return {
+      panelId: panel.id ?? index,
+      segmentId: segment ? segment.id : null,
+      isValid: violations.length === 0,
+      violations,
+    };
+  });
+}
+
+/**
+ * Check whether two polygons overlap: a corner of either lies inside the
+ * other or their edges cross, as for two panels laid across each other.
+ * Edges that only touch or run along each other do not count.
+ * @param {Array} a - Polygon points {x, y}
+ * @param {Array} b - Polygon points {x, y}
+ * @returns {boolean} - True if they overlap
+ */
+function doPolygonsOverlap(a, b) {
+  if (
+    a.some((corner) => isPointInPolygon(corner.x, corner.y, b)) ||
+    b.some((corner) => isPointInPolygon(corner.x, corner.y, a))
+  ) {
+    return true;
+  }
+
+  return a.some((start, i) => {
+    const end = a[(i + 1) % a.length];
+
+    return b.some((otherStart, j) =>
+      doSegmentsCross(start, end, otherStart, b[(j + 1) % b.length])
+    );
+  });
+}
+
+/**
+ * Check whether two line segments cross at a point inside both
+ * @param {Object} p1 - Start of the first segment {x, y}
+ * @param {Object} p2 - End of the first segment {x, y}
+ * @param {Object} q1 - Start of the second segment {x, y}
+ * @param {Object} q2 - End of the second segment {x, y}
+ * @returns {boolean} - True if each segment has its ends on opposite sides
+ *   of the other
+ */
+function doSegmentsCross(p1, p2, q1, q2) {
+  // Sign of the turn from a to b to c
+  const turn = (a, b, c) =>
+    Math.sign((b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x));
+
+  return (
+    turn(p1, p2, q1) * turn(p1, p2, q2) < 0 &&
+    turn(q1, q2, p1) * turn(q1, q2, p2) < 0
+  );
+}
+
+/**
+ * Shrink a polygon toward its vertex centroid
+ * @param {Array} polygon - Polygon points {x, y}
+ * @param {number} fraction - Share of its size to remove
+ * @returns {Array} - Shrunk polygon
+ */
+function shrinkPolygon(polygon, fraction) {
+  const cx = polygon.reduce((sum, point) => sum + point.x, 0) / polygon.length;
+  const cy = polygon.reduce((sum, point) => sum + point.y, 0) / polygon.length;
+
+  return polygon.map((point) => ({
+    x: cx + (point.x - cx) * (1 - fraction),
+    y: cy + (point.y - cy) * (1 - fraction),
+  }));
+}
+
+/**
+ * Check if a panel is valid (within segment, not overlapping obstructions
+ * and clear of the segment's edge setbacks)
+ * @param {Array} panelPolygon - Panel polygon
+ * @param {Array} segmentPolygon - Segment polygon
+ * @param {Array} obstructions - Obstructions array
+ * @param {Array} edgeSetbacks - Edges {type, start, end, distancePx} the
+ *   panel keeps its distance from (optional)
+ * @returns {Object} - Validation result with isValid flag and reason if invalid
+ */
+function isPanelValid(
+  panelPolygon,
+  segmentPolygon,
+  obstructions,
+  edgeSetbacks = []
+) {
+  // Check all four corners of the panel
+  const corners = [
+    panelPolygon[0], // top-left
+    panelPolygon[1], // top-right
+    panelPolygon[2], // bottom-right
+    panelPolygon[3], // bottom-left
+  ];
+
+  // Panel is valid if all corners are inside segment
+  const allCornersInSegment = corners.every((corner) =>
+    isPointInPolygon(corner.x, corner.y, segmentPolygon)
+  );
+
+  if (!allCornersInSegment) {
+    return { isValid: false, reason: "outside_segment" };
+  }
+
+  // Panel is invalid if it overlaps with any obstruction
+  for (const obstruction of obstructions) {
+    if (!obstruction.polygon) continue;
+
+    if (doPolygonsOverlap(corners, obstruction.polygon)) {
       return { isValid: false, reason: "obstruction_overlap" };
     }
   }
 
+  // Panel is invalid if it reaches into a setback from a roof edge
+  for (const edge of edgeSetbacks) {
+    if (getPolygonEdgeDistance(panelPolygon, edge) < edge.distancePx) {
+      return { isValid: false, reason: "setback" };
+    }
+  }
+
   return { isValid: true };
 }
 
+/**
+ * Get the strips along the edges of a roof segment that panels keep clear
+ * of, for drawings of the layout
+ * @param {string} segmentId - Roof segment ID
+ * @param {Array} edges - Edges with a setback, see getSegmentSetbacks
+ * @returns {Array} - [{segmentId, edgeType, setbackMeters, polygon}] with
+ *   pixel polygons
+ */
+function getSetbackZones(segmentId, edges) {
+  const toPoint = (x, y) => ({
+    x: Number(x.toFixed(2)),
+    y: Number(y.toFixed(2)),
+  });
+
+  return edges.map(({ type, setbackMeters, start, end, offsetPx }) => ({
+    segmentId,
+    edgeType: type,
+    setbackMeters,
+    polygon: [
+      toPoint(start.x, start.y),
+      toPoint(end.x, end.y),
+      toPoint(end.x + offsetPx.x, end.y + offsetPx.y),
+      toPoint(start.x + offsetPx.x, start.y + offsetPx.y),
+    ],
+  }));
+}
+
+/**
+ * Get the setback of every edge of a roof segment under a fire-code rule
+ * set. Edges are classified by comparing their outward direction with the
+ * segment's downslope direction (eave, ridge or an edge running from eave
+ * to ridge), which is a hip or valley when shared with another segment and
+ * a rake otherwise. Consecutive edges of one type form a run; the access
+ * pathway of the rule set is kept along the longest run of its first edge
+ * type the segment has.
+ * @param {Object} segment - Roof segment with polygon, azimuth and pitch
+ * @param {Array} roofSegments - All roof segments, to find shared edges
+ * @param {Object} ruleSet - {id, setbacks, pathway}
+ * @param {Object} dimensions - Real-world dimensions
+ * @returns {Object} - {edges: [{type, start, end, distancePx,
+ *   setbackMeters, offsetPx}] with a setback, where offsetPx is the pixel
+ *   vector from the edge to the inner side of its setback, summary:
+ *   {segmentId, pathway, edges}} where summary.edges lists the runs with
+ *   their type, length and setback in meters
+ */
+function getSegmentSetbacks(segment, roofSegments, ruleSet, dimensions) {
+  const runs = classifySegmentEdges(segment, roofSegments, dimensions);
+  let pathwayRun = null;
+
+  for (const type of ruleSet.pathway?.edgeTypes || []) {
+    const candidates = runs.filter((run) => run.type === type);
+
+    if (candidates.length > 0) {
+      pathwayRun = candidates.reduce((longest, run) =>
+        run.lengthMeters > longest.lengthMeters ? run : longest
+      );
+      break;
+    }
+  }
+
+  const tanPitch = Math.tan(((segment.pitch || 20) * Math.PI) / 180);
+  const edges = [];
+
+  const summaryEdges = runs.map((run) => {
+    const setbackMeters =
+      run === pathwayRun
+        ? Math.max(ruleSet.setbacks[run.type], ruleSet.pathway.widthMeters)
+        : ruleSet.setbacks[run.type];
+
+    if (setbackMeters > 0) {
+      for (const edge of run.edges) {
+        // Setbacks are measured on the roof surface; slopes across the edge
+        // shorten them in plan view
+        const planMeters =
+          setbackMeters / Math.sqrt(1 + (tanPitch * edge.alignment) ** 2);
+        const pixelsPerMeter = Math.hypot(
+          edge.normal.x / dimensions.metersPerPixelX,
+          edge.normal.y / dimensions.metersPerPixelY
+        );
+
+        edges.push({
+          type: run.type,
+          start: edge.start,
+          end: edge.end,
+          distancePx: planMeters * pixelsPerMeter,
+          setbackMeters,
+          offsetPx: {
+            x: (-edge.normal.x * planMeters) / dimensions.metersPerPixelX,
+            y: (-edge.normal.y * planMeters) / dimensions.metersPerPixelY,
+          },
+        });
+      }
+    }
+
+    return {
+      type: run.type,
+      lengthMeters: Number(run.lengthMeters.toFixed(2)),
+      setbackMeters,
+      pathway: run === pathwayRun,
+    };
+  });
+
+  return {
+    edges,
+    summary: {
+      segmentId: segment.id,
+      pathway: pathwayRun
+        ? {
+            edgeType: pathwayRun.type,
+            widthMeters: ruleSet.pathway.widthMeters,
+          }
+        : null,
+      edges: summaryEdges,
+    },
+  };
+}
+
+/**
+ * Classify the edges of a roof segment polygon and group consecutive edges
+ * of one type into runs
+ * @param {Object} segment - Roof segment with polygon and azimuth
+ * @param {Array} roofSegments - All roof segments, to find shared edges
+ * @param {Object} dimensions - Real-world dimensions
+ * @returns {Array} - Runs {type, lengthMeters, edges: [{start, end, normal,
+ *   alignment}]} where normal is the outward unit direction in meters and
+ *   alignment its dot product with the downslope direction
+ */
+function classifySegmentEdges(segment, roofSegments, dimensions) {
+  const polygon = segment.polygon;
+  const downslope = getDownslopeDirection(segment.azimuth || 180);
+  const { metersPerPixelX, metersPerPixelY } = dimensions;
+  const tolerancePx = Math.max(
+    2,
+    SHARED_EDGE_TOLERANCE_METERS / ((metersPerPixelX + metersPerPixelY) / 2)
+  );
+
+  // Shoelace sum; its sign tells which side of an edge is outside
+  let signedArea = 0;
+  polygon.forEach((point, i) => {
+    const next = polygon[(i + 1) % polygon.length];
+    signedArea += point.x * next.y - next.x * point.y;
+  });
+  const outwardSign = signedArea >= 0 ? 1 : -1;
+
+  const edges = [];
+
+  polygon.forEach((start, i) => {
+    const end = polygon[(i + 1) % polygon.length];
+    const dx = (end.x - start.x) * metersPerPixelX;
+    const dy = (end.y - start.y) * metersPerPixelY;
+    const lengthMeters = Math.hypot(dx, dy);
+
+    if (lengthMeters === 0) return;
+
+    const normal = {
+      x: (outwardSign * dy) / lengthMeters,
+      y: (-outwardSign * dx) / lengthMeters,
+    };
+    const alignment = normal.x * downslope.x + normal.y * downslope.y;
+    let type;
+
+    if (alignment >= EAVE_RIDGE_MIN_ALIGNMENT) {
+      type = "eave";
+    } else if (alignment <= -EAVE_RIDGE_MIN_ALIGNMENT) {
+      type = "ridge";
+    } else {
+      const midpoint = { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
+      const neighbor = roofSegments.find(
+        (other) =>
+          other !== segment &&
+          other.polygon?.length >= 3 &&
+          (isPointInPolygon(midpoint.x, midpoint.y, other.polygon) ||
+            getPolygonPointDistance(other.polygon, midpoint) <= tolerancePx)
+      );
+
+      if (!neighbor) {
+        type = "rake";
+      } else {
+        // A hip's neighbor slopes away from the shared edge, a valley's
+        // towards it
+        const neighborDownslope = getDownslopeDirection(
+          neighbor.azimuth || 180
+        );
+        type =
+          normal.x * neighborDownslope.x + normal.y * neighborDownslope.y >= 0
+            ? "hip"
+            : "valley";
+      }
+    }
+
+    edges.push({ start, end, normal, alignment, type, lengthMeters });
+  });
+
+  // Group consecutive edges of one type, joining the last run to the first
+  // when the polygon closes on the same type
+  const runs = [];
+
+  for (const { type, lengthMeters, ...edge } of edges) {
+    const last = runs[runs.length - 1];
+
+    if (last && last.type === type) {
+      last.edges.push(edge);
+      last.lengthMeters += lengthMeters;
+    } else {
+      runs.push({ type, lengthMeters, edges: [edge] });
+    }
+  }
+
+  if (runs.length > 1 && runs[0].type === runs[runs.length - 1].type) {
+    const last = runs.pop();
+    runs[0].edges.unshift(...last.edges);
+    runs[0].lengthMeters += last.lengthMeters;
+  }
+
+  return runs;
+}
+
+/**
+ * Get the downslope direction of a roof plane in image coordinates (x to
+ * the east, y to the south)
+ * @param {number} azimuth - Direction the plane faces in degrees from north
+ * @returns {Object} - Unit vector {x, y}
+ */
+function getDownslopeDirection(azimuth) {
+  const radians = (azimuth * Math.PI) / 180;
+
+  return { x: Math.sin(radians), y: -Math.cos(radians) };
+}
+
+/**
+ * Get the distance from a point to a line segment
+ * @param {Object} point - Point {x, y}
+ * @param {Object} start - Segment start {x, y}
+ * @param {Object} end - Segment end {x, y}
+ * @returns {number} - Distance in the units of the coordinates
+ */
+function getPointSegmentDistance(point, start, end) {
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t =
+    lengthSquared === 0
+      ? 0
+      : Math.max(
+          0,
+          Math.min(
+            1,
+            ((point.x - start.x) * dx + (point.y - start.y) * dy) /
+              lengthSquared
+          )
+        );
+
+  return Math.hypot(point.x - (start.x + t * dx), point.y - (start.y + t * dy));
+}
+
+/**
+ * Get the distance from a point to the boundary of a polygon
+ * @param {Array} polygon - Polygon points {x, y}
+ * @param {Object} point - Point {x, y}
+ * @returns {number} - Distance in pixels
+ */
+function getPolygonPointDistance(polygon, point) {
+  return polygon.reduce(
+    (min, start, i) =>
+      Math.min(
+        min,
+        getPointSegmentDistance(
+          point,
+          start,
+          polygon[(i + 1) % polygon.length]
+        )
+      ),
+    Infinity
+  );
+}
+
+/**
+ * Get the distance between the boundary of a polygon and a line segment
+ * that does not cross it
+ * @param {Array} polygon - Polygon points {x, y}
+ * @param {Object} edge - Segment {start, end}
+ * @returns {number} - Distance in pixels
+ */
+function getPolygonEdgeDistance(polygon, edge) {
+  return Math.min(
+    ...polygon.map((point) =>
+      getPointSegmentDistance(point, edge.start, edge.end)
+    ),
+    getPolygonPointDistance(polygon, edge.start),
+    getPolygonPointDistance(polygon, edge.end)
+  );
+}
+
 /**
  * Check if a point is inside a polygon using ray casting algorithm
  * @param {number} x - Point x coordinate
@@ -1198,8 +3228,18 @@ function calculateRealWorldDimensions(rgbResult, buildingInsights) {
 // Export the module functions
 module.exports = {
   generateOptimalPanelLayout,
+  validatePanelLayout,
+  getSetbackZones,
+  estimatePanelEnergy,
+  getEnergyConversionFactor,
+  getPolygonRasterIndices,
+  averageRasterValues,
   calculateRealWorldDimensions,
   STANDARD_PANEL_WIDTH,
   STANDARD_PANEL_HEIGHT,
   PANEL_SPACING,
+  DEFAULT_ENERGY_PARAMETERS,
+  DEFAULT_MIN_YIELD_RATIO,
+  OBJECTIVE_MIN_YIELD_RATIOS,
+  LAYOUT_OBJECTIVES,
 };